@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+
+// Prefixo que diferencia os tokens de API dos access tokens (JWT) das sessões
+export const API_TOKEN_PREFIX = 'pat_';
+
+// Escopos que podem ser concedidos a um token de API
+export const API_TOKEN_SCOPES = [
+  { name: 'posts:read', description: 'Listar e baixar documentos' },
+  { name: 'posts:write', description: 'Enviar, alterar e excluir documentos' },
+  { name: 'trainings:read', description: 'Listar e baixar treinamentos' },
+  { name: 'trainings:write', description: 'Criar, alterar e excluir treinamentos' },
+  { name: 'tools:read', description: 'Listar ferramentas e licenças' },
+  { name: 'tools:write', description: 'Cadastrar, alterar e excluir ferramentas e licenças' }
+];
+
+export const isValidApiTokenScope = (scope) => API_TOKEN_SCOPES.some((item) => item.name === scope);
+
+export const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+// Gera um novo token. `token` é mostrado uma única vez; `tokenHash` e `prefix` são persistidos.
+export function generateApiToken() {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, tokenHash: hashApiToken(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6) };
+}
+
+export function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Escopo exigido para a requisição (ex.: GET /api/posts -> posts:read). Rotas fora de
+// posts, treinamentos e ferramentas não aceitam tokens de API e retornam null.
+export function requiredApiTokenScope(req) {
+  // A busca por conteúdo só lê documentos
+  if (/^\/api\/search\/?$/.test(req.path)) {
+    return 'posts:read';
+  }
+
+  // O download em ZIP é um POST, mas só lê documentos
+  if (/^\/api\/posts\/bulk\/zip\/?$/.test(req.path)) {
+    return 'posts:read';
+  }
+
+  const match = req.path.match(/^\/api\/(posts|trainings|tools)(\/|$)/);
+  if (!match) {
+    return null;
+  }
+
+  return `${match[1]}:${req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write'}`;
+}
@@ -49,6 +49,14 @@ const isNearExpiration = (expirationDate) => {
   return [30, 15, 7, 6, 5, 4, 3, 2, 1].includes(diffDays);
 };
 
+// Escapa um valor interpolado no HTML dos emails (nomes e emails vêm de quem usa o sistema)
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Função para enviar email de notificação
 export const sendExpirationNotification = async (tool) => {
   const { id, name, description, responsible, responsibleEmail, expirationDate } = tool;
@@ -101,17 +109,17 @@ export const sendExpirationNotification = async (tool) => {
             
             <!-- Conteúdo -->
             <div style="padding: 30px 25px;">
-              <p style="font-size: 16px; line-height: 1.6; margin-top: 0;">Olá, <strong style="color: #4f46e5;">${responsible}</strong>.</p>
+              <p style="font-size: 16px; line-height: 1.6; margin-top: 0;">Olá, <strong style="color: #4f46e5;">${escapeHtml(responsible)}</strong>.</p>
               <p style="font-size: 16px; line-height: 1.6;">Este é um aviso importante sobre a ferramenta/licença sob sua responsabilidade:</p>
               
               <!-- Card da ferramenta -->
               <div style="background-color: #f3f4f6; border-radius: 10px; padding: 20px; margin: 25px 0; border-left: 5px solid #4f46e5; box-shadow: 0 2px 4px rgba(0, 0, 0, 0.05);">
-                <h2 style="margin-top: 0; color: #4f46e5; font-size: 20px; font-weight: 600;">${name}</h2>
+                <h2 style="margin-top: 0; color: #4f46e5; font-size: 20px; font-weight: 600;">${escapeHtml(name)}</h2>
                 
                 <div style="margin: 15px 0;">
                   <p style="margin: 8px 0; font-size: 15px;">
                     <strong style="color: #4b5563; display: inline-block; width: 100px;">Descrição:</strong> 
-                    <span>${description}</span>
+                    <span>${escapeHtml(description)}</span>
                   </p>
                   
                   <p style="margin: 8px 0; font-size: 15px;">
@@ -170,6 +178,118 @@ export const sendExpirationNotification = async (tool) => {
   }
 };
 
+// Texto da mensagem: trechos simples ou { strong } para destacar um valor
+const renderMessage = (message) => [].concat(message)
+  .map((part) => (typeof part === 'string' ? escapeHtml(part) : `<strong>${escapeHtml(part.strong)}</strong>`))
+  .join('');
+
+// Monta o HTML dos emails transacionais (um parágrafo de texto e um botão de ação)
+const renderActionEmail = ({ title, name, message, actionUrl, actionLabel, note }) => `
+  <!DOCTYPE html>
+  <html lang="pt-BR">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; background-color: #f9fafb;">
+    <div style="max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);">
+      <!-- Cabeçalho -->
+      <div style="background: linear-gradient(135deg, #4f46e5, #7c3aed); padding: 30px 25px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; font-weight: 700;">${escapeHtml(title)}</h1>
+      </div>
+
+      <!-- Conteúdo -->
+      <div style="padding: 30px 25px;">
+        <p style="font-size: 16px; line-height: 1.6; margin-top: 0;">Olá, <strong style="color: #4f46e5;">${escapeHtml(name)}</strong>.</p>
+        <p style="font-size: 16px; line-height: 1.6;">${renderMessage(message)}</p>
+
+        <!-- Botão de ação -->
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(actionUrl)}" style="background: linear-gradient(135deg, #4f46e5, #7c3aed); color: white; text-decoration: none; padding: 12px 25px; border-radius: 6px; font-weight: 600; display: inline-block;">${escapeHtml(actionLabel)}</a>
+        </div>
+
+        ${note ? `<p style="font-size: 14px; line-height: 1.6; color: #6b7280;">${escapeHtml(note)}</p>` : ''}
+      </div>
+
+      <!-- Rodapé -->
+      <div style="background-color: #f3f4f6; padding: 20px 25px; text-align: center; border-top: 1px solid #e5e7eb;">
+        <p style="font-size: 13px; color: #6b7280; margin: 0;">Este é um email automático. Não responda a esta mensagem.</p>
+      </div>
+    </div>
+  </body>
+  </html>
+`;
+
+// Envia um email transacional e registra o resultado no log
+const sendActionEmail = async (to, subject, content) => {
+  try {
+    const transporter = createTransporter();
+
+    const info = await transporter.sendMail({
+      from: process.env.EMAIL_FROM || '"Sistema de Gerenciamento" <gerenciadordedocumentos82@gmail.com>',
+      to,
+      subject,
+      html: renderActionEmail(content),
+    });
+    console.log(`Email "${subject}" enviado para ${to}: ${info.messageId}`);
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`Erro ao enviar email "${subject}" para ${to}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Prazo de validade por extenso (ex.: 30 minutos, 1 hora, 2 horas)
+const formatDuration = (minutes) => {
+  if (minutes % 60 !== 0) {
+    return `${minutes} ${minutes === 1 ? 'minuto' : 'minutos'}`;
+  }
+  const hours = minutes / 60;
+  return `${hours} ${hours === 1 ? 'hora' : 'horas'}`;
+};
+
+// Função para enviar o link de redefinição de senha (válido por `ttlMinutes`)
+export const sendPasswordResetEmail = (profile, resetUrl, ttlMinutes) => sendActionEmail(profile.email, 'Redefinição de senha', {
+  title: 'Redefinição de senha',
+  name: profile.name,
+  message: `Recebemos um pedido para redefinir a senha da sua conta. O link abaixo é válido por ${formatDuration(ttlMinutes)} e só pode ser usado uma vez.`,
+  actionUrl: resetUrl,
+  actionLabel: 'Redefinir senha',
+  note: 'Se você não fez esse pedido, ignore este email. Sua senha continuará a mesma.'
+});
+
+// Função para enviar o link de confirmação de email
+export const sendVerificationEmail = (profile, verifyUrl) => sendActionEmail(profile.email, 'Confirme seu email', {
+  title: 'Confirme seu email',
+  name: profile.name,
+  message: 'Falta pouco para ativar sua conta. Clique no botão abaixo para confirmar que este endereço de email é seu.',
+  actionUrl: verifyUrl,
+  actionLabel: 'Confirmar email',
+  note: 'Se você não criou uma conta no sistema, ignore este email.'
+});
+
+// Função para enviar o link de confirmação de um novo email (troca de email no perfil)
+export const sendEmailChangeEmail = (profile, newEmail, verifyUrl) => sendActionEmail(newEmail, 'Confirme seu novo email', {
+  title: 'Confirme seu novo email',
+  name: profile.name,
+  message: ['Recebemos um pedido para alterar o email da sua conta para ', { strong: newEmail }, '. Clique no botão abaixo para confirmar a troca.'],
+  actionUrl: verifyUrl,
+  actionLabel: 'Confirmar novo email',
+  note: 'Até a confirmação, o login continua sendo feito com o email atual. Se você não fez esse pedido, ignore este email.'
+});
+
+// Função para enviar um convite de cadastro
+export const sendInviteEmail = (email, inviterName, inviteUrl) => sendActionEmail(email, 'Convite para o sistema', {
+  title: 'Você foi convidado',
+  name: email,
+  message: [{ strong: inviterName }, ' convidou você para criar uma conta no Sistema de Gerenciamento.'],
+  actionUrl: inviteUrl,
+  actionLabel: 'Criar conta',
+  note: 'O convite expira em alguns dias e só pode ser usado uma vez. Se você não esperava este email, ignore-o.'
+});
+
 // Função para verificar todas as ferramentas e enviar notificações
 export const checkExpiringTools = async () => {
   console.log('Iniciando verificação de ferramentas próximas da expiração...');
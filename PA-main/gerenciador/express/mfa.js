@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const issuer = process.env.MFA_ISSUER || 'Gerenciador de Arquivos';
+const stepSeconds = 30;
+const recoveryCodeCount = 10;
+
+// Aceita o código do período anterior e do seguinte para tolerar relógios levemente fora de sincronia
+authenticator.options = { step: stepSeconds, window: 1 };
+
+// Chave usada para cifrar o segredo TOTP antes de salvá-lo no banco. Sem ela os segredos ficariam
+// cifrados com uma constante pública, então o servidor nem sobe.
+const encryptionKeySource = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET_KEY;
+if (!encryptionKeySource) {
+  throw new Error('MFA_ENCRYPTION_KEY (ou JWT_SECRET_KEY) precisa estar definida para cifrar os segredos TOTP');
+}
+
+const encryptionKey = crypto
+  .createHash('sha256')
+  .update(encryptionKeySource)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Gera um novo segredo TOTP e o QR code para o aplicativo autenticador.
+// `encryptedSecret` é o valor que deve ser salvo em Profile.totpSecret.
+export async function createTotpSecret(accountName) {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(accountName, issuer, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode, encryptedSecret: encryptSecret(secret) };
+}
+
+// Valida um código TOTP. Retorna o número do período usado (para impedir reuso do mesmo
+// código) ou null se o código for inválido ou já tiver sido usado.
+export function verifyTotpCode(encryptedSecret, code, lastUsedStep) {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!encryptedSecret || !/^\d{6}$/.test(token)) {
+    return null;
+  }
+
+  const delta = authenticator.checkDelta(token, decryptSecret(encryptedSecret));
+  if (delta === null) {
+    return null;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / stepSeconds) + delta;
+  if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+    return null;
+  }
+
+  return step;
+}
+
+// Gera os códigos de recuperação: `codes` é mostrado uma única vez ao usuário e
+// `hashes` é o que deve ser persistido.
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Normaliza (ignora espaços, hífens e maiúsculas) e gera o hash de um código de recuperação.
+export function hashRecoveryCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+}
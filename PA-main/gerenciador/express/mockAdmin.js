@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { hashPassword } from './password.js';
 
 const prisma = new PrismaClient();
 
@@ -14,8 +15,9 @@ async function createAdminUser() {
       data: {
         name: 'Admin User',
         email: 'admin@exemplo.com',
-        password: 'senha_secreta',
+        password: await hashPassword('senha_secreta'),
         role: 'ADMIN',
+        verifiedAt: new Date(),
       },
     });
 
@@ -0,0 +1,129 @@
+// Provedor OpenID Connect mínimo para testar o SSO localmente.
+// Uso: node mockOidcProvider.js e, no .env do backend:
+//   OIDC_ISSUER_URL=http://localhost:9000
+//   OIDC_CLIENT_ID=gerenciador
+//   OIDC_ADMIN_GROUPS=admins
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+const port = Number(process.env.MOCK_OIDC_PORT) || 9000;
+const issuer = `http://localhost:${port}`;
+const keyId = 'mock-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+app.get('/.well-known/openid-configuration', (_req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post']
+  });
+});
+
+app.get('/jwks', (_req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' }] });
+});
+
+// Tela de "login": qualquer email é aceito
+app.get('/authorize', (req, res) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 360px; margin: 40px auto">
+  <h2>Mock OIDC</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="usuario@exemplo.com" required></label></p>
+    <p><label>Nome<br><input name="name" value="Usuário SSO"></label></p>
+    <p><label>Grupos (separados por vírgula)<br><input name="groups" value="users"></label></p>
+    <p><label><input type="checkbox" name="email_verified" checked> Email verificado</label></p>
+    <button type="submit">Entrar</button>
+  </form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, code_challenge_method: method, client_id: clientId } = req.body;
+
+  if (!redirectUri || method !== 'S256' || !codeChallenge) {
+    return res.status(400).send('PKCE (S256) and redirect_uri are required');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge,
+    user: {
+      sub: crypto.createHash('sha256').update(req.body.email).digest('hex').slice(0, 24),
+      email: req.body.email,
+      email_verified: req.body.email_verified === 'on',
+      name: req.body.name,
+      groups: (req.body.groups || '').split(',').map((group) => group.trim()).filter(Boolean)
+    }
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (!entry || entry.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const clientId = entry.clientId || req.body.client_id;
+  const idToken = jwt.sign(
+    { ...entry.user, nonce: entry.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: keyId, issuer, audience: clientId, expiresIn: '5m' }
+  );
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, entry.user);
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const accessToken = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const user = accessTokens.get(accessToken);
+
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(user);
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider listening on ${issuer}`);
+});
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { Issuer, generators } from 'openid-client';
+
+const issuerUrl = process.env.OIDC_ISSUER_URL;
+const clientId = process.env.OIDC_CLIENT_ID;
+const clientSecret = process.env.OIDC_CLIENT_SECRET;
+const redirectUri = process.env.OIDC_REDIRECT_URI || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/sso/callback`;
+const scope = process.env.OIDC_SCOPES || 'openid email profile';
+const groupsClaim = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const adminGroups = (process.env.OIDC_ADMIN_GROUPS || '')
+  .split(',')
+  .map((group) => group.trim())
+  .filter(Boolean);
+
+export const oidcEnabled = Boolean(issuerUrl && clientId);
+export const oidcLabel = process.env.OIDC_LABEL || 'SSO';
+
+// O cliente é criado a partir do discovery do provedor na primeira utilização
+let clientPromise = null;
+
+const getClient = () => {
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(issuerUrl)
+      .then((issuer) => new issuer.Client({
+        client_id: clientId,
+        ...(clientSecret ? { client_secret: clientSecret } : { token_endpoint_auth_method: 'none' }),
+        redirect_uris: [redirectUri],
+        response_types: ['code']
+      }))
+      .catch((error) => {
+        // Permite tentar o discovery novamente se o provedor estiver fora do ar
+        clientPromise = null;
+        throw error;
+      });
+  }
+
+  return clientPromise;
+};
+
+// Monta a URL de autorização (authorization code + PKCE). `state`, `nonce` e `codeVerifier`
+// precisam ser guardados até o retorno do provedor.
+export async function createAuthorizationRequest() {
+  const client = await getClient();
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  const authorizationUrl = client.authorizationUrl({
+    scope,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return { authorizationUrl, state, nonce, codeVerifier };
+}
+
+// Troca o código pelos tokens, valida o ID token e devolve as claims do usuário
+export async function completeAuthorization({ code, state }, { nonce, codeVerifier }) {
+  const client = await getClient();
+  const tokenSet = await client.callback(redirectUri, { code, state }, { state, nonce, code_verifier: codeVerifier });
+  const claims = tokenSet.claims();
+
+  // Alguns provedores só enviam email/grupos no endpoint userinfo
+  if ((!claims.email || claims[groupsClaim] === undefined) && tokenSet.access_token && client.issuer.userinfo_endpoint) {
+    const userinfo = await client.userinfo(tokenSet);
+    return { ...userinfo, ...claims };
+  }
+
+  return claims;
+}
+
+// Papel definido pelos grupos do provedor; null quando o mapeamento não está configurado
+export function roleFromClaims(claims) {
+  if (adminGroups.length === 0) {
+    return null;
+  }
+
+  const value = claims[groupsClaim];
+  const groups = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\s]+/) : [];
+  return groups.some((group) => adminGroups.includes(group)) ? 'ADMIN' : 'USER';
+}
+
+// Senha aleatória para contas provisionadas pelo SSO (o login local só volta a
+// funcionar se o usuário redefinir a senha)
+export const randomPassword = () => crypto.randomBytes(32).toString('base64url');
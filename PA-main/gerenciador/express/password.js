@@ -0,0 +1,43 @@
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+
+const saltRounds = Number(process.env.BCRYPT_SALT_ROUNDS) || 10;
+
+// Hash usado quando o usuário não existe, para que o tempo de resposta do login seja o mesmo
+const dummyHash = bcrypt.hashSync('senha-inexistente', saltRounds);
+
+const isBcryptHash = (value) => typeof value === 'string' && /^\$2[aby]\$\d{2}\$/.test(value);
+
+// Compara duas strings em tempo constante (o sha256 iguala o tamanho dos buffers)
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// Gera o hash bcrypt de uma senha em texto puro.
+export function hashPassword(password) {
+  return bcrypt.hash(password, saltRounds);
+}
+
+// Verifica a senha informada contra o valor salvo no Profile.
+// Contas antigas ainda guardam a senha em texto puro: nesse caso `needsRehash` indica
+// que o chamador deve salvar o hash no lugar da senha original.
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!stored) {
+    await bcrypt.compare(password, dummyHash);
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isBcryptHash(stored)) {
+    const valid = await bcrypt.compare(password, stored);
+    return { valid, needsRehash: false };
+  }
+
+  const valid = safeEqual(password, stored);
+  return { valid, needsRehash: valid };
+}
@@ -0,0 +1,31 @@
+// Catálogo das permissões nomeadas verificadas pelo middleware `requirePermission`
+export const PERMISSIONS = [
+  { name: 'tools:write', description: 'Cadastrar ferramentas e licenças' },
+  { name: 'tools:manage', description: 'Editar e excluir qualquer ferramenta ou licença' },
+  { name: 'categories:manage', description: 'Criar e remover categorias' },
+  { name: 'tags:manage', description: 'Renomear, mesclar e remover etiquetas' },
+  { name: 'users:manage', description: 'Gerenciar usuários, bloqueios e permissões' },
+  { name: 'storage:inspect', description: 'Listar os objetos armazenados no S3' }
+];
+
+export const PERMISSION_NAMES = PERMISSIONS.map((permission) => permission.name);
+
+// Pacotes de permissões que podem ser concedidos de uma vez pelo painel de administração
+export const PERMISSION_BUNDLES = [
+  { id: 'content-manager', name: 'Gestor de conteúdo', permissions: ['tools:write', 'tools:manage', 'categories:manage', 'tags:manage'] },
+  { id: 'user-manager', name: 'Gestor de usuários', permissions: ['users:manage'] },
+  { id: 'auditor', name: 'Auditor', permissions: ['storage:inspect'] }
+];
+
+// Permissões concedidas a todo novo usuário (qualquer usuário pode cadastrar ferramentas;
+// editar e excluir ficam restritos ao dono, ao responsável, à equipe ou a quem tem tools:manage)
+export const DEFAULT_USER_PERMISSIONS = ['tools:write'];
+
+export const isValidPermission = (name) => PERMISSION_NAMES.includes(name);
+
+// Permissões efetivas: administradores possuem todas; os demais, apenas as concedidas
+export const resolvePermissions = (role, granted = []) => (
+  role === 'ADMIN'
+    ? [...PERMISSION_NAMES]
+    : PERMISSION_NAMES.filter((name) => granted.includes(name))
+);
@@ -0,0 +1,58 @@
+import path from 'path';
+import sharp from 'sharp';
+import { pdf } from 'pdf-to-img';
+
+// Tamanhos gerados (lado maior, em pixels): miniatura para os cards e prévia média para visualização
+export const PREVIEW_SIZES = {
+  thumbnail: 320,
+  preview: 1024
+};
+
+// Chave derivada no S3 de cada imagem gerada, a partir da chave do arquivo original
+export function previewKey(imageName, size) {
+  return `previews/${size}/${imageName}.webp`;
+}
+
+const isPdf = (mimetype, fileName) => mimetype === 'application/pdf' || path.extname(fileName || '').toLowerCase() === '.pdf';
+
+// Indica se o tipo do arquivo tem prévia: imagens e PDFs
+export function canGeneratePreviews(mimetype, fileName) {
+  return isPdf(mimetype, fileName) || Boolean(mimetype?.startsWith('image/'));
+}
+
+// Imagem de origem das prévias: o próprio arquivo para imagens ou a primeira página renderizada para PDFs
+const sourceImage = async (buffer, mimetype, fileName) => {
+  if (isPdf(mimetype, fileName)) {
+    const document = await pdf(buffer, { scale: 2 });
+    try {
+      return await document.getPage(1);
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  if (mimetype?.startsWith('image/')) {
+    return buffer;
+  }
+
+  return null;
+};
+
+// Gera as imagens de PREVIEW_SIZES em WebP. Devolve null para tipos de arquivo sem prévia.
+export async function generatePreviews(buffer, mimetype, fileName) {
+  const source = await sourceImage(buffer, mimetype, fileName);
+  if (!source) {
+    return null;
+  }
+
+  const previews = {};
+  for (const [size, dimension] of Object.entries(PREVIEW_SIZES)) {
+    previews[size] = await sharp(source)
+      .rotate() // respeita a orientação EXIF das fotos
+      .resize(dimension, dimension, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+
+  return previews;
+}
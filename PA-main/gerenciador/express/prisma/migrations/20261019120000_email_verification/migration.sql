@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `Profile` ADD COLUMN `verifiedAt` DATETIME(3) NULL;
+
+-- Contas existentes foram criadas antes da confirmação por email e continuam ativas
+UPDATE `Profile` SET `verifiedAt` = `createdAt`;
+
+-- CreateTable
+CREATE TABLE `EmailVerificationToken` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `profileId` INTEGER NOT NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expiresAt` DATETIME(3) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+
+    UNIQUE INDEX `EmailVerificationToken_tokenHash_key`(`tokenHash`),
+    INDEX `EmailVerificationToken_profileId_idx`(`profileId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `EmailVerificationToken` ADD CONSTRAINT `EmailVerificationToken_profileId_fkey` FOREIGN KEY (`profileId`) REFERENCES `Profile`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `Profile` ADD COLUMN `totpSecret` VARCHAR(191) NULL,
+    ADD COLUMN `totpEnabledAt` DATETIME(3) NULL,
+    ADD COLUMN `totpLastUsedStep` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `RecoveryCode` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `profileId` INTEGER NOT NULL,
+    `codeHash` VARCHAR(191) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+
+    INDEX `RecoveryCode_profileId_idx`(`profileId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `RecoveryCode` ADD CONSTRAINT `RecoveryCode_profileId_fkey` FOREIGN KEY (`profileId`) REFERENCES `Profile`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `Profile` ADD COLUMN `failedLoginCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lockedUntil` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `LoginAttempt` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `email` VARCHAR(191) NOT NULL,
+    `profileId` INTEGER NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` VARCHAR(191) NULL,
+    `success` BOOLEAN NOT NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `LoginAttempt_email_createdAt_idx`(`email`, `createdAt`),
+    INDEX `LoginAttempt_ipAddress_createdAt_idx`(`ipAddress`, `createdAt`),
+    INDEX `LoginAttempt_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `LoginAttempt` ADD CONSTRAINT `LoginAttempt_profileId_fkey` FOREIGN KEY (`profileId`) REFERENCES `Profile`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
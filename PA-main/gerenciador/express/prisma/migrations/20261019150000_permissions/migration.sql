@@ -0,0 +1,16 @@
+-- DropForeignKey
+ALTER TABLE `Permission` DROP FOREIGN KEY `Permission_profileId_fkey`;
+
+-- Remove duplicated grants before adding the unique constraint
+DELETE p1 FROM `Permission` p1
+    INNER JOIN `Permission` p2 ON p1.`profileId` = p2.`profileId` AND p1.`name` = p2.`name` AND p1.`id` > p2.`id`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Permission_profileId_name_key` ON `Permission`(`profileId`, `name`);
+
+-- AddForeignKey
+ALTER TABLE `Permission` ADD CONSTRAINT `Permission_profileId_fkey` FOREIGN KEY (`profileId`) REFERENCES `Profile`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing users keep the ability to edit tools they already had
+INSERT IGNORE INTO `Permission` (`name`, `profileId`)
+    SELECT 'tools:write', `id` FROM `Profile` WHERE `role` = 'USER';
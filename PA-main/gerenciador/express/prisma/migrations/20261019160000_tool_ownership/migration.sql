@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE `Tool` ADD COLUMN `ownerId` INTEGER NULL,
+    ADD COLUMN `teamId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `Team` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `Team_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `_ProfileToTeam` (
+    `A` INTEGER NOT NULL,
+    `B` INTEGER NOT NULL,
+
+    UNIQUE INDEX `_ProfileToTeam_AB_unique`(`A`, `B`),
+    INDEX `_ProfileToTeam_B_index`(`B`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Tool` ADD CONSTRAINT `Tool_ownerId_fkey` FOREIGN KEY (`ownerId`) REFERENCES `Profile`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Tool` ADD CONSTRAINT `Tool_teamId_fkey` FOREIGN KEY (`teamId`) REFERENCES `Team`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_ProfileToTeam` ADD CONSTRAINT `_ProfileToTeam_A_fkey` FOREIGN KEY (`A`) REFERENCES `Profile`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_ProfileToTeam` ADD CONSTRAINT `_ProfileToTeam_B_fkey` FOREIGN KEY (`B`) REFERENCES `Team`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing tools are owned by the registered user named as responsible, when there is one
+UPDATE `Tool` t INNER JOIN `Profile` p ON p.`email` = t.`responsibleEmail` SET t.`ownerId` = p.`id`;
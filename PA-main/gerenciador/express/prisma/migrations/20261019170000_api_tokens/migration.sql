@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `ApiToken` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `profileId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `prefix` VARCHAR(191) NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `scopes` JSON NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expiresAt` DATETIME(3) NOT NULL,
+    `lastUsedAt` DATETIME(3) NULL,
+    `lastUsedIp` VARCHAR(191) NULL,
+    `revokedAt` DATETIME(3) NULL,
+
+    UNIQUE INDEX `ApiToken_tokenHash_key`(`tokenHash`),
+    INDEX `ApiToken_profileId_idx`(`profileId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ApiToken` ADD CONSTRAINT `ApiToken_profileId_fkey` FOREIGN KEY (`profileId`) REFERENCES `Profile`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `Profile` ADD COLUMN `oidcSubject` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `OidcLoginRequest` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `state` VARCHAR(191) NOT NULL,
+    `nonce` VARCHAR(191) NOT NULL,
+    `codeVerifier` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expiresAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `OidcLoginRequest_state_key`(`state`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Profile_oidcSubject_key` ON `Profile`(`oidcSubject`);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Profile` ADD COLUMN `suspendedAt` DATETIME(3) NULL;
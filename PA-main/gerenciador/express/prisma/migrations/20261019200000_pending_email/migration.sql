@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Profile` ADD COLUMN `pendingEmail` VARCHAR(191) NULL;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE `Posts` ADD COLUMN `currentVersion` INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE `PostVersion` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `postId` INTEGER NOT NULL,
+    `version` INTEGER NOT NULL,
+    `imageName` VARCHAR(191) NOT NULL,
+    `originalFileName` VARCHAR(191) NOT NULL,
+    `fileType` VARCHAR(191) NOT NULL,
+    `size` INTEGER NULL,
+    `comment` VARCHAR(191) NULL,
+    `uploadedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `PostVersion_postId_version_key`(`postId`, `version`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `PostVersion` ADD CONSTRAINT `PostVersion_postId_fkey` FOREIGN KEY (`postId`) REFERENCES `Posts`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PostVersion` ADD CONSTRAINT `PostVersion_uploadedById_fkey` FOREIGN KEY (`uploadedById`) REFERENCES `Profile`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Os arquivos já existentes passam a ser a versão 1 de cada post
+INSERT INTO `PostVersion` (`postId`, `version`, `imageName`, `originalFileName`, `fileType`, `uploadedById`, `createdAt`)
+SELECT `id`, 1, `imageName`, `originalFileName`, `fileType`, `ownerId`, `created`
+FROM `Posts`;
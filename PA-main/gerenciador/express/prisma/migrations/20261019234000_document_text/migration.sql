@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE `DocumentText` (
+    `imageName` VARCHAR(191) NOT NULL,
+    `content` LONGTEXT NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    FULLTEXT INDEX `DocumentText_content_idx`(`content`),
+    PRIMARY KEY (`imageName`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `Posts` ADD COLUMN `size` INTEGER NOT NULL DEFAULT 0;
+
+-- Copia o tamanho da versão atual (arquivos enviados antes do histórico de versões ficam com 0)
+UPDATE `Posts` p
+JOIN `PostVersion` v ON v.`postId` = p.`id` AND v.`version` = p.`currentVersion`
+SET p.`size` = COALESCE(v.`size`, 0);
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE `Posts` ADD COLUMN `deletedAt` DATETIME(3) NULL,
+    ADD COLUMN `deletedById` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `Training` ADD COLUMN `deletedAt` DATETIME(3) NULL,
+    ADD COLUMN `deletedById` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `Posts_deletedAt_idx` ON `Posts`(`deletedAt`);
+
+-- CreateIndex
+CREATE INDEX `Training_deletedAt_idx` ON `Training`(`deletedAt`);
+
+-- AddForeignKey
+ALTER TABLE `Posts` ADD CONSTRAINT `Posts_deletedById_fkey` FOREIGN KEY (`deletedById`) REFERENCES `Profile`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Training` ADD CONSTRAINT `Training_deletedById_fkey` FOREIGN KEY (`deletedById`) REFERENCES `Profile`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Posts` ADD COLUMN `hasPreview` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `PostVersion` ADD COLUMN `hasPreview` BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `EmailVerificationToken` ADD COLUMN `name` VARCHAR(191) NULL,
+    ADD COLUMN `passwordHash` VARCHAR(191) NULL,
+    ADD COLUMN `role` ENUM('ADMIN', 'USER') NULL;
@@ -0,0 +1,5 @@
+-- Logins SSO pendentes não têm a chave do navegador e precisam ser reiniciados
+DELETE FROM `OidcLoginRequest`;
+
+-- AlterTable
+ALTER TABLE `OidcLoginRequest` ADD COLUMN `browserKeyHash` VARCHAR(191) NOT NULL;
@@ -1,5 +1,6 @@
 import { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3"
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner"
+import { Upload } from "@aws-sdk/lib-storage"
 
 import dotenv from 'dotenv'
 
@@ -62,6 +63,23 @@ export function uploadFile(fileBuffer, fileName, mimetype) {
   return s3Client.send(new PutObjectCommand(uploadParams));
 }
 
+// Envia um stream para o S3 em partes (multipart upload), sem manter o arquivo inteiro em memória.
+// Devolve o Upload da lib-storage: `done()` conclui o envio e `abort()` interrompe e descarta as partes já enviadas.
+export function createStreamUpload(body, fileName, mimetype) {
+  return new Upload({
+    client: s3Client,
+    params: {
+      Bucket: bucketName,
+      Body: body,
+      Key: fileName,
+      ContentType: mimetype
+    },
+    partSize: 8 * 1024 * 1024,
+    queueSize: 2,
+    leavePartsOnError: false
+  })
+}
+
 // Função para deletar arquivos do S3.
 export function deleteFile(fileName) {
   const deleteParams = {
@@ -87,6 +105,22 @@ export async function getObjectSignedUrl(key) {
   return url
 }
 
+// Abre o conteúdo de um objeto do S3 como stream (usado para montar os downloads em ZIP).
+export async function getObjectStream(key) {
+  const response = await s3Client.send(new GetObjectCommand({
+    Bucket: bucketName,
+    Key: key
+  }));
+
+  return response.Body
+}
+
+// Lê um objeto inteiro para a memória (usado só no processamento de arquivos com tamanho limitado).
+export async function getObjectBuffer(key) {
+  const body = await getObjectStream(key)
+  return Buffer.from(await body.transformToByteArray())
+}
+
 // Lista todos os objetos do bucket, percorrendo a pagina��ǜo caso existam mais de 1000 itens.
 export async function listAllObjects(prefix) {
   const allObjects = [];
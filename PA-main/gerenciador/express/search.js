@@ -0,0 +1,104 @@
+import path from 'path';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import mammoth from 'mammoth';
+import ExcelJS from 'exceljs';
+
+// Limite de texto guardado por arquivo; o restante não entra no índice
+const MAX_INDEXED_CHARS = 1000000;
+const SNIPPET_LENGTH = 240;
+
+// Tipos suportados; a extensão serve de reserva quando o navegador envia application/octet-stream
+const extractors = [
+  {
+    mimetypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    extract: async (buffer) => (await pdfParse(buffer)).text
+  },
+  {
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    extract: async (buffer) => (await mammoth.extractRawText({ buffer })).value
+  },
+  {
+    mimetypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    extensions: ['.xlsx'],
+    extract: async (buffer) => {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+
+      const lines = [];
+      workbook.eachSheet((sheet) => {
+        lines.push(sheet.name);
+        sheet.eachRow((row) => {
+          const cells = [];
+          row.eachCell((cell) => cells.push(cell.text));
+          lines.push(cells.join(' '));
+        });
+      });
+      return lines.join('\n');
+    }
+  }
+];
+
+const findExtractor = (mimetype, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return extractors.find((extractor) => extractor.mimetypes.includes(mimetype))
+    || extractors.find((extractor) => extractor.extensions.includes(extension));
+};
+
+// Indica se há extrator para o tipo do arquivo (evita ler do S3 arquivos que não seriam indexados)
+export function canExtractText(mimetype, fileName) {
+  return Boolean(findExtractor(mimetype, fileName));
+}
+
+// Extrai o texto de PDFs, DOCX e XLSX. Retorna null para tipos não suportados ou arquivos sem texto.
+export async function extractText(buffer, mimetype, fileName) {
+  const extractor = findExtractor(mimetype, fileName);
+  if (!extractor) {
+    return null;
+  }
+
+  const text = (await extractor.extract(buffer) || '').replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, MAX_INDEXED_CHARS) : null;
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Remove acentos sem alterar o tamanho do texto, para que as posições continuem valendo no original
+const foldAccents = (text) => text.replace(/[^\u0000-\u007f]/g, (char) => {
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return base.length === 1 ? base : char;
+});
+
+// Monta um trecho do texto em volta do primeiro termo encontrado, em partes marcadas com `highlight`
+// (o MySQL compara sem acentos, então a busca dos termos também ignora acentos e maiúsculas)
+export function buildSnippet(text, query) {
+  const terms = foldAccents(query).split(/\s+/).filter((term) => term.length >= 2).map(escapeRegExp);
+  const folded = foldAccents(text);
+  const pattern = terms.length > 0 ? new RegExp(terms.join('|'), 'gi') : null;
+
+  const firstMatch = pattern ? folded.search(pattern) : -1;
+  let start = Math.max(0, firstMatch - SNIPPET_LENGTH / 3);
+  if (start > 0) {
+    const nextSpace = text.indexOf(' ', start);
+    start = nextSpace === -1 || nextSpace > firstMatch ? start : nextSpace + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const parts = [];
+  if (start > 0) parts.push({ text: '…', highlight: false });
+
+  let cursor = start;
+  if (pattern) {
+    for (const match of folded.slice(start, end).matchAll(pattern)) {
+      const matchStart = start + match.index;
+      if (matchStart > cursor) parts.push({ text: text.slice(cursor, matchStart), highlight: false });
+      parts.push({ text: text.slice(matchStart, matchStart + match[0].length), highlight: true });
+      cursor = matchStart + match[0].length;
+    }
+  }
+  if (cursor < end) parts.push({ text: text.slice(cursor, end), highlight: false });
+  if (end < text.length) parts.push({ text: '…', highlight: false });
+
+  return parts;
+}
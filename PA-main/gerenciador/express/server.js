@@ -5,10 +5,21 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import cron from 'node-cron';
 import Busboy from 'busboy';
+import { ZipArchive } from 'archiver';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 
-import { PrismaClient } from '@prisma/client';
-import { checkExpiringTools } from './emailService.js';
-import { uploadFile, deleteFile, getObjectSignedUrl, listAllObjects } from './s3.js';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { checkExpiringTools, sendPasswordResetEmail, sendVerificationEmail, sendEmailChangeEmail, sendInviteEmail } from './emailService.js';
+import { uploadFile, createStreamUpload, deleteFile, getObjectSignedUrl, getObjectStream, getObjectBuffer, listAllObjects } from './s3.js';
+import { hashPassword, verifyPassword } from './password.js';
+import { createTotpSecret, verifyTotpCode, generateRecoveryCodes, hashRecoveryCode } from './mfa.js';
+import { oidcEnabled, oidcLabel, createAuthorizationRequest, completeAuthorization, roleFromClaims, randomPassword } from './oidc.js';
+import { API_TOKEN_SCOPES, generateApiToken, hashApiToken, isApiToken, isValidApiTokenScope, requiredApiTokenScope } from './apiTokens.js';
+import { PERMISSIONS, PERMISSION_BUNDLES, DEFAULT_USER_PERMISSIONS, isValidPermission, resolvePermissions } from './permissions.js';
+import { extractText, canExtractText, buildSnippet } from './search.js';
+import { PREVIEW_SIZES, previewKey, canGeneratePreviews, generatePreviews } from './previews.js';
 
 
 const app = express();
@@ -26,34 +37,112 @@ const corsOptions = {
 };
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Mínimo de 8 caracteres, com maiúsculas, minúsculas e números (mesma regra do cadastro)
+const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
 const toBoolean = (value) => value === true || value === 'true';
 const asNumber = (value) => Number(value);
+// Id numérico vindo da query string (ex.: ?cursor=42), dentro do intervalo do INT do MySQL
+const isIdParam = (value) => typeof value === 'string' && /^[1-9]\d{0,9}$/.test(value) && Number(value) <= 2147483647;
+// Data vinda da query string; null quando inválida ou fora do intervalo do DATETIME do MySQL
+const parseDateParam = (value) => {
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  const year = date.getUTCFullYear();
+  return Number.isNaN(date.getTime()) || year < 1000 || year > 9999 ? null : date;
+};
 const generateUniqueFileName = (originalName) => `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(originalName)}`;
 
-// Parser simples de multipart usando Busboy para obter 1 arquivo + campos
-const parseMultipart = (req) => new Promise((resolve, reject) => {
-  const busboy = Busboy({ headers: req.headers, limits: { files: 1 } });
+// Etiquetas chegam como array (JSON), campo repetido (multipart) ou texto separado por vírgulas
+const parseTagNames = (value) => {
+  const values = Array.isArray(value) ? value : (value ? [value] : []);
+  const names = values
+    .flatMap((item) => String(item).split(','))
+    .map((name) => name.trim().replace(/\s+/g, ' ').toLowerCase())
+    .filter((name) => name.length > 0 && name.length <= 50);
+  return [...new Set(names)];
+};
+
+const connectTags = (names) => ({
+  connectOrCreate: names.map((name) => ({ where: { name }, create: { name } }))
+});
+
+// ?tags=a,b traz apenas itens que têm todas as etiquetas informadas
+const tagsFilter = (value) => parseTagNames(value).map((name) => ({ tags: { some: { name } } }));
+
+const tagSelect = { select: { id: true, name: true }, orderBy: { name: 'asc' } };
+
+// Tamanho máximo dos arquivos enviados (MAX_UPLOAD_MB, padrão 100 MB)
+const maxUploadBytes = (Number(process.env.MAX_UPLOAD_MB) || 100) * 1024 * 1024;
+// Folga para os cabeçalhos e campos do multipart na checagem antecipada do Content-Length
+const multipartOverheadBytes = 1024 * 1024;
+
+const fileTooLargeError = () => Object.assign(
+  new Error(`Arquivo maior que o limite de ${Math.round(maxUploadBytes / 1024 / 1024)} MB`),
+  { status: 413 }
+);
+
+// Status HTTP para as falhas de parseMultipart: 413 acima do limite, 400 sem arquivo, 500 no resto
+const uploadErrorStatus = (error) => error.status || (error.message === 'Nenhum arquivo enviado' ? 400 : 500);
+
+// Parser de multipart (Busboy) para 1 arquivo + campos. O arquivo vai direto para o S3 em partes,
+// sem ser guardado em memória. Resolve com { file: { storedName, originalname, mimetype, size }, fields }. Como o objeto já está no S3
+// quando a rota recebe o resultado, quem desistir do arquivo depois disso deve chamar discardUpload(file).
+// Acima de maxUploadBytes o envio é interrompido, as partes já enviadas são descartadas e o erro tem status 413.
+const parseMultipart = (req, { fileRequired = true } = {}) => new Promise((resolve, reject) => {
+  if (Number(req.headers['content-length']) > maxUploadBytes + multipartOverheadBytes) {
+    return reject(fileTooLargeError());
+  }
+
+  const busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: maxUploadBytes } });
   const fields = {};
-  let fileData = null;
+  let upload = null;
+  let uploadPromise = null;
+  let tooLarge = false;
+  let settled = false;
+
+  // Interrompe a leitura e o envio ao S3; o restante do corpo é descartado e, se o arquivo
+  // chegou a ser gravado, ele é removido
+  const fail = (error) => {
+    if (settled) return;
+    settled = true;
+    req.unpipe(busboy);
+    req.resume();
+    upload?.abort().catch(() => {});
+    uploadPromise?.then(discardUpload, () => {});
+    reject(error);
+  };
 
   busboy.on('file', (_name, file, info) => {
     const { filename, mimeType } = info;
-    const chunks = [];
-    let size = 0;
 
-    file.on('data', (data) => {
-      chunks.push(data);
-      size += data.length;
+    // Campo de arquivo vazio (nenhum arquivo escolhido no formulário)
+    if (!filename) {
+      file.resume();
+      return;
+    }
+
+    const storedName = generateUniqueFileName(filename);
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, _encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      }
     });
 
-    file.on('end', () => {
-      fileData = {
-        buffer: Buffer.concat(chunks),
-        originalname: filename,
-        mimetype: mimeType,
-        size
-      };
+    // O busboy trunca o arquivo no limite; o envio é abortado antes de o S3 receber o fim do stream
+    file.on('limit', () => {
+      tooLarge = true;
+      upload.abort().catch(() => {});
     });
+
+    upload = createStreamUpload(file.pipe(counter), storedName, mimeType);
+    uploadPromise = upload.done()
+      .then(() => ({ storedName, originalname: filename, mimetype: mimeType, size }))
+      .catch(async (error) => {
+        await deleteFile(storedName).catch(() => {});
+        throw tooLarge ? fileTooLargeError() : error;
+      });
+    uploadPromise.catch(fail);
   });
 
   busboy.on('field', (name, val) => {
@@ -68,20 +157,66 @@ const parseMultipart = (req) => new Promise((resolve, reject) => {
     }
   });
 
-  busboy.on('error', (err) => reject(err));
-  busboy.on('finish', () => {
-    if (!fileData) {
-      return reject(new Error('Nenhum arquivo enviado'));
+  busboy.on('error', fail);
+  busboy.on('finish', async () => {
+    if (!uploadPromise) {
+      if (fileRequired) {
+        return fail(new Error('Nenhum arquivo enviado'));
+      }
+      settled = true;
+      return resolve({ file: null, fields });
+    }
+
+    // O fim do multipart não garante que a última parte já chegou ao S3
+    try {
+      const file = await uploadPromise;
+      if (!settled) {
+        settled = true;
+        resolve({ file, fields });
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+  // Conexão encerrada pelo cliente no meio do envio
+  req.on('close', () => {
+    if (!req.complete) {
+      fail(new Error('Envio interrompido pelo cliente'));
     }
-    resolve({ file: fileData, fields });
   });
 
   req.pipe(busboy);
 });
 
+// Remove do S3 um arquivo recebido por parseMultipart que a rota acabou não usando
+const discardUpload = (file) => file
+  ? deleteFile(file.storedName).catch((err) => console.warn('Falha ao remover arquivo do S3:', err.message))
+  : Promise.resolve();
+
 const secretKey = process.env.JWT_SECRET_KEY;
+const accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const passwordResetTtlMinutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const emailVerificationTtlHours = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+const loginMaxFailures = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const loginLockoutMinutes = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const loginIpMaxFailures = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const loginIpWindowMinutes = Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+const loginAttemptRetentionDays = Number(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 90;
+const apiTokenMaxDays = Number(process.env.API_TOKEN_MAX_DAYS) || 365;
+const inviteMaxDays = Number(process.env.INVITE_MAX_DAYS) || 30;
+const trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
 const PORT = process.env.PORT || 8080;
 
+// Atrás de um proxy (ex.: Railway) o IP real do cliente vem em X-Forwarded-For.
+// TRUST_PROXY aceita o número de proxies, "true" ou uma lista de IPs/sub-redes.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware para permitir CORS
 app.use(cors(corsOptions));
 
@@ -105,8 +240,7 @@ app.post('/upload', async (req, res) => {
   try {
     const { file } = await parseMultipart(req);
 
-    const storedName = generateUniqueFileName(file.originalname);
-    await uploadFile(file.buffer, storedName, file.mimetype);
+    const storedName = file.storedName;
     const signedUrl = await getObjectSignedUrl(storedName);
 
     res.json({
@@ -120,1114 +254,4831 @@ app.post('/upload', async (req, res) => {
     });
   } catch (error) {
     console.error('Erro ao enviar para o S3:', error);
-    const isNoFile = error.message === 'Nenhum arquivo enviado';
-    const message = isNoFile ? error.message : 'Falha ao enviar para o S3';
-    res.status(isNoFile ? 400 : 500).json({ error: message });
+    const status = uploadErrorStatus(error);
+    const message = status === 500 ? 'Falha ao enviar para o S3' : error.message;
+    res.status(status).json({ error: message });
   }
 });
 
 
-// Verificação de autenticação
-const authenticateToken = (req, res, next) => {
-  const token = req.headers['authorization'];
+// Gera o access token (curta duração) vinculado a uma sessão
+const signAccessToken = (profile, sessionId) => jwt.sign({
+  id: profile.id,
+  role: profile.role,
+  sid: sessionId
+}, secretKey, { expiresIn: accessTokenTtl });
 
-  if (!token) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const refreshTokenExpiry = () => new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
 
-  // Remover o prefixo "Bearer " se estiver presente
-  const tokenWithoutBearer = token.split(' ')[1]; // O token real fica após o espaço
+// Cria uma sessão no banco e devolve o par access/refresh token
+const createSession = async (profile, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await prisma.session.create({
+    data: {
+      profileId: profile.id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: req.headers['user-agent']?.slice(0, 191),
+      ipAddress: req.ip,
+      expiresAt: refreshTokenExpiry()
+    }
+  });
 
-  if (!tokenWithoutBearer) {
-    return res.status(401).json({ error: 'Token format is incorrect' });
+  return { token: signAccessToken(profile, session.id), refreshToken };
+};
+
+// Gera um novo link de confirmação de email e envia ao usuário
+// `email` difere do atual quando o usuário está trocando de email pelo perfil; `claim` traz nome,
+// senha e papel de um novo cadastro sobre um endereço não confirmado, aplicados só na confirmação.
+// Os links de confirmação do cadastro continuam válidos até expirar (senão qualquer um impediria a
+// confirmação reenviando cadastros para o endereço); o primeiro usado invalida os demais.
+const sendEmailVerification = async (profile, email = profile.email, claim = {}) => {
+  if (email !== profile.email) {
+    await prisma.emailVerificationToken.updateMany({
+      where: { profileId: profile.id, usedAt: null, email: { not: profile.email } },
+      data: { usedAt: new Date() }
+    });
   }
 
-  jwt.verify(tokenWithoutBearer, secretKey, (err, decoded) => {
-    if (err) {
-      return res.status(401).json({ error: 'Invalid token' });
+  const verificationToken = crypto.randomBytes(32).toString('base64url');
+  await prisma.emailVerificationToken.create({
+    data: {
+      profileId: profile.id,
+      email,
+      tokenHash: hashToken(verificationToken),
+      expiresAt: new Date(Date.now() + emailVerificationTtlHours * 60 * 60 * 1000),
+      name: claim.name,
+      passwordHash: claim.passwordHash,
+      role: claim.role
     }
-
-    req.userId = decoded.id; // Coloca o ID do usuário no objeto `req`
-    req.userRole = decoded.role; // Adiciona o papel do usuário no objeto `req`
-    next(); // Chama o próximo middleware ou a função de rota
   });
+
+  const verifyUrl = `${frontendUrl}/verify-email?token=${encodeURIComponent(verificationToken)}`;
+  return email === profile.email
+    ? sendVerificationEmail(profile, verifyUrl)
+    : sendEmailChangeEmail(profile, email, verifyUrl);
 };
 
-// Middleware para verificar se o usuário é admin
-const isAdmin = (req, res, next) => {
-  if (req.userRole !== 'ADMIN') {
-    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+// Modos de cadastro: aberto, restrito a domínios de email ou apenas por convite
+const REGISTRATION_MODES = ['open', 'domain', 'invite'];
+const domainRegex = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+const normalizeDomain = (domain) => String(domain).trim().toLowerCase().replace(/^@/, '');
+const emailDomain = (email) => email.split('@').pop().toLowerCase();
+
+// Configuração definida no painel de administração (sem configuração, o cadastro é aberto)
+const getRegistrationSettings = async () => {
+  const setting = await prisma.setting.findUnique({ where: { key: 'registration' } });
+  return { mode: 'open', allowedDomains: [], ...(setting?.value || {}) };
+};
+
+// Regras do modo de cadastro para quem não tem convite; devolve null quando o email pode se cadastrar
+const registrationDenied = async (email) => {
+  const registration = await getRegistrationSettings();
+
+  if (registration.mode === 'invite') {
+    return { status: 403, error: 'Registration is by invitation only', code: 'INVITE_REQUIRED' };
   }
-  next();
+
+  if (registration.mode === 'domain' && !registration.allowedDomains.includes(emailDomain(email))) {
+    return { status: 403, error: 'Email domain not allowed', code: 'DOMAIN_NOT_ALLOWED' };
+  }
+
+  return null;
 };
 
-// Middleware para verificar permissões de acesso a um post
-const checkPostAccess = async (req, res, next) => {
-  try {
-    const postId = asNumber(req.params.id);
-    const userId = req.userId;
-    const userRole = req.userRole;
-    
-    // Admins têm acesso total
-    if (userRole === 'ADMIN') {
-      return next();
-    }
-    
-    const post = await prisma.posts.findUnique({
-      where: { id: postId },
-      include: {
-        sharedWith: {
-          where: { userId: userId }
-        }
-      }
-    });
-    
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-    
-    // Verificar se o usuário é o proprietário
-    if (post.ownerId === userId) {
-      return next();
-    }
-    
-    // Verificar se o post é público
-    if (post.isPublic) {
-      // Para posts públicos, permitir apenas visualização para não-proprietários
-      if (req.method === 'GET') {
-        return next();
-      } else {
-        return res.status(403).json({ error: 'Forbidden: You can only view public posts' });
-      }
-    }
-    
-    // Verificar se o usuário tem acesso compartilhado
-    if (post.sharedWith && post.sharedWith.length > 0) {
-      const access = post.sharedWith[0];
-      
-      // Verificar o tipo de acesso com base no método HTTP
-      if (req.method === 'GET' && access.canView) {
-        return next();
-      } else if ((req.method === 'PUT' || req.method === 'PATCH') && access.canEdit) {
-        return next();
-      } else if (req.method === 'DELETE' && access.canDelete) {
-        return next();
-      }
-    }
-    
-    return res.status(403).json({ error: 'Forbidden: You do not have permission to access this resource' });
-  } catch (error) {
-    console.error('Error checking post access:', error);
-    return res.status(500).json({ error: 'Internal server error' });
+// Convite utilizável (não usado, não revogado e dentro do prazo) a partir do token do link
+const findUsableInvite = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const invite = await prisma.invite.findUnique({ where: { tokenHash: hashToken(token) } });
+
+  if (!invite || invite.usedAt || invite.revokedAt || invite.expiresAt < new Date()) {
+    return null;
   }
+
+  return invite;
 };
 
-// Middleware para verificar permissões de acesso a um treinamento
-const checkTrainingAccess = async (req, res, next) => {
+// Token temporário emitido após a senha correta, usado apenas na segunda etapa do login
+const signMfaToken = (profile, purpose) => jwt.sign({ id: profile.id, purpose }, secretKey, { expiresIn: '5m' });
+
+const verifyMfaToken = (token, purpose) => {
   try {
-    const trainingId = asNumber(req.params.id);
-    const userId = req.userId;
-    const userRole = req.userRole;
-    
-    // Admins têm acesso total
-    if (userRole === 'ADMIN') {
-      return next();
-    }
-    
-    const training = await prisma.training.findUnique({
-      where: { id: trainingId },
-      include: {
-        sharedWith: {
-          where: { userId: userId }
-        }
-      }
-    });
-    
-    if (!training) {
-      return res.status(404).json({ error: 'Training not found' });
-    }
-    
-    // Verificar se o usuário é o proprietário
-    if (training.ownerId === userId) {
-      return next();
-    }
-    
-    // Verificar se o treinamento é público
-    if (training.isPublic) {
-      // Para treinamentos públicos, permitir apenas visualização para não-proprietários
-      if (req.method === 'GET') {
-        return next();
-      } else {
-        return res.status(403).json({ error: 'Forbidden: You can only view public trainings' });
-      }
-    }
-    
-    // Verificar se o usuário tem acesso compartilhado
-    if (training.sharedWith && training.sharedWith.length > 0) {
-      const access = training.sharedWith[0];
-      
-      // Verificar o tipo de acesso com base no método HTTP
-      if (req.method === 'GET' && access.canView) {
-        return next();
-      } else if ((req.method === 'PUT' || req.method === 'PATCH') && access.canEdit) {
-        return next();
-      } else if (req.method === 'DELETE' && access.canDelete) {
-        return next();
-      }
-    }
-    
-    return res.status(403).json({ error: 'Forbidden: You do not have permission to access this resource' });
-  } catch (error) {
-    console.error('Error checking training access:', error);
-    return res.status(500).json({ error: 'Internal server error' });
+    const decoded = jwt.verify(token, secretKey);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
   }
 };
 
-// Rota para obter os posts
-app.get("/api/posts", authenticateToken, async (req, res) => {
-  try {
-    const { categoryId } = req.query;
-    const userId = req.userId;
-    const userRole = req.userRole;
-    const parsedCategoryId = categoryId ? asNumber(categoryId) : undefined;
+// Administradores são obrigados a usar autenticação em duas etapas
+const requiresMfaEnrolment = (profile) => profile.role === 'ADMIN' && !profile.totpEnabledAt;
 
-    let filter = categoryId ? { where: { categoryId: parsedCategoryId } } : {};
-    
-    // Se não for admin, filtrar apenas posts públicos ou com acesso
-    if (userRole !== 'ADMIN') {
-      filter = {
-        where: {
-          AND: [
-            categoryId ? { categoryId: parsedCategoryId } : {},
-            {
-              OR: [
-                { isPublic: true },
-                { ownerId: userId },
-                {
-                  sharedWith: {
-                    some: {
-                      userId: userId,
-                      canView: true
-                    }
-                  }
-                }
-              ]
-            }
-          ]
-        }
-      };
-    }
+// Gera um novo segredo TOTP pendente (só passa a valer após a confirmação do primeiro código)
+const startMfaEnrolment = async (profile) => {
+  const { encryptedSecret, secret, otpauthUrl, qrCode } = await createTotpSecret(profile.email);
 
-    const posts = await prisma.posts.findMany({
-      ...filter,
-      orderBy: [{ created: 'desc' }],
-      include: {
-        category: true,
-        owner: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        }
-      }
-    });
+  await prisma.profile.update({
+    where: { id: profile.id },
+    data: { totpSecret: encryptedSecret, totpEnabledAt: null, totpLastUsedStep: null }
+  });
 
-    await Promise.all(posts.map(async (post) => {
-      if (post.imageName) {
-        post.imageUrl = await getObjectSignedUrl(post.imageName);
-      }
-    }));
+  return { secret, otpauthUrl, qrCode };
+};
 
-    res.send(posts);
-  } catch (error) {
-    console.error('Error fetching posts:', error);
-    res.status(500).send({ error: 'Unable to fetch posts' });
+// Confirma o primeiro código do aplicativo, ativa o TOTP e gera novos códigos de recuperação
+const completeMfaEnrolment = async (profile, code) => {
+  const step = verifyTotpCode(profile.totpSecret, code, null);
+  if (step === null) {
+    return null;
   }
-});
 
-// Rota para criar posts (exige autenticação)
-app.post('/api/posts', authenticateToken, async (req, res) => {
-  try {
-    const { file, fields } = await parseMultipart(req);
-    const caption = fields.caption;
-    const categoryId = fields.categoryId;
-    const isPublic = toBoolean(fields.isPublic);
-    const userId = req.userId;
+  const { codes, hashes } = generateRecoveryCodes();
+  await prisma.$transaction([
+    prisma.profile.update({
+      where: { id: profile.id },
+      data: { totpEnabledAt: new Date(), totpLastUsedStep: step }
+    }),
+    prisma.recoveryCode.deleteMany({ where: { profileId: profile.id } }),
+    prisma.recoveryCode.createMany({
+      data: hashes.map((codeHash) => ({ profileId: profile.id, codeHash }))
+    })
+  ]);
 
-    if (!categoryId) {
-      return res.status(400).json({ error: 'categoryId é obrigatório' });
-    }
+  return codes;
+};
 
-    const parsedCategoryId = Number(categoryId);
-    if (Number.isNaN(parsedCategoryId)) {
-      return res.status(400).json({ error: 'categoryId inválido' });
+// Valida um código TOTP ou de recuperação de um usuário com TOTP ativo, consumindo-o
+const consumeMfaCode = async (profile, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotpCode(profile.totpSecret, code, profile.totpLastUsedStep);
+    if (step === null) {
+      return false;
     }
 
-    const storedName = generateUniqueFileName(file.originalname);
-    await uploadFile(file.buffer, storedName, file.mimetype);
+    await prisma.profile.update({
+      where: { id: profile.id },
+      data: { totpLastUsedStep: step }
+    });
+    return true;
+  }
 
-    const post = await prisma.posts.create({
-      data: {
-        imageName: storedName,
-        originalFileName: file.originalname,
-        fileType: file.mimetype,
-        caption,
-        categoryId: parsedCategoryId,
-        ownerId: userId,
-        isPublic
-      }
+  if (recoveryCode) {
+    const { count } = await prisma.recoveryCode.updateMany({
+      where: { profileId: profile.id, codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+      data: { usedAt: new Date() }
     });
-  
-    res.status(201).send(post);
-  } catch (error) {
-    console.error('Upload error:', error);
-    const isNoFile = error.message === 'Nenhum arquivo enviado';
-    const message = isNoFile ? 'No file uploaded' : 'File upload failed';
-    res.status(isNoFile ? 400 : 500).json({ error: message, details: error.message });
+    return count > 0;
   }
-});
 
-// Rota para obter a imagem/download de um post
-app.get("/api/posts/:id/download", authenticateToken, checkPostAccess, async (req, res) => {
-  try {
-    const id = asNumber(req.params.id);
-    const post = await prisma.posts.findUnique({ where: { id } });
+  return false;
+};
 
+// Revoga todas as sessões ativas de um usuário
+const revokeAllSessions = (profileId) => prisma.session.updateMany({
+  where: { profileId, revokedAt: null },
+  data: { revokedAt: new Date() }
+});
+
+// Registra uma tentativa de login (consultada pelos administradores e usada no limite por IP)
+const recordLoginAttempt = (req, { email, profileId = null, success, reason = null }) => prisma.loginAttempt.create({
+  data: {
+    email: String(email).slice(0, 191),
+    profileId,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']?.slice(0, 191),
+    success,
+    reason
+  }
+});
+
+// A cada `loginMaxFailures` falhas consecutivas a conta é bloqueada temporariamente
+const isLockoutCount = (failures) => failures > 0 && failures % loginMaxFailures === 0;
+
+// Tempo de espera (em ms) imposto após `failures` falhas consecutivas da conta:
+// atraso progressivo de 1s, 2s, 4s... (até 30s) entre tentativas e, a cada ciclo de
+// falhas, um bloqueio temporário que dobra de duração (até 24h).
+const accountBlockDuration = (failures) => {
+  if (isLockoutCount(failures)) {
+    const cycles = failures / loginMaxFailures;
+    return Math.min(loginLockoutMinutes * 2 ** (cycles - 1), 24 * 60) * 60 * 1000;
+  }
+  if (failures < 2) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - 2), 30) * 1000;
+};
+
+const isAccountLocked = (profile) => isLockoutCount(profile.failedLoginCount)
+  && profile.lockedUntil !== null && profile.lockedUntil > new Date();
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Resposta para a tentativa que disputou a conta com outra em andamento
+const concurrentLoginBlock = () => ({
+  status: 429,
+  reason: 'ACCOUNT_THROTTLED',
+  retryAfter: 1,
+  body: { error: 'Too many login attempts. Try again later', code: 'LOGIN_THROTTLED', retryAfter: 1 }
+});
+
+// Verifica se a conta ou o IP estão bloqueados. Devolve a resposta de erro (status + corpo) ou null.
+// `attemptId` é a tentativa atual, já registrada, que não entra na conta do IP.
+const checkLoginBlock = async (req, profile, attemptId) => {
+  const windowStart = new Date(Date.now() - loginIpWindowMinutes * 60 * 1000);
+  const ipFailures = await prisma.loginAttempt.findMany({
+    where: { ipAddress: req.ip, success: false, createdAt: { gte: windowStart }, id: { not: attemptId } },
+    select: { createdAt: true },
+    orderBy: { createdAt: 'desc' },
+    take: loginIpMaxFailures
+  });
+
+  if (ipFailures.length >= loginIpMaxFailures) {
+    const oldest = ipFailures[ipFailures.length - 1].createdAt;
+    const retryAfter = secondsUntil(new Date(oldest.getTime() + loginIpWindowMinutes * 60 * 1000));
+    return {
+      status: 429,
+      reason: 'IP_THROTTLED',
+      retryAfter,
+      body: { error: 'Too many login attempts. Try again later', code: 'LOGIN_THROTTLED', retryAfter }
+    };
+  }
+
+  if (profile?.lockedUntil && profile.lockedUntil > new Date()) {
+    const retryAfter = secondsUntil(profile.lockedUntil);
+    return isAccountLocked(profile)
+      ? {
+        status: 423,
+        reason: 'ACCOUNT_LOCKED',
+        retryAfter,
+        body: { error: 'Account temporarily locked', code: 'ACCOUNT_LOCKED', retryAfter, lockedUntil: profile.lockedUntil }
+      }
+      : {
+        status: 429,
+        reason: 'ACCOUNT_THROTTLED',
+        retryAfter,
+        body: { error: 'Too many login attempts. Try again later', code: 'LOGIN_THROTTLED', retryAfter }
+      };
+  }
+
+  return null;
+};
+
+// Reserva a tentativa antes de conferir a senha ou o código, para que requisições em paralelo não
+// escapem do limite: o registro entra primeiro (e já conta para o IP) e a falha da conta é contada
+// de antemão, com uma atualização condicional ao contador lido. Devolve o bloqueio ou null; a
+// reserva fica em req.loginReservation até a tentativa ser concluída.
+const reserveLoginAttempt = async (req, { email, profile }) => {
+  const attempt = await recordLoginAttempt(req, { email, profileId: profile?.id ?? null, success: false, reason: 'PENDING' });
+  req.loginReservation = { attemptId: attempt.id, profileId: profile?.id ?? null };
+
+  let block = await checkLoginBlock(req, profile, attempt.id);
+
+  if (!block && profile) {
+    const failures = profile.failedLoginCount + 1;
+    const blockFor = accountBlockDuration(failures);
+    const { count } = await prisma.profile.updateMany({
+      where: {
+        id: profile.id,
+        failedLoginCount: profile.failedLoginCount,
+        OR: [{ lockedUntil: null }, { lockedUntil: { lte: new Date() } }]
+      },
+      data: { failedLoginCount: failures, lockedUntil: blockFor ? new Date(Date.now() + blockFor) : null }
+    });
+
+    if (count === 0) {
+      block = concurrentLoginBlock();
+    } else {
+      Object.assign(req.loginReservation, { failures, lockedUntil: profile.lockedUntil });
+    }
+  }
+
+  if (block) {
+    await prisma.loginAttempt.update({ where: { id: attempt.id }, data: { reason: block.reason } });
+    req.loginReservation = null;
+  }
+
+  return block;
+};
+
+// Desfaz a reserva quando a credencial estava correta mas o login não termina nesta etapa
+// (segunda etapa do TOTP, email não verificado, conta suspensa)
+const releaseLoginAttempt = async (req) => {
+  const reservation = req.loginReservation;
+  if (!reservation) {
+    return;
+  }
+  req.loginReservation = null;
+
+  await prisma.loginAttempt.delete({ where: { id: reservation.attemptId } });
+
+  if (reservation.failures) {
+    // Se outra tentativa mexeu no contador nesse meio tempo, só devolve a falha reservada
+    const { count } = await prisma.profile.updateMany({
+      where: { id: reservation.profileId, failedLoginCount: reservation.failures },
+      data: { failedLoginCount: reservation.failures - 1, lockedUntil: reservation.lockedUntil }
+    });
+
+    if (count === 0) {
+      await prisma.profile.updateMany({
+        where: { id: reservation.profileId, failedLoginCount: { gt: 0 } },
+        data: { failedLoginCount: { decrement: 1 } }
+      });
+    }
+  }
+};
+
+// Rejeita a tentativa bloqueada (já registrada pela reserva para os administradores)
+const rejectBlockedLogin = (res, block) => {
+  res.setHeader('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json(block.body);
+};
+
+// Conclui a tentativa reservada como falha (senha ou código de verificação); o atraso/bloqueio
+// correspondente já foi aplicado na reserva
+const registerLoginFailure = async (req, { profile, reason }) => {
+  const reservation = req.loginReservation;
+  req.loginReservation = null;
+
+  await prisma.loginAttempt.update({ where: { id: reservation.attemptId }, data: { reason } });
+
+  if (profile && isLockoutCount(reservation.failures)) {
+    console.warn(`Conta ${profile.email} bloqueada após ${reservation.failures} falhas de login (IP ${req.ip}).`);
+  }
+};
+
+// Login concluído: zera o contador de falhas e registra o acesso
+const registerLoginSuccess = async (req, profile) => {
+  const reservation = req.loginReservation;
+  req.loginReservation = null;
+
+  if (reservation) {
+    await prisma.loginAttempt.update({ where: { id: reservation.attemptId }, data: { success: true, reason: null } });
+  } else {
+    await recordLoginAttempt(req, { email: profile.email, profileId: profile.id, success: true });
+  }
+
+  if (reservation?.failures || profile.failedLoginCount || profile.lockedUntil) {
+    await prisma.profile.update({
+      where: { id: profile.id },
+      data: { failedLoginCount: 0, lockedUntil: null }
+    });
+  }
+};
+
+// Autenticação por token de API (scripts e automações): vale até expirar ou ser revogado e
+// só dá acesso às rotas cobertas pelos escopos concedidos
+const authenticateApiToken = async (req, res, next, token) => {
+  const scope = requiredApiTokenScope(req);
+
+  try {
+    const apiToken = await prisma.apiToken.findUnique({
+      where: { tokenHash: hashApiToken(token) },
+      include: { profile: { select: { id: true, role: true, suspendedAt: true } } }
+    });
+
+    if (!apiToken || apiToken.revokedAt || apiToken.expiresAt <= new Date()) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    if (apiToken.profile.suspendedAt) {
+      return res.status(401).json({ error: 'Account suspended' });
+    }
+
+    if (!scope || !apiToken.scopes.includes(scope)) {
+      return res.status(403).json({ error: `Forbidden: Token lacks scope ${scope || 'for this route'}` });
+    }
+
+    // Registra o último uso (no máximo uma escrita por minuto para cada token)
+    if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > 60 * 1000) {
+      await prisma.apiToken.update({
+        where: { id: apiToken.id },
+        data: { lastUsedAt: new Date(), lastUsedIp: req.ip }
+      });
+    }
+
+    req.userId = apiToken.profile.id;
+    req.userRole = apiToken.profile.role;
+    req.apiTokenId = apiToken.id;
+    next();
+  } catch (error) {
+    console.error('Error checking API token:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Contas suspensas não recebem novas sessões
+const rejectSuspendedLogin = async (req, res, profile) => {
+  await recordLoginAttempt(req, { email: profile.email, profileId: profile.id, success: false, reason: 'ACCOUNT_SUSPENDED' });
+  return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+};
+
+// Etapa final do login (senha ou SSO): exige o TOTP quando necessário ou abre a sessão
+const finishLogin = async (req, res, profile) => {
+  if (profile.suspendedAt) {
+    await releaseLoginAttempt(req);
+    return rejectSuspendedLogin(req, res, profile);
+  }
+
+  // Segunda etapa: código do aplicativo autenticador
+  if (profile.totpEnabledAt) {
+    await releaseLoginAttempt(req);
+    return res.status(200).json({ mfaRequired: true, mfaToken: signMfaToken(profile, 'mfa') });
+  }
+
+  // Administradores sem TOTP precisam cadastrá-lo antes de receber uma sessão
+  if (requiresMfaEnrolment(profile)) {
+    await releaseLoginAttempt(req);
+    return res.status(200).json({ mfaSetupRequired: true, mfaToken: signMfaToken(profile, 'mfa-setup') });
+  }
+
+  await registerLoginSuccess(req, profile);
+  const { token, refreshToken } = await createSession(profile, req);
+
+  return res.status(200).json({ token, refreshToken });
+};
+
+// Verificação de autenticação
+const authenticateToken = async (req, res, next) => {
+  const token = req.headers['authorization'];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // Remover o prefixo "Bearer " se estiver presente
+  const tokenWithoutBearer = token.split(' ')[1]; // O token real fica após o espaço
+
+  if (!tokenWithoutBearer) {
+    return res.status(401).json({ error: 'Token format is incorrect' });
+  }
+
+  if (isApiToken(tokenWithoutBearer)) {
+    return authenticateApiToken(req, res, next, tokenWithoutBearer);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(tokenWithoutBearer, secretKey);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  try {
+    // O token só vale enquanto a sessão que o emitiu não for revogada
+    const session = decoded.sid
+      ? await prisma.session.findUnique({
+        where: { id: decoded.sid },
+        include: { profile: { select: { suspendedAt: true } } }
+      })
+      : null;
+
+    if (!session || session.revokedAt || session.profileId !== decoded.id) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+
+    if (session.profile.suspendedAt) {
+      return res.status(401).json({ error: 'Account suspended' });
+    }
+  } catch (error) {
+    console.error('Error checking session:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  req.userId = decoded.id; // Coloca o ID do usuário no objeto `req`
+  req.userRole = decoded.role; // Adiciona o papel do usuário no objeto `req`
+  req.sessionId = decoded.sid;
+  next(); // Chama o próximo middleware ou a função de rota
+};
+
+// Regras comuns para suspender ou excluir uma conta
+const checkUserRemoval = (req, user) => {
+  if (user.id === req.userId) {
+    return { status: 400, error: 'Cannot suspend or delete yourself' };
+  }
+
+  // Gerenciar usuários não basta para remover um administrador
+  if (user.role === 'ADMIN' && req.userRole !== 'ADMIN') {
+    return { status: 403, error: 'Forbidden: Admin access required' };
+  }
+
+  return null;
+};
+
+// Transfere tudo o que pertence a `fromId` para `toId` (dentro da transação da exclusão)
+const transferUserContent = async (tx, fromId, toId) => {
+  const grants = await tx.sharedAccess.findMany({
+    where: { userId: fromId },
+    include: {
+      post: { select: { ownerId: true } },
+      training: { select: { ownerId: true } },
+      folder: { select: { ownerId: true } }
+    }
+  });
+  const [postCount, trainingCount, toolCount, folderCount] = await Promise.all([
+    tx.posts.count({ where: { ownerId: fromId } }),
+    tx.training.count({ where: { ownerId: fromId } }),
+    tx.tool.count({ where: { ownerId: fromId } }),
+    tx.folder.count({ where: { ownerId: fromId } })
+  ]);
+
+  if (toId === null) {
+    if (grants.length + postCount + trainingCount + toolCount + folderCount > 0) {
+      throw Object.assign(new Error('Transfer target required'), { code: 'TRANSFER_REQUIRED' });
+    }
+    return { posts: 0, trainings: 0, sharedAccess: 0, tools: 0, folders: 0 };
+  }
+
+  await tx.posts.updateMany({ where: { ownerId: fromId }, data: { ownerId: toId } });
+  await tx.training.updateMany({ where: { ownerId: fromId }, data: { ownerId: toId } });
+  await tx.tool.updateMany({ where: { ownerId: fromId }, data: { ownerId: toId } });
+  await tx.folder.updateMany({ where: { ownerId: fromId }, data: { ownerId: toId } });
+
+  // Compartilhamentos com o novo dono dos itens transferidos ficaram redundantes
+  await tx.sharedAccess.deleteMany({
+    where: {
+      userId: toId,
+      OR: [{ post: { ownerId: toId } }, { training: { ownerId: toId } }, { folder: { ownerId: toId } }]
+    }
+  });
+
+  // Os acessos concedidos ao usuário excluído passam ao destinatário, somando-se aos que ele já tem
+  for (const grant of grants) {
+    const ownerId = grant.post?.ownerId ?? grant.training?.ownerId ?? grant.folder?.ownerId;
+    const existing = ownerId === toId ? null : await tx.sharedAccess.findFirst({
+      where: { userId: toId, postId: grant.postId, trainingId: grant.trainingId, folderId: grant.folderId }
+    });
+
+    if (ownerId === toId) {
+      await tx.sharedAccess.delete({ where: { id: grant.id } });
+    } else if (existing) {
+      await tx.sharedAccess.update({
+        where: { id: existing.id },
+        data: {
+          canView: existing.canView || grant.canView,
+          canEdit: existing.canEdit || grant.canEdit,
+          canDelete: existing.canDelete || grant.canDelete
+        }
+      });
+      await tx.sharedAccess.delete({ where: { id: grant.id } });
+    } else {
+      await tx.sharedAccess.update({ where: { id: grant.id }, data: { userId: toId } });
+    }
+  }
+
+  return { posts: postCount, trainings: trainingCount, sharedAccess: grants.length, tools: toolCount, folders: folderCount };
+};
+
+// Carrega (uma vez por requisição) as permissões efetivas do usuário autenticado
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    const granted = req.userRole === 'ADMIN'
+      ? []
+      : await prisma.permission.findMany({ where: { profileId: req.userId }, select: { name: true } });
+    req.permissions = resolvePermissions(req.userRole, granted.map((permission) => permission.name));
+  }
+  return req.permissions;
+};
+
+// Middleware que exige uma permissão nomeada (ex.: requirePermission('tools:write'))
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const permissions = await loadPermissions(req);
+
+    if (!permissions.includes(permission)) {
+      return res.status(403).json({ error: `Forbidden: Missing permission ${permission}` });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking permissions:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Rotas que não seguem o mapeamento pelo método HTTP declaram a ação exigida (ex.: POST que edita o post)
+const accessAction = (action) => (req, _res, next) => {
+  req.accessAction = action;
+  next();
+};
+
+const methodActions = { GET: 'view', PUT: 'edit', PATCH: 'edit', DELETE: 'delete' };
+const FULL_ACCESS = { canView: true, canEdit: true, canDelete: true };
+const NO_ACCESS = { canView: false, canEdit: false, canDelete: false };
+
+const mergeAccess = (access, share) => ({
+  canView: access.canView || share.canView,
+  canEdit: access.canEdit || share.canEdit,
+  canDelete: access.canDelete || share.canDelete
+});
+
+const allowsAction = (access, action) =>
+  (action === 'view' && access.canView) ||
+  (action === 'edit' && access.canEdit) ||
+  (action === 'delete' && access.canDelete);
+
+// Caminho da raiz até a pasta informada (inclusive); vazio se a pasta não existe
+const getFolderPath = async (folderId) => {
+  const path = [];
+  let currentId = folderId;
+
+  while (currentId && !path.some((folder) => folder.id === currentId)) {
+    const folder = await prisma.folder.findUnique({
+      where: { id: currentId },
+      select: { id: true, name: true, parentId: true, ownerId: true }
+    });
+    if (!folder) break;
+    path.unshift(folder);
+    currentId = folder.parentId;
+  }
+
+  return path;
+};
+
+// Permissões efetivas numa pasta: o dono de qualquer pasta do caminho tem acesso total
+// e os compartilhamentos das pastas acima se somam
+const getFolderAccess = async (req, path) => {
+  if (req.userRole === 'ADMIN' || path.some((folder) => folder.ownerId === req.userId)) {
+    return FULL_ACCESS;
+  }
+
+  const shares = await prisma.sharedAccess.findMany({
+    where: { userId: req.userId, folderId: { in: path.map((folder) => folder.id) } }
+  });
+
+  return shares.reduce(mergeAccess, NO_ACCESS);
+};
+
+// Pastas que o usuário enxerga: as suas, as compartilhadas com ele e tudo abaixo delas (null para admins: todas)
+const getVisibleFolderIds = async (req) => {
+  if (req.userRole === 'ADMIN') {
+    return null;
+  }
+
+  const roots = await prisma.folder.findMany({
+    where: {
+      OR: [
+        { ownerId: req.userId },
+        { sharedWith: { some: { userId: req.userId, canView: true } } }
+      ]
+    },
+    select: { id: true }
+  });
+
+  const ids = new Set(roots.map((folder) => folder.id));
+  let frontier = [...ids];
+  while (frontier.length > 0) {
+    const children = await prisma.folder.findMany({
+      where: { parentId: { in: frontier } },
+      select: { id: true }
+    });
+    frontier = children.map((child) => child.id).filter((id) => !ids.has(id));
+    frontier.forEach((id) => ids.add(id));
+  }
+
+  return [...ids];
+};
+
+// Filtro dos posts visíveis para o usuário: públicos, próprios, compartilhados ou em pastas visíveis
+const postVisibilityFilter = (req, visibleFolderIds) => {
+  if (req.userRole === 'ADMIN') {
+    return {};
+  }
+
+  return {
+    OR: [
+      { isPublic: true },
+      { ownerId: req.userId },
+      { sharedWith: { some: { userId: req.userId, canView: true } } },
+      { folderId: { in: visibleFolderIds } }
+    ]
+  };
+};
+
+// Filtro dos treinamentos visíveis para o usuário: públicos, próprios ou compartilhados
+const trainingVisibilityFilter = (req) => {
+  if (req.userRole === 'ADMIN') {
+    return {};
+  }
+
+  return {
+    OR: [
+      { isPublic: true },
+      { ownerId: req.userId },
+      { sharedWith: { some: { userId: req.userId, canView: true } } }
+    ]
+  };
+};
+
+// Verifica se o usuário pode executar `action` no post. Devolve null quando pode ou { status, error }.
+// Usada pelo middleware abaixo e, item a item, pelas operações em lote.
+const getPostAccessError = async (req, postId, action) => {
+  const userId = req.userId;
+  const userRole = req.userRole;
+  
+  const post = await prisma.posts.findUnique({
+    where: { id: postId },
+    include: {
+      sharedWith: {
+        where: { userId: userId }
+      }
+    }
+  });
+  
+  // Posts na lixeira só são acessíveis pelas rotas de /api/trash
+  if (!post || post.deletedAt) {
+    return { status: 404, error: 'Post not found' };
+  }
+  
+  // Admins têm acesso total
+  if (userRole === 'ADMIN') {
+    return null;
+  }
+  
+  // Verificar se o usuário é o proprietário
+  if (post.ownerId === userId) {
+    return null;
+  }
+  
+  // Verificar se o usuário tem acesso compartilhado
+  if (post.sharedWith && post.sharedWith.length > 0) {
+    const access = post.sharedWith[0];
+    
+    // Verificar o tipo de acesso exigido pela rota
+    if (action === 'view' && access.canView) {
+      return null;
+    } else if (action === 'edit' && access.canEdit) {
+      return null;
+    } else if (action === 'delete' && access.canDelete) {
+      return null;
+    }
+  }
+
+  // Verificar o acesso herdado das pastas em que o post está
+  if (post.folderId && allowsAction(await getFolderAccess(req, await getFolderPath(post.folderId)), action)) {
+    return null;
+  }
+
+  // Verificar se o post é público
+  if (post.isPublic) {
+    // Para posts públicos, permitir apenas visualização para não-proprietários
+    if (action === 'view') {
+      return null;
+    } else {
+      return { status: 403, error: 'Forbidden: You can only view public posts' };
+    }
+  }
+  
+  return { status: 403, error: 'Forbidden: You do not have permission to access this resource' };
+};
+
+// Middleware para verificar permissões de acesso a um post
+const checkPostAccess = async (req, res, next) => {
+  try {
+    const action = req.accessAction || methodActions[req.method];
+    const denied = await getPostAccessError(req, asNumber(req.params.id), action);
+
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking post access:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Middleware para verificar acesso a uma pasta; compartilhar exige ser dono de uma pasta do caminho ou admin
+const checkFolderAccess = async (req, res, next) => {
+  try {
+    const action = req.accessAction || methodActions[req.method];
+    const path = await getFolderPath(asNumber(req.params.id));
+
+    if (path.length === 0) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    req.folderPath = path;
+
+    if (action === 'share') {
+      if (req.userRole === 'ADMIN' || path.some((folder) => folder.ownerId === req.userId)) {
+        return next();
+      }
+    } else if (allowsAction(await getFolderAccess(req, path), action)) {
+      return next();
+    }
+
+    return res.status(403).json({ error: 'Forbidden: You do not have permission to access this resource' });
+  } catch (error) {
+    console.error('Error checking folder access:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Dados do usuário necessários para decidir quem pode alterar uma ferramenta
+const loadToolActor = async (req) => {
+  const [permissions, profile] = await Promise.all([
+    loadPermissions(req),
+    prisma.profile.findUnique({
+      where: { id: req.userId },
+      select: { email: true, teams: { select: { id: true } } }
+    })
+  ]);
+
+  return {
+    userId: req.userId,
+    email: profile?.email?.toLowerCase() ?? '',
+    teamIds: profile?.teams.map((team) => team.id) ?? [],
+    permissions
+  };
+};
+
+// Podem editar/excluir: quem tem tools:manage, o dono, o responsável indicado e os membros da equipe
+const canManageTool = (tool, actor) => actor.permissions.includes('tools:manage')
+  || tool.ownerId === actor.userId
+  || tool.responsibleEmail.toLowerCase() === actor.email
+  || (tool.teamId !== null && actor.teamIds.includes(tool.teamId));
+
+// Filtro das ferramentas listadas: as mesmas regras de canManageTool (quem tem tools:manage vê todas)
+const toolVisibilityFilter = (actor) => {
+  if (actor.permissions.includes('tools:manage')) {
+    return {};
+  }
+
+  return {
+    OR: [
+      { ownerId: actor.userId },
+      { responsibleEmail: actor.email },
+      ...(actor.teamIds.length > 0 ? [{ teamId: { in: actor.teamIds } }] : [])
+    ]
+  };
+};
+
+// Valida a equipe informada para uma ferramenta: precisa existir e o usuário deve fazer parte dela
+// (exceto quem tem tools:manage). Devolve { id } ou { status, error }.
+const resolveToolTeam = async (teamId, actor) => {
+  if (teamId === undefined || teamId === null || teamId === '') {
+    return { id: null };
+  }
+
+  const team = await prisma.team.findUnique({ where: { id: asNumber(teamId) } });
+  if (!team) {
+    return { status: 400, error: 'Equipe não encontrada' };
+  }
+
+  if (!actor.permissions.includes('tools:manage') && !actor.teamIds.includes(team.id)) {
+    return { status: 403, error: 'Você não faz parte desta equipe' };
+  }
+
+  return { id: team.id };
+};
+
+// Middleware para verificar se o usuário pode alterar uma ferramenta
+const checkToolAccess = async (req, res, next) => {
+  try {
+    const tool = await prisma.tool.findUnique({
+      where: { id: asNumber(req.params.id) }
+    });
+
+    if (!tool) {
+      return res.status(404).json({ error: 'Tool not found' });
+    }
+
+    const actor = await loadToolActor(req);
+    if (!canManageTool(tool, actor)) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to modify this tool' });
+    }
+
+    req.tool = tool;
+    req.toolActor = actor;
+    next();
+  } catch (error) {
+    console.error('Error checking tool access:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Middleware para verificar permissões de acesso a um treinamento
+const checkTrainingAccess = async (req, res, next) => {
+  try {
+    const trainingId = asNumber(req.params.id);
+    const userId = req.userId;
+    const userRole = req.userRole;
+    
+    const training = await prisma.training.findUnique({
+      where: { id: trainingId },
+      include: {
+        sharedWith: {
+          where: { userId: userId }
+        }
+      }
+    });
+    
+    // Treinamentos na lixeira só são acessíveis pelas rotas de /api/trash
+    if (!training || training.deletedAt) {
+      return res.status(404).json({ error: 'Training not found' });
+    }
+    
+    // Admins têm acesso total
+    if (userRole === 'ADMIN') {
+      return next();
+    }
+    
+    // Verificar se o usuário é o proprietário
+    if (training.ownerId === userId) {
+      return next();
+    }
+    
+    // Verificar se o treinamento é público
+    if (training.isPublic) {
+      // Para treinamentos públicos, permitir apenas visualização para não-proprietários
+      if (req.method === 'GET') {
+        return next();
+      } else {
+        return res.status(403).json({ error: 'Forbidden: You can only view public trainings' });
+      }
+    }
+    
+    // Verificar se o usuário tem acesso compartilhado
+    if (training.sharedWith && training.sharedWith.length > 0) {
+      const access = training.sharedWith[0];
+      
+      // Verificar o tipo de acesso com base no método HTTP
+      if (req.method === 'GET' && access.canView) {
+        return next();
+      } else if ((req.method === 'PUT' || req.method === 'PATCH') && access.canEdit) {
+        return next();
+      } else if (req.method === 'DELETE' && access.canDelete) {
+        return next();
+      }
+    }
+    
+    return res.status(403).json({ error: 'Forbidden: You do not have permission to access this resource' });
+  } catch (error) {
+    console.error('Error checking training access:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Campos aceitos em ?sort= na listagem de posts
+const postSortFields = {
+  date: 'created',
+  name: 'originalFileName',
+  type: 'fileType',
+  size: 'size'
+};
+
+// Rota para obter os posts, paginada por cursor (?cursor= recebe o nextCursor da página anterior)
+app.get("/api/posts", authenticateToken, async (req, res) => {
+  try {
+    const { categoryId, folderId, tags, q, ownerId, fileType, from, to, visibility, cursor } = req.query;
+
+    // ownerId aceita "me" e folderId aceita "root" além do id
+    if ((categoryId && !isIdParam(categoryId))
+      || (cursor && !isIdParam(cursor))
+      || (ownerId && ownerId !== 'me' && !isIdParam(ownerId))
+      || (folderId && folderId !== 'root' && !isIdParam(folderId))) {
+      return res.status(400).json({ error: 'Parâmetro inválido' });
+    }
+
+    const fromDate = from ? parseDateParam(from) : null;
+    const toDate = to ? parseDateParam(to) : null;
+    // Uma data sem horário no fim do intervalo inclui o dia inteiro
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCDate(toDate.getUTCDate() + 1);
+    }
+    if ((from && !fromDate) || (to && (!toDate || toDate.getUTCFullYear() > 9999))) {
+      return res.status(400).json({ error: 'Data inválida' });
+    }
+
+    const parsedCategoryId = categoryId ? asNumber(categoryId) : undefined;
+    const sortField = Object.hasOwn(postSortFields, req.query.sort) ? postSortFields[req.query.sort] : 'created';
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+    // Sem `cursor` nem `limit` a rota mantém o formato original: todos os posts em um array, com imageUrl
+    const paginated = cursor !== undefined || req.query.limit !== undefined;
+    const limit = Math.min(Math.max(asNumber(req.query.limit) || 30, 1), 100);
+    const visibleFolderIds = await getVisibleFolderIds(req);
+
+    // folderId=root traz os posts fora de pastas (ou em pastas que o usuário não enxerga)
+    let folderFilter = {};
+    if (folderId === 'root') {
+      folderFilter = visibleFolderIds
+        ? { OR: [{ folderId: null }, { folderId: { notIn: visibleFolderIds } }] }
+        : { folderId: null };
+    } else if (folderId) {
+      folderFilter = { folderId: asNumber(folderId) };
+    }
+
+    // Se não for admin, filtrar apenas posts públicos ou com acesso
+    const posts = await prisma.posts.findMany({
+      where: {
+        AND: [
+          categoryId ? { categoryId: parsedCategoryId } : {},
+          folderFilter,
+          ...tagsFilter(tags),
+          q ? { OR: [{ originalFileName: { contains: String(q) } }, { caption: { contains: String(q) } }] } : {},
+          ownerId ? { ownerId: ownerId === 'me' ? req.userId : asNumber(ownerId) } : {},
+          // fileType aceita o tipo completo (application/pdf) ou só o grupo (image/)
+          fileType ? { fileType: { startsWith: String(fileType) } } : {},
+          fromDate ? { created: { gte: fromDate } } : {},
+          toDate ? { created: { lt: toDate } } : {},
+          visibility === 'public' ? { isPublic: true } : visibility === 'private' ? { isPublic: false } : {},
+          { deletedAt: null },
+          postVisibilityFilter(req, visibleFolderIds)
+        ]
+      },
+      // O id desempata a ordenação para que o cursor seja estável
+      orderBy: [{ [sortField]: order }, { id: order }],
+      ...(paginated ? { take: limit + 1 } : {}),
+      ...(cursor ? { cursor: { id: asNumber(cursor) }, skip: 1 } : {}),
+      include: {
+        category: true,
+        tags: tagSelect,
+        owner: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        }
+      }
+    });
+
+    if (!paginated) {
+      return res.send(await Promise.all(posts.map(async (post) => ({
+        ...(await withPreviewUrls(post)),
+        imageUrl: post.imageName ? await getObjectSignedUrl(post.imageName) : undefined
+      }))));
+    }
+
+    // Na paginação só as prévias são assinadas; o arquivo em si o cliente pede em /download ou /image quando precisa
+    const hasMore = posts.length > limit;
+    const page = hasMore ? posts.slice(0, limit) : posts;
+
+    res.send({
+      posts: await Promise.all(page.map(withPreviewUrls)),
+      nextCursor: hasMore ? page[page.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error fetching posts:', error);
+    res.status(500).send({ error: 'Unable to fetch posts' });
+  }
+});
+
+// Rota de busca no conteúdo dos documentos: resultados ordenados por relevância, com trechos destacados
+app.get("/api/search", authenticateToken, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = Math.min(Math.max(asNumber(req.query.limit) || 20, 1), 50);
+
+    if (q.length < 3) {
+      return res.status(400).json({ error: "A busca precisa de pelo menos 3 caracteres" });
+    }
+
+    // O índice FULLTEXT ordena por relevância; lixeira e visibilidade entram na própria consulta (mesmas
+    // regras de postVisibilityFilter) para que documentos alheios não ocupem o lugar dos visíveis no limite
+    const visibleFolderIds = await getVisibleFolderIds(req);
+    const visibilitySql = req.userRole === 'ADMIN'
+      ? Prisma.empty
+      : Prisma.sql`AND (
+          p.isPublic = true
+          OR p.ownerId = ${req.userId}
+          OR EXISTS (SELECT 1 FROM SharedAccess s WHERE s.postId = p.id AND s.userId = ${req.userId} AND s.canView = true)
+          ${visibleFolderIds.length > 0 ? Prisma.sql`OR p.folderId IN (${Prisma.join(visibleFolderIds)})` : Prisma.empty}
+        )`;
+
+    const hits = await prisma.$queryRaw`
+      SELECT p.id AS postId, MATCH(d.content) AGAINST (${q} IN NATURAL LANGUAGE MODE) AS score
+      FROM DocumentText d
+      JOIN Posts p ON p.imageName = d.imageName
+      WHERE MATCH(d.content) AGAINST (${q} IN NATURAL LANGUAGE MODE)
+        AND p.deletedAt IS NULL
+        ${visibilitySql}
+      ORDER BY score DESC
+      LIMIT ${limit}
+    `;
+
+    if (hits.length === 0) {
+      return res.json([]);
+    }
+
+    const posts = await prisma.posts.findMany({
+      where: { id: { in: hits.map((hit) => hit.postId) } },
+      include: {
+        category: true,
+        tags: tagSelect,
+        owner: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        }
+      }
+    });
+
+    const postsById = new Map(posts.map((post) => [post.id, post]));
+    const results = hits
+      .filter((hit) => postsById.has(hit.postId))
+      .map((hit) => ({ post: postsById.get(hit.postId), score: Number(hit.score) }));
+
+    const texts = await prisma.documentText.findMany({
+      where: { imageName: { in: results.map((result) => result.post.imageName) } }
+    });
+    const contentByName = new Map(texts.map((text) => [text.imageName, text.content]));
+
+    res.json(results.map((result) => ({
+      ...result,
+      snippet: buildSnippet(contentByName.get(result.post.imageName) || '', q)
+    })));
+  } catch (error) {
+    console.error("Search error:", error);
+    res.status(500).json({ error: "Error searching documents" });
+  }
+});
+
+// Rota para criar posts (exige autenticação)
+app.post('/api/posts', authenticateToken, async (req, res) => {
+  let file = null;
+  try {
+    const parsed = await parseMultipart(req);
+    file = parsed.file;
+    const fields = parsed.fields;
+    const caption = fields.caption;
+    const categoryId = fields.categoryId;
+    const isPublic = toBoolean(fields.isPublic);
+    const userId = req.userId;
+
+    // O arquivo já está no S3: toda recusa daqui em diante precisa descartá-lo
+    if (!categoryId) {
+      await discardUpload(file);
+      return res.status(400).json({ error: 'categoryId é obrigatório' });
+    }
+
+    const parsedCategoryId = Number(categoryId);
+    if (Number.isNaN(parsedCategoryId)) {
+      await discardUpload(file);
+      return res.status(400).json({ error: 'categoryId inválido' });
+    }
+
+    // Enviar para uma pasta exige permissão de edição nela
+    const folderId = fields.folderId ? asNumber(fields.folderId) : null;
+    if (folderId) {
+      const path = await getFolderPath(folderId);
+      if (path.length === 0) {
+        await discardUpload(file);
+        return res.status(400).json({ error: 'folderId inválido' });
+      }
+      if (!(await getFolderAccess(req, path)).canEdit) {
+        await discardUpload(file);
+        return res.status(403).json({ error: 'Forbidden: You cannot add files to this folder' });
+      }
+    }
+
+    const storedName = file.storedName;
+
+    const post = await prisma.posts.create({
+      data: {
+        imageName: storedName,
+        originalFileName: file.originalname,
+        fileType: file.mimetype,
+        caption,
+        categoryId: parsedCategoryId,
+        ownerId: userId,
+        size: file.size,
+        isPublic,
+        folderId,
+        tags: connectTags(parseTagNames(fields.tags)),
+        versions: {
+          create: {
+            version: 1,
+            imageName: storedName,
+            originalFileName: file.originalname,
+            fileType: file.mimetype,
+            size: file.size,
+            uploadedById: userId
+          }
+        }
+      }
+    });
+    processUploadedFile(storedName, file);
+  
+    res.status(201).send(post);
+  } catch (error) {
+    console.error('Upload error:', error);
+    await discardUpload(file);
+    const status = uploadErrorStatus(error);
+    const message = status === 413 ? error.message : status === 400 ? 'No file uploaded' : 'File upload failed';
+    res.status(status).json({ error: message, details: error.message });
+  }
+});
+
+// Cria o compartilhamento do post com o usuário ou atualiza as permissões do que já existe
+const sharePost = async (postId, userId, { canView, canEdit, canDelete }) => {
+  // Verificar se já existe um compartilhamento
+  const existingShare = await prisma.sharedAccess.findFirst({
+    where: { postId, userId }
+  });
+  
+  if (existingShare) {
+    // Atualizar permissões existentes
+    const share = await prisma.sharedAccess.update({
+      where: { id: existingShare.id },
+      data: {
+        canView: canView ?? existingShare.canView,
+        canEdit: canEdit ?? existingShare.canEdit,
+        canDelete: canDelete ?? existingShare.canDelete
+      }
+    });
+    return { share, created: false };
+  }
+  
+  // Criar novo compartilhamento
+  const share = await prisma.sharedAccess.create({
+    data: {
+      postId,
+      userId,
+      canView: canView ?? true,
+      canEdit: canEdit ?? false,
+      canDelete: canDelete ?? false
+    }
+  });
+  return { share, created: true };
+};
+
+// Operações em lote: cada post é autorizado com as mesmas regras de checkPostAccess e o resultado
+// traz o que aconteceu com cada um, sem interromper o lote quando um item falha
+const BULK_MAX_ITEMS = 200;
+
+// Lê os ids do corpo sem repetições; devolve a mensagem de erro quando a lista é inválida
+const parseBulkIds = (body) => {
+  const ids = Array.isArray(body.ids) ? [...new Set(body.ids.map(asNumber))] : [];
+
+  if (ids.length === 0 || ids.some((id) => !Number.isInteger(id))) {
+    return { error: "ids must be a non-empty list of post ids" };
+  }
+
+  if (ids.length > BULK_MAX_ITEMS) {
+    return { error: `No máximo ${BULK_MAX_ITEMS} itens por operação` };
+  }
+
+  return { ids };
+};
+
+const runBulkPostOperation = async (req, res, action, operation) => {
+  const { ids, error } = parseBulkIds(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const results = [];
+  for (const id of ids) {
+    try {
+      const denied = await getPostAccessError(req, id, action);
+      if (denied) {
+        results.push({ id, ok: false, status: denied.status, error: denied.error });
+        continue;
+      }
+
+      await operation(id);
+      results.push({ id, ok: true });
+    } catch (error) {
+      console.error(`Bulk operation error (post ${id}):`, error);
+      results.push({ id, ok: false, status: 500, error: "Operation failed" });
+    }
+  }
+
+  const succeeded = results.filter((result) => result.ok).length;
+  res.json({ results, succeeded, failed: results.length - succeeded });
+};
+
+// Rota para mover vários posts para a lixeira
+app.post("/api/posts/bulk/delete", authenticateToken, (req, res) =>
+  runBulkPostOperation(req, res, 'delete', (id) => prisma.posts.update({
+    where: { id },
+    data: { deletedAt: new Date(), deletedById: req.userId }
+  }))
+);
+
+// Rota para mudar a categoria de vários posts
+app.post("/api/posts/bulk/category", authenticateToken, async (req, res) => {
+  try {
+    const categoryId = asNumber(req.body.categoryId);
+    const category = Number.isNaN(categoryId) ? null : await prisma.category.findUnique({ where: { id: categoryId } });
+    if (!category) {
+      return res.status(400).json({ error: 'categoryId inválido' });
+    }
+
+    await runBulkPostOperation(req, res, 'edit', (id) => prisma.posts.update({
+      where: { id },
+      data: { categoryId }
+    }));
+  } catch (error) {
+    console.error("Bulk category error:", error);
+    res.status(500).json({ error: "Error updating posts" });
+  }
+});
+
+// Rota para mudar a visibilidade de vários posts
+app.post("/api/posts/bulk/visibility", authenticateToken, (req, res) => {
+  // Aceita booleano ou o texto "true"/"false" (formulários), como nas rotas de um post só
+  const { isPublic } = req.body;
+  if (![true, false, 'true', 'false'].includes(isPublic)) {
+    return res.status(400).json({ error: "isPublic must be true or false" });
+  }
+
+  return runBulkPostOperation(req, res, 'edit', (id) => prisma.posts.update({
+    where: { id },
+    data: { isPublic: toBoolean(isPublic) }
+  }));
+});
+
+// Rota para compartilhar vários posts com um usuário (como no compartilhamento individual, só dono ou admin)
+app.post("/api/posts/bulk/share", authenticateToken, async (req, res) => {
+  try {
+    const { userEmail, canView, canEdit, canDelete } = req.body;
+
+    if (!userEmail) {
+      return res.status(400).json({ error: "User email is required" });
+    }
+
+    // Contas com email não confirmado não podem receber compartilhamentos
+    const targetUser = await prisma.profile.findUnique({ where: { email: userEmail } });
+    if (!targetUser || !targetUser.verifiedAt) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await runBulkPostOperation(req, res, 'share', (id) => sharePost(id, targetUser.id, { canView, canEdit, canDelete }));
+  } catch (error) {
+    console.error("Bulk share error:", error);
+    res.status(500).json({ error: "Error sharing posts" });
+  }
+});
+
+// Nome de arquivo único dentro do ZIP: "relatorio.pdf", "relatorio (2).pdf", ... sem diferenciar maiúsculas
+const uniqueArchiveName = (fileName, usedNames) => {
+  const safeName = (fileName || '').replace(/[\\/]/g, '_').replace(/^\.+/, '') || 'arquivo';
+  const extension = path.extname(safeName);
+  const baseName = safeName.slice(0, safeName.length - extension.length);
+
+  let candidate = safeName;
+  for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+    candidate = `${baseName} (${counter})${extension}`;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Espera o arquivo atual ser gravado no ZIP antes de abrir o próximo objeto do S3,
+// para não deixar várias conexões abertas esperando a vez
+const waitForArchiveEntry = (archive, res) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    archive.off('entry', onEntry);
+    archive.off('error', onError);
+    res.off('close', onClose);
+  };
+  const onEntry = () => {
+    cleanup();
+    resolve();
+  };
+  const onError = (error) => {
+    cleanup();
+    reject(error);
+  };
+  const onClose = () => {
+    cleanup();
+    reject(new Error('Download interrompido pelo cliente'));
+  };
+
+  archive.on('entry', onEntry);
+  archive.on('error', onError);
+  res.on('close', onClose);
+});
+
+const ZIP_MAX_ITEMS = 500;
+
+// Rota para baixar em ZIP uma seleção de posts ({ ids }) ou uma categoria inteira ({ categoryId }).
+// O ZIP é montado enquanto os arquivos são lidos do S3; posts sem permissão de leitura ficam de fora.
+app.post("/api/posts/bulk/zip", authenticateToken, async (req, res) => {
+  let archive;
+  try {
+    let posts;
+    let archiveName = 'documentos';
+
+    if (req.body.categoryId !== undefined) {
+      const categoryId = asNumber(req.body.categoryId);
+      const category = Number.isNaN(categoryId) ? null : await prisma.category.findUnique({ where: { id: categoryId } });
+      if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      const visibleFolderIds = await getVisibleFolderIds(req);
+      posts = await prisma.posts.findMany({
+        where: { categoryId, deletedAt: null, ...postVisibilityFilter(req, visibleFolderIds) },
+        orderBy: { originalFileName: 'asc' },
+        take: ZIP_MAX_ITEMS + 1
+      });
+
+      if (posts.length > ZIP_MAX_ITEMS) {
+        return res.status(400).json({ error: `A categoria tem mais de ${ZIP_MAX_ITEMS} documentos; selecione os que deseja baixar` });
+      }
+      archiveName = category.name;
+    } else {
+      const { ids, error } = parseBulkIds(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      posts = [];
+      for (const id of ids) {
+        if (!(await getPostAccessError(req, id, 'view'))) {
+          posts.push(await prisma.posts.findUnique({ where: { id } }));
+        }
+      }
+    }
+
+    if (posts.length === 0) {
+      return res.status(404).json({ error: 'Nenhum documento disponível para download' });
+    }
+
+    archive = new ZipArchive({ zlib: { level: 6 } });
+    archive.on('warning', (warning) => console.warn('Aviso ao montar ZIP:', warning.message));
+    archive.on('error', (error) => console.error('Zip archive error:', error));
+
+    res.attachment(`${archiveName}.zip`);
+    archive.pipe(res);
+
+    const usedNames = new Set();
+    for (const post of posts) {
+      if (res.destroyed) {
+        archive.abort();
+        return;
+      }
+
+      // Um objeto que falta no S3 não derruba o download inteiro: o arquivo só fica de fora
+      let body;
+      try {
+        body = await getObjectStream(post.imageName);
+      } catch (error) {
+        console.warn(`Post ${post.id} não incluído no ZIP:`, error.message);
+        continue;
+      }
+
+      const entryWritten = waitForArchiveEntry(archive, res);
+      archive.append(body, { name: uniqueArchiveName(post.originalFileName, usedNames), date: post.created });
+      await entryWritten;
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error("Zip download error:", error);
+    if (res.headersSent) {
+      archive?.abort();
+      res.destroy();
+    } else {
+      res.status(500).json({ error: "Error creating zip file" });
+    }
+  }
+});
+
+// Rota para obter um post (usada pela tela de edição)
+app.get("/api/posts/:id", authenticateToken, checkPostAccess, async (req, res) => {
+  try {
+    const post = await prisma.posts.findUnique({
+      where: { id: asNumber(req.params.id) },
+      include: {
+        category: true,
+        tags: tagSelect,
+        owner: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        }
+      }
+    });
+
+    if (!post) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    res.json(post);
+  } catch (error) {
+    console.error("Error fetching post:", error);
+    res.status(500).json({ error: "Unable to fetch post" });
+  }
+});
+
+// Rota para editar descrição, categoria e visibilidade de um post e, opcionalmente, substituir o arquivo.
+// Aceita JSON ou multipart (quando há arquivo); a substituição vira uma nova versão.
+app.put("/api/posts/:id", authenticateToken, checkPostAccess, async (req, res) => {
+  const id = asNumber(req.params.id);
+  let file = null;
+
+  try {
+    const parsed = req.is('multipart/form-data')
+      ? await parseMultipart(req, { fileRequired: false })
+      : { file: null, fields: req.body || {} };
+    file = parsed.file;
+    const fields = parsed.fields;
+
+    const data = {};
+
+    if (fields.caption !== undefined) {
+      data.caption = String(fields.caption).trim() || null;
+    }
+
+    if (fields.categoryId !== undefined) {
+      const categoryId = asNumber(fields.categoryId);
+      const category = Number.isNaN(categoryId) ? null : await prisma.category.findUnique({ where: { id: categoryId } });
+      if (!category) {
+        await discardUpload(file);
+        return res.status(400).json({ error: 'categoryId inválido' });
+      }
+      data.categoryId = categoryId;
+    }
+
+    if (fields.isPublic !== undefined) {
+      data.isPublic = toBoolean(fields.isPublic);
+    }
+
+    // Um campo de etiquetas vazio remove todas
+    const tagNames = fields.tags !== undefined ? parseTagNames(fields.tags) : null;
+
+    const post = await prisma.$transaction(async (tx) => {
+      const existing = await tx.posts.findUnique({ where: { id } });
+      if (!existing) {
+        return null;
+      }
+
+      if (file) {
+        await addPostVersion(tx, id, {
+          imageName: file.storedName,
+          originalFileName: file.originalname,
+          fileType: file.mimetype,
+          size: file.size
+        }, { comment: fields.comment || null, uploadedById: req.userId });
+      }
+
+      if (tagNames) {
+        const tags = [];
+        for (const name of tagNames) {
+          tags.push(await tx.tag.upsert({ where: { name }, update: {}, create: { name }, select: { id: true } }));
+        }
+        data.tags = { set: tags };
+      }
+
+      return tx.posts.update({
+        where: { id },
+        data,
+        include: { category: true, tags: tagSelect }
+      });
+    });
+
+    if (!post) {
+      await discardUpload(file);
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (file) {
+      processUploadedFile(file.storedName, file);
+    }
+
+    res.json(post);
+  } catch (error) {
+    console.error("Update post error:", error);
+    await discardUpload(file);
+    const status = uploadErrorStatus(error);
+    res.status(status).json({ error: status === 413 ? error.message : "Error updating post" });
+  }
+});
+
+// Rota para obter a imagem/download de um post. Com inline=true o próprio conteúdo passa pelo servidor,
+// o que permite ao visualizador do navegador ler o arquivo sem depender de CORS no bucket.
+app.get("/api/posts/:id/download", authenticateToken, checkPostAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    const post = await prisma.posts.findUnique({ where: { id } });
+
+    if (!post) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    if (toBoolean(req.query.inline)) {
+      const body = await getObjectStream(post.imageName);
+      res.type(post.fileType || 'application/octet-stream');
+      res.set({
+        'Content-Disposition': 'inline',
+        // O arquivo é conteúdo do usuário: nunca executar scripts dele na origem da API
+        'Content-Security-Policy': 'sandbox',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      await pipeline(body, res);
+      return;
+    }
+
+    const url = await getObjectSignedUrl(post.imageName);
+    return res.json({ 
+      url,
+      originalFileName: post.originalFileName,
+      fileType: post.fileType 
+    });
+  } catch (error) {
+    console.error("Download error:", error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: "Error downloading file" });
+  }
+});
+
+// Acima disso o arquivo não é lido de volta do S3 para indexação e prévias
+const maxProcessedFileBytes = 50 * 1024 * 1024;
+
+// Extrai e indexa o texto do arquivo para a busca por conteúdo; uma falha só deixa o arquivo fora da busca.
+const indexDocumentText = async (imageName, buffer, file) => {
+  try {
+    const content = await extractText(buffer, file.mimetype, file.originalname);
+    if (content) {
+      await prisma.documentText.upsert({
+        where: { imageName },
+        update: { content },
+        create: { imageName, content }
+      });
+    }
+  } catch (error) {
+    console.warn('Falha ao indexar o texto do arquivo:', error.message);
+  }
+};
+
+// Gera a miniatura e a prévia média (imagens e primeira página de PDFs) em chaves derivadas no S3.
+// Sem prévia o card continua mostrando o ícone do tipo de arquivo.
+const storePreviews = async (imageName, buffer, file) => {
+  try {
+    const previews = await generatePreviews(buffer, file.mimetype, file.originalname);
+    if (!previews) {
+      return;
+    }
+
+    for (const [size, image] of Object.entries(previews)) {
+      await uploadFile(image, previewKey(imageName, size), 'image/webp');
+    }
+    await prisma.postVersion.updateMany({ where: { imageName }, data: { hasPreview: true } });
+    await prisma.posts.updateMany({ where: { imageName }, data: { hasPreview: true } });
+  } catch (error) {
+    console.warn('Falha ao gerar a prévia do arquivo:', error.message);
+  }
+};
+
+// Indexação e prévias de um arquivo recém-enviado. O envio vai direto para o S3, então o arquivo é lido
+// de volta uma única vez, em segundo plano, e só quando o tipo dele tem texto ou prévia a gerar.
+const processUploadedFile = (imageName, file) => {
+  const indexable = canExtractText(file.mimetype, file.originalname);
+  const previewable = canGeneratePreviews(file.mimetype, file.originalname);
+  if ((!indexable && !previewable) || file.size > maxProcessedFileBytes) {
+    return;
+  }
+
+  getObjectBuffer(imageName)
+    .then(async (buffer) => {
+      if (indexable) {
+        await indexDocumentText(imageName, buffer, file);
+      }
+      if (previewable) {
+        await storePreviews(imageName, buffer, file);
+      }
+    })
+    .catch((error) => console.warn('Falha ao ler o arquivo enviado do S3:', error.message));
+};
+
+// URLs assinadas da miniatura e da prévia (a assinatura é calculada localmente, sem consultar o S3)
+const withPreviewUrls = async (post) => ({
+  ...post,
+  thumbnailUrl: post.hasPreview ? await getObjectSignedUrl(previewKey(post.imageName, 'thumbnail')) : null,
+  previewUrl: post.hasPreview ? await getObjectSignedUrl(previewKey(post.imageName, 'preview')) : null
+});
+
+// Registra um arquivo como nova versão do post e o torna o atual (usar dentro de uma transação)
+const addPostVersion = async (tx, postId, file, { comment = null, uploadedById }) => {
+  const latest = await tx.postVersion.aggregate({ where: { postId }, _max: { version: true } });
+  const created = await tx.postVersion.create({
+    data: {
+      postId,
+      version: (latest._max.version || 0) + 1,
+      imageName: file.imageName,
+      originalFileName: file.originalFileName,
+      fileType: file.fileType,
+      size: file.size,
+      hasPreview: Boolean(file.hasPreview),
+      comment,
+      uploadedById
+    }
+  });
+
+  await tx.posts.update({
+    where: { id: postId },
+    data: {
+      imageName: file.imageName,
+      originalFileName: file.originalFileName,
+      fileType: file.fileType,
+      size: file.size || 0,
+      hasPreview: created.hasPreview,
+      currentVersion: created.version
+    }
+  });
+
+  return created;
+};
+
+// Rota para listar as versões do arquivo de um post
+app.get("/api/posts/:id/versions", authenticateToken, checkPostAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    const post = await prisma.posts.findUnique({
+      where: { id },
+      select: { currentVersion: true }
+    });
+
+    if (!post) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const versions = await prisma.postVersion.findMany({
+      where: { postId: id },
+      orderBy: { version: 'desc' },
+      include: {
+        uploadedBy: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        }
+      }
+    });
+
+    res.json({ currentVersion: post.currentVersion, versions });
+  } catch (error) {
+    console.error("Error fetching versions:", error);
+    res.status(500).json({ error: "Error fetching versions" });
+  }
+});
+
+// Rota para enviar uma nova versão do arquivo (as versões anteriores continuam no S3)
+app.post("/api/posts/:id/versions", authenticateToken, accessAction('edit'), checkPostAccess, async (req, res) => {
+  const id = asNumber(req.params.id);
+  let file = null;
+
+  try {
+    const parsed = await parseMultipart(req);
+    file = parsed.file;
+    const fields = parsed.fields;
+    const storedName = file.storedName;
+
+    const version = await prisma.$transaction(async (tx) => {
+      const post = await tx.posts.findUnique({ where: { id } });
+      if (!post) {
+        return null;
+      }
+
+      return addPostVersion(tx, id, {
+        imageName: storedName,
+        originalFileName: file.originalname,
+        fileType: file.mimetype,
+        size: file.size
+      }, { comment: fields.comment || null, uploadedById: req.userId });
+    });
+
+    if (!version) {
+      await discardUpload(file);
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    processUploadedFile(storedName, file);
+    res.status(201).json(version);
+  } catch (error) {
+    console.error('Version upload error:', error);
+    await discardUpload(file);
+    const status = uploadErrorStatus(error);
+    const message = status === 413 ? error.message : status === 400 ? 'No file uploaded' : 'File upload failed';
+    res.status(status).json({ error: message, details: error.message });
+  }
+});
+
+// Rota para baixar uma versão específica do arquivo
+app.get("/api/posts/:id/versions/:versionId/download", authenticateToken, checkPostAccess, async (req, res) => {
+  try {
+    const version = await prisma.postVersion.findFirst({
+      where: { id: asNumber(req.params.versionId), postId: asNumber(req.params.id) }
+    });
+
+    if (!version) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    const url = await getObjectSignedUrl(version.imageName);
+    return res.json({
+      url,
+      originalFileName: version.originalFileName,
+      fileType: version.fileType
+    });
+  } catch (error) {
+    console.error("Version download error:", error);
+    res.status(500).json({ error: "Error downloading file" });
+  }
+});
+
+// Rota para restaurar uma versão antiga: ela volta a ser a atual como uma nova versão,
+// preservando o histórico (o objeto no S3 é reaproveitado)
+app.post("/api/posts/:id/versions/:versionId/restore", authenticateToken, accessAction('edit'), checkPostAccess, async (req, res) => {
+  const id = asNumber(req.params.id);
+
+  try {
+    const restored = await prisma.$transaction(async (tx) => {
+      const source = await tx.postVersion.findFirst({
+        where: { id: asNumber(req.params.versionId), postId: id }
+      });
+      if (!source) {
+        return null;
+      }
+
+      return addPostVersion(tx, id, source, {
+        comment: `Restaurada da versão ${source.version}`,
+        uploadedById: req.userId
+      });
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    res.status(201).json(restored);
+  } catch (error) {
+    console.error("Version restore error:", error);
+    res.status(500).json({ error: "Error restoring version" });
+  }
+});
+
+// Exclui definitivamente um post: compartilhamentos, arquivos e prévias de todas as versões no S3 e texto indexado
+const purgePost = async (post) => {
+  // Excluir compartilhamentos associados
+  await prisma.sharedAccess.deleteMany({
+    where: { postId: post.id }
+  });
+  
+  // Excluir os arquivos e as prévias de todas as versões no S3 (uma restauração reaproveita o objeto de outra versão)
+  const versions = await prisma.postVersion.findMany({ where: { postId: post.id }, select: { imageName: true } });
+  const storedNames = new Set([post.imageName, ...versions.map((version) => version.imageName)]);
+  for (const storedName of storedNames) {
+    const keys = [storedName, ...Object.keys(PREVIEW_SIZES).map((size) => previewKey(storedName, size))];
+    for (const key of keys) {
+      try {
+        await deleteFile(key);
+      } catch (err) {
+        console.warn('Falha ao remover arquivo do S3:', err.message);
+      }
+    }
+  }
+  await prisma.documentText.deleteMany({ where: { imageName: { in: [...storedNames] } } });
+  
+  // Excluir o post
+  await prisma.posts.delete({ where: { id: post.id } });
+};
+
+// Rota para mover um post para a lixeira (o arquivo só é removido na exclusão definitiva ou na limpeza automática)
+app.delete("/api/posts/:id", authenticateToken, checkPostAccess, async (req, res) => {
+  const id = asNumber(req.params.id);
+  
+  try {
+    const post = await prisma.posts.update({
+      where: { id },
+      data: { deletedAt: new Date(), deletedById: req.userId }
+    });
+    
+    res.send(post);
+  } catch (error) {
+    console.error("Delete error:", error);
+    res.status(500).json({ error: "Error deleting post" });
+  }
+});
+
+// Rota para atualizar a visibilidade de um post
+app.patch("/api/posts/:id/visibility", authenticateToken, checkPostAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    const { isPublic } = req.body;
+    
+    if (isPublic === undefined) {
+      return res.status(400).json({ error: "isPublic field is required" });
+    }
+    
+    const post = await prisma.posts.update({
+      where: { id },
+      data: { isPublic: Boolean(isPublic) }
+    });
+    
+    res.json(post);
+  } catch (error) {
+    console.error("Update visibility error:", error);
+    res.status(500).json({ error: "Error updating post visibility" });
+  }
+});
+
+// Rota para mover um post para outra pasta (folderId null o tira de qualquer pasta).
+// Mover muda quem herda acesso ao post pela pasta, por isso exige permissão de exclusão (dono e admin a têm)
+app.patch("/api/posts/:id/folder", authenticateToken, accessAction('delete'), checkPostAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    const folderId = req.body.folderId ? asNumber(req.body.folderId) : null;
+
+    if (folderId) {
+      const path = await getFolderPath(folderId);
+      if (path.length === 0) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+      if (!(await getFolderAccess(req, path)).canEdit) {
+        return res.status(403).json({ error: "Forbidden: You cannot add files to this folder" });
+      }
+    }
+
+    const post = await prisma.posts.update({
+      where: { id },
+      data: { folderId }
+    });
+
+    res.json(post);
+  } catch (error) {
+    console.error("Move post error:", error);
+    res.status(500).json({ error: "Error moving post" });
+  }
+});
+
+// Rota para compartilhar um post com outro usuário
+app.post("/api/posts/:id/share", authenticateToken, checkPostAccess, async (req, res) => {
+  try {
+    const postId = asNumber(req.params.id);
+    const { userEmail, canView, canEdit, canDelete } = req.body;
+    
+    if (!userEmail) {
+      return res.status(400).json({ error: "User email is required" });
+    }
+    
+    // Verificar se o usuário existe
+    const targetUser = await prisma.profile.findUnique({
+      where: { email: userEmail }
+    });
+    
+    // Contas com email não confirmado não podem receber compartilhamentos
+    if (!targetUser || !targetUser.verifiedAt) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    
+    const { share, created } = await sharePost(postId, targetUser.id, { canView, canEdit, canDelete });
+    
+    res.status(created ? 201 : 200).json(share);
+  } catch (error) {
+    console.error("Share error:", error);
+    res.status(500).json({ error: "Error sharing post" });
+  }
+});
+
+// Rota para listar usuários com quem o post está compartilhado
+app.get("/api/posts/:id/shared", authenticateToken, async (req, res) => {
+  try {
+    const postId = asNumber(req.params.id);
+    const userId = req.userId;
+    const userRole = req.userRole;
+
+    const post = await prisma.posts.findUnique({
+      where: { id: postId },
+      select: { id: true, ownerId: true }
+    });
+
+    if (!post) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (userRole !== 'ADMIN' && post.ownerId !== userId) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const shares = await prisma.sharedAccess.findMany({
+      where: { postId },
+    });
+
+    const userIds = shares.map((s) => s.userId);
+    const users = userIds.length
+      ? await prisma.profile.findMany({
+          where: { id: { in: userIds } },
+          select: { id: true, name: true, email: true }
+        })
+      : [];
+
+    const usersById = Object.fromEntries(users.map((u) => [u.id, u]));
+    const result = shares.map((share) => ({
+      id: share.id,
+      userId: share.userId,
+      canView: share.canView,
+      canEdit: share.canEdit,
+      canDelete: share.canDelete,
+      user: usersById[share.userId] || null
+    }));
+
+    res.json(result);
+  } catch (error) {
+    console.error("List shared users error:", error);
+    res.status(500).json({ error: "Error fetching shared users" });
+  }
+});
+
+// Rota para remover compartilhamento de um post
+app.delete("/api/posts/:id/share/:userId", authenticateToken, checkPostAccess, async (req, res) => {
+  try {
+    const postId = asNumber(req.params.id);
+    const userId = asNumber(req.params.userId);
+    
+    const deletedShare = await prisma.sharedAccess.deleteMany({
+      where: {
+        postId,
+        userId
+      }
+    });
+    
+    res.json({ message: "Share removed successfully" });
+  } catch (error) {
+    console.error("Remove share error:", error);
+    res.status(500).json({ error: "Error removing share" });
+  }
+});
+
+// Verifica se já existe uma pasta com o mesmo nome no destino (na raiz, entre as pastas do mesmo dono)
+const folderNameTaken = async ({ name, parentId, ownerId, excludeId }) => {
+  const existing = await prisma.folder.findFirst({
+    where: {
+      name,
+      parentId,
+      ...(parentId ? {} : { ownerId }),
+      ...(excludeId ? { id: { not: excludeId } } : {})
+    }
+  });
+  return Boolean(existing);
+};
+
+// Rota para listar as pastas visíveis ao usuário, com as permissões efetivas em cada uma
+app.get("/api/folders", authenticateToken, async (req, res) => {
+  try {
+    const isAdmin = req.userRole === 'ADMIN';
+    const visibleFolderIds = await getVisibleFolderIds(req);
+
+    const [folders, shares] = await Promise.all([
+      prisma.folder.findMany({
+        where: visibleFolderIds ? { id: { in: visibleFolderIds } } : {},
+        orderBy: { name: 'asc' },
+        include: { owner: { select: { id: true, name: true } } }
+      }),
+      isAdmin ? [] : prisma.sharedAccess.findMany({ where: { userId: req.userId, folderId: { not: null } } })
+    ]);
+
+    const foldersById = new Map(folders.map((folder) => [folder.id, folder]));
+    const sharesByFolder = new Map(shares.map((share) => [share.folderId, share]));
+
+    // Mesma regra de getFolderAccess, calculada em memória subindo pelas pastas visíveis
+    const accessOf = (folder) => {
+      if (isAdmin) return { ...FULL_ACCESS, canShare: true };
+
+      let access = NO_ACCESS;
+      const seen = new Set();
+      for (let current = folder; current && !seen.has(current.id); current = foldersById.get(current.parentId)) {
+        seen.add(current.id);
+        if (current.ownerId === req.userId) return { ...FULL_ACCESS, canShare: true };
+        if (sharesByFolder.has(current.id)) access = mergeAccess(access, sharesByFolder.get(current.id));
+      }
+      return { ...access, canShare: false };
+    };
+
+    res.json(folders.map((folder) => ({ ...folder, ...accessOf(folder) })));
+  } catch (error) {
+    console.error("Error fetching folders:", error);
+    res.status(500).json({ error: "Error fetching folders" });
+  }
+});
+
+// Rota para criar uma pasta (na raiz ou dentro de outra em que o usuário pode editar)
+app.post("/api/folders", authenticateToken, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const parentId = req.body.parentId ? asNumber(req.body.parentId) : null;
+
+    if (!name) {
+      return res.status(400).json({ error: "Folder name is required" });
+    }
+
+    if (parentId) {
+      const path = await getFolderPath(parentId);
+      if (path.length === 0) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+      if (!(await getFolderAccess(req, path)).canEdit) {
+        return res.status(403).json({ error: "Forbidden: You cannot create folders here" });
+      }
+    }
+
+    if (await folderNameTaken({ name, parentId, ownerId: req.userId })) {
+      return res.status(409).json({ error: "A folder with this name already exists here" });
+    }
+
+    const folder = await prisma.folder.create({
+      data: { name, parentId, ownerId: req.userId }
+    });
+
+    res.status(201).json(folder);
+  } catch (error) {
+    console.error("Create folder error:", error);
+    res.status(500).json({ error: "Error creating folder" });
+  }
+});
+
+// Rota para renomear ou mover uma pasta
+app.patch("/api/folders/:id", authenticateToken, checkFolderAccess, async (req, res) => {
+  try {
+    const folder = req.folderPath[req.folderPath.length - 1];
+    const data = {};
+
+    if (req.body.name !== undefined) {
+      data.name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!data.name) {
+        return res.status(400).json({ error: "Folder name is required" });
+      }
+    }
+
+    if (req.body.parentId !== undefined) {
+      data.parentId = req.body.parentId ? asNumber(req.body.parentId) : null;
+
+      // Mover muda de quem a pasta herda o acesso (o dono de uma pasta acima ganha acesso total),
+      // por isso só o dono ou um admin pode mover; quem só edita pode renomear
+      if (req.userRole !== 'ADMIN' && folder.ownerId !== req.userId) {
+        return res.status(403).json({ error: "Forbidden: Only the owner can move this folder" });
+      }
+
+      if (data.parentId) {
+        const targetPath = await getFolderPath(data.parentId);
+        if (targetPath.length === 0) {
+          return res.status(404).json({ error: "Folder not found" });
+        }
+        // Uma pasta não pode ir para dentro dela mesma ou de uma subpasta sua
+        if (targetPath.some((ancestor) => ancestor.id === folder.id)) {
+          return res.status(400).json({ error: "Cannot move a folder into itself" });
+        }
+        if (!(await getFolderAccess(req, targetPath)).canEdit) {
+          return res.status(403).json({ error: "Forbidden: You cannot move folders there" });
+        }
+      }
+    }
+
+    const name = data.name ?? folder.name;
+    const parentId = data.parentId !== undefined ? data.parentId : folder.parentId;
+    if (await folderNameTaken({ name, parentId, ownerId: folder.ownerId, excludeId: folder.id })) {
+      return res.status(409).json({ error: "A folder with this name already exists here" });
+    }
+
+    const updated = await prisma.folder.update({
+      where: { id: folder.id },
+      data
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error("Update folder error:", error);
+    res.status(500).json({ error: "Error updating folder" });
+  }
+});
+
+// Rota para excluir uma pasta vazia
+app.delete("/api/folders/:id", authenticateToken, checkFolderAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+
+    const [children, posts] = await Promise.all([
+      prisma.folder.count({ where: { parentId: id } }),
+      // Posts na lixeira não impedem a exclusão; se restaurados, voltam para a raiz
+      prisma.posts.count({ where: { folderId: id, deletedAt: null } })
+    ]);
+
+    if (children + posts > 0) {
+      return res.status(409).json({ error: "Folder is not empty", code: 'FOLDER_NOT_EMPTY' });
+    }
+
+    await prisma.$transaction([
+      prisma.sharedAccess.deleteMany({ where: { folderId: id } }),
+      prisma.folder.delete({ where: { id } })
+    ]);
+
+    res.json({ message: "Folder deleted successfully" });
+  } catch (error) {
+    console.error("Delete folder error:", error);
+    res.status(500).json({ error: "Error deleting folder" });
+  }
+});
+
+// Rota para compartilhar uma pasta (e tudo dentro dela) com outro usuário
+app.post("/api/folders/:id/share", authenticateToken, accessAction('share'), checkFolderAccess, async (req, res) => {
+  try {
+    const folderId = asNumber(req.params.id);
+    const { userEmail, canView, canEdit, canDelete } = req.body;
+
+    if (!userEmail) {
+      return res.status(400).json({ error: "User email is required" });
+    }
+
+    // Contas com email não confirmado não podem receber compartilhamentos
+    const targetUser = await prisma.profile.findUnique({
+      where: { email: userEmail }
+    });
+
+    if (!targetUser || !targetUser.verifiedAt) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const existingShare = await prisma.sharedAccess.findFirst({
+      where: { folderId, userId: targetUser.id }
+    });
+
+    if (existingShare) {
+      const updatedShare = await prisma.sharedAccess.update({
+        where: { id: existingShare.id },
+        data: {
+          canView: canView ?? existingShare.canView,
+          canEdit: canEdit ?? existingShare.canEdit,
+          canDelete: canDelete ?? existingShare.canDelete
+        }
+      });
+
+      return res.json(updatedShare);
+    }
+
+    const newShare = await prisma.sharedAccess.create({
+      data: {
+        folderId,
+        userId: targetUser.id,
+        canView: canView ?? true,
+        canEdit: canEdit ?? false,
+        canDelete: canDelete ?? false
+      }
+    });
+
+    res.status(201).json(newShare);
+  } catch (error) {
+    console.error("Folder share error:", error);
+    res.status(500).json({ error: "Error sharing folder" });
+  }
+});
+
+// Rota para listar usuários com quem a pasta está compartilhada
+app.get("/api/folders/:id/shared", authenticateToken, accessAction('share'), checkFolderAccess, async (req, res) => {
+  try {
+    const shares = await prisma.sharedAccess.findMany({
+      where: { folderId: asNumber(req.params.id) },
+      include: { user: { select: { id: true, name: true, email: true } } }
+    });
+
+    res.json(shares.map((share) => ({
+      id: share.id,
+      userId: share.userId,
+      canView: share.canView,
+      canEdit: share.canEdit,
+      canDelete: share.canDelete,
+      user: share.user
+    })));
+  } catch (error) {
+    console.error("List folder shares error:", error);
+    res.status(500).json({ error: "Error fetching shared users" });
+  }
+});
+
+// Rota para remover o compartilhamento de uma pasta
+app.delete("/api/folders/:id/share/:userId", authenticateToken, accessAction('share'), checkFolderAccess, async (req, res) => {
+  try {
+    await prisma.sharedAccess.deleteMany({
+      where: {
+        folderId: asNumber(req.params.id),
+        userId: asNumber(req.params.userId)
+      }
+    });
+
+    res.json({ message: "Share removed successfully" });
+  } catch (error) {
+    console.error("Remove folder share error:", error);
+    res.status(500).json({ error: "Error removing share" });
+  }
+});
+
+// Rota para obter ferramentas e licenças: cada usuário vê as suas, as que tem como responsável e as da equipe
+app.get("/api/tools", authenticateToken, async (req, res) => {
+  try {
+    const actor = await loadToolActor(req);
+    const tools = await prisma.tool.findMany({
+      where: toolVisibilityFilter(actor),
+      include: {
+        owner: { select: { id: true, name: true } },
+        team: { select: { id: true, name: true } }
+      }
+    });
+
+    res.send(tools.map((tool) => ({ ...tool, canEdit: canManageTool(tool, actor) })));
+  } catch (error) {
+    console.error("Erro ao listar ferramentas:", error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Rota para criar uma nova ferramenta/licença (atualizada)
+app.post("/api/tools", authenticateToken, requirePermission('tools:write'), async (req, res) => {
+  const { name, description, responsible, responsibleEmail, acquisitionDate, expirationDate, teamId } = req.body;
+
+  if (!name || !description || !responsible || !responsibleEmail || !acquisitionDate || !expirationDate) {
+    return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
+  }
+
+  // Validação básica de email
+  if (!emailRegex.test(responsibleEmail)) {
+    return res.status(400).json({ error: 'Email inválido' });
+  }
+
+  try {
+    const actor = await loadToolActor(req);
+    const team = await resolveToolTeam(teamId, actor);
+    if (team.error) {
+      return res.status(team.status).json({ error: team.error });
+    }
+
+    const tool = await prisma.tool.create({
+      data: {
+        name,
+        description,
+        responsible,
+        responsibleEmail,
+        acquisitionDate: new Date(acquisitionDate),
+        expirationDate: new Date(expirationDate),
+        ownerId: req.userId,
+        teamId: team.id,
+      },
+    });
+
+    res.status(201).send(tool);
+  } catch (error) {
+    console.error("Erro ao criar ferramenta:", error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Rota para atualizar uma ferramenta/licença (atualizada)
+app.put("/api/tools/:id", authenticateToken, checkToolAccess, async (req, res) => {
+  const { name, description, responsible, responsibleEmail, acquisitionDate, expirationDate, teamId } = req.body;
+
+  if (!name || !description || !responsible || !responsibleEmail || !acquisitionDate || !expirationDate) {
+    return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
+  }
+
+  // Validação básica de email
+  if (!emailRegex.test(responsibleEmail)) {
+    return res.status(400).json({ error: 'Email inválido' });
+  }
+
+  try {
+    // A equipe só é validada quando enviada e diferente da atual
+    let teamData = {};
+    if (teamId !== undefined && (teamId ? asNumber(teamId) : null) !== req.tool.teamId) {
+      const team = await resolveToolTeam(teamId, req.toolActor);
+      if (team.error) {
+        return res.status(team.status).json({ error: team.error });
+      }
+      teamData = { teamId: team.id };
+    }
+
+    const tool = await prisma.tool.update({
+      where: { id: req.tool.id },
+      data: {
+        name,
+        description,
+        responsible,
+        responsibleEmail,
+        acquisitionDate: new Date(acquisitionDate),
+        expirationDate: new Date(expirationDate),
+        ...teamData,
+      },
+    });
+
+    res.send(tool);
+  } catch (error) {
+    console.error("Erro ao atualizar ferramenta:", error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Rota para deletar uma ferramenta/licença
+app.delete("/api/tools/:id", authenticateToken, checkToolAccess, async (req, res) => {
+  try {
+    const tool = await prisma.tool.delete({
+      where: { id: req.tool.id },
+    });
+
+    res.send(tool);
+  } catch (error) {
+    console.error("Erro ao deletar ferramenta:", error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Rota para listar as equipes (usadas para compartilhar a gestão de ferramentas)
+app.get("/api/teams", authenticateToken, async (req, res) => {
+  try {
+    const teams = await prisma.team.findMany({
+      orderBy: { name: 'asc' },
+      include: {
+        members: { select: { id: true, name: true, email: true } }
+      }
+    });
+
+    res.json(teams.map((team) => ({
+      ...team,
+      isMember: team.members.some((member) => member.id === req.userId)
+    })));
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para criar uma equipe (requer users:manage)
+app.post("/api/teams", authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+  if (!name) {
+    return res.status(400).json({ error: 'Team name is required' });
+  }
+
+  try {
+    const existing = await prisma.team.findUnique({ where: { name } });
+    if (existing) {
+      return res.status(400).json({ error: 'Team already exists' });
+    }
+
+    const team = await prisma.team.create({
+      data: { name },
+      include: { members: { select: { id: true, name: true, email: true } } }
+    });
+
+    res.status(201).json({ ...team, isMember: false });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para definir os membros de uma equipe (requer users:manage)
+app.put("/api/teams/:id/members", authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const teamId = asNumber(req.params.id);
+    const { memberIds } = req.body;
+
+    if (!Array.isArray(memberIds) || !memberIds.every((id) => Number.isInteger(asNumber(id)))) {
+      return res.status(400).json({ error: 'memberIds must be a list of user ids' });
+    }
+
+    const team = await prisma.team.findUnique({ where: { id: teamId } });
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const ids = [...new Set(memberIds.map(asNumber))];
+    const found = await prisma.profile.count({ where: { id: { in: ids } } });
+    if (found !== ids.length) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updatedTeam = await prisma.team.update({
+      where: { id: teamId },
+      data: { members: { set: ids.map((id) => ({ id })) } },
+      include: { members: { select: { id: true, name: true, email: true } } }
+    });
+
+    res.json({ ...updatedTeam, isMember: ids.includes(req.userId) });
+  } catch (error) {
+    console.error('Error updating team members:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para remover uma equipe (as ferramentas da equipe ficam sem equipe)
+app.delete("/api/teams/:id", authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const teamId = asNumber(req.params.id);
+
+    const team = await prisma.team.findUnique({ where: { id: teamId } });
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    await prisma.team.delete({ where: { id: teamId } });
+
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para criar treinamento
+app.post('/api/trainings', authenticateToken, async (req, res) => {
+  let file = null;
+  try {
+    const parsed = await parseMultipart(req);
+    file = parsed.file;
+    const fields = parsed.fields;
+    const { title, description, categoryId, links, isPublic } = fields;
+    const userId = req.userId;
+
+    if (!title || !description || !categoryId) {
+      await discardUpload(file);
+      return res.status(400).json({ error: 'Título, descrição e categoria são obrigatórios.' });
+    }
+
+    const linksArray = Array.isArray(links) ? links : (links ? [links] : []);
+
+    const storedName = file.storedName;
+
+    const training = await prisma.training.create({
+      data: {
+        title,
+        description,
+        imageName: storedName,
+        originalFileName: file.originalname,
+        fileType: file.mimetype,
+        categoryId: +categoryId,
+        ownerId: userId,
+        isPublic: toBoolean(isPublic),
+        trainingLinks: {
+          create: linksArray.map((link) => ({ url: link })),
+        },
+        tags: connectTags(parseTagNames(fields.tags)),
+      },
+      include: {
+        trainingLinks: true,
+        tags: tagSelect,
+      }
+    });
+
+    res.status(201).json(training);
+  } catch (error) {
+    console.error('Erro ao criar treinamento:', error);
+    await discardUpload(file);
+    const status = uploadErrorStatus(error);
+    const message = status === 500 ? 'Falha no upload do arquivo' : error.message;
+    res.status(status).json({ error: message, details: error.message });
+  }
+});
+
+// Rota para obter treinamentos
+app.get('/api/trainings', authenticateToken, async (req, res) => {
+  try {
+    const { categoryId, tags } = req.query;
+    const userId = req.userId;
+    const userRole = req.userRole;
+
+    let filter = { where: { AND: [categoryId ? { categoryId: +categoryId } : {}, ...tagsFilter(tags), { deletedAt: null }] } };
+    
+    // Se não for admin, filtrar apenas treinamentos públicos ou com acesso
+    if (userRole !== 'ADMIN') {
+      filter = {
+        where: {
+          AND: [
+            categoryId ? { categoryId: +categoryId } : {},
+            ...tagsFilter(tags),
+            { deletedAt: null },
+            {
+              OR: [
+                { isPublic: true },
+                { ownerId: userId },
+                {
+                  sharedWith: {
+                    some: {
+                      userId: userId,
+                      canView: true
+                    }
+                  }
+                }
+              ]
+            }
+          ]
+        }
+      };
+    }
+
+    const trainings = await prisma.training.findMany({
+      ...filter,
+      include: {
+        trainingLinks: true,
+        category: true,
+        tags: tagSelect,
+        owner: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        }
+      },
+    });
+
+    await Promise.all(trainings.map(async (training) => {
+      if (training.imageName) {
+        training.imageUrl = await getObjectSignedUrl(training.imageName);
+      }
+    }));
+
+    res.json(trainings);
+  } catch (error) {
+    console.error('Erro ao buscar treinamentos:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Rota para obter a imagem de um treinamento
+app.get("/api/trainings/:id/image", authenticateToken, checkTrainingAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+
+    const training = await prisma.training.findUnique({ where: { id } });
+    if (!training) {
+      return res.status(404).json({ error: "Treinamento n?o encontrado" });
+    }
+
+    if (!training.imageName) {
+      return res.status(404).json({ error: "Nenhuma imagem associada a este treinamento" });
+    }
+
+    const imageUrl = await getObjectSignedUrl(training.imageName);
+    res.json({ 
+      url: imageUrl, 
+      originalFileName: training.originalFileName, 
+      fileType: training.fileType 
+    });
+  } catch (error) {
+    console.error("Erro na rota de imagem do treinamento:", error);
+    res.status(500).json({ error: "Erro interno do servidor" });
+  }
+});
+
+// Rota para download do arquivo de treinamento
+app.get("/api/trainings/:id/download", authenticateToken, checkTrainingAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    const training = await prisma.training.findUnique({ where: { id } });
+
+    if (!training) {
+      return res.status(404).json({ error: "Treinamento n?o encontrado" });
+    }
+
+    if (!training.imageName) {
+      return res.status(404).json({ error: "Nenhum arquivo associado a este treinamento" });
+    }
+
+    const fileUrl = await getObjectSignedUrl(training.imageName);
+    res.json({ 
+      url: fileUrl, 
+      originalFileName: training.originalFileName, 
+      fileType: training.fileType 
+    });
+  } catch (error) {
+    console.error("Erro no download do treinamento:", error);
+    res.status(500).json({ error: "Erro ao gerar URL de download" });
+  }
+});
+
+// Exclui definitivamente um treinamento, com links, compartilhamentos e o arquivo no S3
+const purgeTraining = async (training) => {
+  // Excluir links associados
+  await prisma.trainingLink.deleteMany({
+    where: { trainingId: training.id }
+  });
+  
+  // Excluir compartilhamentos associados
+  await prisma.sharedAccess.deleteMany({
+    where: { trainingId: training.id }
+  });
+  
+  // Excluir o arquivo salvo no S3, se existir
+  if (training.imageName) {
+    try {
+      await deleteFile(training.imageName);
+    } catch (err) {
+      console.warn('Falha ao remover arquivo do S3 para treinamento:', err.message);
+    }
+  }
+  
+  // Excluir o treinamento
+  await prisma.training.delete({ where: { id: training.id } });
+};
+
+// Rota para mover um treinamento para a lixeira
+app.delete("/api/trainings/:id", authenticateToken, checkTrainingAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    
+    await prisma.training.update({
+      where: { id },
+      data: { deletedAt: new Date(), deletedById: req.userId }
+    });
+    
+    res.json({ message: "Treinamento movido para a lixeira" });
+  } catch (error) {
+    console.error("Erro ao excluir treinamento:", error);
+    res.status(500).json({ error: "Erro interno do servidor" });
+  }
+});
+
+app.patch("/api/trainings/:id/visibility", authenticateToken, checkTrainingAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    const { isPublic } = req.body;
+    
+    if (isPublic === undefined) {
+      return res.status(400).json({ error: "isPublic field is required" });
+    }
+    
+    const training = await prisma.training.update({
+      where: { id },
+      data: { isPublic: Boolean(isPublic) }
+    });
+    
+    res.json(training);
+  } catch (error) {
+    console.error("Update visibility error:", error);
+    res.status(500).json({ error: "Error updating training visibility" });
+  }
+});
+
+// Rota para compartilhar um treinamento com outro usuário
+app.post("/api/trainings/:id/share", authenticateToken, checkTrainingAccess, async (req, res) => {
+  try {
+    const trainingId = asNumber(req.params.id);
+    const { userEmail, canView, canEdit, canDelete } = req.body;
+    
+    if (!userEmail) {
+      return res.status(400).json({ error: "User email is required" });
+    }
+    
+    // Verificar se o usuário existe
+    const targetUser = await prisma.profile.findUnique({
+      where: { email: userEmail }
+    });
+    
+    // Contas com email não confirmado não podem receber compartilhamentos
+    if (!targetUser || !targetUser.verifiedAt) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    
+    // Verificar se já existe um compartilhamento
+    const existingShare = await prisma.sharedAccess.findFirst({
+      where: {
+        trainingId,
+        userId: targetUser.id
+      }
+    });
+    
+    if (existingShare) {
+      // Atualizar permissões existentes
+      const updatedShare = await prisma.sharedAccess.update({
+        where: { id: existingShare.id },
+        data: {
+          canView: canView ?? existingShare.canView,
+          canEdit: canEdit ?? existingShare.canEdit,
+          canDelete: canDelete ?? existingShare.canDelete
+        }
+      });
+      
+      return res.json(updatedShare);
+    }
+    
+    // Criar novo compartilhamento
+    const newShare = await prisma.sharedAccess.create({
+      data: {
+        trainingId,
+        userId: targetUser.id,
+        canView: canView ?? true,
+        canEdit: canEdit ?? false,
+        canDelete: canDelete ?? false
+      }
+    });
+    
+    res.status(201).json(newShare);
+  } catch (error) {
+    console.error("Share error:", error);
+    res.status(500).json({ error: "Error sharing training" });
+  }
+});
+
+// Rota para remover compartilhamento de um treinamento
+app.delete("/api/trainings/:id/share/:userId", authenticateToken, checkTrainingAccess, async (req, res) => {
+  try {
+    const trainingId = asNumber(req.params.id);
+    const userId = asNumber(req.params.userId);
+    
+    const deletedShare = await prisma.sharedAccess.deleteMany({
+      where: {
+        trainingId,
+        userId
+      }
+    });
+    
+    res.json({ message: "Share removed successfully" });
+  } catch (error) {
+    console.error("Remove share error:", error);
+    res.status(500).json({ error: "Error removing share" });
+  }
+});
+
+// Lixeira: itens excluídos ficam guardados até a exclusão definitiva ou o fim do período de retenção.
+// Cada usuário vê o que excluiu e o que é seu; admins podem ver a lixeira de todos (?all=true).
+const trashModels = { posts: prisma.posts, trainings: prisma.training };
+const personSelect = { select: { id: true, name: true, email: true } };
+
+const purgeTrashedItem = (type, item) => (type === 'posts' ? purgePost(item) : purgeTraining(item));
+
+const trashOwnerFilter = (req) => ({ OR: [{ ownerId: req.userId }, { deletedById: req.userId }] });
+
+// Exclui definitivamente os posts e treinamentos da lixeira que atendem ao filtro
+const purgeTrash = async (where) => {
+  const [posts, trainings] = await Promise.all([
+    prisma.posts.findMany({ where }),
+    prisma.training.findMany({ where })
+  ]);
+
+  for (const post of posts) {
+    await purgePost(post);
+  }
+  for (const training of trainings) {
+    await purgeTraining(training);
+  }
+
+  return { posts: posts.length, trainings: trainings.length };
+};
+
+// Remove o que está na lixeira há mais tempo que TRASH_RETENTION_DAYS
+const purgeExpiredTrash = () => {
+  const cutoff = new Date(Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000);
+  return purgeTrash({ deletedAt: { lt: cutoff } });
+};
+
+// Middleware para itens da lixeira: podem restaurar ou excluir o dono, quem excluiu e os admins
+const checkTrashAccess = async (req, res, next) => {
+  try {
+    const model = Object.hasOwn(trashModels, req.params.type) ? trashModels[req.params.type] : null;
+    if (!model) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const item = await model.findUnique({ where: { id: asNumber(req.params.id) } });
+    if (!item || !item.deletedAt) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+
+    if (req.userRole !== 'ADMIN' && item.ownerId !== req.userId && item.deletedById !== req.userId) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to access this resource' });
+    }
+
+    req.trashedItem = item;
+    next();
+  } catch (error) {
+    console.error('Error checking trash access:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Rota para listar a lixeira
+app.get("/api/trash", authenticateToken, async (req, res) => {
+  try {
+    const all = req.query.all === 'true';
+    if (all && req.userRole !== 'ADMIN') {
+      return res.status(403).json({ error: 'Forbidden: Only admins can view every trash' });
+    }
+
+    const where = { AND: [{ deletedAt: { not: null } }, all ? {} : trashOwnerFilter(req)] };
+    const [posts, trainings] = await Promise.all([
+      prisma.posts.findMany({
+        where,
+        orderBy: { deletedAt: 'desc' },
+        include: { category: true, owner: personSelect, deletedBy: personSelect, folder: { select: { id: true, name: true } } }
+      }),
+      prisma.training.findMany({
+        where,
+        orderBy: { deletedAt: 'desc' },
+        include: { category: true, owner: personSelect, deletedBy: personSelect }
+      })
+    ]);
+
+    res.json({ posts, trainings, retentionDays: trashRetentionDays });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    res.status(500).json({ error: "Error fetching trash" });
+  }
+});
+
+// Rota para restaurar um item da lixeira (um post cuja pasta foi excluída volta para a raiz)
+app.post("/api/trash/:type/:id/restore", authenticateToken, checkTrashAccess, async (req, res) => {
+  try {
+    const restored = await trashModels[req.params.type].update({
+      where: { id: req.trashedItem.id },
+      data: { deletedAt: null, deletedById: null }
+    });
+
+    res.json(restored);
+  } catch (error) {
+    console.error("Trash restore error:", error);
+    res.status(500).json({ error: "Error restoring item" });
+  }
+});
+
+// Rota para excluir definitivamente um item da lixeira
+app.delete("/api/trash/:type/:id", authenticateToken, checkTrashAccess, async (req, res) => {
+  try {
+    await purgeTrashedItem(req.params.type, req.trashedItem);
+    res.json({ message: "Item deleted permanently" });
+  } catch (error) {
+    console.error("Trash delete error:", error);
+    res.status(500).json({ error: "Error deleting item" });
+  }
+});
+
+// Rota para esvaziar a lixeira do usuário
+app.delete("/api/trash", authenticateToken, async (req, res) => {
+  try {
+    const purged = await purgeTrash({ AND: [{ deletedAt: { not: null } }, trashOwnerFilter(req)] });
+    res.json(purged);
+  } catch (error) {
+    console.error("Empty trash error:", error);
+    res.status(500).json({ error: "Error emptying trash" });
+  }
+});
+
+// Rota para listar etiquetas (autocompletar com ?q=) com a quantidade de itens em cada uma
+app.get("/api/tags", authenticateToken, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+    const permissions = await loadPermissions(req);
+
+    // Quem gerencia etiquetas vê todas, com o total de itens; os demais só as etiquetas
+    // e contagens dos itens que podem ver (fora da lixeira)
+    let itemFilter = null;
+    if (!permissions.includes('tags:manage')) {
+      const visibleFolderIds = await getVisibleFolderIds(req);
+      itemFilter = {
+        posts: { deletedAt: null, ...postVisibilityFilter(req, visibleFolderIds) },
+        trainings: { deletedAt: null, ...trainingVisibilityFilter(req) }
+      };
+    }
+
+    const tags = await prisma.tag.findMany({
+      where: {
+        AND: [
+          q ? { name: { contains: q } } : {},
+          itemFilter
+            ? { OR: [{ posts: { some: itemFilter.posts } }, { trainings: { some: itemFilter.trainings } }] }
+            : {}
+        ]
+      },
+      orderBy: { name: 'asc' },
+      take: q ? 10 : undefined,
+      include: {
+        _count: {
+          select: itemFilter
+            ? { posts: { where: itemFilter.posts }, trainings: { where: itemFilter.trainings } }
+            : { posts: true, trainings: true }
+        }
+      }
+    });
+
+    res.json(tags);
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    res.status(500).json({ error: "Error fetching tags" });
+  }
+});
+
+// Rota para renomear uma etiqueta; se o novo nome já existir, a etiqueta deve ser mesclada
+app.patch("/api/tags/:id", authenticateToken, requirePermission('tags:manage'), async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    const [name] = parseTagNames(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: "Tag name is required" });
+    }
+
+    const tag = await prisma.tag.findUnique({ where: { id } });
+    if (!tag) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+
+    const existing = await prisma.tag.findUnique({ where: { name } });
+    if (existing && existing.id !== id) {
+      return res.status(409).json({ error: "Tag already exists", code: 'TAG_EXISTS', targetId: existing.id });
+    }
+
+    const updated = await prisma.tag.update({
+      where: { id },
+      data: { name }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error("Rename tag error:", error);
+    res.status(500).json({ error: "Error renaming tag" });
+  }
+});
+
+// Rota para mesclar uma etiqueta em outra: os itens passam para a de destino e a de origem é removida
+app.post("/api/tags/:id/merge", authenticateToken, requirePermission('tags:manage'), async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+    const targetId = asNumber(req.body.targetId);
+
+    if (!targetId || targetId === id) {
+      return res.status(400).json({ error: "A different target tag is required" });
+    }
+
+    const merged = await prisma.$transaction(async (tx) => {
+      const [source, target] = await Promise.all([
+        tx.tag.findUnique({
+          where: { id },
+          include: { posts: { select: { id: true } }, trainings: { select: { id: true } } }
+        }),
+        tx.tag.findUnique({ where: { id: targetId } })
+      ]);
+
+      if (!source || !target) {
+        return null;
+      }
+
+      await tx.tag.update({
+        where: { id: targetId },
+        data: {
+          posts: { connect: source.posts },
+          trainings: { connect: source.trainings }
+        }
+      });
+      await tx.tag.delete({ where: { id } });
+
+      return tx.tag.findUnique({
+        where: { id: targetId },
+        include: { _count: { select: { posts: true, trainings: true } } }
+      });
+    });
+
+    if (!merged) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+
+    res.json(merged);
+  } catch (error) {
+    console.error("Merge tag error:", error);
+    res.status(500).json({ error: "Error merging tags" });
+  }
+});
+
+// Rota para remover uma etiqueta de todos os itens
+app.delete("/api/tags/:id", authenticateToken, requirePermission('tags:manage'), async (req, res) => {
+  try {
+    const { count } = await prisma.tag.deleteMany({ where: { id: asNumber(req.params.id) } });
+    if (count === 0) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+
+    res.json({ message: "Tag deleted successfully" });
+  } catch (error) {
+    console.error("Delete tag error:", error);
+    res.status(500).json({ error: "Error deleting tag" });
+  }
+});
+
+// Rota para obter categorias
+app.get("/api/categories", async (_req, res) => {
+  try {
+    const categories = await prisma.category.findMany();
+    res.send(categories);
+  } catch (error) {
+    console.error("Erro ao listar categorias:", error);
+    res.status(500).json({ error: "Erro ao listar categorias" });
+  }
+});
+
+// Criar categoria (apenas admin)
+app.post("/api/categories", authenticateToken, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: "Nome da categoria é obrigatório" });
+    }
+
+    const existing = await prisma.category.findFirst({
+      where: { name: { equals: name.trim(), mode: 'insensitive' } }
+    });
+
+    if (existing) {
+      return res.status(409).json({ error: "Categoria já existe" });
+    }
+
+    const category = await prisma.category.create({
+      data: { name: name.trim() }
+    });
+
+    res.status(201).json(category);
+  } catch (error) {
+    console.error("Erro ao criar categoria:", error);
+    res.status(500).json({ error: "Erro interno ao criar categoria" });
+  }
+});
+
+// Deletar categoria (apenas admin)
+app.delete("/api/categories/:id", authenticateToken, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const id = asNumber(req.params.id);
+
+    const inUse = await prisma.posts.findFirst({ where: { categoryId: id } }) ||
+                  await prisma.training.findFirst({ where: { categoryId: id } });
+    if (inUse) {
+      return res.status(400).json({ error: "Categoria em uso e não pode ser removida" });
+    }
+
+    await prisma.category.delete({ where: { id } });
+    res.json({ message: "Categoria removida" });
+  } catch (error) {
+    console.error("Erro ao remover categoria:", error);
+    res.status(500).json({ error: "Erro interno ao remover categoria" });
+  }
+});
+
+// Rota para obter a imagem de um post
+app.get("/api/posts/:id/image", authenticateToken, checkPostAccess, async (req, res) => {
+  try {
+    const id = asNumber(req.params.id)
+
+    const post = await prisma.posts.findUnique({ where: { id } });
     if (!post) {
-      return res.status(404).json({ error: "File not found" });
+      return res.status(404).json({ error: "Post n?o encontrado" });
+    }
+
+    const imageUrl = await getObjectSignedUrl(post.imageName);
+    res.json({ url: imageUrl });
+  } catch (error) {
+    console.error("Erro na rota de imagem:", error);
+    res.status(500).json({ error: "Erro interno do servidor" });
+  }
+});
+
+app.post('/api/signup', async (req, res) => {
+  const { email, password, name, inviteToken } = req.body;
+
+  if (!email || !password || !name) {
+    return res.status(400).json({ error: 'Email, password and name are required' });
+  }
+
+  if (!emailRegex.test(email)) {
+    return res.status(400).json({ error: 'Email inválido' });
+  }
+
+  const existingProfile = await prisma.profile.findUnique({
+    where: { email },
+  });
+
+  // Um cadastro nunca confirmado não bloqueia o endereço: quem controla a caixa de email pode reivindicá-lo
+  if (existingProfile && existingProfile.verifiedAt) {
+    return res.status(400).json({ error: 'Email already exists' });
+  }
+
+  try {
+    // Um convite válido libera o cadastro em qualquer modo
+    const invite = inviteToken ? await findUsableInvite(inviteToken) : null;
+
+    if (inviteToken && !invite) {
+      return res.status(400).json({ error: 'Convite inválido ou expirado', code: 'INVITE_INVALID' });
+    }
+
+    if (invite?.email && invite.email.toLowerCase() !== email.toLowerCase()) {
+      return res.status(400).json({ error: 'Este convite foi emitido para outro email', code: 'INVITE_EMAIL_MISMATCH' });
+    }
+
+    const denied = invite ? null : await registrationDenied(email);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error, code: denied.code });
+    }
+
+    // Consome o convite antes de criar a conta para impedir que seja usado duas vezes
+    if (invite) {
+      const { count } = await prisma.invite.updateMany({
+        where: { id: invite.id, usedAt: null, revokedAt: null },
+        data: { usedAt: new Date(), usedByEmail: email }
+      });
+
+      if (count === 0) {
+        return res.status(400).json({ error: 'Convite inválido ou expirado', code: 'INVITE_INVALID' });
+      }
+    }
+
+    const role = invite?.role || 'USER'; // Por padrão, novos usuários são criados com papel USER
+    const passwordHash = await hashPassword(password);
+
+    // Um cadastro pendente não tem seus dados sobrescritos aqui (qualquer um poderia trocar a senha de
+    // uma conta alheia ainda não confirmada): os novos dados vão com o link e valem só quando ele é usado
+    if (existingProfile) {
+      await sendEmailVerification(existingProfile, email, { name, passwordHash, role });
+      return res.status(201).json({ message: 'User created successfully. Check your email to verify your account' });
+    }
+
+    const profile = await prisma.profile.create({
+      data: {
+        email,
+        password: passwordHash,
+        name,
+        role,
+        permissions: role === 'USER'
+          ? { create: DEFAULT_USER_PERMISSIONS.map((permission) => ({ name: permission })) }
+          : undefined
+      }
+    });
+
+    await sendEmailVerification(profile);
+
+    return res.status(201).json({ message: 'User created successfully. Check your email to verify your account' });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para confirmar o email a partir do token enviado no cadastro
+app.post('/api/email/verify', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Token é obrigatório' });
+  }
+
+  try {
+    const verificationToken = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { profile: true }
+    });
+
+    // O token só vale para o endereço para o qual foi enviado (o atual ou o novo, em uma troca de email)
+    const isEmailChange = Boolean(verificationToken) && verificationToken.email === verificationToken.profile.pendingEmail;
+    if (
+      !verificationToken ||
+      verificationToken.usedAt ||
+      verificationToken.expiresAt < new Date() ||
+      (verificationToken.email !== verificationToken.profile.email && !isEmailChange)
+    ) {
+      return res.status(400).json({ error: 'Link de confirmação inválido ou expirado' });
+    }
+
+    // O novo endereço pode ter sido cadastrado por outra conta enquanto a troca estava pendente
+    if (isEmailChange && await prisma.profile.findUnique({ where: { email: verificationToken.email } })) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+
+    const { count } = await prisma.emailVerificationToken.updateMany({
+      where: { id: verificationToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({ error: 'Link de confirmação inválido ou expirado' });
+    }
+
+    const profileId = verificationToken.profileId;
+
+    if (isEmailChange) {
+      await prisma.profile.update({
+        where: { id: profileId },
+        data: { email: verificationToken.email, pendingEmail: null, verifiedAt: new Date() }
+      });
+    } else {
+      // Vários links do cadastro podem estar válidos ao mesmo tempo: só o primeiro usado confirma a conta
+      const confirmed = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.profile.updateMany({
+          where: { id: profileId, verifiedAt: null },
+          data: { verifiedAt: new Date() }
+        });
+
+        if (count === 0) {
+          return false;
+        }
+
+        // Um link de novo cadastro sobre o endereço pendente aplica os dados informados nesse cadastro e
+        // descarta tudo o que o cadastro anterior deixou na conta (vínculo SSO, TOTP, sessões e tokens)
+        if (verificationToken.passwordHash) {
+          await tx.session.deleteMany({ where: { profileId } });
+          await tx.apiToken.deleteMany({ where: { profileId } });
+          await tx.recoveryCode.deleteMany({ where: { profileId } });
+          await tx.profile.update({
+            where: { id: profileId },
+            data: {
+              password: verificationToken.passwordHash,
+              name: verificationToken.name,
+              role: verificationToken.role,
+              oidcSubject: null,
+              totpSecret: null,
+              totpEnabledAt: null,
+              totpLastUsedStep: null
+            }
+          });
+        }
+
+        await tx.emailVerificationToken.updateMany({
+          where: { profileId, usedAt: null, email: verificationToken.email },
+          data: { usedAt: new Date() }
+        });
+
+        return true;
+      });
+
+      if (!confirmed) {
+        return res.status(400).json({ error: 'Link de confirmação inválido ou expirado' });
+      }
+    }
+
+    return res.json({ message: 'Email confirmado com sucesso' });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para reenviar o email de confirmação
+app.post('/api/email/resend', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || !emailRegex.test(email)) {
+    return res.status(400).json({ error: 'Email inválido' });
+  }
+
+  const genericResponse = { message: 'Se houver um cadastro pendente para este email, um novo link de confirmação foi enviado' };
+
+  try {
+    const profile = await prisma.profile.findUnique({ where: { email } });
+
+    if (!profile || profile.verifiedAt) {
+      return res.json(genericResponse);
     }
 
-    const url = await getObjectSignedUrl(post.imageName);
-    return res.json({ 
-      url,
-      originalFileName: post.originalFileName,
-      fileType: post.fileType 
+    // Evita reenvios em sequência para o mesmo endereço
+    const lastToken = await prisma.emailVerificationToken.findFirst({
+      where: { profileId: profile.id },
+      orderBy: { createdAt: 'desc' }
     });
+
+    if (lastToken && Date.now() - lastToken.createdAt.getTime() < 60 * 1000) {
+      return res.status(429).json({ error: 'Aguarde um minuto antes de solicitar um novo email' });
+    }
+
+    await sendEmailVerification(profile);
+
+    return res.json(genericResponse);
   } catch (error) {
-    console.error("Download error:", error);
-    res.status(500).json({ error: "Error downloading file" });
+    console.error('Error resending verification email:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para deletar posts (exige autenticação e verificação de acesso)
-app.delete("/api/posts/:id", authenticateToken, checkPostAccess, async (req, res) => {
-  const id = asNumber(req.params.id);
-  
+// Rota para login de usuários
+app.post('/api/login', async (req, res) => {
+  const { email, password } = req.body;
+
+  if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+
   try {
-    const post = await prisma.posts.findUnique({ where: { id } });
-    
-    if (!post) {
-      return res.status(404).json({ error: "Post not found" });
+    const profile = await prisma.profile.findUnique({
+      where: { email },
+    });
+
+    // Conta ou IP bloqueados: recusa sem sequer conferir a senha
+    const block = await reserveLoginAttempt(req, { email, profile });
+    if (block) {
+      return rejectBlockedLogin(res, block);
     }
 
-    // Excluir compartilhamentos associados
-    await prisma.sharedAccess.deleteMany({
-      where: { postId: id }
+    const { valid, needsRehash } = await verifyPassword(password, profile?.password);
+
+    if (!profile || !valid) {
+      await registerLoginFailure(req, { profile, reason: profile ? 'INVALID_PASSWORD' : 'UNKNOWN_EMAIL' });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (!profile.verifiedAt) {
+      await releaseLoginAttempt(req);
+      return res.status(403).json({ error: 'Email not verified', code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    // Contas antigas com senha em texto puro são migradas para bcrypt no primeiro login
+    if (needsRehash) {
+      await prisma.profile.update({
+        where: { id: profile.id },
+        data: { password: await hashPassword(password) }
+      });
+    }
+
+    return finishLogin(req, res, profile);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Login via OpenID Connect: indica ao frontend se o SSO está configurado
+app.get('/api/auth/oidc/config', (_req, res) => {
+  res.json({ enabled: oidcEnabled, label: oidcLabel });
+});
+
+// Inicia o login via SSO (authorization code + PKCE) e devolve a URL do provedor.
+// A chave do navegador fica no sessionStorage de quem iniciou o login e é exigida no retorno,
+// para que um `state` obtido por outra pessoa não abra sessão em outro navegador
+app.post('/api/auth/oidc/start', async (req, res) => {
+  if (!oidcEnabled) {
+    return res.status(404).json({ error: 'SSO is not configured' });
+  }
+
+  try {
+    const { authorizationUrl, state, nonce, codeVerifier } = await createAuthorizationRequest();
+    const browserKey = crypto.randomBytes(32).toString('base64url');
+
+    await prisma.oidcLoginRequest.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+    await prisma.oidcLoginRequest.create({
+      data: {
+        state,
+        nonce,
+        codeVerifier,
+        browserKeyHash: hashToken(browserKey),
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+      }
     });
-    
-    // Excluir o arquivo no S3
+
+    return res.json({ authorizationUrl, browserKey });
+  } catch (error) {
+    console.error('Error starting SSO login:', error);
+    return res.status(502).json({ error: 'Identity provider unavailable' });
+  }
+});
+
+// Retorno do provedor: valida o código, provisiona/atualiza o usuário e abre a sessão
+app.post('/api/auth/oidc/callback', async (req, res) => {
+  const { code, state, browserKey } = req.body;
+
+  if (!oidcEnabled) {
+    return res.status(404).json({ error: 'SSO is not configured' });
+  }
+
+  if (typeof code !== 'string' || typeof state !== 'string') {
+    return res.status(400).json({ error: 'Code and state are required' });
+  }
+
+  if (typeof browserKey !== 'string' || !browserKey) {
+    return res.status(400).json({ error: 'SSO login was not started in this browser' });
+  }
+
+  try {
+    // Cada `state` só pode ser usado uma vez
+    const loginRequest = await prisma.oidcLoginRequest.findUnique({ where: { state } });
+    const { count } = loginRequest
+      ? await prisma.oidcLoginRequest.deleteMany({ where: { id: loginRequest.id } })
+      : { count: 0 };
+
+    if (count === 0 || loginRequest.expiresAt < new Date()) {
+      return res.status(400).json({ error: 'SSO login expired. Please try again' });
+    }
+
+    if (hashToken(browserKey) !== loginRequest.browserKeyHash) {
+      return res.status(400).json({ error: 'SSO login was not started in this browser' });
+    }
+
+    let claims;
     try {
-      await deleteFile(post.imageName);
-    } catch (err) {
-      console.warn('Falha ao remover arquivo do S3:', err.message);
+      claims = await completeAuthorization({ code, state }, loginRequest);
+    } catch (error) {
+      console.error('Error validating SSO response:', error);
+      return res.status(401).json({ error: 'SSO login failed' });
     }
-    
-    // Excluir o post
-    await prisma.posts.delete({ where: { id } });
-    
-    res.send(post);
+
+    if (!claims.email || !emailRegex.test(claims.email)) {
+      return res.status(400).json({ error: 'The identity provider did not return a valid email' });
+    }
+
+    let profile = await prisma.profile.findUnique({ where: { oidcSubject: claims.sub } });
+
+    if (!profile) {
+      const existingProfile = await prisma.profile.findUnique({ where: { email: claims.email } });
+
+      if (existingProfile) {
+        // Só vincula uma conta local se o provedor garantir a posse do email
+        if (claims.email_verified !== true) {
+          return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        profile = await prisma.profile.update({
+          where: { id: existingProfile.id },
+          data: { oidcSubject: claims.sub, verifiedAt: existingProfile.verifiedAt ?? new Date() }
+        });
+      } else {
+        // Só provisiona quando o provedor garante a posse do email: o vínculo com o `sub` não pode
+        // ficar numa conta pendente que o dono real do endereço venha a confirmar depois
+        if (claims.email_verified !== true) {
+          return res.status(403).json({ error: 'The identity provider did not verify this email', code: 'SSO_EMAIL_NOT_VERIFIED' });
+        }
+
+        // Primeiro acesso: segue o mesmo modo de cadastro do /api/signup. Sem o link do convite,
+        // vale um convite pendente emitido para este email (consumido aqui)
+        const invite = await prisma.invite.findFirst({
+          where: { email: claims.email, usedAt: null, revokedAt: null, expiresAt: { gt: new Date() } }
+        });
+
+        const denied = invite ? null : await registrationDenied(claims.email);
+        if (denied) {
+          return res.status(denied.status).json({ error: denied.error, code: denied.code });
+        }
+
+        if (invite) {
+          const { count } = await prisma.invite.updateMany({
+            where: { id: invite.id, usedAt: null, revokedAt: null },
+            data: { usedAt: new Date(), usedByEmail: claims.email }
+          });
+
+          if (count === 0) {
+            return res.status(400).json({ error: 'Convite inválido ou expirado', code: 'INVITE_INVALID' });
+          }
+        }
+
+        // Provisiona o usuário
+        profile = await prisma.profile.create({
+          data: {
+            name: claims.name || claims.preferred_username || claims.email,
+            email: claims.email,
+            password: await hashPassword(randomPassword()),
+            role: roleFromClaims(claims) || invite?.role || 'USER',
+            verifiedAt: new Date(),
+            oidcSubject: claims.sub,
+            permissions: { create: DEFAULT_USER_PERMISSIONS.map((permission) => ({ name: permission })) }
+          }
+        });
+      }
+    }
+
+    if (!profile.verifiedAt) {
+      return res.status(403).json({ error: 'Email not verified', code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    // O grupo do provedor é a fonte do papel (quando o mapeamento está configurado)
+    const mappedRole = roleFromClaims(claims);
+    if (mappedRole && mappedRole !== profile.role) {
+      profile = await prisma.profile.update({
+        where: { id: profile.id },
+        data: { role: mappedRole }
+      });
+
+      if (mappedRole === 'USER') {
+        await prisma.permission.createMany({
+          data: DEFAULT_USER_PERMISSIONS.map((permission) => ({ profileId: profile.id, name: permission })),
+          skipDuplicates: true
+        });
+      }
+      await revokeAllSessions(profile.id);
+    }
+
+    return finishLogin(req, res, profile);
   } catch (error) {
-    console.error("Delete error:", error);
-    res.status(500).json({ error: "Error deleting post" });
+    console.error('Error completing SSO login:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para atualizar a visibilidade de um post
-app.patch("/api/posts/:id/visibility", authenticateToken, checkPostAccess, async (req, res) => {
+// Segunda etapa do login: valida o código TOTP (ou um código de recuperação)
+app.post('/api/login/mfa', async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+  const decoded = verifyMfaToken(mfaToken, 'mfa');
+
+  if (!decoded) {
+    return res.status(401).json({ error: 'Login session expired. Please sign in again' });
+  }
+
   try {
-    const id = asNumber(req.params.id);
-    const { isPublic } = req.body;
-    
-    if (isPublic === undefined) {
-      return res.status(400).json({ error: "isPublic field is required" });
+    const profile = await prisma.profile.findUnique({ where: { id: decoded.id } });
+
+    if (!profile || !profile.totpEnabledAt) {
+      return res.status(401).json({ error: 'Login session expired. Please sign in again' });
     }
-    
-    const post = await prisma.posts.update({
-      where: { id },
-      data: { isPublic: Boolean(isPublic) }
-    });
-    
-    res.json(post);
+
+    if (profile.suspendedAt) {
+      return rejectSuspendedLogin(req, res, profile);
+    }
+
+    // Falhas do código contam para o mesmo bloqueio da senha
+    const block = await reserveLoginAttempt(req, { email: profile.email, profile });
+    if (block) {
+      return rejectBlockedLogin(res, block);
+    }
+
+    if (!(await consumeMfaCode(profile, { code, recoveryCode }))) {
+      await registerLoginFailure(req, { profile, reason: 'INVALID_MFA_CODE' });
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await registerLoginSuccess(req, profile);
+    const { token, refreshToken } = await createSession(profile, req);
+
+    return res.json({ token, refreshToken });
   } catch (error) {
-    console.error("Update visibility error:", error);
-    res.status(500).json({ error: "Error updating post visibility" });
+    console.error('Error verifying MFA code:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para compartilhar um post com outro usuário
-app.post("/api/posts/:id/share", authenticateToken, checkPostAccess, async (req, res) => {
+// Cadastro obrigatório do TOTP durante o login (administradores)
+app.post('/api/login/mfa/setup', async (req, res) => {
+  const decoded = verifyMfaToken(req.body.mfaToken, 'mfa-setup');
+
+  if (!decoded) {
+    return res.status(401).json({ error: 'Login session expired. Please sign in again' });
+  }
+
   try {
-    const postId = asNumber(req.params.id);
-    const { userEmail, canView, canEdit, canDelete } = req.body;
-    
-    if (!userEmail) {
-      return res.status(400).json({ error: "User email is required" });
+    const profile = await prisma.profile.findUnique({ where: { id: decoded.id } });
+
+    if (!profile || profile.totpEnabledAt) {
+      return res.status(401).json({ error: 'Login session expired. Please sign in again' });
     }
-    
-    // Verificar se o usuário existe
-    const targetUser = await prisma.profile.findUnique({
-      where: { email: userEmail }
+
+    return res.json(await startMfaEnrolment(profile));
+  } catch (error) {
+    console.error('Error starting MFA enrolment:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirma o cadastro do TOTP durante o login e abre a sessão
+app.post('/api/login/mfa/enable', async (req, res) => {
+  const { mfaToken, code } = req.body;
+  const decoded = verifyMfaToken(mfaToken, 'mfa-setup');
+
+  if (!decoded) {
+    return res.status(401).json({ error: 'Login session expired. Please sign in again' });
+  }
+
+  try {
+    const profile = await prisma.profile.findUnique({ where: { id: decoded.id } });
+
+    if (!profile || profile.totpEnabledAt || !profile.totpSecret) {
+      return res.status(401).json({ error: 'Login session expired. Please sign in again' });
+    }
+
+    if (profile.suspendedAt) {
+      return rejectSuspendedLogin(req, res, profile);
+    }
+
+    const block = await reserveLoginAttempt(req, { email: profile.email, profile });
+    if (block) {
+      return rejectBlockedLogin(res, block);
+    }
+
+    const recoveryCodes = await completeMfaEnrolment(profile, code);
+    if (!recoveryCodes) {
+      await registerLoginFailure(req, { profile, reason: 'INVALID_MFA_CODE' });
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await registerLoginSuccess(req, profile);
+    const { token, refreshToken } = await createSession(profile, req);
+
+    return res.json({ token, refreshToken, recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling MFA:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para renovar o access token (rotaciona o refresh token)
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const session = await prisma.session.findUnique({
+      where: { refreshTokenHash: hashToken(refreshToken) },
+      include: { profile: true }
     });
-    
-    if (!targetUser) {
-      return res.status(404).json({ error: "User not found" });
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
     }
-    
-    // Verificar se já existe um compartilhamento
-    const existingShare = await prisma.sharedAccess.findFirst({
-      where: {
-        postId,
-        userId: targetUser.id
+
+    if (session.profile.suspendedAt) {
+      return res.status(401).json({ error: 'Account suspended' });
+    }
+
+    const newRefreshToken = generateRefreshToken();
+    await prisma.session.update({
+      where: { id: session.id },
+      data: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshTokenExpiry()
       }
     });
-    
-    if (existingShare) {
-      // Atualizar permissões existentes
-      const updatedShare = await prisma.sharedAccess.update({
-        where: { id: existingShare.id },
-        data: {
-          canView: canView ?? existingShare.canView,
-          canEdit: canEdit ?? existingShare.canEdit,
-          canDelete: canDelete ?? existingShare.canDelete
-        }
-      });
-      
-      return res.json(updatedShare);
+
+    return res.json({
+      token: signAccessToken(session.profile, session.id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para logout (revoga a sessão do refresh token informado)
+app.post('/api/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    await prisma.session.updateMany({
+      where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para encerrar todas as sessões do usuário (todos os dispositivos)
+app.post('/api/logout/all', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await revokeAllSessions(req.userId);
+    return res.json({ message: 'All sessions revoked', revoked: count });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para solicitar a redefinição de senha por email
+app.post('/api/password/forgot', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || !emailRegex.test(email)) {
+    return res.status(400).json({ error: 'Email inválido' });
+  }
+
+  // A resposta é sempre a mesma para não revelar quais emails estão cadastrados
+  const genericResponse = { message: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha' };
+
+  try {
+    const profile = await prisma.profile.findUnique({ where: { email } });
+
+    if (!profile) {
+      return res.json(genericResponse);
     }
-    
-    // Criar novo compartilhamento
-    const newShare = await prisma.sharedAccess.create({
-      data: {
-        postId,
-        userId: targetUser.id,
-        canView: canView ?? true,
-        canEdit: canEdit ?? false,
-        canDelete: canDelete ?? false
+
+    // Invalida links anteriores ainda não utilizados
+    await prisma.passwordResetToken.updateMany({
+      where: { profileId: profile.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    const resetToken = crypto.randomBytes(32).toString('base64url');
+    await prisma.passwordResetToken.create({
+      data: {
+        profileId: profile.id,
+        tokenHash: hashToken(resetToken),
+        expiresAt: new Date(Date.now() + passwordResetTtlMinutes * 60 * 1000)
       }
     });
-    
-    res.status(201).json(newShare);
+
+    const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(resetToken)}`;
+    await sendPasswordResetEmail(profile, resetUrl, passwordResetTtlMinutes);
+
+    return res.json(genericResponse);
   } catch (error) {
-    console.error("Share error:", error);
-    res.status(500).json({ error: "Error sharing post" });
+    console.error('Error requesting password reset:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para listar usuários com quem o post está compartilhado
-app.get("/api/posts/:id/shared", authenticateToken, async (req, res) => {
-  try {
-    const postId = asNumber(req.params.id);
-    const userId = req.userId;
-    const userRole = req.userRole;
+// Rota para redefinir a senha a partir do token enviado por email
+app.post('/api/password/reset', async (req, res) => {
+  const { token, password } = req.body;
 
-    const post = await prisma.posts.findUnique({
-      where: { id: postId },
-      select: { id: true, ownerId: true }
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Token e nova senha são obrigatórios' });
+  }
+
+  if (!passwordRegex.test(password)) {
+    return res.status(400).json({ error: 'A senha deve ter no mínimo 8 caracteres, incluindo maiúsculas, minúsculas e números' });
+  }
+
+  try {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) }
     });
 
-    if (!post) {
-      return res.status(404).json({ error: "Post not found" });
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res.status(400).json({ error: 'Link de redefinição inválido ou expirado' });
     }
 
-    if (userRole !== 'ADMIN' && post.ownerId !== userId) {
-      return res.status(403).json({ error: "Forbidden" });
+    // Marca o token como usado de forma atômica para impedir reuso concorrente
+    const { count } = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({ error: 'Link de redefinição inválido ou expirado' });
     }
 
-    const shares = await prisma.sharedAccess.findMany({
-      where: { postId },
+    // A redefinição comprova a posse do email, então também desbloqueia a conta
+    await prisma.profile.update({
+      where: { id: resetToken.profileId },
+      data: { password: await hashPassword(password), failedLoginCount: 0, lockedUntil: null }
     });
 
-    const userIds = shares.map((s) => s.userId);
-    const users = userIds.length
-      ? await prisma.profile.findMany({
-          where: { id: { in: userIds } },
-          select: { id: true, name: true, email: true }
-        })
-      : [];
-
-    const usersById = Object.fromEntries(users.map((u) => [u.id, u]));
-    const result = shares.map((share) => ({
-      id: share.id,
-      userId: share.userId,
-      canView: share.canView,
-      canEdit: share.canEdit,
-      canDelete: share.canDelete,
-      user: usersById[share.userId] || null
-    }));
+    // Encerra as sessões existentes: quem tinha a senha antiga perde o acesso
+    await revokeAllSessions(resetToken.profileId);
 
-    res.json(result);
+    return res.json({ message: 'Senha redefinida com sucesso' });
   } catch (error) {
-    console.error("List shared users error:", error);
-    res.status(500).json({ error: "Error fetching shared users" });
+    console.error('Error resetting password:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para remover compartilhamento de um post
-app.delete("/api/posts/:id/share/:userId", authenticateToken, checkPostAccess, async (req, res) => {
+// Rota para obter detalhes do perfil do usuário
+app.get("/api/user/profile", authenticateToken, async (req, res) => {
   try {
-    const postId = asNumber(req.params.id);
-    const userId = asNumber(req.params.userId);
-    
-    const deletedShare = await prisma.sharedAccess.deleteMany({
-      where: {
-        postId,
-        userId
+    const profile = await prisma.profile.findUnique({
+      where: { id: req.userId },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        pendingEmail: true,
+        role: true
       }
     });
-    
-    res.json({ message: "Share removed successfully" });
+
+    if (!profile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    res.json({
+      id: profile.id,
+      name: profile.name,
+      email: profile.email,
+      pendingEmail: profile.pendingEmail,
+      role: profile.role,
+      permissions: await loadPermissions(req)
+    });
   } catch (error) {
-    console.error("Remove share error:", error);
-    res.status(500).json({ error: "Error removing share" });
+    console.error('Error fetching user profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para obter ferramentas e licenças
-app.get("/api/tools", authenticateToken, async (req, res) => {
-  const tools = await prisma.tool.findMany();
-  res.send(tools);
-});
-
-// Rota para criar uma nova ferramenta/licença (atualizada)
-app.post("/api/tools", authenticateToken, async (req, res) => {
-  const { name, description, responsible, responsibleEmail, acquisitionDate, expirationDate } = req.body;
+// Rota para o usuário atualizar o próprio perfil (nome, email e senha)
+app.patch("/api/user/profile", authenticateToken, async (req, res) => {
+  const { name, email, currentPassword, newPassword } = req.body;
 
-  if (!name || !description || !responsible || !responsibleEmail || !acquisitionDate || !expirationDate) {
-    return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+    return res.status(400).json({ error: 'Nome inválido' });
   }
 
   // Validação básica de email
-  if (!emailRegex.test(responsibleEmail)) {
+  if (email !== undefined && (typeof email !== 'string' || !emailRegex.test(email))) {
     return res.status(400).json({ error: 'Email inválido' });
   }
 
+  if (newPassword !== undefined && (typeof newPassword !== 'string' || !passwordRegex.test(newPassword))) {
+    return res.status(400).json({ error: 'A senha deve ter no mínimo 8 caracteres, incluindo maiúsculas, minúsculas e números' });
+  }
+
   try {
-    const tool = await prisma.tool.create({
-      data: {
-        name,
-        description,
-        responsible,
-        responsibleEmail,
-        acquisitionDate: new Date(acquisitionDate),
-        expirationDate: new Date(expirationDate),
-      },
+    const profile = await prisma.profile.findUnique({ where: { id: req.userId } });
+
+    if (!profile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const data = {};
+    let emailChangeRequested = false;
+
+    if (name !== undefined) {
+      data.name = name.trim();
+    }
+
+    if (email !== undefined && email !== profile.email) {
+      const existingProfile = await prisma.profile.findUnique({ where: { email } });
+      if (existingProfile) {
+        return res.status(400).json({ error: 'Email already exists' });
+      }
+
+      // O email só é trocado depois que o novo endereço for confirmado
+      data.pendingEmail = email;
+      emailChangeRequested = email !== profile.pendingEmail;
+    } else if (email !== undefined) {
+      // Informar o email atual cancela uma troca pendente
+      data.pendingEmail = null;
+    }
+
+    // Trocar a senha ou o email exige a senha atual
+    if (newPassword !== undefined || data.pendingEmail) {
+      const { valid } = await verifyPassword(typeof currentPassword === 'string' ? currentPassword : '', profile.password);
+      if (!valid) {
+        return res.status(403).json({ error: 'Current password is incorrect' });
+      }
+    }
+
+    if (newPassword !== undefined) {
+      data.password = await hashPassword(newPassword);
+    }
+
+    const updatedProfile = await prisma.profile.update({
+      where: { id: profile.id },
+      data,
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        pendingEmail: true,
+        role: true
+      }
     });
 
-    res.status(201).send(tool);
+    if (emailChangeRequested) {
+      await sendEmailVerification(updatedProfile, updatedProfile.pendingEmail);
+    }
+
+    // A troca de senha encerra as demais sessões; a atual continua ativa
+    if (data.password) {
+      await prisma.session.updateMany({
+        where: { profileId: profile.id, revokedAt: null, id: { not: req.sessionId } },
+        data: { revokedAt: new Date() }
+      });
+    }
+
+    res.json(updatedProfile);
   } catch (error) {
-    console.error("Erro ao criar ferramenta:", error);
-    res.status(500).json({ error: 'Erro interno do servidor' });
+    console.error('Error updating user profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para atualizar uma ferramenta/licença (atualizada)
-app.put("/api/tools/:id", authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const { name, description, responsible, responsibleEmail, acquisitionDate, expirationDate } = req.body;
-
-  if (!name || !description || !responsible || !responsibleEmail || !acquisitionDate || !expirationDate) {
-    return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
-  }
+// Rota para consultar o estado da autenticação em duas etapas do usuário
+app.get("/api/user/mfa", authenticateToken, async (req, res) => {
+  try {
+    const profile = await prisma.profile.findUnique({ where: { id: req.userId } });
 
-  // Validação básica de email
-  if (!emailRegex.test(responsibleEmail)) {
-    return res.status(400).json({ error: 'Email inválido' });
-  }
+    if (!profile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
 
-  try {
-    const tool = await prisma.tool.update({
-      where: { id: Number(id) },
-      data: {
-        name,
-        description,
-        responsible,
-        responsibleEmail,
-        acquisitionDate: new Date(acquisitionDate),
-        expirationDate: new Date(expirationDate),
-      },
+    const recoveryCodesRemaining = await prisma.recoveryCode.count({
+      where: { profileId: profile.id, usedAt: null }
     });
 
-    res.send(tool);
+    res.json({
+      enabled: Boolean(profile.totpEnabledAt),
+      required: profile.role === 'ADMIN',
+      recoveryCodesRemaining
+    });
   } catch (error) {
-    console.error("Erro ao atualizar ferramenta:", error);
-    res.status(500).json({ error: 'Erro interno do servidor' });
+    console.error('Error fetching MFA status:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para deletar uma ferramenta/licença
-app.delete("/api/tools/:id", authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const tool = await prisma.tool.delete({
-    where: { id: Number(id) },
-  });
+// Inicia o cadastro do TOTP a partir da área do perfil
+app.post("/api/user/mfa/setup", authenticateToken, async (req, res) => {
+  try {
+    const profile = await prisma.profile.findUnique({ where: { id: req.userId } });
+
+    if (!profile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    if (profile.totpEnabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
 
-  res.send(tool);
+    res.json(await startMfaEnrolment(profile));
+  } catch (error) {
+    console.error('Error starting MFA enrolment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Rota para criar treinamento
-app.post('/api/trainings', authenticateToken, async (req, res) => {
+// Confirma o cadastro do TOTP e devolve os códigos de recuperação
+app.post("/api/user/mfa/enable", authenticateToken, async (req, res) => {
   try {
-    const { file, fields } = await parseMultipart(req);
-    const { title, description, categoryId, links, isPublic } = fields;
-    const userId = req.userId;
+    const profile = await prisma.profile.findUnique({ where: { id: req.userId } });
 
-    if (!title || !description || !categoryId) {
-      return res.status(400).json({ error: 'Título, descrição e categoria são obrigatórios.' });
+    if (!profile || !profile.totpSecret) {
+      return res.status(400).json({ error: 'Start the two-factor setup first' });
     }
 
-    const linksArray = Array.isArray(links) ? links : (links ? [links] : []);
-
-    const storedName = generateUniqueFileName(file.originalname);
-    await uploadFile(file.buffer, storedName, file.mimetype);
+    if (profile.totpEnabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
 
-    const training = await prisma.training.create({
-      data: {
-        title,
-        description,
-        imageName: storedName,
-        originalFileName: file.originalname,
-        fileType: file.mimetype,
-        categoryId: +categoryId,
-        ownerId: userId,
-        isPublic: toBoolean(isPublic),
-        trainingLinks: {
-          create: linksArray.map((link) => ({ url: link })),
-        },
-      },
-      include: {
-        trainingLinks: true,
-      }
-    });
+    const recoveryCodes = await completeMfaEnrolment(profile, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
 
-    res.status(201).json(training);
+    res.json({ recoveryCodes });
   } catch (error) {
-    console.error('Erro ao criar treinamento:', error);
-    const isNoFile = error.message === 'Nenhum arquivo enviado';
-    const message = isNoFile ? 'Nenhum arquivo enviado' : 'Falha no upload do arquivo';
-    res.status(isNoFile ? 400 : 500).json({ error: message, details: error.message });
+    console.error('Error enabling MFA:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para obter treinamentos
-app.get('/api/trainings', authenticateToken, async (req, res) => {
+// Gera um novo conjunto de códigos de recuperação (invalida os anteriores)
+app.post("/api/user/mfa/recovery-codes", authenticateToken, async (req, res) => {
   try {
-    const { categoryId } = req.query;
-    const userId = req.userId;
-    const userRole = req.userRole;
+    const profile = await prisma.profile.findUnique({ where: { id: req.userId } });
 
-    let filter = categoryId ? { where: { categoryId: +categoryId } } : {};
-    
-    // Se não for admin, filtrar apenas treinamentos públicos ou com acesso
-    if (userRole !== 'ADMIN') {
-      filter = {
-        where: {
-          AND: [
-            categoryId ? { categoryId: +categoryId } : {},
-            {
-              OR: [
-                { isPublic: true },
-                { ownerId: userId },
-                {
-                  sharedWith: {
-                    some: {
-                      userId: userId,
-                      canView: true
-                    }
-                  }
-                }
-              ]
-            }
-          ]
-        }
-      };
+    if (!profile || !profile.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
     }
 
-    const trainings = await prisma.training.findMany({
-      ...filter,
-      include: {
-        trainingLinks: true,
-        category: true,
-        owner: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        }
-      },
-    });
-
-    await Promise.all(trainings.map(async (training) => {
-      if (training.imageName) {
-        training.imageUrl = await getObjectSignedUrl(training.imageName);
-      }
-    }));
+    if (!(await consumeMfaCode(profile, { code: req.body.code }))) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
 
-    res.json(trainings);
+    const { codes, hashes } = generateRecoveryCodes();
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { profileId: profile.id } }),
+      prisma.recoveryCode.createMany({
+        data: hashes.map((codeHash) => ({ profileId: profile.id, codeHash }))
+      })
+    ]);
+
+    res.json({ recoveryCodes: codes });
   } catch (error) {
-    console.error('Erro ao buscar treinamentos:', error);
-    res.status(500).json({ error: 'Erro interno do servidor' });
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para obter a imagem de um treinamento
-app.get("/api/trainings/:id/image", authenticateToken, checkTrainingAccess, async (req, res) => {
+// Desativa o TOTP (não permitido para administradores)
+app.post("/api/user/mfa/disable", authenticateToken, async (req, res) => {
   try {
-    const id = asNumber(req.params.id);
+    const profile = await prisma.profile.findUnique({ where: { id: req.userId } });
 
-    const training = await prisma.training.findUnique({ where: { id } });
-    if (!training) {
-      return res.status(404).json({ error: "Treinamento n?o encontrado" });
+    if (!profile || !profile.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
     }
 
-    if (!training.imageName) {
-      return res.status(404).json({ error: "Nenhuma imagem associada a este treinamento" });
+    if (profile.role === 'ADMIN') {
+      return res.status(403).json({ error: 'Two-factor authentication is mandatory for administrators' });
     }
 
-    const imageUrl = await getObjectSignedUrl(training.imageName);
-    res.json({ 
-      url: imageUrl, 
-      originalFileName: training.originalFileName, 
-      fileType: training.fileType 
-    });
+    const { valid } = await verifyPassword(req.body.password, profile.password);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid password' });
+    }
+
+    await prisma.$transaction([
+      prisma.profile.update({
+        where: { id: profile.id },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null }
+      }),
+      prisma.recoveryCode.deleteMany({ where: { profileId: profile.id } })
+    ]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
   } catch (error) {
-    console.error("Erro na rota de imagem do treinamento:", error);
-    res.status(500).json({ error: "Erro interno do servidor" });
+    console.error('Error disabling MFA:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para download do arquivo de treinamento
-app.get("/api/trainings/:id/download", authenticateToken, checkTrainingAccess, async (req, res) => {
+// Rota para listar os tokens de API do usuário
+app.get("/api/tokens", authenticateToken, async (req, res) => {
   try {
-    const id = asNumber(req.params.id);
-    const training = await prisma.training.findUnique({ where: { id } });
+    const tokens = await prisma.apiToken.findMany({
+      where: { profileId: req.userId },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        name: true,
+        prefix: true,
+        scopes: true,
+        createdAt: true,
+        expiresAt: true,
+        lastUsedAt: true,
+        lastUsedIp: true,
+        revokedAt: true
+      }
+    });
 
-    if (!training) {
-      return res.status(404).json({ error: "Treinamento n?o encontrado" });
-    }
+    res.json({ tokens, scopes: API_TOKEN_SCOPES, maxDays: apiTokenMaxDays });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (!training.imageName) {
-      return res.status(404).json({ error: "Nenhum arquivo associado a este treinamento" });
-    }
+// Rota para criar um token de API (o valor é devolvido uma única vez)
+app.post("/api/tokens", authenticateToken, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+  const days = asNumber(expiresInDays);
 
-    const fileUrl = await getObjectSignedUrl(training.imageName);
-    res.json({ 
-      url: fileUrl, 
-      originalFileName: training.originalFileName, 
-      fileType: training.fileType 
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Token name is required' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(isValidApiTokenScope)) {
+    return res.status(400).json({ error: 'Select at least one valid scope' });
+  }
+
+  if (!Number.isInteger(days) || days < 1 || days > apiTokenMaxDays) {
+    return res.status(400).json({ error: `Expiration must be between 1 and ${apiTokenMaxDays} days` });
+  }
+
+  try {
+    const { token, tokenHash, prefix } = generateApiToken();
+    const apiToken = await prisma.apiToken.create({
+      data: {
+        profileId: req.userId,
+        name: name.trim().slice(0, 191),
+        prefix,
+        tokenHash,
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+      },
+      select: {
+        id: true,
+        name: true,
+        prefix: true,
+        scopes: true,
+        createdAt: true,
+        expiresAt: true,
+        lastUsedAt: true,
+        lastUsedIp: true,
+        revokedAt: true
+      }
     });
+
+    res.status(201).json({ ...apiToken, token });
   } catch (error) {
-    console.error("Erro no download do treinamento:", error);
-    res.status(500).json({ error: "Erro ao gerar URL de download" });
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para deletar um treinamento
-app.delete("/api/trainings/:id", authenticateToken, checkTrainingAccess, async (req, res) => {
+// Rota para revogar um token de API
+app.delete("/api/tokens/:id", authenticateToken, async (req, res) => {
   try {
-    const id = asNumber(req.params.id);
-    
-    const training = await prisma.training.findUnique({
-      where: { id },
-      include: { trainingLinks: true }
+    const { count } = await prisma.apiToken.updateMany({
+      where: { id: asNumber(req.params.id), profileId: req.userId, revokedAt: null },
+      data: { revokedAt: new Date() }
     });
-    
-    if (!training) {
-      return res.status(404).json({ error: "Treinamento n?o encontrado" });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Token not found' });
     }
-    
-    // Excluir links associados
-    await prisma.trainingLink.deleteMany({
-      where: { trainingId: id }
-    });
-    
-    // Excluir compartilhamentos associados
-    await prisma.sharedAccess.deleteMany({
-      where: { trainingId: id }
+
+    res.json({ message: 'Token revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para verificar se o usuário está autenticado
+app.get("/api/authenticated", authenticateToken, async (req, res) => {
+  try {
+    return res.status(200).json({ 
+      isAuthenticated: true,
+      role: req.userRole,
+      permissions: await loadPermissions(req)
     });
-    
-    // Excluir o arquivo salvo no S3, se existir
-    if (training.imageName) {
-      try {
-        await deleteFile(training.imageName);
-      } catch (err) {
-        console.warn('Falha ao remover arquivo do S3 para treinamento:', err.message);
+  } catch (error) {
+    console.error('Error loading permissions:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para listar todos os usuários (requer users:manage)
+app.get("/api/users", authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await prisma.profile.findMany({
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        createdAt: true,
+        failedLoginCount: true,
+        lockedUntil: true,
+        suspendedAt: true,
+        permissions: {
+          select: { name: true }
+        }
       }
-    }
-    
-    // Excluir o treinamento
-    await prisma.training.delete({ where: { id } });
+    });
     
-    res.json({ message: "Treinamento exclu?do com sucesso" });
+    res.json(users.map(({ permissions, ...user }) => ({
+      ...user,
+      isLocked: isAccountLocked(user),
+      isSuspended: Boolean(user.suspendedAt),
+      permissions: resolvePermissions(user.role, permissions.map((permission) => permission.name))
+    })));
   } catch (error) {
-    console.error("Erro ao excluir treinamento:", error);
-    res.status(500).json({ error: "Erro interno do servidor" });
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.patch("/api/trainings/:id/visibility", authenticateToken, checkTrainingAccess, async (req, res) => {
+// Rota para promover um usuário a admin (apenas para admin)
+app.patch("/api/users/:id/promote", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const id = asNumber(req.params.id);
-    const { isPublic } = req.body;
+    const userId = asNumber(req.params.id);
+
+    // Gerenciar usuários não basta para conceder o papel de administrador
+    if (req.userRole !== 'ADMIN') {
+      return res.status(403).json({ error: 'Forbidden: Admin access required' });
+    }
     
-    if (isPublic === undefined) {
-      return res.status(400).json({ error: "isPublic field is required" });
+    const user = await prisma.profile.findUnique({
+      where: { id: userId }
+    });
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
     
-    const training = await prisma.training.update({
-      where: { id },
-      data: { isPublic: Boolean(isPublic) }
+    const updatedUser = await prisma.profile.update({
+      where: { id: userId },
+      data: { role: 'ADMIN' },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true
+      }
     });
+
+    // Encerra as sessões do usuário: o novo papel vale no próximo login, que exigirá o cadastro do TOTP
+    await revokeAllSessions(userId);
     
-    res.json(training);
+    res.json(updatedUser);
   } catch (error) {
-    console.error("Update visibility error:", error);
-    res.status(500).json({ error: "Error updating training visibility" });
+    console.error('Error promoting user:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para compartilhar um treinamento com outro usuário
-app.post("/api/trainings/:id/share", authenticateToken, checkTrainingAccess, async (req, res) => {
+// Rota para rebaixar um admin a usuário comum (apenas para admin)
+app.patch("/api/users/:id/demote", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const trainingId = asNumber(req.params.id);
-    const { userEmail, canView, canEdit, canDelete } = req.body;
+    const userId = asNumber(req.params.id);
     
-    if (!userEmail) {
-      return res.status(400).json({ error: "User email is required" });
+    if (req.userRole !== 'ADMIN') {
+      return res.status(403).json({ error: 'Forbidden: Admin access required' });
+    }
+
+    // Não permitir que um admin rebaixe a si mesmo
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'Cannot demote yourself' });
     }
     
-    // Verificar se o usuário existe
-    const targetUser = await prisma.profile.findUnique({
-      where: { email: userEmail }
+    const user = await prisma.profile.findUnique({
+      where: { id: userId }
     });
     
-    if (!targetUser) {
-      return res.status(404).json({ error: "User not found" });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
     
-    // Verificar se já existe um compartilhamento
-    const existingShare = await prisma.sharedAccess.findFirst({
-      where: {
-        trainingId,
-        userId: targetUser.id
+    const updatedUser = await prisma.profile.update({
+      where: { id: userId },
+      data: { role: 'USER' },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true
       }
     });
+
+    // O usuário rebaixado volta a ter apenas as permissões padrão (mais as concedidas individualmente)
+    await prisma.permission.createMany({
+      data: DEFAULT_USER_PERMISSIONS.map((permission) => ({ profileId: userId, name: permission })),
+      skipDuplicates: true
+    });
+
+    // Encerra as sessões para que o papel de administrador deixe de valer imediatamente
+    await revokeAllSessions(userId);
     
-    if (existingShare) {
-      // Atualizar permissões existentes
-      const updatedShare = await prisma.sharedAccess.update({
-        where: { id: existingShare.id },
-        data: {
-          canView: canView ?? existingShare.canView,
-          canEdit: canEdit ?? existingShare.canEdit,
-          canDelete: canDelete ?? existingShare.canDelete
-        }
-      });
-      
-      return res.json(updatedShare);
+    res.json(updatedUser);
+  } catch (error) {
+    console.error('Error demoting user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para desbloquear uma conta bloqueada por falhas de login (requer users:manage)
+app.patch("/api/users/:id/unlock", authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const userId = asNumber(req.params.id);
+
+    const user = await prisma.profile.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    
-    // Criar novo compartilhamento
-    const newShare = await prisma.sharedAccess.create({
-      data: {
-        trainingId,
-        userId: targetUser.id,
-        canView: canView ?? true,
-        canEdit: canEdit ?? false,
-        canDelete: canDelete ?? false
+
+    const updatedUser = await prisma.profile.update({
+      where: { id: userId },
+      data: { failedLoginCount: 0, lockedUntil: null },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        failedLoginCount: true,
+        lockedUntil: true
       }
     });
-    
-    res.status(201).json(newShare);
+
+    res.json({ ...updatedUser, isLocked: false });
   } catch (error) {
-    console.error("Share error:", error);
-    res.status(500).json({ error: "Error sharing training" });
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para remover compartilhamento de um treinamento
-app.delete("/api/trainings/:id/share/:userId", authenticateToken, checkTrainingAccess, async (req, res) => {
+// Rota para suspender uma conta: encerra as sessões e recusa logins e tokens de API
+app.patch("/api/users/:id/suspend", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const trainingId = asNumber(req.params.id);
-    const userId = asNumber(req.params.userId);
-    
-    const deletedShare = await prisma.sharedAccess.deleteMany({
-      where: {
-        trainingId,
-        userId
+    const userId = asNumber(req.params.id);
+
+    const user = await prisma.profile.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const denied = checkUserRemoval(req, user);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const updatedUser = await prisma.profile.update({
+      where: { id: userId },
+      data: { suspendedAt: user.suspendedAt ?? new Date() },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        suspendedAt: true
       }
     });
-    
-    res.json({ message: "Share removed successfully" });
-  } catch (error) {
-    console.error("Remove share error:", error);
-    res.status(500).json({ error: "Error removing share" });
-  }
-});
 
-// Rota para obter categorias
-app.get("/api/categories", async (_req, res) => {
-  try {
-    const categories = await prisma.category.findMany();
-    res.send(categories);
+    await revokeAllSessions(userId);
+
+    res.json({ ...updatedUser, isSuspended: true });
   } catch (error) {
-    console.error("Erro ao listar categorias:", error);
-    res.status(500).json({ error: "Erro ao listar categorias" });
+    console.error('Error suspending user:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Criar categoria (apenas admin)
-app.post("/api/categories", authenticateToken, isAdmin, async (req, res) => {
+// Rota para reativar uma conta suspensa
+app.patch("/api/users/:id/reactivate", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: "Nome da categoria é obrigatório" });
-    }
+    const userId = asNumber(req.params.id);
 
-    const existing = await prisma.category.findFirst({
-      where: { name: { equals: name.trim(), mode: 'insensitive' } }
+    const user = await prisma.profile.findUnique({
+      where: { id: userId }
     });
 
-    if (existing) {
-      return res.status(409).json({ error: "Categoria já existe" });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const category = await prisma.category.create({
-      data: { name: name.trim() }
+    if (user.role === 'ADMIN' && req.userRole !== 'ADMIN') {
+      return res.status(403).json({ error: 'Forbidden: Admin access required' });
+    }
+
+    const updatedUser = await prisma.profile.update({
+      where: { id: userId },
+      data: { suspendedAt: null },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        suspendedAt: true
+      }
     });
 
-    res.status(201).json(category);
+    res.json({ ...updatedUser, isSuspended: false });
   } catch (error) {
-    console.error("Erro ao criar categoria:", error);
-    res.status(500).json({ error: "Erro interno ao criar categoria" });
+    console.error('Error reactivating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Deletar categoria (apenas admin)
-app.delete("/api/categories/:id", authenticateToken, isAdmin, async (req, res) => {
+// Rota para pré-visualizar o que será transferido ao excluir um usuário
+app.get("/api/users/:id/deletion-preview", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const id = asNumber(req.params.id);
+    const userId = asNumber(req.params.id);
 
-    const inUse = await prisma.posts.findFirst({ where: { categoryId: id } }) ||
-                  await prisma.training.findFirst({ where: { categoryId: id } });
-    if (inUse) {
-      return res.status(400).json({ error: "Categoria em uso e não pode ser removida" });
+    const user = await prisma.profile.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, email: true, role: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    await prisma.category.delete({ where: { id } });
-    res.json({ message: "Categoria removida" });
+    const denied = checkUserRemoval(req, user);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const [posts, trainings, sharedAccess, tools, responsibleTools, folders] = await Promise.all([
+      prisma.posts.findMany({
+        where: { ownerId: userId },
+        select: { id: true, originalFileName: true, caption: true }
+      }),
+      prisma.training.findMany({
+        where: { ownerId: userId },
+        select: { id: true, title: true }
+      }),
+      prisma.sharedAccess.count({ where: { userId } }),
+      prisma.tool.findMany({
+        where: { ownerId: userId },
+        select: { id: true, name: true }
+      }),
+      prisma.tool.count({ where: { responsibleEmail: user.email } }),
+      prisma.folder.count({ where: { ownerId: userId } })
+    ]);
+
+    res.json({
+      user,
+      posts,
+      trainings,
+      sharedAccess,
+      tools,
+      responsibleTools,
+      folders,
+      requiresTransfer: posts.length + trainings.length + sharedAccess + tools.length + folders > 0
+    });
   } catch (error) {
-    console.error("Erro ao remover categoria:", error);
-    res.status(500).json({ error: "Erro interno ao remover categoria" });
+    console.error('Error previewing user deletion:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para obter a imagem de um post
-app.get("/api/posts/:id/image", authenticateToken, checkPostAccess, async (req, res) => {
+// Rota para excluir um usuário, transferindo antes seus documentos, treinamentos,
+// compartilhamentos e ferramentas para outro usuário (?transferTo=id)
+app.delete("/api/users/:id", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const id = asNumber(req.params.id)
+    const userId = asNumber(req.params.id);
+    const transferToId = req.query.transferTo ? asNumber(req.query.transferTo) : null;
 
-    const post = await prisma.posts.findUnique({ where: { id } });
-    if (!post) {
-      return res.status(404).json({ error: "Post n?o encontrado" });
+    const user = await prisma.profile.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const imageUrl = await getObjectSignedUrl(post.imageName);
-    res.json({ url: imageUrl });
+    const denied = checkUserRemoval(req, user);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    if (transferToId !== null) {
+      const target = await prisma.profile.findUnique({ where: { id: transferToId } });
+
+      if (!target || target.id === userId) {
+        return res.status(400).json({ error: 'Invalid transfer target' });
+      }
+      if (target.suspendedAt) {
+        return res.status(400).json({ error: 'Cannot transfer content to a suspended user' });
+      }
+    }
+
+    const transferred = await prisma.$transaction(async (tx) => {
+      const summary = await transferUserContent(tx, userId, transferToId);
+      await tx.profile.delete({ where: { id: userId } });
+      return summary;
+    });
+
+    res.json({ message: 'User deleted successfully', transferred });
   } catch (error) {
-    console.error("Erro na rota de imagem:", error);
-    res.status(500).json({ error: "Erro interno do servidor" });
+    if (error.code === 'TRANSFER_REQUIRED') {
+      return res.status(400).json({ error: 'A transfer target is required for a user that owns content' });
+    }
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/signup', async (req, res) => {
-  const { email, password, name } = req.body;
+// Rota pública com o modo de cadastro (usada pela tela de cadastro)
+app.get("/api/settings/registration", async (_req, res) => {
+  try {
+    res.json(await getRegistrationSettings());
+  } catch (error) {
+    console.error('Error fetching registration settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-  const existingProfile = await prisma.profile.findUnique({
-    where: { email },
-  });
+// Rota para alterar o modo de cadastro (requer users:manage)
+app.put("/api/settings/registration", authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { mode } = req.body;
+  const allowedDomains = Array.isArray(req.body.allowedDomains)
+    ? [...new Set(req.body.allowedDomains.map(normalizeDomain).filter(Boolean))]
+    : [];
 
-  if (existingProfile) {
-    return res.status(400).json({ error: 'Email already exists' });
+  if (!REGISTRATION_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'Invalid registration mode' });
+  }
+
+  if (!allowedDomains.every((domain) => domainRegex.test(domain))) {
+    return res.status(400).json({ error: 'Domínio inválido' });
+  }
+
+  if (mode === 'domain' && allowedDomains.length === 0) {
+    return res.status(400).json({ error: 'Informe ao menos um domínio permitido' });
   }
 
   try {
-    await prisma.profile.create({
-      data: { 
-        email, 
-        password, 
-        name,
-        role: 'USER' // Por padrão, novos usuários são criados com papel USER
-      },
+    const value = { mode, allowedDomains };
+
+    await prisma.setting.upsert({
+      where: { key: 'registration' },
+      create: { key: 'registration', value },
+      update: { value }
     });
 
-    return res.status(201).json({ message: 'User created successfully' });
+    res.json(value);
   } catch (error) {
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error updating registration settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para login de usuários
-app.post('/api/login', async (req, res) => {
-  const { email, password } = req.body;
-
-  const profile = await prisma.profile.findUnique({
-    where: { email },
-  });
+// Rota pública para conferir um convite antes do cadastro (preenche a tela de cadastro)
+app.post("/api/invites/lookup", async (req, res) => {
+  try {
+    const invite = await findUsableInvite(req.body.token);
 
-  if (!profile) {
-    return res.status(401).json({ error: 'Invalid email or password' });
-  }
+    if (!invite) {
+      return res.status(404).json({ error: 'Convite inválido ou expirado' });
+    }
 
-  if (password !== profile.password) {
-    return res.status(401).json({ error: 'Invalid email or password' });
+    res.json({ email: invite.email, role: invite.role, expiresAt: invite.expiresAt });
+  } catch (error) {
+    console.error('Error checking invite:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-
-  const token = jwt.sign({ 
-    id: profile.id,
-    role: profile.role
-  }, secretKey, { expiresIn: '1h' });
-
-  return res.status(200).json({ token });
 });
 
-// Rota para obter detalhes do perfil do usuário
-app.get("/api/user/profile", authenticateToken, async (req, res) => {
+// Rota para listar os convites emitidos (requer users:manage)
+app.get("/api/invites", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const profile = await prisma.profile.findUnique({
-      where: { id: req.userId },
+    const invites = await prisma.invite.findMany({
+      orderBy: { createdAt: 'desc' },
+      take: 100,
       select: {
         id: true,
-        name: true,
         email: true,
-        role: true
+        role: true,
+        createdAt: true,
+        expiresAt: true,
+        usedAt: true,
+        usedByEmail: true,
+        revokedAt: true,
+        createdBy: {
+          select: { id: true, name: true }
+        }
       }
     });
 
-    if (!profile) {
-      return res.status(404).json({ error: 'User profile not found' });
-    }
-
-    res.json({
-      id: profile.id,
-      name: profile.name,
-      email: profile.email,
-      role: profile.role
-    });
+    res.json(invites);
   } catch (error) {
-    console.error('Error fetching user profile:', error);
+    console.error('Error fetching invites:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para verificar se o usuário está autenticado
-app.get("/api/authenticated", authenticateToken, (req, res) => {
-  return res.status(200).json({ 
-    isAuthenticated: true,
-    role: req.userRole
-  });
-});
+// Rota para gerar um convite. O link com o token só é devolvido nesta resposta
+app.post("/api/invites", authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { email, role = 'USER' } = req.body;
+  const expiresInDays = asNumber(req.body.expiresInDays ?? 7);
+
+  if (email && !emailRegex.test(email)) {
+    return res.status(400).json({ error: 'Email inválido' });
+  }
+
+  if (!['USER', 'ADMIN'].includes(role)) {
+    return res.status(400).json({ error: 'Invalid role' });
+  }
+
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > inviteMaxDays) {
+    return res.status(400).json({ error: `Expiration must be between 1 and ${inviteMaxDays} days` });
+  }
+
+  // Gerenciar usuários não basta para convidar um administrador
+  if (role === 'ADMIN' && req.userRole !== 'ADMIN') {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
 
-// Rota para listar todos os usuários (apenas para admin)
-app.get("/api/users", authenticateToken, isAdmin, async (req, res) => {
   try {
-    const users = await prisma.profile.findMany({
+    if (email) {
+      const existingProfile = await prisma.profile.findUnique({ where: { email } });
+      if (existingProfile?.verifiedAt) {
+        return res.status(400).json({ error: 'Email already exists' });
+      }
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invite = await prisma.invite.create({
+      data: {
+        tokenHash: hashToken(token),
+        email: email || null,
+        role,
+        createdById: req.userId,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      },
       select: {
         id: true,
-        name: true,
         email: true,
         role: true,
-        createdAt: true
+        createdAt: true,
+        expiresAt: true,
+        createdBy: {
+          select: { id: true, name: true }
+        }
       }
     });
-    
-    res.json(users);
+
+    const url = `${frontendUrl}/register?invite=${encodeURIComponent(token)}`;
+
+    if (invite.email) {
+      await sendInviteEmail(invite.email, invite.createdBy?.name || 'Um administrador', url);
+    }
+
+    res.status(201).json({ invite, url });
   } catch (error) {
-    console.error('Error fetching users:', error);
+    console.error('Error creating invite:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para promover um usuário a admin (apenas para admin)
-app.patch("/api/users/:id/promote", authenticateToken, isAdmin, async (req, res) => {
+// Rota para revogar um convite ainda não utilizado
+app.delete("/api/invites/:id", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const userId = asNumber(req.params.id);
-    
-    const user = await prisma.profile.findUnique({
-      where: { id: userId }
+    const { count } = await prisma.invite.updateMany({
+      where: { id: asNumber(req.params.id), usedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
     });
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invite not found or already used' });
     }
-    
-    const updatedUser = await prisma.profile.update({
-      where: { id: userId },
-      data: { role: 'ADMIN' },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true
-      }
-    });
-    
-    res.json(updatedUser);
+
+    res.json({ message: 'Invite revoked' });
   } catch (error) {
-    console.error('Error promoting user:', error);
+    console.error('Error revoking invite:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rota para rebaixar um admin a usuário comum (apenas para admin)
-app.patch("/api/users/:id/demote", authenticateToken, isAdmin, async (req, res) => {
+// Rota para listar o catálogo de permissões e os pacotes disponíveis
+app.get("/api/permissions", authenticateToken, requirePermission('users:manage'), (req, res) => {
+  res.json({ permissions: PERMISSIONS, bundles: PERMISSION_BUNDLES });
+});
+
+// Rota para definir as permissões concedidas a um usuário (substitui o conjunto atual)
+app.put("/api/users/:id/permissions", authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const userId = asNumber(req.params.id);
-    
-    // Não permitir que um admin rebaixe a si mesmo
-    if (userId === req.userId) {
-      return res.status(400).json({ error: 'Cannot demote yourself' });
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions) || !permissions.every(isValidPermission)) {
+      return res.status(400).json({ error: 'Invalid permissions' });
     }
-    
+
     const user = await prisma.profile.findUnique({
-      where: { id: userId }
+      where: { id: userId },
+      include: { permissions: { select: { name: true } } }
     });
-    
+
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    
-    const updatedUser = await prisma.profile.update({
-      where: { id: userId },
-      data: { role: 'USER' },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true
+
+    if (user.role === 'ADMIN') {
+      return res.status(400).json({ error: 'Administrators already have every permission' });
+    }
+
+    // Quem não é administrador só pode conceder ou retirar permissões que ele mesmo possui
+    const ownPermissions = await loadPermissions(req);
+    const current = user.permissions.map((permission) => permission.name);
+    const requested = [...new Set(permissions)];
+    const changed = [
+      ...requested.filter((name) => !current.includes(name)),
+      ...current.filter((name) => !requested.includes(name))
+    ];
+    if (changed.some((name) => !ownPermissions.includes(name))) {
+      return res.status(403).json({ error: 'Forbidden: You cannot manage permissions you do not have' });
+    }
+
+    await prisma.$transaction([
+      prisma.permission.deleteMany({ where: { profileId: userId, name: { notIn: requested } } }),
+      prisma.permission.createMany({
+        data: requested.map((name) => ({ profileId: userId, name })),
+        skipDuplicates: true
+      })
+    ]);
+
+    res.json({ id: userId, permissions: resolvePermissions(user.role, requested) });
+  } catch (error) {
+    console.error('Error updating permissions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rota para listar as tentativas de login recentes (requer users:manage)
+app.get("/api/login-attempts", authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(asNumber(req.query.limit) || 50, 200);
+    const where = {};
+
+    if (toBoolean(req.query.failedOnly)) {
+      where.success = false;
+    }
+    if (req.query.email) {
+      where.email = String(req.query.email);
+    }
+
+    const attempts = await prisma.loginAttempt.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      include: {
+        profile: {
+          select: { id: true, name: true }
+        }
       }
     });
-    
-    res.json(updatedUser);
+
+    res.json(attempts);
   } catch (error) {
-    console.error('Error demoting user:', error);
+    console.error('Error fetching login attempts:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Route to list all objects in the S3 bucket
-app.get("/api/s3/objects", authenticateToken, isAdmin, async (req, res) => {
+app.get("/api/s3/objects", authenticateToken, requirePermission('storage:inspect'), async (req, res) => {
   try {
     const prefix = req.query.prefix ? String(req.query.prefix) : undefined;
     const objects = await listAllObjects(prefix);
@@ -1245,9 +5096,34 @@ if (process.env.NODE_ENV === "production") {
     console.log('Executando verificação diária de ferramentas próximas da expiração...');
     await checkExpiringTools();
   });
+
+  // Remove diariamente o histórico de tentativas de login mais antigo que o período de retenção
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      const cutoff = new Date(Date.now() - loginAttemptRetentionDays * 24 * 60 * 60 * 1000);
+      const { count } = await prisma.loginAttempt.deleteMany({ where: { createdAt: { lt: cutoff } } });
+      console.log(`${count} tentativas de login antigas removidas.`);
+    } catch (error) {
+      console.error('Erro ao limpar tentativas de login:', error);
+    }
+  });
+
+  // Exclui definitivamente os itens que estão na lixeira há mais tempo que o período de retenção
+  cron.schedule('0 4 * * *', async () => {
+    try {
+      const { posts, trainings } = await purgeExpiredTrash();
+      console.log(`${posts} documentos e ${trainings} treinamentos removidos da lixeira.`);
+    } catch (error) {
+      console.error('Erro ao esvaziar a lixeira:', error);
+    }
+  });
 } else {
   console.log("CRON desabilitado em ambiente local.");
 }
 
+// Nos testes o app é importado (e aberto numa porta livre) pelo próprio teste
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => console.log(`listening on port ${PORT}`));
+}
 
-app.listen(PORT, () => console.log(`listening on port ${PORT}`));
+export default app;
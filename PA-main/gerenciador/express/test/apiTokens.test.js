@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo } from './helpers/fakePrisma.js';
+import { startServer } from './helpers/server.js';
+import { generateApiToken, requiredApiTokenScope } from '../apiTokens.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const owner = { id: 6, role: 'USER', suspendedAt: null };
+
+// Um token de API do usuário com os escopos e a validade informados
+const tokenStore = ({ scopes, revokedAt = null, expiresAt = new Date(Date.now() + 60 * 60 * 1000), profile = owner }) => {
+  const { token, tokenHash } = generateApiToken();
+  const apiToken = { id: 30, tokenHash, scopes, revokedAt, expiresAt, lastUsedAt: null, profile };
+
+  resetDb({
+    apiToken: {
+      findUnique: async ({ where }) => (where.tokenHash === apiToken.tokenHash ? apiToken : null),
+      update: async ({ data }) => Object.assign(apiToken, data)
+    },
+    permission: { findMany: async () => [] },
+    profile: { findUnique: async () => ({ email: 'eva@exemplo.com', teams: [] }) },
+    tool: { findMany: async () => [] }
+  });
+
+  return { token, apiToken };
+};
+
+test('cada rota exige o escopo correspondente ao recurso e ao método', () => {
+  const scope = (method, path) => requiredApiTokenScope({ method, path });
+
+  assert.equal(scope('GET', '/api/posts'), 'posts:read');
+  assert.equal(scope('HEAD', '/api/trainings/3'), 'trainings:read');
+  assert.equal(scope('DELETE', '/api/tools/3'), 'tools:write');
+  assert.equal(scope('POST', '/api/posts/bulk/zip'), 'posts:read');
+  assert.equal(scope('POST', '/api/posts/bulk/visibility'), 'posts:write');
+  assert.equal(scope('GET', '/api/search'), 'posts:read');
+  assert.equal(scope('GET', '/api/users'), null);
+  assert.equal(scope('POST', '/api/tokens'), null);
+});
+
+test('token com o escopo certo acessa a rota e registra o último uso', async () => {
+  const { token, apiToken } = tokenStore({ scopes: ['tools:read'] });
+
+  const response = await server.request('/api/tools', { token });
+
+  assert.equal(response.status, 200);
+  assert.ok(apiToken.lastUsedAt instanceof Date);
+  assert.equal(apiToken.lastUsedIp, '127.0.0.1');
+});
+
+test('sem o escopo, ou fora das rotas de conteúdo, o token recebe 403', async () => {
+  const { token } = tokenStore({ scopes: ['tools:read'] });
+
+  const write = await server.request('/api/tools/1', { method: 'DELETE', token });
+  const newToken = await server.request('/api/tokens', { method: 'POST', token, body: { name: 'outro', scopes: ['tools:write'] } });
+
+  assert.equal(write.status, 403);
+  assert.match(write.body.error, /tools:write/);
+  assert.equal(newToken.status, 403);
+  assert.equal(callsTo('apiToken', 'create').length, 0);
+});
+
+test('token revogado, expirado ou de conta suspensa não autentica', async () => {
+  const cases = [
+    { scopes: ['tools:read'], revokedAt: new Date() },
+    { scopes: ['tools:read'], expiresAt: new Date(Date.now() - 1000) },
+    { scopes: ['tools:read'], profile: { ...owner, suspendedAt: new Date() } }
+  ];
+
+  for (const options of cases) {
+    const { token } = tokenStore(options);
+    const response = await server.request('/api/tools', { token });
+    assert.equal(response.status, 401);
+  }
+
+  const unknown = await server.request('/api/tools', { token: generateApiToken().token });
+  assert.equal(unknown.status, 401);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo } from './helpers/fakePrisma.js';
+import { startServer, accessTokenFor, activeSessions } from './helpers/server.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const owner = { id: 1, role: 'USER' };
+const editor = { id: 2, role: 'USER' };
+
+// 10 é do dono e compartilhado com o editor (edição); 11 é de outra pessoa e público; 12 está na lixeira
+const bulkStore = () => {
+  const posts = [
+    { id: 10, ownerId: owner.id, isPublic: true, folderId: null, deletedAt: null, shares: [{ userId: editor.id, canView: true, canEdit: true, canDelete: false }] },
+    { id: 11, ownerId: 9, isPublic: true, folderId: null, deletedAt: null, shares: [] },
+    { id: 12, ownerId: owner.id, isPublic: false, folderId: null, deletedAt: new Date(), shares: [] }
+  ];
+
+  resetDb({
+    session: { findUnique: activeSessions(owner, editor) },
+    posts: {
+      findUnique: async ({ where, include }) => {
+        const post = posts.find((candidate) => candidate.id === where.id);
+        if (!post) return null;
+        return include?.sharedWith
+          ? { ...post, sharedWith: post.shares.filter((share) => share.userId === include.sharedWith.where.userId) }
+          : post;
+      },
+      update: async ({ where, data }) => Object.assign(posts.find((post) => post.id === where.id), data)
+    },
+    profile: { findUnique: async () => ({ id: 5, email: 'rui@exemplo.com', verifiedAt: new Date() }) },
+    sharedAccess: {
+      findFirst: async () => null,
+      create: async ({ data }) => ({ id: 1, ...data })
+    }
+  });
+
+  return posts;
+};
+
+const bulk = (profile, operation, body) => server.request(`/api/posts/bulk/${operation}`, {
+  method: 'POST',
+  token: accessTokenFor(profile),
+  body
+});
+
+test('cada item é autorizado com as regras de checkPostAccess e o resultado sai por item', async () => {
+  const posts = bulkStore();
+
+  const response = await bulk(owner, 'visibility', { ids: [10, 11, 12, 99], isPublic: false });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.results.map(({ id, ok, status }) => [id, ok, status]), [
+    [10, true, undefined],
+    [11, false, 403],
+    [12, false, 404],
+    [99, false, 404]
+  ]);
+  assert.equal(response.body.succeeded, 1);
+  assert.equal(response.body.failed, 3);
+  assert.equal(posts[0].isPublic, false);
+  assert.equal(posts[1].isPublic, true);
+});
+
+test('a visibilidade aceita "true"/"false" como texto e recusa outros valores', async () => {
+  const posts = bulkStore();
+
+  const asText = await bulk(owner, 'visibility', { ids: [10], isPublic: 'false' });
+  const invalid = await bulk(owner, 'visibility', { ids: [10], isPublic: 'sim' });
+  const missing = await bulk(owner, 'visibility', { ids: [10] });
+
+  assert.equal(asText.status, 200);
+  assert.equal(posts[0].isPublic, false);
+  assert.equal(invalid.status, 400);
+  assert.equal(missing.status, 400);
+  assert.equal(callsTo('posts', 'update').length, 1);
+});
+
+test('quem só pode editar não recompartilha nem exclui os posts do lote', async () => {
+  const posts = bulkStore();
+
+  const share = await bulk(editor, 'share', { ids: [10], userEmail: 'rui@exemplo.com' });
+  const remove = await bulk(editor, 'delete', { ids: [10] });
+  const byOwner = await bulk(owner, 'share', { ids: [10], userEmail: 'rui@exemplo.com' });
+
+  assert.deepEqual(share.body.results.map(({ ok, status }) => [ok, status]), [[false, 403]]);
+  assert.deepEqual(remove.body.results.map(({ ok, status }) => [ok, status]), [[false, 403]]);
+  assert.equal(posts[0].deletedAt, null);
+  assert.equal(byOwner.body.succeeded, 1);
+  assert.equal(callsTo('sharedAccess', 'create').length, 1);
+});
+
+test('listas de ids vazias, inválidas ou grandes demais são recusadas', async () => {
+  bulkStore();
+
+  for (const ids of [[], ['abc'], 'todos', Array.from({ length: 201 }, (_value, index) => index + 1)]) {
+    const response = await bulk(owner, 'delete', { ids });
+    assert.equal(response.status, 400);
+  }
+});
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo, matchesWhere, applyUpdate } from './helpers/fakePrisma.js';
+import { sentMail } from './helpers/fakeNodemailer.js';
+import { startServer } from './helpers/server.js';
+import { verifyPassword } from '../password.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+// Cadastro pendente deixado por outra pessoa (com vínculo SSO e TOTP) e os links de confirmação em memória
+const verificationStore = (profile = {}) => {
+  const state = {
+    profile: {
+      id: 5,
+      email: 'dora@exemplo.com',
+      name: 'Quem cadastrou antes',
+      password: 'hash-de-outra-pessoa',
+      role: 'USER',
+      verifiedAt: null,
+      pendingEmail: null,
+      oidcSubject: 'sub-de-outra-pessoa',
+      totpSecret: 'segredo',
+      totpEnabledAt: new Date(),
+      totpLastUsedStep: 1,
+      ...profile
+    },
+    tokens: []
+  };
+  sentMail.length = 0;
+
+  const updateTokens = async ({ where, data }) => {
+    const matched = state.tokens.filter((token) => matchesWhere(token, where));
+    matched.forEach((token) => applyUpdate(token, data));
+    return { count: matched.length };
+  };
+
+  resetDb({
+    setting: { findUnique: async () => null },
+    profile: {
+      findUnique: async ({ where }) => (matchesWhere(state.profile, where) ? { ...state.profile } : null),
+      update: async ({ data }) => applyUpdate(state.profile, data),
+      updateMany: async ({ where, data }) => {
+        if (!matchesWhere(state.profile, where)) {
+          return { count: 0 };
+        }
+        applyUpdate(state.profile, data);
+        return { count: 1 };
+      }
+    },
+    emailVerificationToken: {
+      create: async ({ data }) => {
+        const token = { id: state.tokens.length + 1, usedAt: null, ...data };
+        state.tokens.push(token);
+        return token;
+      },
+      findUnique: async ({ where }) => {
+        const token = state.tokens.find((candidate) => matchesWhere(candidate, where));
+        return token ? { ...token, profile: { ...state.profile } } : null;
+      },
+      updateMany: updateTokens
+    },
+    session: { deleteMany: async () => ({ count: 2 }) },
+    apiToken: { deleteMany: async () => ({ count: 1 }) },
+    recoveryCode: { deleteMany: async () => ({ count: 10 }) }
+  });
+
+  return state;
+};
+
+const signup = (body) => server.request('/api/signup', {
+  method: 'POST',
+  body: { email: 'dora@exemplo.com', password: 'Senha123', name: 'Dora', ...body }
+});
+const verify = (token) => server.request('/api/email/verify', { method: 'POST', body: { token } });
+const tokenFromMail = (mail) => decodeURIComponent(mail.html.match(/token=([^"&]+)/)[1]);
+
+test('novo cadastro sobre um endereço pendente só vale quando o link é usado', async () => {
+  const state = verificationStore();
+
+  const response = await signup();
+  assert.equal(response.status, 201);
+  assert.equal(state.profile.password, 'hash-de-outra-pessoa');
+  assert.equal(state.profile.name, 'Quem cadastrou antes');
+
+  assert.equal((await verify(tokenFromMail(sentMail[0]))).status, 200);
+  assert.equal(state.profile.name, 'Dora');
+  assert.ok(state.profile.verifiedAt);
+  assert.equal((await verifyPassword('Senha123', state.profile.password)).valid, true);
+});
+
+test('a confirmação do novo cadastro descarta vínculo SSO, TOTP, sessões e tokens do cadastro anterior', async () => {
+  const state = verificationStore();
+
+  await signup();
+  await verify(tokenFromMail(sentMail[0]));
+
+  assert.equal(state.profile.oidcSubject, null);
+  assert.equal(state.profile.totpSecret, null);
+  assert.equal(state.profile.totpEnabledAt, null);
+  for (const model of ['session', 'apiToken', 'recoveryCode']) {
+    assert.deepEqual(callsTo(model, 'deleteMany').map(({ where }) => where.profileId), [5], model);
+  }
+});
+
+test('cadastros repetidos não invalidam os links já enviados; só o primeiro usado confirma', async () => {
+  const state = verificationStore({ oidcSubject: null, totpSecret: null, totpEnabledAt: null });
+
+  await signup({ name: 'Dona do email' });
+  await signup({ name: 'Outra pessoa', password: 'Outra123' });
+  const [ownerLink, otherLink] = sentMail.map(tokenFromMail);
+
+  assert.equal((await verify(ownerLink)).status, 200);
+  assert.equal(state.profile.name, 'Dona do email');
+
+  assert.equal((await verify(otherLink)).status, 400);
+  assert.equal(state.profile.name, 'Dona do email');
+});
+
+test('endereço já confirmado não pode ser cadastrado de novo', async () => {
+  const state = verificationStore({ verifiedAt: new Date() });
+
+  const response = await signup();
+  assert.equal(response.status, 400);
+  assert.equal(state.tokens.length, 0);
+});
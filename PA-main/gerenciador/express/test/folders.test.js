@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo, matchesWhere } from './helpers/fakePrisma.js';
+import { startServer, accessTokenFor, activeSessions } from './helpers/server.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const owner = { id: 1, role: 'USER' };
+const editor = { id: 2, role: 'USER' };
+const stranger = { id: 3, role: 'USER' };
+
+// Projetos (1) > Contratos (2) > 2026 (3), do mesmo dono; Outros (4) é uma pasta do editor.
+// O editor recebeu edição em Projetos, que vale para tudo abaixo dela
+const folderStore = () => {
+  const folders = [
+    { id: 1, name: 'Projetos', parentId: null, ownerId: owner.id },
+    { id: 2, name: 'Contratos', parentId: 1, ownerId: owner.id },
+    { id: 3, name: '2026', parentId: 2, ownerId: owner.id },
+    { id: 4, name: 'Outros', parentId: null, ownerId: editor.id }
+  ];
+  const shares = [{ id: 1, userId: editor.id, folderId: 1, canView: true, canEdit: true, canDelete: false }];
+
+  resetDb({
+    session: { findUnique: activeSessions(owner, editor, stranger) },
+    folder: {
+      findUnique: async ({ where }) => folders.find((folder) => folder.id === where.id) ?? null,
+      findFirst: async ({ where }) => folders.find((folder) => matchesWhere(folder, where)) ?? null,
+      update: async ({ where, data }) => Object.assign(folders.find((folder) => folder.id === where.id), data)
+    },
+    sharedAccess: {
+      findMany: async ({ where }) => shares.filter((share) => matchesWhere(share, where))
+    }
+  });
+
+  return folders;
+};
+
+const patchFolder = (profile, id, body) => server.request(`/api/folders/${id}`, {
+  method: 'PATCH',
+  token: accessTokenFor(profile),
+  body
+});
+
+test('a edição concedida numa pasta vale para as subpastas; sem compartilhamento, 403', async () => {
+  const folders = folderStore();
+
+  const renamed = await patchFolder(editor, 3, { name: 'Ano 2026' });
+  const denied = await patchFolder(stranger, 3, { name: 'Minha' });
+
+  assert.equal(renamed.status, 200);
+  assert.equal(folders[2].name, 'Ano 2026');
+  assert.equal(denied.status, 403);
+});
+
+test('só o dono move a pasta, e nunca para dentro dela mesma ou de uma subpasta', async () => {
+  const folders = folderStore();
+
+  const byEditor = await patchFolder(editor, 3, { parentId: 4 });
+  const intoChild = await patchFolder(owner, 1, { parentId: 3 });
+  const intoItself = await patchFolder(owner, 2, { parentId: 2 });
+
+  assert.equal(byEditor.status, 403);
+  assert.equal(intoChild.status, 400);
+  assert.equal(intoItself.status, 400);
+  assert.equal(callsTo('folder', 'update').length, 0);
+  assert.equal(folders[0].parentId, null);
+});
+
+test('o destino do movimento precisa permitir edição a quem move', async () => {
+  const folders = folderStore();
+
+  const intoForeign = await patchFolder(owner, 3, { parentId: 4 });
+  const toRoot = await patchFolder(owner, 3, { parentId: null });
+
+  assert.equal(intoForeign.status, 403);
+  assert.equal(toRoot.status, 200);
+  assert.equal(folders[2].parentId, null);
+});
+
+test('nomes repetidos no mesmo nível são recusados', async () => {
+  folderStore();
+
+  const response = await patchFolder(owner, 3, { name: 'Contratos', parentId: 1 });
+
+  assert.equal(response.status, 409);
+});
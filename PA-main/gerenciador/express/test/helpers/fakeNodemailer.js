@@ -0,0 +1,11 @@
+// Dublê do nodemailer: guarda os emails "enviados" para os testes conferirem
+export const sentMail = [];
+
+export default {
+  createTransport: () => ({
+    sendMail: async (message) => {
+      sentMail.push(message);
+      return { messageId: `teste-${sentMail.length}` };
+    }
+  })
+};
@@ -0,0 +1,105 @@
+import { sqltag, join, empty, raw } from '@prisma/client/runtime/library';
+
+// Dublê do Prisma: cada teste define em `db.models` o que as consultas usadas devolvem
+// (ex.: db.models.profile = { findUnique: async ({ where }) => ... }) e consulta `db.calls`
+export const db = { models: {}, calls: [], queryRaw: null };
+
+export const resetDb = (models = {}) => {
+  db.models = models;
+  db.calls = [];
+  db.queryRaw = null;
+};
+
+// Chamadas registradas de um modelo/método (ex.: callsTo('profile', 'update'))
+export const callsTo = (model, method) => db.calls
+  .filter((call) => call.model === model && call.method === method)
+  .map((call) => call.args);
+
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date
+  ? new Date(a).getTime() === new Date(b).getTime()
+  : a === b);
+
+// Filtro `where` do Prisma aplicado a um registro em memória (só os operadores usados pelos testes)
+export const matchesWhere = (record, where = {}) => Object.entries(where).every(([key, condition]) => {
+  if (key === 'OR') {
+    return condition.some((branch) => matchesWhere(record, branch));
+  }
+  if (key === 'AND') {
+    return condition.every((branch) => matchesWhere(record, branch));
+  }
+
+  const value = record[key];
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+  if (typeof condition !== 'object' || condition instanceof Date) {
+    return sameValue(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case 'not': return operand === null ? value !== null && value !== undefined : !sameValue(value, operand);
+      case 'in': return operand.some((item) => sameValue(value, item));
+      case 'notIn': return !operand.some((item) => sameValue(value, item));
+      case 'lt': return value !== null && value < operand;
+      case 'lte': return value !== null && value <= operand;
+      case 'gt': return value !== null && value > operand;
+      case 'gte': return value !== null && value >= operand;
+      default: throw new Error(`Operador ${operator} não suportado pelo dublê do Prisma`);
+    }
+  });
+});
+
+// Dados de um update do Prisma aplicados a um registro em memória ({ increment }/{ decrement } incluídos)
+export const applyUpdate = (record, data) => {
+  for (const [key, value] of Object.entries(data)) {
+    if (value && typeof value === 'object' && 'increment' in value) {
+      record[key] += value.increment;
+    } else if (value && typeof value === 'object' && 'decrement' in value) {
+      record[key] -= value.decrement;
+    } else {
+      record[key] = value;
+    }
+  }
+  return record;
+};
+
+const modelClient = (model) => new Proxy({}, {
+  get: (_target, method) => async (args) => {
+    db.calls.push({ model, method, args });
+    const handler = db.models[model]?.[method];
+    if (!handler) {
+      throw new Error(`prisma.${model}.${String(method)} não foi configurado no teste`);
+    }
+    return handler(args);
+  }
+});
+
+export class PrismaClient {
+  constructor() {
+    const client = new Proxy(this, {
+      get: (_target, property) => {
+        if (property === 'then') {
+          return undefined;
+        }
+        if (property === '$transaction') {
+          return (operations) => (typeof operations === 'function' ? operations(client) : Promise.all(operations));
+        }
+        if (property === '$queryRaw') {
+          return async (strings, ...values) => {
+            const query = sqltag(strings, ...values);
+            db.calls.push({ model: '$queryRaw', method: '$queryRaw', args: query });
+            return db.queryRaw ? db.queryRaw(query) : [];
+          };
+        }
+        if (property === '$connect' || property === '$disconnect') {
+          return async () => {};
+        }
+        return modelClient(property);
+      }
+    });
+    return client;
+  }
+}
+
+export const Prisma = { sql: sqltag, join, empty, raw };
@@ -0,0 +1,46 @@
+import http from 'node:http';
+import { once } from 'node:events';
+
+// Dublê do S3 no endereço de AWS_S3_ENDPOINT (path-style): guarda os objetos em `objects`
+// (chave -> conteúdo) e registra em `requests` cada chamada recebida
+export const startFakeS3 = async () => {
+  const endpoint = new URL(process.env.AWS_S3_ENDPOINT);
+  const bucketPrefix = `/${process.env.AWS_BUCKET_NAME}/`;
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, endpoint);
+    const key = decodeURIComponent(url.pathname.slice(bucketPrefix.length));
+    requests.push({ method: req.method, key });
+
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204).end();
+      return;
+    }
+
+    if (req.method === 'GET' && objects.has(key)) {
+      const body = Buffer.from(objects.get(key));
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': body.length });
+      res.end(body);
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/xml' });
+    res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+  });
+
+  server.listen(Number(endpoint.port), endpoint.hostname);
+  await once(server, 'listening');
+
+  const deletedKeys = () => requests.filter(({ method }) => method === 'DELETE').map(({ key }) => key);
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    await once(server, 'close');
+  };
+
+  return { objects, requests, deletedKeys, close };
+};
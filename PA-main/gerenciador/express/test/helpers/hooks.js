@@ -0,0 +1,12 @@
+// Hooks do carregador de módulos: redireciona as dependências externas para os dublês dos testes
+const stubs = {
+  '@prisma/client': new URL('./fakePrisma.js', import.meta.url).href,
+  nodemailer: new URL('./fakeNodemailer.js', import.meta.url).href
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (Object.hasOwn(stubs, specifier)) {
+    return { url: stubs[specifier], shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,59 @@
+import { resetDb, matchesWhere, applyUpdate } from './fakePrisma.js';
+
+// Perfil e tentativas de login em memória, com as mesmas condições das consultas do servidor
+export const loginStore = (profile) => {
+  const state = {
+    profile: {
+      id: 1,
+      email: 'ana@exemplo.com',
+      name: 'Ana',
+      role: 'USER',
+      failedLoginCount: 0,
+      lockedUntil: null,
+      verifiedAt: new Date(),
+      suspendedAt: null,
+      totpEnabledAt: null,
+      ...profile
+    },
+    attempts: [],
+    recoveryCodes: []
+  };
+
+  resetDb({
+    profile: {
+      findUnique: async ({ where }) => (matchesWhere(state.profile, where) ? { ...state.profile } : null),
+      update: async ({ data }) => ({ ...applyUpdate(state.profile, data) }),
+      updateMany: async ({ where, data }) => {
+        if (!matchesWhere(state.profile, where)) {
+          return { count: 0 };
+        }
+        applyUpdate(state.profile, data);
+        return { count: 1 };
+      }
+    },
+    loginAttempt: {
+      create: async ({ data }) => {
+        const attempt = { id: state.attempts.length + 1, createdAt: new Date(), ...data };
+        state.attempts.push(attempt);
+        return attempt;
+      },
+      findMany: async ({ where, take }) => state.attempts.filter((attempt) => matchesWhere(attempt, where)).slice(0, take),
+      update: async ({ where, data }) => applyUpdate(state.attempts.find((attempt) => attempt.id === where.id), data),
+      delete: async ({ where }) => {
+        state.attempts = state.attempts.filter((attempt) => attempt.id !== where.id);
+      }
+    },
+    session: {
+      create: async () => ({ id: 10 })
+    },
+    recoveryCode: {
+      updateMany: async ({ where, data }) => {
+        const matched = state.recoveryCodes.filter((code) => matchesWhere(code, where));
+        matched.forEach((code) => applyUpdate(code, data));
+        return { count: matched.length };
+      }
+    }
+  });
+
+  return state;
+};
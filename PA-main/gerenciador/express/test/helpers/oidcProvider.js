@@ -0,0 +1,53 @@
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+
+const providerPath = fileURLToPath(new URL('../../mockOidcProvider.js', import.meta.url));
+
+// Sobe o mockOidcProvider.js do repositório na porta de OIDC_ISSUER_URL
+export const startOidcProvider = async () => {
+  const issuer = new URL(process.env.OIDC_ISSUER_URL);
+  const child = spawn(process.execPath, [providerPath], {
+    env: { ...process.env, MOCK_OIDC_PORT: issuer.port },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  // O provedor avisa no stdout quando está ouvindo
+  await new Promise((resolve, reject) => {
+    child.once('exit', (code) => reject(new Error(`mockOidcProvider.js terminou com código ${code}`)));
+    child.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('listening')) {
+        resolve();
+      }
+    });
+  });
+
+  // Faz o papel do navegador na tela de login do provedor e devolve o `code` e o `state` do retorno
+  const authorize = async (authorizationUrl, { email, emailVerified = true, groups = '' }) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const form = new URLSearchParams({
+      client_id: params.get('client_id'),
+      redirect_uri: params.get('redirect_uri'),
+      state: params.get('state'),
+      nonce: params.get('nonce'),
+      code_challenge: params.get('code_challenge'),
+      code_challenge_method: params.get('code_challenge_method'),
+      email,
+      name: email.split('@')[0],
+      groups,
+      ...(emailVerified ? { email_verified: 'on' } : {})
+    });
+
+    const response = await fetch(`${issuer.origin}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+    return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+  };
+
+  const close = async () => {
+    child.removeAllListeners('exit');
+    child.kill();
+    await once(child, 'exit');
+  };
+
+  return { authorize, close };
+};
@@ -0,0 +1,20 @@
+import { register } from 'node:module';
+
+// Ambiente dos testes: nada de banco, S3 ou SMTP de verdade. O S3 aponta para o dublê de helpers/fakeS3.js
+// e o SSO para o mockOidcProvider.js, iniciados pelos testes que precisam deles
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  JWT_SECRET_KEY: 'chave-dos-testes',
+  AWS_BUCKET_NAME: 'bucket-dos-testes',
+  AWS_ACCESS_KEY_ID: 'test',
+  AWS_SECRET_ACCESS_KEY: 'test',
+  AWS_S3_ENDPOINT: 'http://127.0.0.1:39418',
+  AWS_S3_FORCE_PATH_STYLE: 'true',
+  OIDC_ISSUER_URL: 'http://localhost:39417',
+  OIDC_CLIENT_ID: 'gerenciador-testes',
+  BCRYPT_SALT_ROUNDS: '4',
+  PASSWORD_RESET_TTL_MINUTES: '30'
+});
+
+// O @prisma/client e o nodemailer são trocados pelos dublês de test/helpers
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,50 @@
+import { once } from 'node:events';
+import jwt from 'jsonwebtoken';
+import app from '../../server.js';
+
+// Sobe o app numa porta livre e devolve um cliente HTTP simples para os testes de rota
+export const startServer = async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (path, { method = 'GET', body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const buffer = Buffer.from(await response.arrayBuffer());
+    let data = buffer.toString();
+    try {
+      data = JSON.parse(data);
+    } catch {
+      // respostas que não são JSON ficam como texto (e os bytes em `buffer`)
+    }
+    return { status: response.status, body: data, buffer, headers: response.headers };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    await once(server, 'close');
+  };
+
+  return { request, close };
+};
+
+// Access token de uma sessão ativa (o id da sessão é o do próprio perfil; ver activeSessions)
+export const accessTokenFor = (profile) => jwt.sign(
+  { id: profile.id, role: profile.role, sid: profile.id },
+  process.env.JWT_SECRET_KEY
+);
+
+// Resposta de prisma.session.findUnique: uma sessão ativa para cada perfil informado
+export const activeSessions = (...profiles) => async ({ where }) => {
+  const profile = profiles.find((candidate) => candidate.id === where.id);
+  return profile ? { id: profile.id, profileId: profile.id, revokedAt: null, profile: { suspendedAt: null } } : null;
+};
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { callsTo } from './helpers/fakePrisma.js';
+import { loginStore } from './helpers/loginStore.js';
+import { startServer } from './helpers/server.js';
+import { hashPassword } from '../password.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const login = (password, email = 'ana@exemplo.com') => server.request('/api/login', {
+  method: 'POST',
+  body: { email, password }
+});
+
+test('login com senha em texto puro abre a sessão e grava o hash bcrypt', async () => {
+  const state = loginStore({ password: 'Senha123' });
+
+  const response = await login('Senha123');
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.token);
+  assert.ok(response.body.refreshToken);
+  assert.match(state.profile.password, /^\$2[aby]\$/);
+  assert.deepEqual(state.attempts.map(({ success }) => success), [true]);
+});
+
+test('senha errada responde 401 e conta a falha', async () => {
+  const state = loginStore({ password: await hashPassword('Senha123') });
+
+  const response = await login('errada');
+
+  assert.equal(response.status, 401);
+  assert.equal(state.profile.failedLoginCount, 1);
+  assert.deepEqual(state.attempts.map(({ reason }) => reason), ['INVALID_PASSWORD']);
+  assert.equal(callsTo('session', 'create').length, 0);
+});
+
+test('tentativas em paralelo não escapam do limite: cada falha contada corresponde a uma resposta 401', async () => {
+  const state = loginStore({ password: await hashPassword('Senha123') });
+
+  const responses = await Promise.all(Array.from({ length: 8 }, () => login('errada')));
+  const statuses = responses.map(({ status }) => status);
+  const rejected = statuses.filter((status) => status === 401).length;
+
+  assert.ok(rejected >= 1);
+  assert.ok(statuses.every((status) => status === 401 || status === 429));
+  assert.equal(state.profile.failedLoginCount, rejected);
+  assert.ok(state.attempts.every(({ reason }) => reason !== 'PENDING'));
+});
+
+test('a rajada que alcança o limite bloqueia a conta depois de uma única senha conferida', async () => {
+  const state = loginStore({ password: await hashPassword('Senha123'), failedLoginCount: 4 });
+
+  const responses = await Promise.all([
+    ...Array.from({ length: 5 }, () => login('errada')),
+    login('Senha123')
+  ]);
+  const statuses = responses.map(({ status }) => status);
+
+  assert.equal(statuses.filter((status) => status === 401 || status === 200).length, 1);
+  assert.equal(callsTo('session', 'create').length, statuses.includes(200) ? 1 : 0);
+
+  if (statuses.includes(401)) {
+    assert.equal(state.profile.failedLoginCount, 5);
+    assert.ok(state.profile.lockedUntil > new Date());
+
+    const afterBurst = await login('Senha123');
+    assert.equal(afterBurst.status, 423);
+    assert.equal(afterBurst.body.code, 'ACCOUNT_LOCKED');
+  }
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { authenticator } from 'otplib';
+import { callsTo } from './helpers/fakePrisma.js';
+import { loginStore } from './helpers/loginStore.js';
+import { startServer } from './helpers/server.js';
+import { createTotpSecret, verifyTotpCode, generateRecoveryCodes, hashRecoveryCode } from '../mfa.js';
+import { hashPassword } from '../password.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const { secret, encryptedSecret } = await createTotpSecret('ana@exemplo.com');
+const password = await hashPassword('Senha123');
+
+// Perfil com TOTP ativo: a senha correta só devolve o token da segunda etapa
+const startLogin = async (profile = {}) => {
+  const state = loginStore({ password, totpSecret: encryptedSecret, totpEnabledAt: new Date(), totpLastUsedStep: null, ...profile });
+  const response = await server.request('/api/login', {
+    method: 'POST',
+    body: { email: 'ana@exemplo.com', password: 'Senha123' }
+  });
+  return { state, response };
+};
+
+const secondStep = (mfaToken, body) => server.request('/api/login/mfa', {
+  method: 'POST',
+  body: { mfaToken, ...body }
+});
+
+test('o código atual do aplicativo é aceito e o mesmo período não vale de novo', () => {
+  const code = authenticator.generate(secret);
+
+  const step = verifyTotpCode(encryptedSecret, code, null);
+
+  assert.equal(typeof step, 'number');
+  assert.equal(verifyTotpCode(encryptedSecret, code, step), null);
+  assert.equal(verifyTotpCode(encryptedSecret, '12345', null), null);
+  assert.equal(verifyTotpCode(null, code, null), null);
+});
+
+test('códigos de recuperação ignoram espaços, hífens e maiúsculas', () => {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  assert.equal(hashRecoveryCode(` ${codes[0].toUpperCase().replace('-', ' ')} `), hashes[0]);
+  assert.notEqual(hashes[0], codes[0]);
+});
+
+test('login com TOTP ativo não abre sessão antes do código', async () => {
+  const { state, response } = await startLogin();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.mfaRequired, true);
+  assert.ok(response.body.mfaToken);
+  assert.equal(response.body.token, undefined);
+  assert.equal(callsTo('session', 'create').length, 0);
+  assert.deepEqual(state.attempts, []);
+});
+
+test('administrador sem TOTP precisa cadastrá-lo antes de receber uma sessão', async () => {
+  const { response } = await startLogin({ role: 'ADMIN', totpSecret: null, totpEnabledAt: null });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.mfaSetupRequired, true);
+  assert.equal(response.body.token, undefined);
+  assert.equal(callsTo('session', 'create').length, 0);
+});
+
+test('segunda etapa com o código certo abre a sessão e o mesmo código não é aceito de novo', async () => {
+  const { state, response } = await startLogin();
+  const code = authenticator.generate(secret);
+
+  const first = await secondStep(response.body.mfaToken, { code });
+
+  assert.equal(first.status, 200);
+  assert.ok(first.body.token);
+  assert.equal(typeof state.profile.totpLastUsedStep, 'number');
+
+  const replay = await secondStep(response.body.mfaToken, { code });
+
+  assert.equal(replay.status, 401);
+  assert.equal(state.profile.failedLoginCount, 1);
+  assert.deepEqual(state.attempts.map(({ reason }) => reason ?? null), [null, 'INVALID_MFA_CODE']);
+});
+
+test('código de recuperação vale uma única vez', async () => {
+  const { codes, hashes } = generateRecoveryCodes();
+  const { state, response } = await startLogin();
+  state.recoveryCodes = hashes.map((codeHash, index) => ({ id: index + 1, profileId: 1, codeHash, usedAt: null }));
+
+  const first = await secondStep(response.body.mfaToken, { recoveryCode: codes[3] });
+  const again = await secondStep(response.body.mfaToken, { recoveryCode: codes[3] });
+
+  assert.equal(first.status, 200);
+  assert.equal(again.status, 401);
+  assert.equal(state.recoveryCodes.filter(({ usedAt }) => usedAt).length, 1);
+});
+
+test('token da segunda etapa não serve para o cadastro do TOTP', async () => {
+  const { response } = await startLogin();
+
+  const setup = await server.request('/api/login/mfa/setup', {
+    method: 'POST',
+    body: { mfaToken: response.body.mfaToken }
+  });
+
+  assert.equal(setup.status, 401);
+});
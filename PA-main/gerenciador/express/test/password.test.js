@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, verifyPassword } from '../password.js';
+
+test('hashPassword gera um hash bcrypt que verifyPassword aceita', async () => {
+  const hash = await hashPassword('Senha123');
+
+  assert.match(hash, /^\$2[aby]\$\d{2}\$/);
+  assert.notEqual(hash, 'Senha123');
+  assert.deepEqual(await verifyPassword('Senha123', hash), { valid: true, needsRehash: false });
+  assert.deepEqual(await verifyPassword('senha123', hash), { valid: false, needsRehash: false });
+});
+
+test('senha antiga em texto puro é aceita uma vez e marcada para virar hash', async () => {
+  assert.deepEqual(await verifyPassword('Senha123', 'Senha123'), { valid: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword('outra', 'Senha123'), { valid: false, needsRehash: false });
+});
+
+test('verifyPassword recusa usuário inexistente e senha que não é texto', async () => {
+  assert.deepEqual(await verifyPassword('Senha123', null), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword(['Senha123'], 'Senha123'), { valid: false, needsRehash: false });
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo, matchesWhere, applyUpdate } from './helpers/fakePrisma.js';
+import { sentMail } from './helpers/fakeNodemailer.js';
+import { startServer } from './helpers/server.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+// Perfil com um nome montado para injetar HTML no email e os tokens de redefinição em memória
+const resetStore = () => {
+  const state = {
+    profile: { id: 3, email: 'caio@exemplo.com', name: '<a href="https://golpe.example">Clique aqui</a>', password: 'antiga' },
+    tokens: []
+  };
+  sentMail.length = 0;
+
+  resetDb({
+    profile: {
+      findUnique: async ({ where }) => (matchesWhere(state.profile, where) ? state.profile : null),
+      update: async ({ data }) => applyUpdate(state.profile, data)
+    },
+    passwordResetToken: {
+      create: async ({ data }) => {
+        const token = { id: state.tokens.length + 1, usedAt: null, ...data };
+        state.tokens.push(token);
+        return token;
+      },
+      findUnique: async ({ where }) => state.tokens.find((token) => matchesWhere(token, where)) ?? null,
+      updateMany: async ({ where, data }) => {
+        const matched = state.tokens.filter((token) => matchesWhere(token, where));
+        matched.forEach((token) => applyUpdate(token, data));
+        return { count: matched.length };
+      }
+    },
+    session: {
+      updateMany: async () => ({ count: 1 })
+    }
+  });
+
+  return state;
+};
+
+const forgot = (email) => server.request('/api/password/forgot', { method: 'POST', body: { email } });
+const reset = (token, password) => server.request('/api/password/reset', { method: 'POST', body: { token, password } });
+const tokenFromMail = (mail) => decodeURIComponent(mail.html.match(/token=([^"&]+)/)[1]);
+
+test('email desconhecido recebe a mesma resposta e nenhum email é enviado', async () => {
+  resetStore();
+  const known = await forgot('caio@exemplo.com');
+  const unknown = await forgot('ninguem@exemplo.com');
+
+  assert.equal(unknown.status, 200);
+  assert.deepEqual(unknown.body, known.body);
+  assert.equal(sentMail.length, 1);
+});
+
+test('o email de redefinição escapa o nome e informa a validade configurada', async () => {
+  resetStore();
+  await forgot('caio@exemplo.com');
+
+  const [mail] = sentMail;
+  assert.equal(mail.to, 'caio@exemplo.com');
+  assert.ok(!mail.html.includes('<a href="https://golpe.example">'));
+  assert.ok(mail.html.includes('&lt;a href=&quot;https://golpe.example&quot;&gt;Clique aqui&lt;/a&gt;'));
+  assert.ok(mail.html.includes('válido por 30 minutos'));
+});
+
+test('o link redefine a senha uma única vez e encerra as sessões', async () => {
+  const state = resetStore();
+  await forgot('caio@exemplo.com');
+  const token = tokenFromMail(sentMail[0]);
+
+  const response = await reset(token, 'NovaSenha1');
+  assert.equal(response.status, 200);
+  assert.match(state.profile.password, /^\$2[aby]\$/);
+  assert.deepEqual(callsTo('session', 'updateMany').map(({ where }) => where.profileId), [3]);
+
+  assert.equal((await reset(token, 'OutraSenha1')).status, 400);
+});
+
+test('um novo pedido invalida o link anterior e senha fraca é recusada', async () => {
+  resetStore();
+  await forgot('caio@exemplo.com');
+  await forgot('caio@exemplo.com');
+  const [first, second] = sentMail.map(tokenFromMail);
+
+  assert.equal((await reset(second, 'fraca')).status, 400);
+  assert.equal((await reset(first, 'NovaSenha1')).status, 400);
+  assert.equal((await reset(second, 'NovaSenha1')).status, 200);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo } from './helpers/fakePrisma.js';
+import { startServer, accessTokenFor, activeSessions } from './helpers/server.js';
+import { resolvePermissions } from '../permissions.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const admin = { id: 1, role: 'ADMIN' };
+const manager = { id: 2, role: 'USER' };
+const user = { id: 3, role: 'USER' };
+
+// Permissões concedidas a cada usuário comum (a tabela Permission)
+const permissionStore = (grants, models = {}) => resetDb({
+  session: { findUnique: activeSessions(admin, manager, user) },
+  permission: {
+    findMany: async ({ where }) => (grants[where.profileId] ?? []).map((name) => ({ name })),
+    deleteMany: async () => ({ count: 0 }),
+    createMany: async () => ({ count: 0 })
+  },
+  category: {
+    findFirst: async () => null,
+    create: async ({ data }) => ({ id: 1, ...data })
+  },
+  ...models
+});
+
+const createCategory = (profile) => server.request('/api/categories', {
+  method: 'POST',
+  token: accessTokenFor(profile),
+  body: { name: 'Contratos' }
+});
+
+const setPermissions = (profile, targetId, permissions) => server.request(`/api/users/${targetId}/permissions`, {
+  method: 'PUT',
+  token: accessTokenFor(profile),
+  body: { permissions }
+});
+
+test('administradores têm todas as permissões; os demais, só as concedidas e conhecidas', () => {
+  assert.ok(resolvePermissions('ADMIN').includes('storage:inspect'));
+  assert.deepEqual(resolvePermissions('USER', ['tools:write', 'inventada']), ['tools:write']);
+  assert.deepEqual(resolvePermissions('USER'), []);
+});
+
+test('a rota exige a permissão nomeada, concedida pela tabela ou pelo papel de administrador', async () => {
+  permissionStore({ [manager.id]: ['categories:manage'], [user.id]: ['tools:write'] });
+
+  const denied = await createCategory(user);
+  const granted = await createCategory(manager);
+  const byAdmin = await createCategory(admin);
+
+  assert.equal(denied.status, 403);
+  assert.match(denied.body.error, /categories:manage/);
+  assert.equal(granted.status, 201);
+  assert.equal(byAdmin.status, 201);
+  assert.equal(callsTo('category', 'create').length, 2);
+});
+
+test('quem gerencia usuários só concede ou retira as permissões que possui', async () => {
+  const target = { id: 4, role: 'USER', permissions: [{ name: 'tools:write' }] };
+  permissionStore({ [manager.id]: ['users:manage', 'tools:write'] }, {
+    profile: { findUnique: async () => target }
+  });
+
+  const escalation = await setPermissions(manager, target.id, ['tools:write', 'storage:inspect']);
+  const revoke = await setPermissions(manager, target.id, []);
+
+  assert.equal(escalation.status, 403);
+  assert.equal(revoke.status, 200);
+  assert.deepEqual(revoke.body.permissions, []);
+  assert.equal(callsTo('permission', 'deleteMany').length, 1);
+});
+
+test('nomes de permissão desconhecidos são recusados', async () => {
+  permissionStore({}, { profile: { findUnique: async () => ({ id: 4, role: 'USER', permissions: [] }) } });
+
+  const response = await setPermissions(admin, 4, ['tools:write', 'root']);
+
+  assert.equal(response.status, 400);
+  assert.equal(callsTo('permission', 'createMany').length, 0);
+});
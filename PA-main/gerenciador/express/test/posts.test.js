@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo } from './helpers/fakePrisma.js';
+import { startServer, accessTokenFor, activeSessions } from './helpers/server.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const user = { id: 2, role: 'USER' };
+
+const post = (id) => ({ id, imageName: `arquivo-${id}.pdf`, hasPreview: false, caption: `Post ${id}` });
+
+// Devolve os posts informados (a consulta em si é conferida pelos testes em callsTo)
+const postStore = (posts) => resetDb({
+  session: { findUnique: activeSessions(user) },
+  folder: { findMany: async () => [] },
+  posts: { findMany: async ({ take }) => (take ? posts.slice(0, take) : posts) }
+});
+
+const listPosts = (query = '') => server.request(`/api/posts${query}`, { token: accessTokenFor(user) });
+
+test('sem cursor nem limit a listagem mantém o formato original: array com imageUrl', async () => {
+  postStore([post(3), post(2), post(1)]);
+
+  const response = await listPosts();
+  const [{ take }] = callsTo('posts', 'findMany');
+
+  assert.equal(response.status, 200);
+  assert.ok(Array.isArray(response.body));
+  assert.equal(response.body.length, 3);
+  assert.match(response.body[0].imageUrl, /arquivo-3\.pdf/);
+  assert.equal(take, undefined);
+});
+
+test('com limit a resposta é paginada, sem URL do arquivo, e indica o próximo cursor', async () => {
+  postStore([post(3), post(2), post(1)]);
+
+  const first = await listPosts('?limit=2&sort=name&order=asc');
+  const [query] = callsTo('posts', 'findMany');
+
+  assert.deepEqual(first.body.posts.map(({ id }) => id), [3, 2]);
+  assert.equal(first.body.nextCursor, 2);
+  assert.equal(first.body.posts[0].imageUrl, undefined);
+  assert.equal(query.take, 3);
+  assert.deepEqual(query.orderBy, [{ originalFileName: 'asc' }, { id: 'asc' }]);
+
+  postStore([post(1)]);
+  const last = await listPosts('?cursor=2&limit=2');
+  const [nextQuery] = callsTo('posts', 'findMany');
+
+  assert.equal(last.body.nextCursor, null);
+  assert.deepEqual(nextQuery.cursor, { id: 2 });
+  assert.equal(nextQuery.skip, 1);
+});
+
+test('os filtros entram na consulta junto da lixeira e da visibilidade', async () => {
+  postStore([]);
+
+  await listPosts('?ownerId=me&fileType=image/&from=2026-01-01&to=2026-01-31&visibility=private');
+  const [{ where }] = callsTo('posts', 'findMany');
+
+  assert.ok(where.AND.some((condition) => condition.ownerId === user.id));
+  assert.ok(where.AND.some((condition) => condition.fileType?.startsWith === 'image/'));
+  assert.ok(where.AND.some((condition) => condition.created?.gte?.toISOString() === '2026-01-01T00:00:00.000Z'));
+  assert.ok(where.AND.some((condition) => condition.created?.lt?.toISOString() === '2026-02-01T00:00:00.000Z'));
+  assert.ok(where.AND.some((condition) => condition.isPublic === false));
+  assert.ok(where.AND.some((condition) => condition.deletedAt === null));
+  assert.ok(where.AND.some((condition) => condition.OR?.some((branch) => branch.isPublic === true)));
+});
+
+test('parâmetros inválidos respondem 400 sem consultar o banco', async () => {
+  for (const query of ['?cursor=abc', '?categoryId=1.5', '?ownerId=-1', '?folderId=x', '?from=ontem', '?to=2026-13-40']) {
+    postStore([]);
+    const response = await listPosts(query);
+    assert.equal(response.status, 400, query);
+    assert.equal(callsTo('posts', 'findMany').length, 0, query);
+  }
+});
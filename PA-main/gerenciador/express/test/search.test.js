@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetDb, callsTo, matchesWhere } from './helpers/fakePrisma.js';
+import { startServer, accessTokenFor, activeSessions } from './helpers/server.js';
+import { buildSnippet } from '../search.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const admin = { id: 1, role: 'ADMIN' };
+const user = { id: 2, role: 'USER' };
+
+const posts = [
+  { id: 10, imageName: 'a.pdf', caption: 'Contrato' },
+  { id: 11, imageName: 'b.pdf', caption: 'Aditivo' }
+];
+
+// Pastas: 5 é do usuário e 6 fica dentro dela; 7 é de outra pessoa
+const searchStore = (hits) => {
+  const folders = [
+    { id: 5, parentId: null, ownerId: user.id },
+    { id: 6, parentId: 5, ownerId: 9 },
+    { id: 7, parentId: null, ownerId: 9 }
+  ];
+
+  resetDb({
+    session: { findUnique: activeSessions(admin, user) },
+    folder: {
+      findMany: async ({ where }) => folders.filter((folder) => (where.OR
+        ? folder.ownerId === user.id
+        : matchesWhere(folder, where)))
+    },
+    posts: { findMany: async ({ where }) => posts.filter((post) => where.id.in.includes(post.id)) },
+    documentText: {
+      findMany: async () => [
+        { imageName: 'a.pdf', content: 'Cláusula de rescisão do contrato de prestação de serviços' },
+        { imageName: 'b.pdf', content: 'Aditivo com nova cláusula de rescisao' }
+      ]
+    }
+  });
+  db.queryRaw = async () => hits;
+};
+
+const search = (profile, q) => server.request(`/api/search?q=${encodeURIComponent(q)}`, { token: accessTokenFor(profile) });
+
+test('a consulta aplica as regras de visibilidade de GET /api/posts e ignora a lixeira', async () => {
+  searchStore([]);
+
+  const response = await search(user, "rescisão' OR 1=1 --");
+  const [query] = callsTo('$queryRaw', '$queryRaw');
+  const sql = query.sql.replace(/\s+/g, ' ');
+
+  assert.equal(response.status, 200);
+  assert.match(sql, /p\.deletedAt IS NULL/);
+  assert.match(sql, /p\.isPublic = true OR p\.ownerId = \?/);
+  assert.match(sql, /s\.userId = \? AND s\.canView = true/);
+  assert.match(sql, /p\.folderId IN \(\?,\?\)/);
+  assert.doesNotMatch(sql, /OR 1=1/);
+  assert.deepEqual(query.values.filter((value) => typeof value === 'number').slice(0, 4), [user.id, user.id, 5, 6]);
+  assert.equal(query.values[0], "rescisão' OR 1=1 --");
+});
+
+test('administradores buscam em todos os documentos, exceto os da lixeira', async () => {
+  searchStore([]);
+
+  await search(admin, 'rescisão');
+  const sql = callsTo('$queryRaw', '$queryRaw')[0].sql;
+
+  assert.match(sql, /p\.deletedAt IS NULL/);
+  assert.doesNotMatch(sql, /isPublic|ownerId|folderId IN/);
+});
+
+test('os resultados seguem a ordem de relevância e trazem o trecho destacado', async () => {
+  searchStore([{ postId: 11, score: 2.5 }, { postId: 10, score: 1.2 }]);
+
+  const response = await search(user, 'rescisão');
+
+  assert.deepEqual(response.body.map(({ post, score }) => [post.id, score]), [[11, 2.5], [10, 1.2]]);
+  assert.deepEqual(response.body[0].snippet.filter(({ highlight }) => highlight).map(({ text }) => text), ['rescisao']);
+});
+
+test('buscas com menos de 3 caracteres são recusadas', async () => {
+  searchStore([]);
+
+  const response = await search(user, 'ab');
+
+  assert.equal(response.status, 400);
+  assert.equal(callsTo('$queryRaw', '$queryRaw').length, 0);
+});
+
+test('o trecho destaca os termos sem diferenciar acentos e maiúsculas', () => {
+  const parts = buildSnippet('Prazo de RESCISÃO do contrato', 'rescisao contrato');
+
+  assert.deepEqual(parts.filter(({ highlight }) => highlight).map(({ text }) => text), ['RESCISÃO', 'contrato']);
+  assert.equal(parts.map(({ text }) => text).join(''), 'Prazo de RESCISÃO do contrato');
+});
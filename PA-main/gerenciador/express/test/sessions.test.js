@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { resetDb, matchesWhere, applyUpdate } from './helpers/fakePrisma.js';
+import { startServer } from './helpers/server.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const profile = { id: 7, email: 'bia@exemplo.com', name: 'Bia', role: 'USER', suspendedAt: null };
+
+// Uma sessão aberta com o refresh token informado
+const sessionStore = (refreshToken) => {
+  const sessions = [{
+    id: 1,
+    profileId: profile.id,
+    refreshTokenHash: hashToken(refreshToken),
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  }];
+
+  const withProfile = (session) => (session ? { ...session, profile } : null);
+
+  resetDb({
+    session: {
+      findUnique: async ({ where }) => withProfile(sessions.find((session) => matchesWhere(session, where))),
+      update: async ({ where, data }) => applyUpdate(sessions.find((session) => session.id === where.id), data),
+      updateMany: async ({ where, data }) => {
+        const matched = sessions.filter((session) => matchesWhere(session, where));
+        matched.forEach((session) => applyUpdate(session, data));
+        return { count: matched.length };
+      }
+    },
+    profile: {
+      findUnique: async () => profile
+    }
+  });
+
+  return sessions;
+};
+
+const refresh = (refreshToken) => server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken } });
+
+test('o refresh troca o refresh token e o anterior deixa de valer', async () => {
+  sessionStore('refresh-original');
+
+  const first = await refresh('refresh-original');
+  assert.equal(first.status, 200);
+  assert.ok(first.body.token);
+  assert.notEqual(first.body.refreshToken, 'refresh-original');
+
+  assert.equal((await refresh('refresh-original')).status, 401);
+  assert.equal((await refresh(first.body.refreshToken)).status, 200);
+});
+
+test('o logout revoga a sessão: nem o refresh nem o access token continuam valendo', async () => {
+  sessionStore('refresh-original');
+  const { body: { token, refreshToken } } = await refresh('refresh-original');
+
+  const logout = await server.request('/api/logout', { method: 'POST', body: { refreshToken } });
+  assert.equal(logout.status, 200);
+
+  assert.equal((await refresh(refreshToken)).status, 401);
+  const profileResponse = await server.request('/api/user/profile', { token });
+  assert.equal(profileResponse.status, 401);
+  assert.equal(profileResponse.body.error, 'Session revoked');
+});
+
+test('refresh token expirado é recusado', async () => {
+  const sessions = sessionStore('refresh-original');
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+
+  assert.equal((await refresh('refresh-original')).status, 401);
+});
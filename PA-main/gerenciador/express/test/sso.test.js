@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { resetDb, callsTo, matchesWhere } from './helpers/fakePrisma.js';
+import { startServer } from './helpers/server.js';
+import { startOidcProvider } from './helpers/oidcProvider.js';
+
+const server = await startServer();
+const provider = await startOidcProvider();
+test.after(async () => {
+  await server.close();
+  await provider.close();
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Pedidos de login SSO e perfis em memória
+const ssoStore = (profiles = []) => {
+  const state = { requests: [], profiles };
+
+  resetDb({
+    oidcLoginRequest: {
+      create: async ({ data }) => {
+        const request = { id: state.requests.length + 1, ...data };
+        state.requests.push(request);
+        return request;
+      },
+      findUnique: async ({ where }) => state.requests.find((request) => request.state === where.state) ?? null,
+      deleteMany: async ({ where }) => {
+        const before = state.requests.length;
+        state.requests = state.requests.filter((request) => !matchesWhere(request, where));
+        return { count: before - state.requests.length };
+      }
+    },
+    profile: {
+      findUnique: async ({ where }) => state.profiles.find((profile) => matchesWhere(profile, where)) ?? null,
+      create: async ({ data }) => {
+        const profile = { id: 50, totpEnabledAt: null, suspendedAt: null, failedLoginCount: 0, lockedUntil: null, ...data };
+        state.profiles.push(profile);
+        return profile;
+      },
+      update: async ({ where, data }) => Object.assign(state.profiles.find((profile) => profile.id === where.id), data)
+    },
+    setting: { findUnique: async () => null },
+    invite: { findFirst: async () => null },
+    loginAttempt: { create: async ({ data }) => ({ id: 1, ...data }) },
+    session: { create: async () => ({ id: 60 }) }
+  });
+
+  return state;
+};
+
+const startSso = async () => {
+  const response = await server.request('/api/auth/oidc/start', { method: 'POST' });
+  assert.equal(response.status, 200);
+  return response.body;
+};
+
+const finishSso = (body) => server.request('/api/auth/oidc/callback', { method: 'POST', body });
+
+test('o início guarda só o hash da chave do navegador e pede PKCE (S256) ao provedor', async () => {
+  const store = ssoStore();
+
+  const { authorizationUrl, browserKey } = await startSso();
+  const params = new URL(authorizationUrl).searchParams;
+
+  assert.equal(store.requests.length, 1);
+  assert.equal(store.requests[0].state, params.get('state'));
+  assert.equal(store.requests[0].browserKeyHash, hashToken(browserKey));
+  assert.equal(params.get('code_challenge_method'), 'S256');
+  assert.equal(params.get('code_challenge'), crypto.createHash('sha256').update(store.requests[0].codeVerifier).digest('base64url'));
+});
+
+test('login SSO com email verificado provisiona o usuário e abre a sessão; o state não vale de novo', async () => {
+  const store = ssoStore();
+  const { authorizationUrl, browserKey } = await startSso();
+  const { code, state } = await provider.authorize(authorizationUrl, { email: 'gil@exemplo.com' });
+
+  const response = await finishSso({ code, state, browserKey });
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.token);
+  assert.equal(store.profiles[0].email, 'gil@exemplo.com');
+  assert.ok(store.profiles[0].oidcSubject);
+  assert.deepEqual(store.requests, []);
+
+  const replay = await finishSso({ code, state, browserKey });
+  assert.equal(replay.status, 400);
+});
+
+test('o retorno em outro navegador (chave diferente ou ausente) é recusado e consome o pedido', async () => {
+  const store = ssoStore();
+  const { authorizationUrl, browserKey } = await startSso();
+  const { code, state } = await provider.authorize(authorizationUrl, { email: 'gil@exemplo.com' });
+
+  const missing = await finishSso({ code, state });
+  const otherBrowser = await finishSso({ code, state, browserKey: `${browserKey}x` });
+  const original = await finishSso({ code, state, browserKey });
+
+  assert.equal(missing.status, 400);
+  assert.equal(otherBrowser.status, 400);
+  assert.match(otherBrowser.body.error, /not started in this browser/);
+  assert.equal(original.status, 400);
+  assert.deepEqual(store.profiles, []);
+});
+
+test('o código só é trocado com o code_verifier do pedido que o originou', async () => {
+  const store = ssoStore();
+  const { authorizationUrl, browserKey } = await startSso();
+  const { code, state } = await provider.authorize(authorizationUrl, { email: 'gil@exemplo.com' });
+  store.requests[0].codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  const response = await finishSso({ code, state, browserKey });
+
+  assert.equal(response.status, 401);
+  assert.deepEqual(store.profiles, []);
+});
+
+test('email não verificado pelo provedor não provisiona conta nem se vincula a uma conta local', async () => {
+  const store = ssoStore([{ id: 8, email: 'lia@exemplo.com', oidcSubject: null, verifiedAt: null }]);
+
+  const newUser = await startSso();
+  const forNewUser = await provider.authorize(newUser.authorizationUrl, { email: 'gil@exemplo.com', emailVerified: false });
+  const notVerified = await finishSso({ ...forNewUser, browserKey: newUser.browserKey });
+
+  const localUser = await startSso();
+  const forLocalUser = await provider.authorize(localUser.authorizationUrl, { email: 'lia@exemplo.com', emailVerified: false });
+  const conflict = await finishSso({ ...forLocalUser, browserKey: localUser.browserKey });
+
+  assert.equal(notVerified.status, 403);
+  assert.equal(notVerified.body.code, 'SSO_EMAIL_NOT_VERIFIED');
+  assert.equal(conflict.status, 409);
+  assert.equal(callsTo('profile', 'create').length, 0);
+  assert.equal(store.profiles[0].oidcSubject, null);
+});
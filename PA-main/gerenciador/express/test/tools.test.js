@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo } from './helpers/fakePrisma.js';
+import { startServer, accessTokenFor, activeSessions } from './helpers/server.js';
+
+const server = await startServer();
+test.after(() => server.close());
+
+const owner = { id: 1, role: 'USER', email: 'dono@exemplo.com', teams: [] };
+const responsible = { id: 2, role: 'USER', email: 'Resp@Exemplo.com', teams: [] };
+const teammate = { id: 3, role: 'USER', email: 'equipe@exemplo.com', teams: [{ id: 9 }] };
+const outsider = { id: 4, role: 'USER', email: 'outro@exemplo.com', teams: [] };
+const manager = { id: 5, role: 'USER', email: 'gestor@exemplo.com', teams: [] };
+const profiles = [owner, responsible, teammate, outsider, manager];
+
+const tool = {
+  id: 20,
+  name: 'Licença CAD',
+  description: 'Licença anual',
+  responsible: 'Resp',
+  responsibleEmail: 'resp@exemplo.com',
+  acquisitionDate: new Date('2026-01-01'),
+  expirationDate: new Date('2027-01-01'),
+  ownerId: owner.id,
+  teamId: 9
+};
+
+const toolStore = () => resetDb({
+  session: { findUnique: activeSessions(...profiles) },
+  profile: { findUnique: async ({ where }) => profiles.find((profile) => profile.id === where.id) },
+  permission: {
+    findMany: async ({ where }) => (where.profileId === manager.id ? [{ name: 'tools:manage' }] : [])
+  },
+  tool: {
+    findUnique: async ({ where }) => (where.id === tool.id ? { ...tool } : null),
+    findMany: async () => [{ ...tool, owner: { id: owner.id, name: 'Dono' }, team: { id: 9, name: 'Engenharia' } }],
+    delete: async () => tool
+  }
+});
+
+const deleteTool = (profile) => server.request(`/api/tools/${tool.id}`, {
+  method: 'DELETE',
+  token: accessTokenFor(profile)
+});
+
+test('dono, responsável (sem diferenciar maiúsculas), equipe e tools:manage podem excluir a ferramenta', async () => {
+  for (const profile of [owner, responsible, teammate, manager]) {
+    toolStore();
+    const response = await deleteTool(profile);
+    assert.equal(response.status, 200, `perfil ${profile.id}`);
+  }
+});
+
+test('os demais usuários recebem 403 e nada é excluído', async () => {
+  toolStore();
+
+  const response = await deleteTool(outsider);
+
+  assert.equal(response.status, 403);
+  assert.equal(callsTo('tool', 'delete').length, 0);
+});
+
+test('a listagem filtra pelas mesmas regras e indica quem pode editar', async () => {
+  toolStore();
+
+  const mine = await server.request('/api/tools', { token: accessTokenFor(teammate) });
+  const [{ where }] = callsTo('tool', 'findMany');
+
+  assert.equal(mine.status, 200);
+  assert.equal(mine.body[0].canEdit, true);
+  assert.deepEqual(where, {
+    OR: [{ ownerId: teammate.id }, { responsibleEmail: teammate.email }, { teamId: { in: [9] } }]
+  });
+
+  toolStore();
+  await server.request('/api/tools', { token: accessTokenFor(manager) });
+  assert.deepEqual(callsTo('tool', 'findMany')[0].where, {});
+});
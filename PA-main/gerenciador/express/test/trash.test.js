@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDb, callsTo, matchesWhere } from './helpers/fakePrisma.js';
+import { startServer, accessTokenFor, activeSessions } from './helpers/server.js';
+import { startFakeS3 } from './helpers/fakeS3.js';
+
+const server = await startServer();
+const s3 = await startFakeS3();
+test.after(async () => {
+  await server.close();
+  await s3.close();
+});
+
+const admin = { id: 1, role: 'ADMIN' };
+const owner = { id: 2, role: 'USER' };
+const other = { id: 3, role: 'USER' };
+
+// Post 10 na lixeira (duas versões), post 11 ativo; ambos do mesmo dono
+const trashStore = () => {
+  const posts = [
+    { id: 10, ownerId: owner.id, imageName: 'v2.pdf', deletedAt: new Date(), deletedById: owner.id, sharedWith: [] },
+    { id: 11, ownerId: owner.id, imageName: 'ativo.pdf', deletedAt: null, deletedById: null, sharedWith: [] }
+  ];
+
+  resetDb({
+    session: { findUnique: activeSessions(admin, owner, other) },
+    posts: {
+      findUnique: async ({ where }) => posts.find((post) => post.id === where.id) ?? null,
+      findMany: async ({ where }) => posts.filter((post) => matchesWhere(post, where)),
+      update: async ({ where, data }) => Object.assign(posts.find((post) => post.id === where.id), data),
+      delete: async ({ where }) => posts.splice(posts.findIndex((post) => post.id === where.id), 1)[0]
+    },
+    training: { findMany: async () => [] },
+    postVersion: { findMany: async () => [{ imageName: 'v1.pdf' }, { imageName: 'v2.pdf' }] },
+    sharedAccess: { deleteMany: async () => ({ count: 0 }) },
+    documentText: { deleteMany: async () => ({ count: 2 }) }
+  });
+
+  return posts;
+};
+
+test('excluir um post só o move para a lixeira; nada sai do S3', async () => {
+  const posts = trashStore();
+  s3.requests.length = 0;
+
+  const response = await server.request('/api/posts/11', { method: 'DELETE', token: accessTokenFor(owner) });
+
+  assert.equal(response.status, 200);
+  assert.ok(posts[1].deletedAt instanceof Date);
+  assert.equal(posts[1].deletedById, owner.id);
+  assert.deepEqual(s3.deletedKeys(), []);
+});
+
+test('a exclusão definitiva remove os arquivos e as prévias de todas as versões', async () => {
+  const posts = trashStore();
+  s3.requests.length = 0;
+
+  const response = await server.request('/api/trash/posts/10', { method: 'DELETE', token: accessTokenFor(owner) });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(s3.deletedKeys().sort(), [
+    'previews/preview/v1.pdf.webp',
+    'previews/preview/v2.pdf.webp',
+    'previews/thumbnail/v1.pdf.webp',
+    'previews/thumbnail/v2.pdf.webp',
+    'v1.pdf',
+    'v2.pdf'
+  ]);
+  assert.deepEqual(callsTo('documentText', 'deleteMany')[0].where, { imageName: { in: ['v2.pdf', 'v1.pdf'] } });
+  assert.deepEqual(posts.map(({ id }) => id), [11]);
+});
+
+test('só o dono, quem excluiu ou um admin mexe no item; itens fora da lixeira não são encontrados', async () => {
+  trashStore();
+  s3.requests.length = 0;
+
+  const byOther = await server.request('/api/trash/posts/10', { method: 'DELETE', token: accessTokenFor(other) });
+  const notTrashed = await server.request('/api/trash/posts/11', { method: 'DELETE', token: accessTokenFor(owner) });
+  const everyTrash = await server.request('/api/trash?all=true', { token: accessTokenFor(other) });
+
+  assert.equal(byOther.status, 403);
+  assert.equal(notTrashed.status, 404);
+  assert.equal(everyTrash.status, 403);
+  assert.deepEqual(s3.deletedKeys(), []);
+});
+
+test('restaurar devolve o post e esvaziar a lixeira só apaga o que está nela', async () => {
+  const posts = trashStore();
+
+  const restored = await server.request('/api/trash/posts/10/restore', { method: 'POST', token: accessTokenFor(admin) });
+
+  assert.equal(restored.status, 200);
+  assert.equal(posts[0].deletedAt, null);
+
+  posts[0].deletedAt = new Date();
+  const emptied = await server.request('/api/trash', { method: 'DELETE', token: accessTokenFor(owner) });
+
+  assert.deepEqual(emptied.body, { posts: 1, trainings: 0 });
+  assert.deepEqual(posts.map(({ id }) => id), [11]);
+});
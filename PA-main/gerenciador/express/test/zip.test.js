@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { resetDb, callsTo } from './helpers/fakePrisma.js';
+import { startServer, accessTokenFor, activeSessions } from './helpers/server.js';
+import { startFakeS3 } from './helpers/fakeS3.js';
+
+const server = await startServer();
+const s3 = await startFakeS3();
+test.after(async () => {
+  await server.close();
+  await s3.close();
+});
+
+const user = { id: 1, role: 'USER' };
+
+// Lê os arquivos de um ZIP pelo diretório central: { nome: conteúdo }
+const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  const files = {};
+
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let index = 0; index < count; index++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString();
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+// Posts 1 a 3 do usuário (dois com o mesmo nome), 4 é de outra pessoa e privado, 5 está na lixeira
+const zipStore = () => {
+  const posts = [
+    { id: 1, ownerId: user.id, imageName: 'k1', originalFileName: 'Relatório.pdf' },
+    { id: 2, ownerId: user.id, imageName: 'k2', originalFileName: 'relatório.pdf' },
+    { id: 3, ownerId: user.id, imageName: 'k3', originalFileName: '../planilha.xlsx' },
+    { id: 4, ownerId: 9, isPublic: false, imageName: 'k4', originalFileName: 'segredo.pdf' },
+    { id: 5, ownerId: user.id, imageName: 'k5', originalFileName: 'apagado.pdf', deletedAt: new Date() }
+  ].map((post) => ({ isPublic: false, folderId: null, deletedAt: null, created: new Date('2026-03-01'), sharedWith: [], ...post }));
+
+  s3.objects.clear();
+  posts.forEach((post) => s3.objects.set(post.imageName, `conteúdo de ${post.id}`));
+
+  resetDb({
+    session: { findUnique: activeSessions(user) },
+    posts: {
+      findUnique: async ({ where }) => posts.find((post) => post.id === where.id) ?? null,
+      findMany: async () => posts.filter((post) => post.ownerId === user.id && !post.deletedAt)
+    },
+    category: { findUnique: async ({ where }) => (where.id === 7 ? { id: 7, name: 'Contratos' } : null) },
+    folder: { findMany: async () => [] }
+  });
+};
+
+const downloadZip = (body) => server.request('/api/posts/bulk/zip', { method: 'POST', token: accessTokenFor(user), body });
+
+test('o ZIP usa os nomes originais sem repetição e deixa de fora o que o usuário não acessa', async () => {
+  zipStore();
+
+  const response = await downloadZip({ ids: [1, 2, 3, 4, 5] });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /documentos\.zip/);
+  assert.deepEqual(readZip(response.buffer), {
+    'Relatório.pdf': 'conteúdo de 1',
+    'relatório (2).pdf': 'conteúdo de 2',
+    '_planilha.xlsx': 'conteúdo de 3'
+  });
+});
+
+test('uma categoria inteira vem com o nome dela e com o filtro de visibilidade', async () => {
+  zipStore();
+
+  const response = await downloadZip({ categoryId: 7 });
+  const [{ where }] = callsTo('posts', 'findMany');
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /Contratos\.zip/);
+  assert.equal(Object.keys(readZip(response.buffer)).length, 3);
+  assert.equal(where.deletedAt, null);
+  assert.ok(where.OR.some((branch) => branch.ownerId === user.id));
+});
+
+test('um objeto que falta no S3 fica de fora sem interromper o download', async () => {
+  zipStore();
+  s3.objects.delete('k2');
+
+  const response = await downloadZip({ ids: [1, 2] });
+
+  assert.deepEqual(Object.keys(readZip(response.buffer)), ['Relatório.pdf']);
+});
+
+test('sem nenhum documento acessível, ou com categoria inexistente, responde 404', async () => {
+  zipStore();
+
+  const forbidden = await downloadZip({ ids: [4] });
+  const unknownCategory = await downloadZip({ categoryId: 8 });
+
+  assert.equal(forbidden.status, 404);
+  assert.equal(unknownCategory.status, 404);
+});
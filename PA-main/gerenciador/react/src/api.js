@@ -1,9 +1,24 @@
 import axios from 'axios';
 
+const baseURL = `${import.meta.env.VITE_API_URL}/api`;
+
 const api = axios.create({
-  baseURL: `${import.meta.env.VITE_API_URL}/api`,
+  baseURL,
 });
 
+// Salva o par de tokens retornado pelo login/refresh
+export const setSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
 api.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('token');
@@ -16,4 +31,93 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Rotas de autenticação (e suas sub-rotas) cujo 401 não deve disparar refresh
+const authRoutes = ['/login', '/auth/refresh', '/auth/oidc', '/logout'];
+
+const isAuthRoute = (url = '') => authRoutes.some((route) => url === route || url.startsWith(`${route}/`));
+
+// Promise compartilhada para que várias requisições com 401 disparem um único refresh
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${baseURL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('Sem refresh token'))
+    )
+      .then((response) => {
+        setSession(response.data);
+        return response.data.token;
+      })
+      .catch((error) => {
+        clearSession();
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Renova o access token de forma transparente e repete a requisição original
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !originalRequest ||
+      originalRequest._retry ||
+      isAuthRoute(originalRequest.url)
+    ) {
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+
+    try {
+      const token = await refreshAccessToken();
+      originalRequest.headers = originalRequest.headers || {};
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return api(originalRequest);
+    } catch (refreshError) {
+      if (window.location.pathname !== '/login') {
+        window.location.assign('/login');
+      }
+      return Promise.reject(error);
+    }
+  }
+);
+
+// Baixa o ZIP montado pelo servidor para { ids } ou { categoryId }. Com responseType blob, as respostas
+// de erro também chegam como Blob e são convertidas de volta para JSON.
+export const downloadZip = async (payload, fileName) => {
+  try {
+    const response = await api.post('/posts/bulk/zip', payload, { responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    if (error.response?.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text());
+      } catch {
+        // Resposta sem JSON: mantém o erro original
+      }
+    }
+    throw error;
+  }
+};
+
 export default api;
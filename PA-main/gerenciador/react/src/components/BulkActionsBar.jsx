@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { CheckSquare, X, Trash2, Tag, Lock, Unlock, Share2, Loader2, FileArchive } from 'lucide-react';
+import api, { downloadZip } from '../api';
+
+// Barra de ações para os documentos selecionados; cada operação informa quantos itens falharam e por quê
+export default function BulkActionsBar({ selectedPosts, categories, onSelectAll, onClear, onDone }) {
+  const [running, setRunning] = useState(false);
+  const [categoryId, setCategoryId] = useState('');
+  const [showShare, setShowShare] = useState(false);
+  const [shareEmail, setShareEmail] = useState('');
+  const [canEdit, setCanEdit] = useState(false);
+  const [canDelete, setCanDelete] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const ids = selectedPosts.map((post) => post.id);
+
+  const runOperation = async (operation, payload, successText) => {
+    setRunning(true);
+    setReport(null);
+    try {
+      const response = await api.post(`/posts/bulk/${operation}`, { ids, ...payload });
+      const namesById = new Map(selectedPosts.map((post) => [post.id, post.originalFileName]));
+      const failures = response.data.results
+        .filter((result) => !result.ok)
+        .map((result) => ({ ...result, name: namesById.get(result.id) || `#${result.id}` }));
+
+      setReport({ text: `${response.data.succeeded} ${successText}`, failures });
+      onDone(response.data.results.filter((result) => result.ok).map((result) => result.id));
+    } catch (error) {
+      console.error('Erro na operação em lote:', error);
+      setReport({ text: error.response?.data?.error || 'Não foi possível concluir a operação.', failures: [] });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // Documentos sem permissão de leitura ficam fora do ZIP
+  const downloadSelected = async () => {
+    setRunning(true);
+    setReport(null);
+    try {
+      await downloadZip({ ids }, 'documentos.zip');
+    } catch (error) {
+      console.error('Erro ao baixar ZIP:', error);
+      setReport({ text: error.response?.data?.error || 'Não foi possível gerar o ZIP.', failures: [] });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const deleteSelected = () => {
+    if (!window.confirm(`Mover ${ids.length} documento(s) para a lixeira?`)) return;
+    runOperation('delete', {}, 'documento(s) movido(s) para a lixeira.');
+  };
+
+  const moveSelected = () => {
+    if (!categoryId) return;
+    runOperation('category', { categoryId: Number(categoryId) }, 'documento(s) movido(s) de categoria.');
+  };
+
+  const shareSelected = (event) => {
+    event.preventDefault();
+    runOperation('share', { userEmail: shareEmail, canView: true, canEdit, canDelete }, 'documento(s) compartilhado(s).');
+    setShowShare(false);
+    setShareEmail('');
+  };
+
+  if (selectedPosts.length === 0 && !report) {
+    return null;
+  }
+
+  return (
+    <div className="sticky top-20 z-30 mb-6 bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-indigo-100 p-4 animate-fadeIn">
+      {selectedPosts.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="text-sm font-semibold text-indigo-800">{selectedPosts.length} selecionado(s)</span>
+          <button onClick={onSelectAll} className="inline-flex items-center px-3 py-1.5 text-sm text-indigo-600 hover:bg-indigo-50 rounded-lg">
+            <CheckSquare className="w-4 h-4 mr-1" /> Selecionar todos
+          </button>
+          <button onClick={onClear} className="inline-flex items-center px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg">
+            <X className="w-4 h-4 mr-1" /> Limpar seleção
+          </button>
+
+          <div className="flex items-center gap-2 ml-auto flex-wrap">
+            <div className="flex items-center gap-1">
+              <select
+                value={categoryId}
+                onChange={(e) => setCategoryId(e.target.value)}
+                className="p-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                <option value="">Mover para categoria...</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={moveSelected}
+                disabled={running || !categoryId}
+                className="p-2 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+                title="Mover para a categoria"
+              >
+                <Tag className="w-4 h-4 text-indigo-500" />
+              </button>
+            </div>
+            <button
+              onClick={() => runOperation('visibility', { isPublic: true }, 'documento(s) tornado(s) público(s).')}
+              disabled={running}
+              className="p-2 rounded-lg hover:bg-green-50 disabled:opacity-50"
+              title="Tornar públicos"
+            >
+              <Unlock className="w-4 h-4 text-green-600" />
+            </button>
+            <button
+              onClick={() => runOperation('visibility', { isPublic: false }, 'documento(s) tornado(s) privado(s).')}
+              disabled={running}
+              className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+              title="Tornar privados"
+            >
+              <Lock className="w-4 h-4 text-gray-600" />
+            </button>
+            <button
+              onClick={() => setShowShare(!showShare)}
+              disabled={running}
+              className="p-2 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+              title="Compartilhar"
+            >
+              <Share2 className="w-4 h-4 text-indigo-500" />
+            </button>
+            <button
+              onClick={downloadSelected}
+              disabled={running}
+              className="p-2 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+              title="Baixar ZIP"
+            >
+              <FileArchive className="w-4 h-4 text-indigo-500" />
+            </button>
+            <button
+              onClick={deleteSelected}
+              disabled={running}
+              className="p-2 rounded-lg hover:bg-red-50 disabled:opacity-50"
+              title="Mover para a lixeira"
+            >
+              <Trash2 className="w-4 h-4 text-red-500" />
+            </button>
+            {running && <Loader2 className="w-4 h-4 animate-spin text-indigo-600" />}
+          </div>
+        </div>
+      )}
+
+      {showShare && selectedPosts.length > 0 && (
+        <form onSubmit={shareSelected} className="mt-4 flex flex-wrap items-center gap-3 border-t pt-4">
+          <input
+            type="email"
+            value={shareEmail}
+            onChange={(e) => setShareEmail(e.target.value)}
+            placeholder="email@exemplo.com"
+            className="flex-1 min-w-[200px] p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            required
+          />
+          <label className="flex items-center text-sm text-gray-700">
+            <input type="checkbox" checked={canEdit} onChange={(e) => setCanEdit(e.target.checked)} className="rounded text-indigo-600 h-4 w-4 mr-2" />
+            Editar
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <input type="checkbox" checked={canDelete} onChange={(e) => setCanDelete(e.target.checked)} className="rounded text-indigo-600 h-4 w-4 mr-2" />
+            Excluir
+          </label>
+          <button
+            type="submit"
+            disabled={running}
+            className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg disabled:opacity-50"
+          >
+            Compartilhar
+          </button>
+        </form>
+      )}
+
+      {report && (
+        <div className={`${selectedPosts.length > 0 ? 'mt-4 border-t pt-4' : ''} text-sm`}>
+          <div className="flex items-start justify-between">
+            <p className="text-gray-800">{report.text}</p>
+            <button onClick={() => setReport(null)} className="p-1 rounded hover:bg-gray-100" title="Fechar">
+              <X className="w-4 h-4 text-gray-500" />
+            </button>
+          </div>
+          {report.failures.length > 0 && (
+            <ul className="mt-2 space-y-1 text-red-700">
+              {report.failures.map((failure) => (
+                <li key={failure.id}>{failure.name}: {failure.error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { FileSearch, Download, Folder, Loader2 } from 'lucide-react';
+import api from '../api';
+
+// Resultados da busca no conteúdo dos arquivos (PDF, DOCX e XLSX), em todas as pastas visíveis
+export default function ContentSearchResults({ query, downloadFile, openFolder }) {
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 3) {
+      setResults([]);
+      return;
+    }
+
+    // Espera o usuário parar de digitar antes de consultar
+    setLoading(true);
+    const timeout = setTimeout(() => {
+      api.get('/search', { params: { q } })
+        .then((response) => setResults(response.data))
+        .catch((error) => console.error('Erro na busca por conteúdo:', error))
+        .finally(() => setLoading(false));
+    }, 400);
+
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  if (!loading && results.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-8 bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg border border-gray-100 p-6 animate-fadeIn">
+      <h3 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+        <FileSearch className="w-5 h-5 mr-2 text-indigo-500" />
+        Encontrado no conteúdo dos arquivos
+        {loading && <Loader2 className="w-4 h-4 ml-2 animate-spin text-indigo-500" />}
+      </h3>
+
+      <ul className="divide-y divide-gray-100">
+        {results.map(({ post, snippet }) => (
+          <li key={post.id} className="py-3 flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800 truncate" title={post.originalFileName}>{post.originalFileName}</p>
+              <p className="text-xs text-gray-500 mb-1">{post.category?.name}</p>
+              <p className="text-sm text-gray-600 break-words">
+                {snippet.map((part, index) => (
+                  part.highlight
+                    ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{part.text}</mark>
+                    : <span key={index}>{part.text}</span>
+                ))}
+              </p>
+            </div>
+            <div className="flex items-center space-x-1 flex-shrink-0">
+              {post.folderId && (
+                <button
+                  onClick={() => openFolder(post.folderId)}
+                  className="p-2 rounded-lg hover:bg-indigo-50 transition-colors duration-200"
+                  title="Abrir pasta"
+                >
+                  <Folder className="w-4 h-4 text-indigo-500" />
+                </button>
+              )}
+              <button
+                onClick={() => downloadFile(post)}
+                className="p-2 rounded-lg hover:bg-indigo-50 transition-colors duration-200"
+                title="Baixar arquivo"
+              >
+                <Download className="w-4 h-4 text-indigo-500" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
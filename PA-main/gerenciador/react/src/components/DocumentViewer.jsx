@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Maximize, Loader2, AlertCircle } from 'lucide-react';
+import api from '../api';
+
+// Acima disso o arquivo não é carregado no navegador; o usuário baixa normalmente
+const MAX_VIEWER_BYTES = 50 * 1024 * 1024;
+const MAX_SHEET_ROWS = 500;
+const MAX_TEXT_CHARS = 1000000;
+const ZOOM_STEPS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4];
+
+const SHEET_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+const TEXT_EXTENSIONS = ['txt', 'csv', 'log', 'json', 'xml'];
+const MARKDOWN_EXTENSIONS = ['md', 'markdown'];
+
+// Tipo de visualização do arquivo; null quando não há visualizador para ele
+export const viewerKind = ({ fileType = '', originalFileName = '' }) => {
+  const extension = originalFileName.split('.').pop().toLowerCase();
+
+  if (fileType === 'application/pdf' || extension === 'pdf') return 'pdf';
+  if (fileType.startsWith('image/')) return 'image';
+  if (SHEET_TYPES.includes(fileType) || extension === 'xlsx') return 'sheet';
+  if (fileType === 'text/markdown' || MARKDOWN_EXTENSIONS.includes(extension)) return 'markdown';
+  if (fileType.startsWith('text/') || TEXT_EXTENSIONS.includes(extension)) return 'text';
+  return null;
+};
+
+const toolbarButtonClass = 'p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed';
+
+function PdfViewer({ data }) {
+  const canvasRef = useRef(null);
+  const [pdfDocument, setPdfDocument] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [zoom, setZoom] = useState(1);
+  const [error, setError] = useState(null);
+
+  // O pdf.js é carregado só quando um PDF é aberto
+  useEffect(() => {
+    let loadingTask;
+    let cancelled = false;
+
+    (async () => {
+      const pdfjs = await import('pdfjs-dist');
+      const { default: workerSrc } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+      pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+      // O pdf.js transfere o buffer para o worker, por isso vai uma cópia
+      loadingTask = pdfjs.getDocument({ data: data.slice(0) });
+      const loaded = await loadingTask.promise;
+      if (!cancelled) {
+        setPdfDocument(loaded);
+        setPageNumber(1);
+      }
+    })().catch((error) => {
+      console.error('Erro ao abrir PDF:', error);
+      if (!cancelled) setError('Não foi possível abrir o PDF.');
+    });
+
+    return () => {
+      cancelled = true;
+      loadingTask?.destroy();
+    };
+  }, [data]);
+
+  useEffect(() => {
+    if (!pdfDocument) return;
+
+    let renderTask;
+    let cancelled = false;
+
+    pdfDocument.getPage(pageNumber).then((page) => {
+      if (cancelled) return;
+
+      // Renderiza na densidade da tela para o texto não ficar borrado
+      const viewport = page.getViewport({ scale: zoom * 1.5 });
+      const outputScale = window.devicePixelRatio || 1;
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      canvas.style.width = `${Math.floor(viewport.width)}px`;
+
+      renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+      });
+      return renderTask.promise;
+    }).catch((error) => {
+      if (error?.name !== 'RenderingCancelledException') {
+        console.error('Erro ao renderizar página:', error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdfDocument, pageNumber, zoom]);
+
+  if (error) return <ViewerMessage text={error} />;
+  if (!pdfDocument) return <ViewerLoading />;
+
+  return (
+    <div>
+      <div className="flex items-center justify-center gap-2 mb-3 text-sm text-gray-700">
+        <button onClick={() => setPageNumber(pageNumber - 1)} disabled={pageNumber <= 1} className={toolbarButtonClass} title="Página anterior">
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span>Página {pageNumber} de {pdfDocument.numPages}</span>
+        <button onClick={() => setPageNumber(pageNumber + 1)} disabled={pageNumber >= pdfDocument.numPages} className={toolbarButtonClass} title="Próxima página">
+          <ChevronRight className="w-4 h-4" />
+        </button>
+        <ZoomControls zoom={zoom} setZoom={setZoom} />
+      </div>
+      <div className="max-h-[65vh] overflow-auto bg-gray-100 rounded-xl p-4">
+        <canvas ref={canvasRef} className="mx-auto shadow-md bg-white" />
+      </div>
+    </div>
+  );
+}
+
+function ImageViewer({ data, fileType, alt }) {
+  const [url, setUrl] = useState(null);
+  const [zoom, setZoom] = useState(1);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(new Blob([data], { type: fileType }));
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [data, fileType]);
+
+  if (!url) return <ViewerLoading />;
+
+  return (
+    <div>
+      <div className="flex items-center justify-center gap-2 mb-3 text-sm text-gray-700">
+        <ZoomControls zoom={zoom} setZoom={setZoom} />
+      </div>
+      {/* Com zoom 1 a imagem ocupa a largura disponível; acima disso a área rola */}
+      <div className="max-h-[65vh] overflow-auto bg-gray-100 rounded-xl p-4">
+        <img src={url} alt={alt} style={{ width: `${zoom * 100}%`, maxWidth: 'none' }} className="mx-auto" />
+      </div>
+    </div>
+  );
+}
+
+function SheetViewer({ data }) {
+  const [sheets, setSheets] = useState(null);
+  const [activeSheet, setActiveSheet] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    import('read-excel-file/browser')
+      .then(({ default: readXlsxFile }) => readXlsxFile(new Blob([data])))
+      .then((result) => {
+        setSheets(result);
+        setActiveSheet(0);
+      })
+      .catch((error) => {
+        console.error('Erro ao ler planilha:', error);
+        setError('Não foi possível ler a planilha.');
+      });
+  }, [data]);
+
+  if (error) return <ViewerMessage text={error} />;
+  if (!sheets) return <ViewerLoading />;
+
+  const rows = sheets[activeSheet]?.data || [];
+
+  const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toLocaleDateString('pt-BR');
+    return String(value);
+  };
+
+  return (
+    <div>
+      {sheets.length > 1 && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {sheets.map((sheet, index) => (
+            <button
+              key={sheet.sheet}
+              onClick={() => setActiveSheet(index)}
+              className={`px-3 py-1.5 text-sm rounded-lg ${index === activeSheet ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {sheet.sheet}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="max-h-[65vh] overflow-auto border border-gray-200 rounded-xl">
+        {rows.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 text-center">Planilha vazia.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <tbody>
+              {rows.slice(0, MAX_SHEET_ROWS).map((row, rowIndex) => (
+                <tr key={rowIndex} className={rowIndex === 0 ? 'bg-gray-50 font-semibold' : 'border-t border-gray-100'}>
+                  <td className="px-2 py-1 text-xs text-gray-400 text-right select-none">{rowIndex + 1}</td>
+                  {row.map((cell, cellIndex) => (
+                    <td key={cellIndex} className="px-3 py-1 whitespace-nowrap text-gray-800">{formatCell(cell)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      {rows.length > MAX_SHEET_ROWS && (
+        <p className="mt-2 text-xs text-gray-500">Mostrando as primeiras {MAX_SHEET_ROWS} de {rows.length} linhas. Baixe o arquivo para ver todas.</p>
+      )}
+    </div>
+  );
+}
+
+// Estilos dos elementos do markdown, já que o reset do Tailwind remove os padrões do navegador
+const markdownClassName = [
+  '[&_h1]:text-2xl [&_h1]:font-bold [&_h1]:mt-4 [&_h1]:mb-2',
+  '[&_h2]:text-xl [&_h2]:font-bold [&_h2]:mt-4 [&_h2]:mb-2',
+  '[&_h3]:text-lg [&_h3]:font-semibold [&_h3]:mt-3 [&_h3]:mb-2',
+  '[&_p]:mb-3 [&_p]:leading-relaxed',
+  '[&_ul]:list-disc [&_ul]:pl-6 [&_ul]:mb-3 [&_ol]:list-decimal [&_ol]:pl-6 [&_ol]:mb-3',
+  '[&_a]:text-indigo-600 [&_a]:underline',
+  '[&_code]:bg-gray-100 [&_code]:rounded [&_code]:px-1 [&_code]:font-mono [&_code]:text-sm',
+  '[&_pre]:bg-gray-100 [&_pre]:rounded-lg [&_pre]:p-3 [&_pre]:mb-3 [&_pre]:overflow-x-auto',
+  '[&_blockquote]:border-l-4 [&_blockquote]:border-gray-300 [&_blockquote]:pl-4 [&_blockquote]:text-gray-600 [&_blockquote]:mb-3',
+  '[&_table]:mb-3 [&_th]:border [&_th]:px-2 [&_td]:border [&_td]:px-2'
+].join(' ');
+
+function TextViewer({ data, markdown }) {
+  const text = useMemo(() => new TextDecoder('utf-8').decode(data), [data]);
+  const truncated = text.length > MAX_TEXT_CHARS;
+  const content = truncated ? text.slice(0, MAX_TEXT_CHARS) : text;
+  // O HTML gerado a partir do markdown é sanitizado: o arquivo é conteúdo enviado por usuários
+  const html = useMemo(() => (markdown ? DOMPurify.sanitize(marked.parse(content)) : null), [markdown, content]);
+
+  return (
+    <div>
+      <div className="max-h-[65vh] overflow-auto bg-white border border-gray-200 rounded-xl p-5 text-left text-gray-800">
+        {markdown ? (
+          <div className={markdownClassName} dangerouslySetInnerHTML={{ __html: html }} />
+        ) : (
+          <pre className="whitespace-pre-wrap break-words font-mono text-sm">{content}</pre>
+        )}
+      </div>
+      {truncated && (
+        <p className="mt-2 text-xs text-gray-500">O arquivo é longo demais para ser exibido por inteiro. Baixe-o para ver o restante.</p>
+      )}
+    </div>
+  );
+}
+
+function ZoomControls({ zoom, setZoom }) {
+  const index = ZOOM_STEPS.indexOf(zoom);
+
+  return (
+    <>
+      <button onClick={() => setZoom(ZOOM_STEPS[index - 1])} disabled={index <= 0} className={toolbarButtonClass} title="Diminuir zoom">
+        <ZoomOut className="w-4 h-4" />
+      </button>
+      <span className="w-12 text-center">{Math.round(zoom * 100)}%</span>
+      <button onClick={() => setZoom(ZOOM_STEPS[index + 1])} disabled={index >= ZOOM_STEPS.length - 1} className={toolbarButtonClass} title="Aumentar zoom">
+        <ZoomIn className="w-4 h-4" />
+      </button>
+      <button onClick={() => setZoom(1)} disabled={zoom === 1} className={toolbarButtonClass} title="Ajustar">
+        <Maximize className="w-4 h-4" />
+      </button>
+    </>
+  );
+}
+
+function ViewerLoading() {
+  return (
+    <div className="flex items-center justify-center py-16 text-gray-500">
+      <Loader2 className="w-6 h-6 animate-spin mr-2 text-indigo-500" />
+      Carregando visualização...
+    </div>
+  );
+}
+
+function ViewerMessage({ text }) {
+  return (
+    <div className="flex items-center justify-center py-12 text-gray-600">
+      <AlertCircle className="w-5 h-5 mr-2 text-orange-500" />
+      {text}
+    </div>
+  );
+}
+
+// Visualizador de documentos: o conteúdo vem de /posts/:id/download?inline=true, sem baixar o arquivo
+export default function DocumentViewer({ post }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const kind = viewerKind(post);
+  const tooLarge = post.size > MAX_VIEWER_BYTES;
+
+  useEffect(() => {
+    if (!kind || tooLarge) return;
+
+    let cancelled = false;
+    setData(null);
+    setError(null);
+
+    api.get(`/posts/${post.id}/download`, { params: { inline: true }, responseType: 'arraybuffer' })
+      .then((response) => {
+        if (!cancelled) setData(response.data);
+      })
+      .catch((error) => {
+        console.error('Erro ao carregar o arquivo para visualização:', error);
+        if (!cancelled) setError('Não foi possível carregar o arquivo para visualização.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [post.id, post.imageName, kind, tooLarge]);
+
+  if (!kind) return null;
+  if (tooLarge) return <ViewerMessage text="Arquivo grande demais para visualizar no navegador. Baixe-o para abrir." />;
+  if (error) return <ViewerMessage text={error} />;
+  if (!data) return <ViewerLoading />;
+
+  switch (kind) {
+    case 'pdf':
+      return <PdfViewer data={data} />;
+    case 'image':
+      return <ImageViewer data={data} fileType={post.fileType} alt={post.originalFileName} />;
+    case 'sheet':
+      return <SheetViewer data={data} />;
+    default:
+      return <TextViewer data={data} markdown={kind === 'markdown'} />;
+  }
+}
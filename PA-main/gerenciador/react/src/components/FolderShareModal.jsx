@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import ReactDOM from 'react-dom';
+import { Share2, X, Trash2 } from 'lucide-react';
+import api from '../api';
+
+// Compartilhamento de pasta: as permissões valem para todas as subpastas e documentos dela
+export default function FolderShareModal({ folder, onClose }) {
+  const [sharedUsers, setSharedUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isSharing, setIsSharing] = useState(false);
+  const [shareEmail, setShareEmail] = useState('');
+  const [canView, setCanView] = useState(true);
+  const [canEdit, setCanEdit] = useState(false);
+  const [canDelete, setCanDelete] = useState(false);
+  const [shareError, setShareError] = useState(null);
+  const [shareSuccess, setShareSuccess] = useState(null);
+
+  const fetchSharedUsers = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/folders/${folder.id}/shared`);
+      setSharedUsers(response.data);
+    } catch (error) {
+      console.error('Erro ao buscar usuários compartilhados:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSharedUsers();
+  }, [folder.id]);
+
+  const shareWithUser = async (e) => {
+    e.preventDefault();
+    setIsSharing(true);
+    setShareError(null);
+    setShareSuccess(null);
+
+    try {
+      await api.post(`/folders/${folder.id}/share`, {
+        userEmail: shareEmail,
+        canView,
+        canEdit,
+        canDelete
+      });
+
+      setShareSuccess('Pasta compartilhada com sucesso!');
+      setShareEmail('');
+      fetchSharedUsers();
+    } catch (error) {
+      console.error('Erro ao compartilhar pasta:', error);
+      setShareError(error.response?.data?.error || 'Erro ao compartilhar pasta');
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const removeShare = async (userId) => {
+    try {
+      await api.delete(`/folders/${folder.id}/share/${userId}`);
+      fetchSharedUsers();
+    } catch (error) {
+      console.error('Erro ao remover compartilhamento:', error);
+    }
+  };
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-[9999] flex items-center justify-center p-4">
+      <div className="bg-white/90 backdrop-blur-sm rounded-2xl p-8 max-w-md w-full shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center min-w-0">
+            <div className="p-3 rounded-xl bg-indigo-100 mr-4">
+              <Share2 className="h-6 w-6 text-indigo-500" />
+            </div>
+            <h3 className="text-xl font-bold text-gray-800 truncate">
+              Compartilhar "{folder.name}"
+            </h3>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-full hover:bg-gray-100 transition-all duration-200"
+          >
+            <X className="w-5 h-5 text-gray-600" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-500 mb-4">
+          As permissões valem para todas as subpastas e documentos desta pasta.
+        </p>
+
+        <form onSubmit={shareWithUser} className="mb-6">
+          <div className="mb-4">
+            <label htmlFor="folderShareEmail" className="block text-sm font-medium text-gray-700 mb-1">
+              Email do usuário
+            </label>
+            <input
+              type="email"
+              id="folderShareEmail"
+              value={shareEmail}
+              onChange={(e) => setShareEmail(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              placeholder="email@exemplo.com"
+              required
+            />
+          </div>
+
+          <div className="mb-6">
+            <p className="text-sm font-medium text-gray-700 mb-2">Permissões</p>
+            <div className="space-y-2">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={canView}
+                  onChange={(e) => setCanView(e.target.checked)}
+                  className="rounded text-indigo-600 focus:ring-indigo-500 h-4 w-4 mr-2"
+                />
+                <span className="text-sm text-gray-700">Visualizar</span>
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={canEdit}
+                  onChange={(e) => setCanEdit(e.target.checked)}
+                  className="rounded text-indigo-600 focus:ring-indigo-500 h-4 w-4 mr-2"
+                />
+                <span className="text-sm text-gray-700">Editar (adicionar e mover documentos)</span>
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={canDelete}
+                  onChange={(e) => setCanDelete(e.target.checked)}
+                  className="rounded text-indigo-600 focus:ring-indigo-500 h-4 w-4 mr-2"
+                />
+                <span className="text-sm text-gray-700">Excluir</span>
+              </label>
+            </div>
+          </div>
+
+          {shareError && (
+            <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-xl text-sm">
+              {shareError}
+            </div>
+          )}
+
+          {shareSuccess && (
+            <div className="mb-4 p-3 bg-green-50 text-green-700 rounded-xl text-sm">
+              {shareSuccess}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSharing}
+            className="w-full px-5 py-2.5 text-sm font-medium text-white bg-gradient-to-r from-indigo-500 to-indigo-600 hover:shadow-lg hover:shadow-indigo-200/50 rounded-xl transition-all duration-300 disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {isSharing ? 'Compartilhando...' : 'Compartilhar'}
+          </button>
+        </form>
+
+        <div className="border-t pt-4">
+          <h4 className="font-medium text-gray-700 mb-3">Compartilhado com</h4>
+          {loading ? (
+            <p className="text-sm text-gray-500">Carregando...</p>
+          ) : sharedUsers.length === 0 ? (
+            <p className="text-sm text-gray-500">Esta pasta ainda não foi compartilhada</p>
+          ) : (
+            <ul className="space-y-2 max-h-48 overflow-y-auto">
+              {sharedUsers.map((share) => (
+                <li key={share.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-xl">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-800 truncate">{share.user?.name || 'Usuário'}</p>
+                    <p className="text-xs text-gray-500 truncate">{share.user?.email}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {[share.canView && 'Visualizar', share.canEdit && 'Editar', share.canDelete && 'Excluir'].filter(Boolean).join(', ')}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => removeShare(share.userId)}
+                    className="p-2 rounded-full hover:bg-red-50 transition-colors duration-200"
+                    title="Remover compartilhamento"
+                  >
+                    <Trash2 className="w-4 h-4 text-red-500" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
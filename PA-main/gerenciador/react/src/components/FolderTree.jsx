@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { ChevronRight, ChevronDown, Folder, FolderOpen, Home } from 'lucide-react';
+
+// Árvore de pastas montada a partir da lista plana retornada por /folders
+export default function FolderTree({ folders, currentFolderId, onSelect }) {
+  const [expanded, setExpanded] = useState({});
+
+  const foldersById = new Map(folders.map((folder) => [folder.id, folder]));
+  const childrenOf = (parentId) => folders.filter((folder) =>
+    parentId === null
+      // Pastas compartilhadas cujo pai o usuário não enxerga aparecem na raiz
+      ? folder.parentId === null || !foldersById.has(folder.parentId)
+      : folder.parentId === parentId
+  );
+
+  // As pastas acima da atual ficam abertas até o usuário recolhê-las
+  const ancestorIds = new Set();
+  for (let folder = foldersById.get(currentFolderId); folder && !ancestorIds.has(folder.parentId); folder = foldersById.get(folder.parentId)) {
+    if (folder.parentId !== null) ancestorIds.add(folder.parentId);
+  }
+
+  const isExpanded = (id) => expanded[id] ?? ancestorIds.has(id);
+
+  const toggle = (id) => {
+    setExpanded((current) => ({ ...current, [id]: !isExpanded(id) }));
+  };
+
+  const renderFolder = (folder, depth) => {
+    const children = childrenOf(folder.id);
+    const isOpen = isExpanded(folder.id);
+    const isCurrent = folder.id === currentFolderId;
+
+    return (
+      <li key={folder.id}>
+        <div
+          className={`flex items-center rounded-lg pr-2 py-1.5 cursor-pointer transition-colors duration-200 ${isCurrent ? 'bg-indigo-100 text-indigo-800' : 'text-gray-700 hover:bg-indigo-50'}`}
+          style={{ paddingLeft: `${depth * 14 + 4}px` }}
+          onClick={() => onSelect(folder.id)}
+        >
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              toggle(folder.id);
+            }}
+            className={`p-0.5 mr-1 rounded hover:bg-indigo-200/50 ${children.length === 0 ? 'invisible' : ''}`}
+          >
+            {isOpen ? <ChevronDown className="w-3.5 h-3.5" /> : <ChevronRight className="w-3.5 h-3.5" />}
+          </button>
+          {isCurrent ? (
+            <FolderOpen className="w-4 h-4 mr-2 text-indigo-500 flex-shrink-0" />
+          ) : (
+            <Folder className="w-4 h-4 mr-2 text-indigo-400 flex-shrink-0" />
+          )}
+          <span className="text-sm truncate" title={folder.name}>{folder.name}</span>
+        </div>
+        {isOpen && children.length > 0 && (
+          <ul>
+            {children.map((child) => renderFolder(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <nav className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg border border-gray-100 p-3">
+      <div
+        className={`flex items-center rounded-lg px-2 py-1.5 cursor-pointer transition-colors duration-200 ${currentFolderId === null ? 'bg-indigo-100 text-indigo-800' : 'text-gray-700 hover:bg-indigo-50'}`}
+        onClick={() => onSelect(null)}
+      >
+        <Home className="w-4 h-4 mr-2 text-indigo-500" />
+        <span className="text-sm font-medium">Meus documentos</span>
+      </div>
+      <ul className="mt-1">
+        {childrenOf(null).map((folder) => renderFolder(folder, 0))}
+      </ul>
+    </nav>
+  );
+}
@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { Disclosure } from '@headlessui/react';
-import { Menu, LogOut, Home, FilePlus, Wrench, GraduationCap, X, User as UserIcon, Bell, Shield, ChevronRight } from 'lucide-react';
+import { Menu, LogOut, Home, FilePlus, Wrench, GraduationCap, X, User as UserIcon, Bell, Shield, ChevronRight, MonitorX, Trash2 } from 'lucide-react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
-import api from '../api';
+import api, { clearSession } from '../api';
 
 function classNames(...classes) {
   return classes.filter(Boolean).join(' ');
@@ -15,6 +15,7 @@ export default function NavBar() {
   const [hoveredItem, setHoveredItem] = useState(null);
   const [userName, setUserName] = useState('');
   const [userRole, setUserRole] = useState(null);
+  const [permissions, setPermissions] = useState([]);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
 
   useEffect(() => {
@@ -23,6 +24,7 @@ export default function NavBar() {
         const response = await api.get('/user/profile');
         setUserName(response.data.name);
         setUserRole(response.data.role);
+        setPermissions(response.data.permissions || []);
       } catch (error) {
         console.error('Error fetching user profile:', error);
       }
@@ -39,14 +41,34 @@ export default function NavBar() {
     return () => window.removeEventListener('scroll', handleScroll);
   }, []);
 
-  const handleLogout = () => {
+  const finishLogout = () => {
     document.body.classList.add('fade-out');
     setTimeout(() => {
-      localStorage.removeItem('token');
+      clearSession();
       navigate('/login');
     }, 300);
   };
 
+  const handleLogout = async () => {
+    try {
+      await api.post('/logout', { refreshToken: localStorage.getItem('refreshToken') });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    }
+    finishLogout();
+  };
+
+  // Encerra as sessões em todos os dispositivos
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Deseja sair de todos os dispositivos?')) return;
+    try {
+      await api.post('/logout/all');
+    } catch (error) {
+      console.error('Error revoking all sessions:', error);
+    }
+    finishLogout();
+  };
+
   const navigation = [
     { 
       name: 'Home', 
@@ -77,11 +99,21 @@ export default function NavBar() {
       bgColor: 'bg-purple-500',
       underlineColor: 'bg-purple-400',
       glowColor: 'from-purple-400/10 to-transparent'
+    },
+    { 
+      name: 'Lixeira', 
+      current: location.pathname === '/trash', 
+      href: '/trash', 
+      icon: Trash2,
+      hoverColor: 'hover:text-gray-200',
+      bgColor: 'bg-gray-500',
+      underlineColor: 'bg-gray-400',
+      glowColor: 'from-gray-400/10 to-transparent'
     }
   ];
   
-  // Adicionar item de administração apenas para admins
-  if (userRole === 'ADMIN') {
+  // Adicionar item de administração para quem gerencia usuários ou categorias
+  if (permissions.includes('users:manage') || permissions.includes('categories:manage') || permissions.includes('tags:manage')) {
     navigation.push({
       name: 'Administração',
       current: location.pathname === '/admin',
@@ -195,7 +227,11 @@ export default function NavBar() {
                 <div className="absolute inset-y-0 right-0 flex items-center pr-2 sm:static sm:inset-auto sm:ml-6 sm:pr-0">
                   <div className="flex items-center space-x-4">
                     {/* Card do usuário melhorado */}
-                    <div className="flex items-center space-x-3 bg-gradient-to-r from-white/10 to-white/5 backdrop-blur-md px-4 py-2 rounded-2xl border border-white/20 shadow-lg hover:shadow-xl transition-all duration-300 hover:scale-105">
+                    <Link
+                      to="/profile"
+                      title="Meu perfil"
+                      className="flex items-center space-x-3 bg-gradient-to-r from-white/10 to-white/5 backdrop-blur-md px-4 py-2 rounded-2xl border border-white/20 shadow-lg hover:shadow-xl transition-all duration-300 hover:scale-105"
+                    >
                       <div className="relative">
                         <div className={`p-2 ${
                           userRole === 'ADMIN' 
@@ -221,8 +257,17 @@ export default function NavBar() {
                           </span>
                         )}
                       </div>
-                    </div>
+                    </Link>
                     
+                    {/* Botão para sair de todos os dispositivos */}
+                    <button
+                      onClick={handleLogoutAll}
+                      title="Sair de todos os dispositivos"
+                      className="hidden sm:flex items-center p-2.5 rounded-2xl text-gray-300 hover:text-white bg-white/5 hover:bg-white/10 border border-white/10 hover:border-white/20 backdrop-blur-md transition-all duration-300 hover:scale-105 active:scale-95"
+                    >
+                      <MonitorX className="h-4 w-4" />
+                    </button>
+
                     {/* Botão de logout melhorado */}
                     <button
                       onClick={handleLogout}
@@ -300,6 +345,19 @@ export default function NavBar() {
                   );
                 })}
                 
+                {/* Perfil (mobile) */}
+                <Disclosure.Button
+                  as={Link}
+                  to="/profile"
+                  className="group w-full flex items-center space-x-4 px-5 py-3.5 rounded-2xl text-base font-semibold text-gray-300 hover:text-white bg-white/5 hover:bg-white/10 border border-white/10 hover:border-white/20 backdrop-blur-sm transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] shadow-lg"
+                >
+                  <div className="p-2.5 bg-gray-700/60 group-hover:bg-gray-600/70 rounded-xl shadow-lg">
+                    <UserIcon className="h-5 w-5 text-white" />
+                  </div>
+                  <span className="flex-1 tracking-wide">Meu perfil</span>
+                  <ChevronRight className="h-4 w-4 text-gray-400 group-hover:text-white group-hover:translate-x-1 transition-all duration-300" />
+                </Disclosure.Button>
+
                 {/* Divisor elegante */}
                 <div className="relative py-2">
                   <div className="absolute inset-0 flex items-center">
@@ -326,6 +384,17 @@ export default function NavBar() {
                     <div className="w-2 h-2 rounded-full bg-red-400"></div>
                   </div>
                 </button>
+
+                {/* Sair de todos os dispositivos (mobile) */}
+                <button
+                  onClick={handleLogoutAll}
+                  className="group w-full flex items-center space-x-4 px-5 py-3.5 rounded-2xl text-base font-semibold text-gray-300 hover:text-white bg-white/5 hover:bg-white/10 border border-white/10 hover:border-white/20 backdrop-blur-sm transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] shadow-lg"
+                >
+                  <div className="p-2.5 bg-gray-700/60 group-hover:bg-gray-600/70 rounded-xl shadow-lg">
+                    <MonitorX className="h-5 w-5 text-white" />
+                  </div>
+                  <span className="flex-1 tracking-wide">Sair de todos os dispositivos</span>
+                </button>
               </div>
           </Disclosure.Panel>
         </>
@@ -1,10 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Navigate, useNavigate } from 'react-router-dom';
-import api from '../api';
+import api, { clearSession } from '../api';
 
-const ProtectedRoute = ({ children, adminOnly = false }) => {
+const ProtectedRoute = ({ children, anyPermission = [] }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(null);
-  const [userRole, setUserRole] = useState(null);
+  const [permissions, setPermissions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const navigate = useNavigate();
   
@@ -15,19 +15,19 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     // Resetar estados quando o token mudar
     setIsLoading(true);
     setIsAuthenticated(null);
-    setUserRole(null);
+    setPermissions([]);
     
     if (token) {
       api
         .get('/authenticated')
         .then(response => {
           setIsAuthenticated(response.data.isAuthenticated);
-          setUserRole(response.data.role);
+          setPermissions(response.data.permissions || []);
           setIsLoading(false);
         })
         .catch(() => {
           // Em caso de erro, limpar o token e redirecionar para login
-          localStorage.removeItem('token');
+          clearSession();
           setIsAuthenticated(false);
           setIsLoading(false);
         });
@@ -53,8 +53,8 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/login" />;
   }
 
-  // Verificar se a rota é apenas para admin
-  if (adminOnly && userRole !== 'ADMIN') {
+  // Verificar se a rota exige alguma das permissões informadas
+  if (anyPermission.length > 0 && !anyPermission.some((permission) => permissions.includes(permission))) {
     return <Navigate to="/" />;
   }
 
@@ -2,14 +2,16 @@ import React from 'react';
 import { 
   File, Download, Trash2, X, Maximize2, 
   FileVideo, FileAudio, FileImage, FileText,
-  Calendar, Tag, AlertCircle, Share2, Eye, EyeOff, Lock, Unlock, Edit, User
+  Calendar, Tag, AlertCircle, Share2, Eye, EyeOff, Lock, Unlock, Edit, User,
+  History, RotateCcw, Upload, FolderInput, Hash
 } from 'lucide-react';
 import { useState, useEffect } from 'react';
 import ReactDOM from 'react-dom';
 import api from '../api';
+import DocumentViewer, { viewerKind } from './DocumentViewer';
 
-export default function SinglePost({ post, category, deletePostClicked, downloadFile, editPostClicked }) {
-  const { id, caption, imageName, fileType, originalFileName, createdAt, isPublic, owner } = post;
+export default function SinglePost({ post, category, deletePostClicked, downloadFile, editPostClicked, folders, movePostClicked, tagClicked, selected, onToggleSelect }) {
+  const { id, caption, imageName, fileType, originalFileName, createdAt, isPublic, owner, thumbnailUrl, previewUrl } = post;
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [showFullPreview, setShowFullPreview] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
@@ -27,6 +29,19 @@ export default function SinglePost({ post, category, deletePostClicked, download
   const [loadingSharedUsers, setLoadingSharedUsers] = useState(false);
   const [shareError, setShareError] = useState(null);
   const [shareSuccess, setShareSuccess] = useState(null);
+  const [showVersionsModal, setShowVersionsModal] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [loadingVersions, setLoadingVersions] = useState(false);
+  const [versionFile, setVersionFile] = useState(null);
+  const [versionComment, setVersionComment] = useState('');
+  const [isUploadingVersion, setIsUploadingVersion] = useState(false);
+  const [restoringVersionId, setRestoringVersionId] = useState(null);
+  const [versionError, setVersionError] = useState(null);
+  const [showMoveModal, setShowMoveModal] = useState(false);
+  const [targetFolderId, setTargetFolderId] = useState('');
+  // Se a URL assinada da prévia expirar ou falhar, volta ao ícone do tipo de arquivo
+  const [previewFailed, setPreviewFailed] = useState(false);
+  const [isMoving, setIsMoving] = useState(false);
 
   useEffect(() => {
     // Animação de entrada
@@ -158,6 +173,116 @@ export default function SinglePost({ post, category, deletePostClicked, download
     }
   };
 
+  const handleMove = () => {
+    setTargetFolderId(post.folderId ? String(post.folderId) : '');
+    setShowMoveModal(true);
+  };
+
+  const confirmMove = async () => {
+    setIsMoving(true);
+    try {
+      await movePostClicked({ id, folderId: targetFolderId ? Number(targetFolderId) : null });
+      setShowMoveModal(false);
+    } finally {
+      setIsMoving(false);
+    }
+  };
+
+  const handleShowVersions = () => {
+    setShowVersionsModal(true);
+    setVersionError(null);
+    fetchVersions();
+  };
+
+  const fetchVersions = async () => {
+    setLoadingVersions(true);
+    try {
+      const response = await api.get(`/posts/${id}/versions`);
+      setVersions(response.data.versions);
+    } catch (error) {
+      console.error('Erro ao buscar versões:', error);
+    } finally {
+      setLoadingVersions(false);
+    }
+  };
+
+  // A versão atual passa a ser outra: atualiza o post localmente, como em toggleVisibility
+  const applyCurrentVersion = (version) => {
+    post.imageName = version.imageName;
+    post.originalFileName = version.originalFileName;
+    post.fileType = version.fileType;
+    post.currentVersion = version.version;
+  };
+
+  const uploadVersion = async (e) => {
+    e.preventDefault();
+    if (!versionFile) return;
+
+    setIsUploadingVersion(true);
+    setVersionError(null);
+
+    const formData = new FormData();
+    formData.append('comment', versionComment);
+    formData.append('file', versionFile);
+
+    try {
+      const response = await api.post(`/posts/${id}/versions`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      applyCurrentVersion(response.data);
+      setVersionFile(null);
+      setVersionComment('');
+      e.target.reset();
+      fetchVersions();
+    } catch (error) {
+      console.error('Erro ao enviar nova versão:', error);
+      setVersionError(error.response?.data?.error || 'Erro ao enviar nova versão');
+    } finally {
+      setIsUploadingVersion(false);
+    }
+  };
+
+  const restoreVersion = async (versionId) => {
+    setRestoringVersionId(versionId);
+    setVersionError(null);
+    try {
+      const response = await api.post(`/posts/${id}/versions/${versionId}/restore`);
+
+      applyCurrentVersion(response.data);
+      fetchVersions();
+    } catch (error) {
+      console.error('Erro ao restaurar versão:', error);
+      setVersionError(error.response?.data?.error || 'Erro ao restaurar versão');
+    } finally {
+      setRestoringVersionId(null);
+    }
+  };
+
+  const downloadVersion = async (versionId) => {
+    try {
+      const response = await api.get(`/posts/${id}/versions/${versionId}/download`);
+
+      // Cria uma âncora para iniciar o download do arquivo.
+      const a = document.createElement('a');
+      a.href = response.data.url;
+      a.download = response.data.originalFileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('Erro ao baixar versão:', error);
+      setVersionError('Erro ao baixar versão');
+    }
+  };
+
+  const formatSize = (bytes) => {
+    if (bytes == null) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
   // Função aprimorada para exibir ícones específicos para cada tipo de arquivo
   const getFileIcon = (type) => {
     // Mapeamento de tipos MIME para ícones específicos
@@ -225,6 +350,9 @@ export default function SinglePost({ post, category, deletePostClicked, download
   // Renderizar modais usando portal
   const renderPreviewModal = () => {
     if (!showFullPreview) return null;
+
+    // PDFs, imagens, planilhas e textos abrem no visualizador; os demais tipos mostram só os detalhes
+    const viewable = Boolean(viewerKind(post));
     
     return ReactDOM.createPortal(
       <div 
@@ -232,7 +360,7 @@ export default function SinglePost({ post, category, deletePostClicked, download
         onClick={() => setShowFullPreview(false)}
       >
         <div 
-          className="relative max-w-md w-full bg-white/90 backdrop-blur-sm rounded-2xl p-8 shadow-2xl transform transition-all duration-300 animate-scaleIn" 
+          className={`relative ${viewable ? 'max-w-5xl max-h-[95vh] overflow-y-auto' : 'max-w-md'} w-full bg-white/90 backdrop-blur-sm rounded-2xl p-8 shadow-2xl transform transition-all duration-300 animate-scaleIn`} 
           onClick={(e) => e.stopPropagation()}
         >
           <button
@@ -243,9 +371,22 @@ export default function SinglePost({ post, category, deletePostClicked, download
           </button>
           
           <div className="flex flex-col items-center">
-            <div className={`w-24 h-24 rounded-2xl bg-gradient-to-br ${fileColorClass} flex items-center justify-center mb-6 shadow-inner`}>
-              <FileIconComponent className={`w-12 h-12 ${iconColorClass}`} />
-            </div>
+            {viewable ? (
+              <div className="w-full mb-6">
+                <DocumentViewer post={post} />
+              </div>
+            ) : previewUrl && !previewFailed ? (
+              <img
+                src={previewUrl}
+                alt={originalFileName}
+                onError={() => setPreviewFailed(true)}
+                className="max-h-80 w-auto rounded-xl shadow-md mb-6 border border-gray-100"
+              />
+            ) : (
+              <div className={`w-24 h-24 rounded-2xl bg-gradient-to-br ${fileColorClass} flex items-center justify-center mb-6 shadow-inner`}>
+                <FileIconComponent className={`w-12 h-12 ${iconColorClass}`} />
+              </div>
+            )}
             <h3 className="text-xl font-bold text-gray-800 mb-2 text-center">{originalFileName}</h3>
             {caption && (
               <p className="text-sm text-gray-600 mb-6 text-center max-w-xs">
@@ -253,7 +394,7 @@ export default function SinglePost({ post, category, deletePostClicked, download
               </p>
             )}
             
-            <div className="w-full bg-gray-50/80 backdrop-blur-sm rounded-xl p-5 mb-6 border border-gray-100">
+            <div className={`w-full ${viewable ? 'max-w-md' : ''} bg-gray-50/80 backdrop-blur-sm rounded-xl p-5 mb-6 border border-gray-100`}>
               <div className="flex items-center justify-between mb-4">
                 <span className="text-sm font-medium text-gray-500 flex items-center">
                   <Tag className="w-4 h-4 mr-2 text-gray-400" />
@@ -294,7 +435,7 @@ export default function SinglePost({ post, category, deletePostClicked, download
               </div>
             </div>
             
-            <div className="flex w-full space-x-4">
+            <div className={`flex w-full ${viewable ? 'max-w-md' : ''} space-x-4`}>
               <button
                 onClick={handleDownload}
                 disabled={isDownloading}
@@ -352,7 +493,7 @@ export default function SinglePost({ post, category, deletePostClicked, download
           </div>
           
           <p className="text-gray-600 mb-8">
-            Tem certeza que quer deletar o arquivo <span className="font-semibold">"{originalFileName}"</span>? Esta ação não poderá ser revertida.
+            Tem certeza que quer deletar o arquivo <span className="font-semibold">"{originalFileName}"</span>? Ele ficará na lixeira, de onde pode ser restaurado.
           </p>
           
           <div className="flex justify-end space-x-4">
@@ -393,6 +534,178 @@ export default function SinglePost({ post, category, deletePostClicked, download
     );
   };
   
+  // Renderizar modal para mover o documento de pasta
+  const renderMoveModal = () => {
+    if (!showMoveModal) return null;
+
+    // Só é possível mover para pastas em que o usuário pode editar
+    const targetFolders = (folders || []).filter((folder) => folder.canEdit);
+
+    return ReactDOM.createPortal(
+      <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-[9999] flex items-center justify-center p-4 animate-fadeIn">
+        <div className="bg-white/90 backdrop-blur-sm rounded-2xl p-8 max-w-sm w-full shadow-2xl animate-scaleIn">
+          <div className="flex items-center mb-6">
+            <div className="p-3 rounded-xl bg-indigo-100 mr-4">
+              <FolderInput className="h-6 w-6 text-indigo-500" />
+            </div>
+            <h3 className="text-xl font-bold text-gray-800">
+              Mover documento
+            </h3>
+          </div>
+
+          <select
+            value={targetFolderId}
+            onChange={(e) => setTargetFolderId(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent mb-8 text-gray-700"
+          >
+            <option value="">Sem pasta (Meus documentos)</option>
+            {targetFolders.map((folder) => (
+              <option key={folder.id} value={folder.id}>
+                {folder.path}
+              </option>
+            ))}
+          </select>
+
+          <div className="flex justify-end space-x-4">
+            <button
+              onClick={() => setShowMoveModal(false)}
+              disabled={isMoving}
+              className="px-5 py-2.5 text-sm font-medium text-gray-700 hover:bg-gray-100 rounded-xl border border-gray-300 transition-all duration-200 transform hover:-translate-y-0.5"
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={confirmMove}
+              disabled={isMoving}
+              className="px-5 py-2.5 text-sm font-medium text-white bg-gradient-to-r from-indigo-500 to-indigo-600 hover:shadow-lg hover:shadow-indigo-200/50 rounded-xl transition-all duration-300 transform hover:-translate-y-0.5 disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {isMoving ? 'Movendo...' : 'Mover'}
+            </button>
+          </div>
+        </div>
+      </div>,
+      document.body
+    );
+  };
+
+  // Renderizar modal de histórico de versões
+  const renderVersionsModal = () => {
+    if (!showVersionsModal) return null;
+
+    return ReactDOM.createPortal(
+      <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-[9999] flex items-center justify-center p-4 animate-fadeIn">
+        <div className="bg-white/90 backdrop-blur-sm rounded-2xl p-8 max-w-lg w-full shadow-2xl animate-scaleIn">
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center">
+              <div className="p-3 rounded-xl bg-amber-100 mr-4">
+                <History className="h-6 w-6 text-amber-500" />
+              </div>
+              <h3 className="text-xl font-bold text-gray-800">
+                Histórico de versões
+              </h3>
+            </div>
+            <button
+              onClick={() => setShowVersionsModal(false)}
+              className="p-2 rounded-full hover:bg-gray-100 transition-all duration-200"
+            >
+              <X className="w-5 h-5 text-gray-600" />
+            </button>
+          </div>
+
+          {canUserEdit && (
+            <form onSubmit={uploadVersion} className="mb-6 space-y-3">
+              <label className="block text-sm font-medium text-gray-700">
+                Enviar nova versão
+              </label>
+              <input
+                type="file"
+                onChange={(e) => setVersionFile(e.target.files[0] || null)}
+                className="w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-4 file:rounded-xl file:border-0 file:bg-amber-50 file:text-amber-700 hover:file:bg-amber-100"
+                required
+              />
+              <input
+                type="text"
+                value={versionComment}
+                onChange={(e) => setVersionComment(e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+                placeholder="O que mudou nesta versão? (opcional)"
+              />
+              <button
+                type="submit"
+                disabled={isUploadingVersion || !versionFile}
+                className="w-full flex items-center justify-center px-5 py-2.5 text-sm font-medium text-white bg-gradient-to-r from-amber-500 to-amber-600 hover:shadow-lg hover:shadow-amber-200/50 rounded-xl transition-all duration-300 disabled:opacity-70 disabled:cursor-not-allowed"
+              >
+                <Upload className="w-4 h-4 mr-2" />
+                {isUploadingVersion ? 'Enviando...' : 'Enviar versão'}
+              </button>
+            </form>
+          )}
+
+          {versionError && (
+            <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-xl text-sm">
+              {versionError}
+            </div>
+          )}
+
+          <div className="border-t pt-4">
+            {loadingVersions ? (
+              <p className="text-sm text-gray-500">Carregando versões...</p>
+            ) : (
+              <ul className="space-y-2 max-h-72 overflow-y-auto">
+                {versions.map((version) => {
+                  const isCurrent = version.version === (post.currentVersion ?? versions[0]?.version);
+
+                  return (
+                    <li key={version.id} className="flex items-start justify-between p-3 bg-gray-50 rounded-xl">
+                      <div className="min-w-0 mr-3">
+                        <div className="flex items-center space-x-2">
+                          <span className="text-sm font-semibold text-gray-800">v{version.version}</span>
+                          {isCurrent && (
+                            <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-800">Atual</span>
+                          )}
+                          <span className="text-sm text-gray-600 truncate" title={version.originalFileName}>
+                            {version.originalFileName}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {version.uploadedBy?.name || 'Desconhecido'} · {new Date(version.createdAt).toLocaleString('pt-BR')}
+                          {version.size != null && ` · ${formatSize(version.size)}`}
+                        </p>
+                        {version.comment && (
+                          <p className="text-xs text-gray-600 mt-1 italic">{version.comment}</p>
+                        )}
+                      </div>
+                      <div className="flex items-center space-x-1 flex-shrink-0">
+                        <button
+                          onClick={() => downloadVersion(version.id)}
+                          className="p-2 rounded-lg hover:bg-blue-50 transition-colors duration-200"
+                          title="Baixar esta versão"
+                        >
+                          <Download className="w-4 h-4 text-blue-500" />
+                        </button>
+                        {canUserEdit && !isCurrent && (
+                          <button
+                            onClick={() => restoreVersion(version.id)}
+                            disabled={restoringVersionId !== null}
+                            className="p-2 rounded-lg hover:bg-amber-50 transition-colors duration-200 disabled:opacity-50"
+                            title="Restaurar esta versão"
+                          >
+                            <RotateCcw className={`w-4 h-4 text-amber-500 ${restoringVersionId === version.id ? 'animate-spin' : ''}`} />
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>,
+      document.body
+    );
+  };
+
   // Renderizar modal de compartilhamento
   const renderShareModal = () => {
     if (!showShareModal) return null;
@@ -595,11 +908,21 @@ export default function SinglePost({ post, category, deletePostClicked, download
 
   return (
     <>
-      <div className={`bg-white/90 backdrop-blur-sm rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 overflow-hidden border ${borderColorClass} transform ${animateIn ? 'translate-y-0 opacity-100' : 'translate-y-4 opacity-0'}`}
+      <div className={`bg-white/90 backdrop-blur-sm rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 overflow-hidden border ${borderColorClass} ${selected ? 'ring-2 ring-indigo-500' : ''} transform ${animateIn ? 'translate-y-0 opacity-100' : 'translate-y-4 opacity-0'}`}
         style={{ transitionDelay: '100ms' }}>
         {/* Header com a categoria */}
         <div className="px-5 py-3.5 bg-gradient-to-r from-gray-50 to-white border-b flex items-center justify-between">
           <div className="flex items-center space-x-2">
+            {/* Seleção para as operações em lote */}
+            {onToggleSelect && (
+              <input
+                type="checkbox"
+                checked={Boolean(selected)}
+                onChange={() => onToggleSelect(post)}
+                className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500 cursor-pointer"
+                title="Selecionar"
+              />
+            )}
             <div className={`p-1.5 rounded-lg bg-gradient-to-br ${fileColorClass}`}>
               <FileIconComponent className={`w-4 h-4 ${iconColorClass}`} />
             </div>
@@ -649,6 +972,18 @@ export default function SinglePost({ post, category, deletePostClicked, download
               </button>
             )}
             
+            {/* Botão de histórico de versões */}
+            <button
+              onClick={handleShowVersions}
+              className="p-2 rounded-lg hover:bg-amber-50 transition-colors duration-200 flex items-center justify-center group relative"
+              title="Histórico de versões"
+            >
+              <History className="w-4 h-4 text-amber-500 group-hover:scale-110 transition-transform" />
+              <span className="absolute -top-8 left-1/2 transform -translate-x-1/2 bg-gray-800 text-white text-xs px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap">
+                Versões
+              </span>
+            </button>
+            
             <button
               onClick={handleDownload}
               disabled={isDownloading}
@@ -682,6 +1017,20 @@ export default function SinglePost({ post, category, deletePostClicked, download
               </button>
             )}
             
+            {/* Botão de mover para outra pasta (apenas para quem pode editar) */}
+            {canUserDelete && movePostClicked && (
+              <button
+                onClick={handleMove}
+                className="p-2 rounded-lg hover:bg-indigo-50 transition-colors duration-200 flex items-center justify-center group relative"
+                title="Mover para pasta"
+              >
+                <FolderInput className="w-4 h-4 text-indigo-500 group-hover:scale-110 transition-transform" />
+                <span className="absolute -top-8 left-1/2 transform -translate-x-1/2 bg-gray-800 text-white text-xs px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap">
+                  Mover
+                </span>
+              </button>
+            )}
+            
             {/* Botão de exclusão (apenas para quem tem permissão) */}
             {canUserDelete && (
               <button
@@ -703,9 +1052,19 @@ export default function SinglePost({ post, category, deletePostClicked, download
           className="relative h-44 cursor-pointer group overflow-hidden"
           onClick={() => setShowFullPreview(true)}
         >
-          <div className={`w-full h-full flex items-center justify-center bg-gradient-to-br ${fileColorClass}`}>
-            <FileIconComponent className={`w-20 h-20 ${iconColorClass} transform group-hover:scale-110 transition-transform duration-300`} />
-          </div>
+          {thumbnailUrl && !previewFailed ? (
+            <img
+              src={thumbnailUrl}
+              alt={originalFileName}
+              loading="lazy"
+              onError={() => setPreviewFailed(true)}
+              className="w-full h-full object-cover transform group-hover:scale-105 transition-transform duration-300"
+            />
+          ) : (
+            <div className={`w-full h-full flex items-center justify-center bg-gradient-to-br ${fileColorClass}`}>
+              <FileIconComponent className={`w-20 h-20 ${iconColorClass} transform group-hover:scale-110 transition-transform duration-300`} />
+            </div>
+          )}
           <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-30 transition-all duration-300 flex items-center justify-center">
             <div className="bg-white rounded-full p-3 opacity-0 group-hover:opacity-100 transform scale-50 group-hover:scale-100 transition-all duration-300">
               <Maximize2 className="h-5 w-5 text-gray-700" />
@@ -723,6 +1082,21 @@ export default function SinglePost({ post, category, deletePostClicked, download
               {caption}
             </p>
           )}
+          {post.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mb-3">
+              {post.tags.map((tag) => (
+                <button
+                  key={tag.id}
+                  onClick={() => tagClicked && tagClicked(tag.name)}
+                  className="inline-flex items-center px-2 py-0.5 rounded-md bg-indigo-50 text-indigo-700 text-xs hover:bg-indigo-100 transition-colors duration-200"
+                  title="Filtrar por esta etiqueta"
+                >
+                  <Hash className="w-3 h-3 mr-0.5" />
+                  {tag.name}
+                </button>
+              ))}
+            </div>
+          )}
           <div className="flex items-center justify-between text-xs text-gray-500">
             <div className="flex items-center">
               <Calendar className="h-3.5 w-3.5 mr-1" />
@@ -740,6 +1114,8 @@ export default function SinglePost({ post, category, deletePostClicked, download
       {renderPreviewModal()}
       {renderDeleteConfirmModal()}
       {renderShareModal()}
+      {renderVersionsModal()}
+      {renderMoveModal()}
     </>
   );
 }
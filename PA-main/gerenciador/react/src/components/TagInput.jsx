@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { X, Hash } from 'lucide-react';
+import api from '../api';
+
+const normalizeTag = (value) => value.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Campo de etiquetas com sugestões das já existentes; Enter ou vírgula adiciona, Backspace remove a última
+export default function TagInput({ value, onChange, placeholder = 'Adicionar etiqueta' }) {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [focused, setFocused] = useState(false);
+
+  useEffect(() => {
+    const query = normalizeTag(input);
+    if (!query) {
+      setSuggestions([]);
+      return;
+    }
+
+    // Espera o usuário parar de digitar antes de consultar
+    const timeout = setTimeout(() => {
+      api.get('/tags', { params: { q: query } })
+        .then((response) => setSuggestions(response.data.filter((tag) => !value.includes(tag.name))))
+        .catch((error) => console.error('Erro ao buscar etiquetas:', error));
+    }, 200);
+
+    return () => clearTimeout(timeout);
+  }, [input, value]);
+
+  const addTag = (name) => {
+    const tag = normalizeTag(name);
+    if (tag && tag.length <= 50 && !value.includes(tag)) {
+      onChange([...value, tag]);
+    }
+    setInput('');
+    setSuggestions([]);
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter((item) => item !== tag));
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      addTag(input);
+    } else if (event.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-2 w-full p-2.5 border-2 border-gray-200 rounded-xl bg-white focus-within:ring-2 focus-within:ring-indigo-500 focus-within:border-transparent transition-all duration-200 hover:border-indigo-200">
+        {value.map((tag) => (
+          <span key={tag} className="inline-flex items-center px-2.5 py-1 rounded-lg bg-indigo-50 text-indigo-700 text-sm">
+            <Hash className="w-3 h-3 mr-1" />
+            {tag}
+            <button type="button" onClick={() => removeTag(tag)} className="ml-1.5 text-indigo-400 hover:text-indigo-700">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => {
+            setFocused(false);
+            if (input) addTag(input);
+          }}
+          placeholder={value.length === 0 ? placeholder : ''}
+          className="flex-1 min-w-[120px] p-1 text-sm focus:outline-none bg-transparent"
+        />
+      </div>
+
+      {focused && suggestions.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-xl shadow-lg max-h-48 overflow-y-auto">
+          {suggestions.map((tag) => (
+            <li key={tag.id}>
+              <button
+                type="button"
+                // Mantém o foco no campo para a lista não fechar antes do clique
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag.name)}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm text-gray-700 hover:bg-indigo-50"
+              >
+                <span className="flex items-center">
+                  <Hash className="w-3 h-3 mr-1 text-indigo-400" />
+                  {tag.name}
+                </span>
+                <span className="text-xs text-gray-400">{tag._count.posts + tag._count.trainings}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import api from '../../api';
-import { Shield, UserPlus, UserMinus, User, Search, AlertCircle, CheckCircle, RefreshCw, Tag, Plus, Trash2 } from 'lucide-react';
+import { Shield, UserPlus, UserMinus, User, Search, AlertCircle, CheckCircle, RefreshCw, Tag, Plus, Trash2, Lock, Unlock, LogIn, KeyRound, Users, Ban, UserCheck, ArrowRight, Mail, Copy, Hash, Pencil, Merge } from 'lucide-react';
 
 const AdminPanel = () => {
   const [users, setUsers] = useState([]);
@@ -13,12 +13,85 @@ const AdminPanel = () => {
   const [catName, setCatName] = useState('');
   const [loadingCategories, setLoadingCategories] = useState(false);
   const [catMessage, setCatMessage] = useState(null);
+  const [loginAttempts, setLoginAttempts] = useState([]);
+  const [loadingAttempts, setLoadingAttempts] = useState(false);
+  const [failedOnly, setFailedOnly] = useState(true);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [permissionCatalog, setPermissionCatalog] = useState({ permissions: [], bundles: [] });
+  const [editingPermissionsFor, setEditingPermissionsFor] = useState(null);
+  const [draftPermissions, setDraftPermissions] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [teamName, setTeamName] = useState('');
+  const [teamMessage, setTeamMessage] = useState(null);
+  const [editingTeamId, setEditingTeamId] = useState(null);
+  const [draftMemberIds, setDraftMemberIds] = useState([]);
+  const [deletingUserId, setDeletingUserId] = useState(null);
+  const [deletionPreview, setDeletionPreview] = useState(null);
+  const [transferToId, setTransferToId] = useState('');
+  const [registration, setRegistration] = useState({ mode: 'open', allowedDomains: [] });
+  const [domainsInput, setDomainsInput] = useState('');
+  const [invites, setInvites] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'USER', expiresInDays: 7 });
+  const [createdInviteUrl, setCreatedInviteUrl] = useState(null);
+  const [registrationMessage, setRegistrationMessage] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [tagMessage, setTagMessage] = useState(null);
+  const [editingTagId, setEditingTagId] = useState(null);
+  const [tagDraftName, setTagDraftName] = useState('');
+  const [mergingTagId, setMergingTagId] = useState(null);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+
+  const myPermissions = currentUser?.permissions || [];
+  const isCurrentUserAdmin = currentUser?.role === 'ADMIN';
+  const canManageUsers = myPermissions.includes('users:manage');
+  const canManageCategories = myPermissions.includes('categories:manage');
+  const canManageTags = myPermissions.includes('tags:manage');
 
   useEffect(() => {
-    fetchUsers();
+    fetchCurrentUser();
     fetchCategories();
   }, []);
 
+  useEffect(() => {
+    if (canManageUsers) {
+      fetchUsers();
+      fetchPermissionCatalog();
+      fetchTeams();
+      fetchRegistration();
+      fetchInvites();
+    }
+  }, [canManageUsers]);
+
+  useEffect(() => {
+    if (canManageTags) {
+      fetchTags();
+    }
+  }, [canManageTags]);
+
+  useEffect(() => {
+    if (canManageUsers) {
+      fetchLoginAttempts();
+    }
+  }, [canManageUsers, failedOnly]);
+
+  const fetchCurrentUser = async () => {
+    try {
+      const response = await api.get('/user/profile');
+      setCurrentUser(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar perfil:', error);
+    }
+  };
+
+  const fetchPermissionCatalog = async () => {
+    try {
+      const response = await api.get('/permissions');
+      setPermissionCatalog(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar permissões:', error);
+    }
+  };
+
   const fetchUsers = async () => {
     setLoading(true);
     setError(null);
@@ -49,6 +122,174 @@ const AdminPanel = () => {
     }
   };
 
+  const fetchLoginAttempts = async () => {
+    setLoadingAttempts(true);
+    try {
+      const res = await api.get('/login-attempts', { params: { failedOnly, limit: 50 } });
+      setLoginAttempts(res.data);
+    } catch (error) {
+      console.error('Erro ao carregar tentativas de login:', error);
+    } finally {
+      setLoadingAttempts(false);
+    }
+  };
+
+  const fetchTeams = async () => {
+    try {
+      const res = await api.get('/teams');
+      setTeams(res.data);
+    } catch (error) {
+      console.error('Erro ao carregar equipes:', error);
+      setTeamMessage({ type: 'error', text: 'Não foi possível carregar as equipes.' });
+    }
+  };
+
+  const fetchRegistration = async () => {
+    try {
+      const res = await api.get('/settings/registration');
+      setRegistration(res.data);
+      setDomainsInput(res.data.allowedDomains.join(', '));
+    } catch (error) {
+      console.error('Erro ao carregar configuração de cadastro:', error);
+    }
+  };
+
+  const fetchInvites = async () => {
+    try {
+      const res = await api.get('/invites');
+      setInvites(res.data);
+    } catch (error) {
+      console.error('Erro ao carregar convites:', error);
+    }
+  };
+
+  const saveRegistration = async () => {
+    setRegistrationMessage(null);
+    try {
+      const allowedDomains = domainsInput.split(',').map((domain) => domain.trim()).filter(Boolean);
+      const res = await api.put('/settings/registration', { mode: registration.mode, allowedDomains });
+      setRegistration(res.data);
+      setDomainsInput(res.data.allowedDomains.join(', '));
+      setRegistrationMessage({ type: 'success', text: 'Configuração de cadastro salva.' });
+    } catch (error) {
+      console.error('Erro ao salvar configuração de cadastro:', error);
+      const msg = error.response?.data?.error || 'Não foi possível salvar a configuração.';
+      setRegistrationMessage({ type: 'error', text: msg });
+    }
+  };
+
+  const createInvite = async () => {
+    setRegistrationMessage(null);
+    setCreatedInviteUrl(null);
+    try {
+      const res = await api.post('/invites', {
+        email: inviteForm.email.trim() || undefined,
+        role: inviteForm.role,
+        expiresInDays: Number(inviteForm.expiresInDays)
+      });
+      setCreatedInviteUrl(res.data.url);
+      setInviteForm({ email: '', role: 'USER', expiresInDays: 7 });
+      setRegistrationMessage({
+        type: 'success',
+        text: res.data.invite.email ? `Convite enviado para ${res.data.invite.email}.` : 'Convite gerado. Copie o link abaixo.'
+      });
+      fetchInvites();
+    } catch (error) {
+      console.error('Erro ao gerar convite:', error);
+      const msg = error.response?.data?.error || 'Não foi possível gerar o convite.';
+      setRegistrationMessage({ type: 'error', text: msg });
+    }
+  };
+
+  const revokeInvite = async (id) => {
+    if (!window.confirm('Deseja revogar este convite?')) return;
+    try {
+      await api.delete(`/invites/${id}`);
+      setRegistrationMessage({ type: 'success', text: 'Convite revogado.' });
+      fetchInvites();
+    } catch (error) {
+      console.error('Erro ao revogar convite:', error);
+      const msg = error.response?.data?.error || 'Não foi possível revogar o convite.';
+      setRegistrationMessage({ type: 'error', text: msg });
+    }
+  };
+
+  const copyInviteUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(createdInviteUrl);
+    } catch (error) {
+      console.error('Erro ao copiar link:', error);
+    }
+  };
+
+  const getInviteStatus = (invite) => {
+    if (invite.usedAt) return { label: `Usado por ${invite.usedByEmail}`, className: 'bg-green-100 text-green-800' };
+    if (invite.revokedAt) return { label: 'Revogado', className: 'bg-gray-100 text-gray-700' };
+    if (new Date(invite.expiresAt) <= new Date()) return { label: 'Expirado', className: 'bg-red-100 text-red-800' };
+    return { label: 'Pendente', className: 'bg-yellow-100 text-yellow-800' };
+  };
+
+  const createTeam = async () => {
+    if (!teamName.trim()) {
+      setTeamMessage({ type: 'error', text: 'Informe um nome para a equipe.' });
+      return;
+    }
+    setTeamMessage(null);
+    try {
+      const res = await api.post('/teams', { name: teamName.trim() });
+      setTeams((prev) => [...prev, res.data].sort((a, b) => a.name.localeCompare(b.name)));
+      setTeamName('');
+      setTeamMessage({ type: 'success', text: 'Equipe criada com sucesso.' });
+    } catch (error) {
+      console.error('Erro ao criar equipe:', error);
+      const msg = error.response?.data?.error || 'Não foi possível criar a equipe.';
+      setTeamMessage({ type: 'error', text: msg });
+    }
+  };
+
+  const deleteTeam = async (id) => {
+    const confirmDelete = window.confirm('Deseja remover esta equipe? As ferramentas da equipe ficarão sem equipe.');
+    if (!confirmDelete) return;
+    try {
+      await api.delete(`/teams/${id}`);
+      setTeams((prev) => prev.filter((team) => team.id !== id));
+      setTeamMessage({ type: 'success', text: 'Equipe removida.' });
+    } catch (error) {
+      console.error('Erro ao remover equipe:', error);
+      const msg = error.response?.data?.error || 'Não foi possível remover a equipe.';
+      setTeamMessage({ type: 'error', text: msg });
+    }
+  };
+
+  const openTeamEditor = (team) => {
+    if (editingTeamId === team.id) {
+      setEditingTeamId(null);
+      return;
+    }
+    setEditingTeamId(team.id);
+    setDraftMemberIds(team.members.map((member) => member.id));
+  };
+
+  const toggleDraftMember = (userId) => {
+    setDraftMemberIds((prev) => (
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    ));
+  };
+
+  const saveTeamMembers = async (teamId) => {
+    setTeamMessage(null);
+    try {
+      const res = await api.put(`/teams/${teamId}/members`, { memberIds: draftMemberIds });
+      setTeams((prev) => prev.map((team) => (team.id === teamId ? res.data : team)));
+      setEditingTeamId(null);
+      setTeamMessage({ type: 'success', text: 'Membros da equipe atualizados.' });
+    } catch (error) {
+      console.error('Erro ao atualizar equipe:', error);
+      const msg = error.response?.data?.error || 'Não foi possível atualizar a equipe.';
+      setTeamMessage({ type: 'error', text: msg });
+    }
+  };
+
   const createCategory = async () => {
     if (!catName.trim()) {
       setCatMessage({ type: 'error', text: 'Informe um nome para a categoria.' });
@@ -81,6 +322,74 @@ const AdminPanel = () => {
     }
   };
 
+  const fetchTags = async () => {
+    try {
+      const res = await api.get('/tags');
+      setTags(res.data);
+    } catch (error) {
+      console.error('Erro ao carregar etiquetas:', error);
+      setTagMessage({ type: 'error', text: 'Não foi possível carregar as etiquetas.' });
+    }
+  };
+
+  const startRenameTag = (tag) => {
+    setMergingTagId(null);
+    setEditingTagId(tag.id);
+    setTagDraftName(tag.name);
+  };
+
+  const startMergeTag = (tag) => {
+    setEditingTagId(null);
+    setMergingTagId(tag.id);
+    setMergeTargetId('');
+  };
+
+  const mergeTag = async (id, targetId) => {
+    try {
+      await api.post(`/tags/${id}/merge`, { targetId: Number(targetId) });
+      setMergingTagId(null);
+      setEditingTagId(null);
+      setTagMessage({ type: 'success', text: 'Etiquetas mescladas.' });
+      fetchTags();
+    } catch (error) {
+      console.error('Erro ao mesclar etiquetas:', error);
+      setTagMessage({ type: 'error', text: error.response?.data?.error || 'Não foi possível mesclar as etiquetas.' });
+    }
+  };
+
+  const renameTag = async (id) => {
+    try {
+      await api.patch(`/tags/${id}`, { name: tagDraftName });
+      setEditingTagId(null);
+      setTagMessage({ type: 'success', text: 'Etiqueta renomeada.' });
+      fetchTags();
+    } catch (error) {
+      // Renomear para um nome existente equivale a mesclar as duas etiquetas
+      if (error.response?.data?.code === 'TAG_EXISTS') {
+        const confirmMerge = window.confirm(`Já existe a etiqueta "${tagDraftName.trim().toLowerCase()}". Deseja mesclar as duas?`);
+        if (confirmMerge) {
+          mergeTag(id, error.response.data.targetId);
+        }
+        return;
+      }
+      console.error('Erro ao renomear etiqueta:', error);
+      setTagMessage({ type: 'error', text: error.response?.data?.error || 'Não foi possível renomear a etiqueta.' });
+    }
+  };
+
+  const deleteTag = async (tag) => {
+    const confirmDelete = window.confirm(`Deseja remover a etiqueta "${tag.name}"? Ela será retirada de todos os documentos e treinamentos.`);
+    if (!confirmDelete) return;
+    try {
+      await api.delete(`/tags/${tag.id}`);
+      setTags((prev) => prev.filter((t) => t.id !== tag.id));
+      setTagMessage({ type: 'success', text: 'Etiqueta removida.' });
+    } catch (error) {
+      console.error('Erro ao remover etiqueta:', error);
+      setTagMessage({ type: 'error', text: error.response?.data?.error || 'Não foi possível remover a etiqueta.' });
+    }
+  };
+
   const promoteUser = async (userId) => {
     setActionInProgress(true);
     setError(null);
@@ -117,6 +426,151 @@ const AdminPanel = () => {
     }
   };
 
+  const unlockUser = async (userId) => {
+    setActionInProgress(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await api.patch(`/users/${userId}/unlock`, {});
+
+      setSuccess('Conta desbloqueada com sucesso!');
+      fetchUsers();
+      fetchLoginAttempts();
+    } catch (error) {
+      console.error('Erro ao desbloquear usuário:', error);
+      setError('Não foi possível desbloquear o usuário. Verifique suas permissões.');
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
+  const suspendUser = async (user) => {
+    if (!window.confirm(`Suspender a conta de ${user.name}? As sessões e tokens de API deixarão de funcionar.`)) return;
+    setActionInProgress(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await api.patch(`/users/${user.id}/suspend`, {});
+
+      setSuccess('Conta suspensa com sucesso!');
+      fetchUsers();
+    } catch (error) {
+      console.error('Erro ao suspender usuário:', error);
+      setError(error.response?.data?.error || 'Não foi possível suspender o usuário.');
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
+  const reactivateUser = async (userId) => {
+    setActionInProgress(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await api.patch(`/users/${userId}/reactivate`, {});
+
+      setSuccess('Conta reativada com sucesso!');
+      fetchUsers();
+    } catch (error) {
+      console.error('Erro ao reativar usuário:', error);
+      setError(error.response?.data?.error || 'Não foi possível reativar o usuário.');
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
+  const openDeletion = async (user) => {
+    if (deletingUserId === user.id) {
+      setDeletingUserId(null);
+      return;
+    }
+    setDeletingUserId(user.id);
+    setDeletionPreview(null);
+    setTransferToId('');
+    setError(null);
+
+    try {
+      const response = await api.get(`/users/${user.id}/deletion-preview`);
+      setDeletionPreview(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar pré-visualização:', error);
+      setError(error.response?.data?.error || 'Não foi possível carregar o que será transferido.');
+      setDeletingUserId(null);
+    }
+  };
+
+  const deleteUser = async (userId) => {
+    if (!window.confirm('Excluir este usuário definitivamente? Esta ação não pode ser desfeita.')) return;
+    setActionInProgress(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await api.delete(`/users/${userId}`, { params: transferToId ? { transferTo: transferToId } : {} });
+
+      setSuccess('Usuário excluído com sucesso!');
+      setDeletingUserId(null);
+      fetchUsers();
+    } catch (error) {
+      console.error('Erro ao excluir usuário:', error);
+      setError(error.response?.data?.error || 'Não foi possível excluir o usuário.');
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
+  const openPermissionEditor = (user) => {
+    if (editingPermissionsFor === user.id) {
+      setEditingPermissionsFor(null);
+      return;
+    }
+    setEditingPermissionsFor(user.id);
+    setDraftPermissions(user.permissions);
+  };
+
+  const toggleDraftPermission = (permission) => {
+    setDraftPermissions((prev) => (
+      prev.includes(permission) ? prev.filter((name) => name !== permission) : [...prev, permission]
+    ));
+  };
+
+  const applyBundle = (bundle) => {
+    setDraftPermissions((prev) => [...new Set([...prev, ...bundle.permissions])]);
+  };
+
+  const savePermissions = async (userId) => {
+    setActionInProgress(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await api.put(`/users/${userId}/permissions`, { permissions: draftPermissions });
+
+      setSuccess('Permissões atualizadas com sucesso!');
+      setEditingPermissionsFor(null);
+      fetchUsers();
+    } catch (error) {
+      console.error('Erro ao atualizar permissões:', error);
+      setError(error.response?.data?.error || 'Não foi possível atualizar as permissões.');
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
+  const attemptReasonLabels = {
+    INVALID_PASSWORD: 'Senha incorreta',
+    UNKNOWN_EMAIL: 'Email não cadastrado',
+    INVALID_MFA_CODE: 'Código de verificação inválido',
+    ACCOUNT_LOCKED: 'Conta bloqueada',
+    ACCOUNT_THROTTLED: 'Aguardando intervalo entre tentativas',
+    IP_THROTTLED: 'IP bloqueado',
+    ACCOUNT_SUSPENDED: 'Conta suspensa',
+    PENDING: 'Em andamento'
+  };
+
   const filteredUsers = users.filter(user => 
     user.name.toLowerCase().includes(searchTerm.toLowerCase()) || 
     user.email.toLowerCase().includes(searchTerm.toLowerCase())
@@ -132,174 +586,802 @@ const AdminPanel = () => {
           </div>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Painel de Administração</h1>
           <p className="text-gray-600 max-w-2xl mx-auto">
-            Gerencie os usuários do sistema, promovendo-os a administradores ou rebaixando-os para usuários comuns.
+            Gerencie os usuários do sistema, suas permissões e as categorias de documentos.
           </p>
         </div>
 
-        {/* Barra de pesquisa */}
-        <div className="mb-6">
-          <div className="relative">
-            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-              <Search className="h-5 w-5 text-gray-400" />
+        {canManageUsers && (
+          <>
+            {/* Barra de pesquisa */}
+            <div className="mb-6">
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Search className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Buscar usuários por nome ou email..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </div>
             </div>
-            <input
-              type="text"
-              className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500"
-              placeholder="Buscar usuários por nome ou email..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-            />
-          </div>
-        </div>
 
-        {/* Mensagens de erro/sucesso */}
-        {error && (
-          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-start">
-            <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 mr-3 flex-shrink-0" />
-            <span className="text-red-700">{error}</span>
-          </div>
-        )}
+            {/* Mensagens de erro/sucesso */}
+            {error && (
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-start">
+                <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 mr-3 flex-shrink-0" />
+                <span className="text-red-700">{error}</span>
+              </div>
+            )}
         
-        {success && (
-          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-xl flex items-start">
-            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-3 flex-shrink-0" />
-            <span className="text-green-700">{success}</span>
-          </div>
-        )}
+            {success && (
+              <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-xl flex items-start">
+                <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-3 flex-shrink-0" />
+                <span className="text-green-700">{success}</span>
+              </div>
+            )}
 
-        {/* Lista de usuários */}
-        <div className="bg-white rounded-xl shadow-md overflow-hidden">
-          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
-            <div className="flex justify-between items-center">
-              <h2 className="text-lg font-medium text-gray-900">Usuários do Sistema</h2>
-              <button 
-                onClick={fetchUsers}
-                disabled={loading || actionInProgress}
-                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
-              >
-                <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
-                Atualizar
-              </button>
-            </div>
-          </div>
+            {/* Lista de usuários */}
+            <div className="bg-white rounded-xl shadow-md overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+                <div className="flex justify-between items-center">
+                  <h2 className="text-lg font-medium text-gray-900">Usuários do Sistema</h2>
+                  <button 
+                    onClick={fetchUsers}
+                    disabled={loading || actionInProgress}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+                  >
+                    <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                    Atualizar
+                  </button>
+                </div>
+              </div>
           
-          {loading ? (
-            <div className="p-8 text-center">
-              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500 mx-auto"></div>
-              <p className="mt-4 text-gray-600">Carregando usuários...</p>
-            </div>
-          ) : filteredUsers.length === 0 ? (
-            <div className="p-8 text-center text-gray-500">
-              {searchTerm ? 'Nenhum usuário encontrado com os termos de busca.' : 'Nenhum usuário cadastrado no sistema.'}
-            </div>
-          ) : (
-            <ul className="divide-y divide-gray-200">
-              {filteredUsers.map((user) => (
-                <li key={user.id} className="px-6 py-4 hover:bg-gray-50 transition-colors">
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center">
-                      <div className={`p-2 rounded-lg ${user.role === 'ADMIN' ? 'bg-indigo-100' : 'bg-gray-100'}`}>
-                        <User className={`h-5 w-5 ${user.role === 'ADMIN' ? 'text-indigo-600' : 'text-gray-600'}`} />
-                      </div>
-                      <div className="ml-4">
-                        <h3 className="text-lg font-medium text-gray-900">{user.name}</h3>
-                        <p className="text-sm text-gray-500">{user.email}</p>
-                      </div>
-                    </div>
-                    <div className="flex items-center space-x-3">
-                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${
-                        user.role === 'ADMIN' 
-                          ? 'bg-indigo-100 text-indigo-800' 
-                          : 'bg-gray-100 text-gray-800'
-                      }`}>
-                        {user.role === 'ADMIN' ? 'Administrador' : 'Usuário'}
-                      </span>
+              {loading ? (
+                <div className="p-8 text-center">
+                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500 mx-auto"></div>
+                  <p className="mt-4 text-gray-600">Carregando usuários...</p>
+                </div>
+              ) : filteredUsers.length === 0 ? (
+                <div className="p-8 text-center text-gray-500">
+                  {searchTerm ? 'Nenhum usuário encontrado com os termos de busca.' : 'Nenhum usuário cadastrado no sistema.'}
+                </div>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {filteredUsers.map((user) => (
+                    <li key={user.id} className="px-6 py-4 hover:bg-gray-50 transition-colors">
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center">
+                          <div className={`p-2 rounded-lg ${user.role === 'ADMIN' ? 'bg-indigo-100' : 'bg-gray-100'}`}>
+                            <User className={`h-5 w-5 ${user.role === 'ADMIN' ? 'text-indigo-600' : 'text-gray-600'}`} />
+                          </div>
+                          <div className="ml-4">
+                            <h3 className="text-lg font-medium text-gray-900">{user.name}</h3>
+                            <p className="text-sm text-gray-500">{user.email}</p>
+                            {user.failedLoginCount > 0 && (
+                              <p className="text-xs text-amber-600">
+                                {user.failedLoginCount} falha(s) de login consecutiva(s)
+                                {user.isLocked && ` · bloqueada até ${new Date(user.lockedUntil).toLocaleString('pt-BR')}`}
+                              </p>
+                            )}
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-3">
+                          {user.isSuspended && (
+                            <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-800">
+                              <Ban className="h-3 w-3 mr-1" /> Suspenso
+                            </span>
+                          )}
+
+                          {user.isLocked && (
+                            <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                              <Lock className="h-3 w-3 mr-1" /> Bloqueado
+                            </span>
+                          )}
+
+                          {user.failedLoginCount > 0 && (
+                            <button
+                              onClick={() => unlockUser(user.id)}
+                              disabled={actionInProgress}
+                              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+                            >
+                              <Unlock className="h-4 w-4 mr-2 text-green-600" />
+                              Desbloquear
+                            </button>
+                          )}
+
+                          <span className={`px-3 py-1 rounded-full text-xs font-medium ${
+                            user.role === 'ADMIN' 
+                              ? 'bg-indigo-100 text-indigo-800' 
+                              : 'bg-gray-100 text-gray-800'
+                          }`}>
+                            {user.role === 'ADMIN' ? 'Administrador' : 'Usuário'}
+                          </span>
+
+                          {user.role !== 'ADMIN' && (
+                            <button
+                              onClick={() => openPermissionEditor(user)}
+                              disabled={actionInProgress}
+                              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+                            >
+                              <KeyRound className="h-4 w-4 mr-2 text-indigo-500" />
+                              Permissões
+                            </button>
+                          )}
                       
-                      {user.role === 'ADMIN' ? (
-                        <button
-                          onClick={() => demoteUser(user.id)}
-                          disabled={actionInProgress}
-                          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50"
-                        >
-                          <UserMinus className="h-4 w-4 mr-2 text-red-500" />
-                          Rebaixar
-                        </button>
-                      ) : (
-                        <button
-                          onClick={() => promoteUser(user.id)}
-                          disabled={actionInProgress}
-                          className="inline-flex items-center px-3 py-2 border border-transparent shadow-sm text-sm leading-4 font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
-                        >
-                          <UserPlus className="h-4 w-4 mr-2" />
-                          Promover
-                        </button>
+                          {!isCurrentUserAdmin ? null : user.role === 'ADMIN' ? (
+                            <button
+                              onClick={() => demoteUser(user.id)}
+                              disabled={actionInProgress}
+                              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50"
+                            >
+                              <UserMinus className="h-4 w-4 mr-2 text-red-500" />
+                              Rebaixar
+                            </button>
+                          ) : (
+                            <button
+                              onClick={() => promoteUser(user.id)}
+                              disabled={actionInProgress}
+                              className="inline-flex items-center px-3 py-2 border border-transparent shadow-sm text-sm leading-4 font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+                            >
+                              <UserPlus className="h-4 w-4 mr-2" />
+                              Promover
+                            </button>
+                          )}
+
+                          {user.id !== currentUser?.id && (user.role !== 'ADMIN' || isCurrentUserAdmin) && (
+                            <>
+                              {user.isSuspended ? (
+                                <button
+                                  onClick={() => reactivateUser(user.id)}
+                                  disabled={actionInProgress}
+                                  title="Reativar conta"
+                                  className="p-2 rounded-full hover:bg-green-50 transition-colors disabled:opacity-50"
+                                >
+                                  <UserCheck className="h-4 w-4 text-green-600" />
+                                </button>
+                              ) : (
+                                <button
+                                  onClick={() => suspendUser(user)}
+                                  disabled={actionInProgress}
+                                  title="Suspender conta"
+                                  className="p-2 rounded-full hover:bg-amber-50 transition-colors disabled:opacity-50"
+                                >
+                                  <Ban className="h-4 w-4 text-amber-600" />
+                                </button>
+                              )}
+                              <button
+                                onClick={() => openDeletion(user)}
+                                disabled={actionInProgress}
+                                title="Excluir usuário"
+                                className="p-2 rounded-full hover:bg-red-50 transition-colors disabled:opacity-50"
+                              >
+                                <Trash2 className="h-4 w-4 text-red-500" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+
+                      {deletingUserId === user.id && (
+                        <div className="mt-4 ml-14 p-4 bg-red-50 border border-red-200 rounded-xl space-y-4">
+                          {!deletionPreview ? (
+                            <p className="text-sm text-gray-600">Carregando o que será transferido...</p>
+                          ) : (
+                            <>
+                              <div className="text-sm text-gray-700 space-y-1">
+                                <p className="font-medium">Ao excluir {user.name}:</p>
+                                <p>{deletionPreview.posts.length} documento(s), {deletionPreview.folders} pasta(s) e {deletionPreview.trainings.length} treinamento(s) serão transferidos.</p>
+                                <p>{deletionPreview.sharedAccess} compartilhamento(s) recebido(s) e {deletionPreview.tools.length} ferramenta(s) passarão ao novo responsável.</p>
+                                {deletionPreview.responsibleTools > 0 && (
+                                  <p className="text-amber-700">
+                                    {deletionPreview.responsibleTools} ferramenta(s) ainda usam o email deste usuário como responsável; atualize-as após a exclusão.
+                                  </p>
+                                )}
+                              </div>
+
+                              {(deletionPreview.posts.length > 0 || deletionPreview.trainings.length > 0) && (
+                                <ul className="max-h-40 overflow-y-auto text-xs text-gray-600 bg-white border border-red-100 rounded-lg p-3 space-y-1">
+                                  {deletionPreview.posts.map((post) => (
+                                    <li key={`post-${post.id}`}>Documento: {post.caption || post.originalFileName}</li>
+                                  ))}
+                                  {deletionPreview.trainings.map((training) => (
+                                    <li key={`training-${training.id}`}>Treinamento: {training.title}</li>
+                                  ))}
+                                </ul>
+                              )}
+
+                              <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-3 space-y-3 sm:space-y-0">
+                                <label className="flex items-center text-sm text-gray-700">
+                                  <ArrowRight className="h-4 w-4 mr-2 text-gray-500" />
+                                  Transferir para
+                                </label>
+                                <select
+                                  value={transferToId}
+                                  onChange={(e) => setTransferToId(e.target.value)}
+                                  className="flex-1 rounded-md border border-gray-300 px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                                >
+                                  <option value="">{deletionPreview.requiresTransfer ? 'Selecione um usuário' : 'Ninguém (nada a transferir)'}</option>
+                                  {users
+                                    .filter((candidate) => candidate.id !== user.id && !candidate.isSuspended)
+                                    .map((candidate) => (
+                                      <option key={candidate.id} value={candidate.id}>
+                                        {candidate.name} ({candidate.email})
+                                      </option>
+                                    ))}
+                                </select>
+                              </div>
+                            </>
+                          )}
+
+                          <div className="flex justify-end space-x-3">
+                            <button
+                              onClick={() => setDeletingUserId(null)}
+                              className="px-3 py-2 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                              Cancelar
+                            </button>
+                            <button
+                              onClick={() => deleteUser(user.id)}
+                              disabled={actionInProgress || !deletionPreview || (deletionPreview.requiresTransfer && !transferToId)}
+                              className="px-3 py-2 text-sm rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                            >
+                              Excluir usuário
+                            </button>
+                          </div>
+                        </div>
                       )}
-                    </div>
+
+                      {user.permissions.length > 0 && editingPermissionsFor !== user.id && (
+                        <div className="mt-2 ml-14 flex flex-wrap gap-2">
+                          {user.permissions.map((permission) => (
+                            <span key={permission} className="px-2 py-0.5 rounded-full text-xs font-mono bg-gray-100 text-gray-700">
+                              {permission}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+
+                      {editingPermissionsFor === user.id && (
+                        <div className="mt-4 ml-14 p-4 bg-gray-50 border border-gray-200 rounded-xl space-y-4">
+                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            {permissionCatalog.permissions.map((permission) => (
+                              <label key={permission.name} className="flex items-start space-x-2 text-sm">
+                                <input
+                                  type="checkbox"
+                                  checked={draftPermissions.includes(permission.name)}
+                                  onChange={() => toggleDraftPermission(permission.name)}
+                                  disabled={!myPermissions.includes(permission.name)}
+                                  className="mt-0.5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                                />
+                                <span>
+                                  <span className="font-mono text-gray-900">{permission.name}</span>
+                                  <span className="block text-gray-500">{permission.description}</span>
+                                </span>
+                              </label>
+                            ))}
+                          </div>
+
+                          {permissionCatalog.bundles.length > 0 && (
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span className="text-sm text-gray-600">Pacotes:</span>
+                              {permissionCatalog.bundles.map((bundle) => (
+                                <button
+                                  key={bundle.id}
+                                  onClick={() => applyBundle(bundle)}
+                                  disabled={!bundle.permissions.every((permission) => myPermissions.includes(permission))}
+                                  title={bundle.permissions.join(', ')}
+                                  className="px-3 py-1 rounded-full text-xs font-medium border border-indigo-200 text-indigo-700 bg-white hover:bg-indigo-50 disabled:opacity-50"
+                                >
+                                  + {bundle.name}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+
+                          <div className="flex justify-end space-x-3">
+                            <button
+                              onClick={() => setEditingPermissionsFor(null)}
+                              className="px-3 py-2 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                              Cancelar
+                            </button>
+                            <button
+                              onClick={() => savePermissions(user.id)}
+                              disabled={actionInProgress}
+                              className="px-3 py-2 text-sm rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                            >
+                              Salvar permissões
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Tentativas de login */}
+            <div className="mt-10 bg-white rounded-xl shadow-md overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  <LogIn className="h-5 w-5 text-indigo-600" />
+                  <h2 className="text-lg font-medium text-gray-900">Tentativas de login</h2>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <label className="inline-flex items-center text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={failedOnly}
+                      onChange={(e) => setFailedOnly(e.target.checked)}
+                      className="mr-2 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    Apenas falhas
+                  </label>
+                  <button
+                    onClick={fetchLoginAttempts}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <RefreshCw className={`h-4 w-4 mr-2 ${loadingAttempts ? 'animate-spin' : ''}`} /> Atualizar
+                  </button>
+                </div>
+              </div>
+
+              {loginAttempts.length === 0 ? (
+                <p className="p-6 text-sm text-gray-500">
+                  {loadingAttempts ? 'Carregando tentativas...' : 'Nenhuma tentativa registrada.'}
+                </p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">Data</th>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">Email</th>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">IP</th>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">Resultado</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {loginAttempts.map((attempt) => (
+                        <tr key={attempt.id} className="hover:bg-gray-50">
+                          <td className="px-6 py-3 whitespace-nowrap text-gray-700">
+                            {new Date(attempt.createdAt).toLocaleString('pt-BR')}
+                          </td>
+                          <td className="px-6 py-3 text-gray-700">
+                            {attempt.email}
+                            {attempt.profile && <span className="text-gray-400"> ({attempt.profile.name})</span>}
+                          </td>
+                          <td className="px-6 py-3 whitespace-nowrap text-gray-500">{attempt.ipAddress || '-'}</td>
+                          <td className="px-6 py-3">
+                            {attempt.success ? (
+                              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Sucesso</span>
+                            ) : (
+                              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                {attemptReasonLabels[attempt.reason] || 'Falha'}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Equipes */}
+            <div className="mt-10 bg-white rounded-xl shadow-md overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center space-x-2">
+                <Users className="h-5 w-5 text-indigo-600" />
+                <h2 className="text-lg font-medium text-gray-900">Equipes</h2>
+              </div>
+
+              <div className="p-6 space-y-4">
+                {teamMessage && (
+                  <div className={`p-3 rounded-md text-sm ${teamMessage.type === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-700 border border-green-200'}`}>
+                    {teamMessage.text}
                   </div>
-                </li>
-              ))}
-            </ul>
-          )}
-        </div>
+                )}
+
+                <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-3 space-y-3 sm:space-y-0">
+                  <input
+                    type="text"
+                    value={teamName}
+                    onChange={(e) => setTeamName(e.target.value)}
+                    placeholder="Nome da equipe"
+                    className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <button
+                    onClick={createTeam}
+                    className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                  >
+                    <Plus className="h-4 w-4 mr-2" /> Criar
+                  </button>
+                </div>
+
+                {teams.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nenhuma equipe cadastrada.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200">
+                    {teams.map((team) => (
+                      <li key={team.id} className="py-3">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <span className="text-gray-800">{team.name}</span>
+                            <span className="ml-2 text-xs text-gray-500">{team.members.length} membro(s)</span>
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => openTeamEditor(team)}
+                              className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 transition-colors"
+                            >
+                              Membros
+                            </button>
+                            <button
+                              onClick={() => deleteTeam(team.id)}
+                              className="p-2 rounded-full hover:bg-red-50 transition-colors"
+                              title="Remover equipe"
+                            >
+                              <Trash2 className="h-4 w-4 text-red-500" />
+                            </button>
+                          </div>
+                        </div>
+
+                        {editingTeamId === team.id && (
+                          <div className="mt-3 p-4 bg-gray-50 border border-gray-200 rounded-xl space-y-3">
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-60 overflow-y-auto">
+                              {users.map((user) => (
+                                <label key={user.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                                  <input
+                                    type="checkbox"
+                                    checked={draftMemberIds.includes(user.id)}
+                                    onChange={() => toggleDraftMember(user.id)}
+                                    className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                                  />
+                                  <span>{user.name} <span className="text-gray-400">({user.email})</span></span>
+                                </label>
+                              ))}
+                            </div>
+                            <div className="flex justify-end space-x-3">
+                              <button
+                                onClick={() => setEditingTeamId(null)}
+                                className="px-3 py-2 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                              >
+                                Cancelar
+                              </button>
+                              <button
+                                onClick={() => saveTeamMembers(team.id)}
+                                className="px-3 py-2 text-sm rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+                              >
+                                Salvar membros
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            {/* Cadastro e convites */}
+            <div className="mt-10 bg-white rounded-xl shadow-md overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center space-x-2">
+                <Mail className="h-5 w-5 text-indigo-600" />
+                <h2 className="text-lg font-medium text-gray-900">Cadastro e convites</h2>
+              </div>
+
+              <div className="p-6 space-y-6">
+                {registrationMessage && (
+                  <div className={`p-3 rounded-md text-sm ${registrationMessage.type === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-700 border border-green-200'}`}>
+                    {registrationMessage.text}
+                  </div>
+                )}
+
+                <div className="space-y-3">
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-3 space-y-3 sm:space-y-0">
+                    <select
+                      value={registration.mode}
+                      onChange={(e) => setRegistration({ ...registration, mode: e.target.value })}
+                      className="rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                      <option value="open">Cadastro aberto</option>
+                      <option value="domain">Restrito a domínios</option>
+                      <option value="invite">Apenas por convite</option>
+                    </select>
+                    {registration.mode === 'domain' && (
+                      <input
+                        type="text"
+                        value={domainsInput}
+                        onChange={(e) => setDomainsInput(e.target.value)}
+                        placeholder="empresa.com, filial.com"
+                        className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                    )}
+                    <button
+                      onClick={saveRegistration}
+                      className="inline-flex items-center justify-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                      Salvar
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500">Convites válidos permitem o cadastro em qualquer modo.</p>
+                </div>
+
+                <div className="pt-6 border-t border-gray-200 space-y-3">
+                  <h3 className="text-sm font-medium text-gray-900">Novo convite</h3>
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-3 space-y-3 sm:space-y-0">
+                    <input
+                      type="email"
+                      value={inviteForm.email}
+                      onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                      placeholder="E-mail do convidado (opcional)"
+                      className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <select
+                      value={inviteForm.role}
+                      onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                      className="rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                      <option value="USER">Usuário</option>
+                      {isCurrentUserAdmin && <option value="ADMIN">Administrador</option>}
+                    </select>
+                    <label className="flex items-center space-x-2 text-sm text-gray-600">
+                      <input
+                        type="number"
+                        min={1}
+                        max={30}
+                        value={inviteForm.expiresInDays}
+                        onChange={(e) => setInviteForm({ ...inviteForm, expiresInDays: e.target.value })}
+                        className="w-20 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                      <span>dias</span>
+                    </label>
+                    <button
+                      onClick={createInvite}
+                      className="inline-flex items-center justify-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                      <Plus className="h-4 w-4 mr-2" /> Gerar
+                    </button>
+                  </div>
+
+                  {createdInviteUrl && (
+                    <div className="flex items-center space-x-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                      <code className="flex-1 text-xs break-all text-gray-800">{createdInviteUrl}</code>
+                      <button
+                        onClick={copyInviteUrl}
+                        className="p-2 rounded-lg border border-yellow-300 text-yellow-800 hover:bg-yellow-100 transition-colors"
+                        title="Copiar link"
+                      >
+                        <Copy className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {invites.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nenhum convite emitido.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200">
+                    {invites.map((invite) => {
+                      const status = getInviteStatus(invite);
+                      const isPending = status.label === 'Pendente';
+                      return (
+                        <li key={invite.id} className="py-3 flex items-center justify-between">
+                          <div>
+                            <span className="text-gray-800">{invite.email || 'Link sem email definido'}</span>
+                            {invite.role === 'ADMIN' && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">Administrador</span>
+                            )}
+                            <p className="text-xs text-gray-500">
+                              Por {invite.createdBy?.name || 'usuário removido'} · expira em {new Date(invite.expiresAt).toLocaleString('pt-BR')}
+                            </p>
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                            {isPending && (
+                              <button
+                                onClick={() => revokeInvite(invite.id)}
+                                className="p-2 rounded-full hover:bg-red-50 transition-colors"
+                                title="Revogar convite"
+                              >
+                                <Trash2 className="h-4 w-4 text-red-500" />
+                              </button>
+                            )}
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </>
+        )}
 
         {/* Gerenciamento de categorias */}
-        <div className="mt-10 bg-white rounded-xl shadow-md overflow-hidden">
-          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center space-x-2">
-            <Tag className="h-5 w-5 text-indigo-600" />
-            <h2 className="text-lg font-medium text-gray-900">Categorias</h2>
-          </div>
+        {canManageCategories && (
+          <div className="mt-10 bg-white rounded-xl shadow-md overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center space-x-2">
+              <Tag className="h-5 w-5 text-indigo-600" />
+              <h2 className="text-lg font-medium text-gray-900">Categorias</h2>
+            </div>
 
-          <div className="p-6 space-y-4">
-            {catMessage && (
-              <div className={`p-3 rounded-md text-sm ${catMessage.type === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-700 border border-green-200'}`}>
-                {catMessage.text}
+            <div className="p-6 space-y-4">
+              {catMessage && (
+                <div className={`p-3 rounded-md text-sm ${catMessage.type === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-700 border border-green-200'}`}>
+                  {catMessage.text}
+                </div>
+              )}
+
+              <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-3 space-y-3 sm:space-y-0">
+                <input
+                  type="text"
+                  value={catName}
+                  onChange={(e) => setCatName(e.target.value)}
+                  placeholder="Nome da categoria"
+                  className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <button
+                  onClick={createCategory}
+                  className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                >
+                  <Plus className="h-4 w-4 mr-2" /> Criar
+                </button>
+                <button
+                  onClick={fetchCategories}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <RefreshCw className={`h-4 w-4 mr-2 ${loadingCategories ? 'animate-spin' : ''}`} /> Atualizar
+                </button>
               </div>
-            )}
 
-            <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-3 space-y-3 sm:space-y-0">
-              <input
-                type="text"
-                value={catName}
-                onChange={(e) => setCatName(e.target.value)}
-                placeholder="Nome da categoria"
-                className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-              />
-              <button
-                onClick={createCategory}
-                className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
-              >
-                <Plus className="h-4 w-4 mr-2" /> Criar
-              </button>
+              {loadingCategories ? (
+                <p className="text-sm text-gray-500">Carregando categorias...</p>
+              ) : categories.length === 0 ? (
+                <p className="text-sm text-gray-500">Nenhuma categoria cadastrada.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {categories.map((cat) => (
+                    <li key={cat.id} className="py-3 flex items-center justify-between">
+                      <span className="text-gray-800">{cat.name}</span>
+                      <button
+                        onClick={() => deleteCategory(cat.id)}
+                        className="p-2 rounded-full hover:bg-red-50 transition-colors"
+                        title="Remover categoria"
+                      >
+                        <Trash2 className="h-4 w-4 text-red-500" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Gerenciamento de etiquetas */}
+        {canManageTags && (
+          <div className="mt-10 bg-white rounded-xl shadow-md overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
+              <div className="flex items-center space-x-2">
+                <Hash className="h-5 w-5 text-indigo-600" />
+                <h2 className="text-lg font-medium text-gray-900">Etiquetas</h2>
+              </div>
               <button
-                onClick={fetchCategories}
+                onClick={fetchTags}
                 className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
               >
-                <RefreshCw className={`h-4 w-4 mr-2 ${loadingCategories ? 'animate-spin' : ''}`} /> Atualizar
+                <RefreshCw className="h-4 w-4 mr-2" /> Atualizar
               </button>
             </div>
 
-            {loadingCategories ? (
-              <p className="text-sm text-gray-500">Carregando categorias...</p>
-            ) : categories.length === 0 ? (
-              <p className="text-sm text-gray-500">Nenhuma categoria cadastrada.</p>
-            ) : (
-              <ul className="divide-y divide-gray-200">
-                {categories.map((cat) => (
-                  <li key={cat.id} className="py-3 flex items-center justify-between">
-                    <span className="text-gray-800">{cat.name}</span>
-                    <button
-                      onClick={() => deleteCategory(cat.id)}
-                      className="p-2 rounded-full hover:bg-red-50 transition-colors"
-                      title="Remover categoria"
-                    >
-                      <Trash2 className="h-4 w-4 text-red-500" />
-                    </button>
-                  </li>
-                ))}
-              </ul>
-            )}
+            <div className="p-6 space-y-4">
+              {tagMessage && (
+                <div className={`p-3 rounded-md text-sm ${tagMessage.type === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-700 border border-green-200'}`}>
+                  {tagMessage.text}
+                </div>
+              )}
+
+              {tags.length === 0 ? (
+                <p className="text-sm text-gray-500">Nenhuma etiqueta cadastrada.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {tags.map((tag) => (
+                    <li key={tag.id} className="py-3">
+                      {editingTagId === tag.id ? (
+                        <div className="flex items-center space-x-3">
+                          <input
+                            type="text"
+                            value={tagDraftName}
+                            onChange={(e) => setTagDraftName(e.target.value)}
+                            className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                          />
+                          <button
+                            onClick={() => setEditingTagId(null)}
+                            className="px-3 py-2 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                          >
+                            Cancelar
+                          </button>
+                          <button
+                            onClick={() => renameTag(tag.id)}
+                            className="px-3 py-2 text-sm rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+                          >
+                            Salvar
+                          </button>
+                        </div>
+                      ) : mergingTagId === tag.id ? (
+                        <div className="flex items-center space-x-3">
+                          <span className="text-sm text-gray-700">Mesclar <strong>{tag.name}</strong> em</span>
+                          <select
+                            value={mergeTargetId}
+                            onChange={(e) => setMergeTargetId(e.target.value)}
+                            className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                          >
+                            <option value="">Selecione a etiqueta de destino</option>
+                            {tags.filter((t) => t.id !== tag.id).map((t) => (
+                              <option key={t.id} value={t.id}>{t.name}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => setMergingTagId(null)}
+                            className="px-3 py-2 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                          >
+                            Cancelar
+                          </button>
+                          <button
+                            onClick={() => mergeTag(tag.id, mergeTargetId)}
+                            disabled={!mergeTargetId}
+                            className="px-3 py-2 text-sm rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                          >
+                            Mesclar
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <span className="text-gray-800">#{tag.name}</span>
+                            <p className="text-xs text-gray-500">
+                              {tag._count.posts} documento(s) · {tag._count.trainings} treinamento(s)
+                            </p>
+                          </div>
+                          <div className="flex items-center space-x-1">
+                            <button
+                              onClick={() => startRenameTag(tag)}
+                              className="p-2 rounded-full hover:bg-indigo-50 transition-colors"
+                              title="Renomear etiqueta"
+                            >
+                              <Pencil className="h-4 w-4 text-indigo-500" />
+                            </button>
+                            <button
+                              onClick={() => startMergeTag(tag)}
+                              className="p-2 rounded-full hover:bg-indigo-50 transition-colors"
+                              title="Mesclar em outra etiqueta"
+                            >
+                              <Merge className="h-4 w-4 text-indigo-500" />
+                            </button>
+                            <button
+                              onClick={() => deleteTag(tag)}
+                              className="p-2 rounded-full hover:bg-red-50 transition-colors"
+                              title="Remover etiqueta"
+                            >
+                              <Trash2 className="h-4 w-4 text-red-500" />
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
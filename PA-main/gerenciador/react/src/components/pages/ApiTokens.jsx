@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../api';
+import { KeyRound, Plus, Trash2, Copy, AlertCircle, CheckCircle, ArrowLeft } from 'lucide-react';
+
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [maxDays, setMaxDays] = useState(365);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [actionInProgress, setActionInProgress] = useState(false);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/tokens');
+      setTokens(response.data.tokens);
+      setAvailableScopes(response.data.scopes);
+      setMaxDays(response.data.maxDays);
+    } catch (error) {
+      console.error('Erro ao carregar tokens:', error);
+      setError('Não foi possível carregar os tokens de API.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setScopes((prev) => (
+      prev.includes(scope) ? prev.filter((item) => item !== scope) : [...prev, scope]
+    ));
+  };
+
+  const createToken = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!name.trim()) {
+      setError('Informe um nome para o token.');
+      return;
+    }
+    if (scopes.length === 0) {
+      setError('Selecione ao menos um escopo.');
+      return;
+    }
+
+    setActionInProgress(true);
+    try {
+      const response = await api.post('/tokens', { name: name.trim(), scopes, expiresInDays: Number(expiresInDays) });
+      setCreatedToken(response.data.token);
+      setName('');
+      setScopes([]);
+      fetchTokens();
+    } catch (error) {
+      console.error('Erro ao criar token:', error);
+      setError(error.response?.data?.error || 'Não foi possível criar o token.');
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
+  const revokeToken = async (id) => {
+    if (!window.confirm('Deseja revogar este token? Os scripts que o utilizam deixarão de funcionar.')) return;
+    setError(null);
+    setSuccess(null);
+    try {
+      await api.delete(`/tokens/${id}`);
+      setSuccess('Token revogado.');
+      fetchTokens();
+    } catch (error) {
+      console.error('Erro ao revogar token:', error);
+      setError(error.response?.data?.error || 'Não foi possível revogar o token.');
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      setSuccess('Token copiado para a área de transferência.');
+    } catch (error) {
+      console.error('Erro ao copiar token:', error);
+    }
+  };
+
+  const formatDateTime = (date) => (date ? new Date(date).toLocaleString('pt-BR') : 'Nunca');
+
+  const getTokenStatus = (token) => {
+    if (token.revokedAt) return { label: 'Revogado', className: 'bg-gray-100 text-gray-700' };
+    if (new Date(token.expiresAt) <= new Date()) return { label: 'Expirado', className: 'bg-red-100 text-red-800' };
+    return { label: 'Ativo', className: 'bg-green-100 text-green-800' };
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 pt-10 pb-10 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto space-y-8">
+        {/* Cabeçalho */}
+        <div className="text-center">
+          <div className="inline-flex items-center justify-center p-3 bg-indigo-100 rounded-xl mb-4">
+            <KeyRound className="h-8 w-8 text-indigo-600" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Tokens de API</h1>
+          <p className="text-gray-600 max-w-2xl mx-auto">
+            Use tokens pessoais para acessar a API a partir de scripts e automações, enviando-os no cabeçalho
+            <span className="font-mono"> Authorization: Bearer &lt;token&gt;</span>.
+          </p>
+          <Link to="/profile" className="mt-4 inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium hover:underline">
+            <ArrowLeft className="h-4 w-4 mr-2" /> Voltar ao perfil
+          </Link>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-xl flex items-start">
+            <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 mr-3 flex-shrink-0" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        )}
+
+        {success && (
+          <div className="p-4 bg-green-50 border border-green-200 rounded-xl flex items-start">
+            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-3 flex-shrink-0" />
+            <span className="text-green-700">{success}</span>
+          </div>
+        )}
+
+        {createdToken && (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-xl space-y-3">
+            <p className="text-sm font-medium text-yellow-800">
+              Copie o token agora. Por segurança, ele não será exibido novamente.
+            </p>
+            <div className="flex items-center space-x-3">
+              <code className="flex-1 p-3 bg-white border border-yellow-200 rounded-lg text-sm break-all">{createdToken}</code>
+              <button
+                onClick={copyToken}
+                className="p-3 rounded-lg border border-yellow-300 text-yellow-800 hover:bg-yellow-100 transition-colors"
+                title="Copiar token"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Novo token */}
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+            <h2 className="text-lg font-medium text-gray-900">Novo token</h2>
+          </div>
+          <form onSubmit={createToken} className="p-6 space-y-4">
+            <div className="flex flex-col sm:flex-row sm:space-x-3 space-y-3 sm:space-y-0">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Nome (ex.: relatório diário)"
+                className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <span>Expira em</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={maxDays}
+                  value={expiresInDays}
+                  onChange={(e) => setExpiresInDays(e.target.value)}
+                  className="w-24 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <span>dias</span>
+              </label>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {availableScopes.map((scope) => (
+                <label key={scope.name} className="flex items-start space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={scopes.includes(scope.name)}
+                    onChange={() => toggleScope(scope.name)}
+                    className="mt-0.5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <span>
+                    <span className="font-mono text-gray-900">{scope.name}</span>
+                    <span className="block text-gray-500">{scope.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={actionInProgress}
+                className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+              >
+                <Plus className="h-4 w-4 mr-2" /> Criar token
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {/* Tokens existentes */}
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+            <h2 className="text-lg font-medium text-gray-900">Seus tokens</h2>
+          </div>
+
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500 mx-auto"></div>
+              <p className="mt-4 text-gray-600">Carregando tokens...</p>
+            </div>
+          ) : tokens.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">Nenhum token criado.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {tokens.map((token) => {
+                const status = getTokenStatus(token);
+                return (
+                  <li key={token.id} className="px-6 py-4">
+                    <div className="flex items-start justify-between">
+                      <div className="space-y-1">
+                        <div className="flex items-center space-x-2">
+                          <h3 className="text-base font-medium text-gray-900">{token.name}</h3>
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                        </div>
+                        <p className="text-xs font-mono text-gray-500">{token.prefix}…</p>
+                        <div className="flex flex-wrap gap-1">
+                          {token.scopes.map((scope) => (
+                            <span key={scope} className="px-2 py-0.5 rounded-full text-xs font-mono bg-gray-100 text-gray-700">{scope}</span>
+                          ))}
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          Criado em {formatDateTime(token.createdAt)} · Expira em {formatDateTime(token.expiresAt)}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          Último uso: {formatDateTime(token.lastUsedAt)}
+                          {token.lastUsedIp && ` (${token.lastUsedIp})`}
+                        </p>
+                      </div>
+                      {!token.revokedAt && (
+                        <button
+                          onClick={() => revokeToken(token.id)}
+                          className="p-2 rounded-full hover:bg-red-50 transition-colors"
+                          title="Revogar token"
+                        >
+                          <Trash2 className="h-4 w-4 text-red-500" />
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApiTokens;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import api from '../../api';
+import TagInput from '../TagInput';
+import {
+  Edit, FileText, Tag, Upload, Trash2, Save, Loader2, ArrowLeft,
+  AlertCircle, CheckCircle, Lock, Unlock, Hash
+} from 'lucide-react';
+
+const EditPost = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [post, setPost] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [caption, setCaption] = useState('');
+  const [categoryId, setCategoryId] = useState('');
+  const [isPublic, setIsPublic] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [file, setFile] = useState(null);
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      try {
+        const [postResponse, categoriesResponse] = await Promise.all([
+          api.get(`/posts/${id}`),
+          api.get('/categories')
+        ]);
+        setPost(postResponse.data);
+        setCaption(postResponse.data.caption || '');
+        setCategoryId(String(postResponse.data.categoryId));
+        setIsPublic(postResponse.data.isPublic);
+        setTags(postResponse.data.tags.map((tag) => tag.name));
+        setCategories(categoriesResponse.data);
+      } catch (error) {
+        console.error('Erro ao carregar documento:', error);
+        setError(
+          error.response?.status === 403 || error.response?.status === 404
+            ? 'Documento não encontrado ou sem permissão de edição.'
+            : 'Não foi possível carregar o documento.'
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [id]);
+
+  const clearFile = () => {
+    setFile(null);
+    setComment('');
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!categoryId) {
+      setError('Selecione uma categoria.');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('caption', caption);
+    formData.append('categoryId', categoryId);
+    formData.append('isPublic', isPublic);
+    // Enviado mesmo vazio: sem etiquetas, o servidor remove as existentes
+    formData.append('tags', tags.join(','));
+    if (file) {
+      formData.append('comment', comment);
+      formData.append('file', file);
+    }
+
+    setSaving(true);
+    setUploadProgress(0);
+
+    try {
+      const response = await api.put(`/posts/${id}`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        onUploadProgress: (progressEvent) => {
+          if (file && progressEvent.total) {
+            setUploadProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+          }
+        }
+      });
+
+      setPost(response.data);
+      clearFile();
+      setSuccess('Documento atualizado com sucesso!');
+
+      setTimeout(() => {
+        navigate('/');
+      }, 1500);
+    } catch (error) {
+      console.error('Erro ao atualizar documento:', error);
+      setError(error.response?.data?.error || 'Erro ao atualizar documento.');
+    } finally {
+      setSaving(false);
+      setUploadProgress(0);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-8 text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500 mx-auto"></div>
+        <p className="mt-4 text-gray-600">Carregando documento...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 pt-10 pb-10 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-2xl mx-auto space-y-8">
+        {/* Cabeçalho */}
+        <div className="text-center">
+          <div className="inline-flex items-center justify-center p-3 bg-indigo-100 rounded-xl mb-4">
+            <Edit className="h-8 w-8 text-indigo-600" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Editar documento</h1>
+          {post && (
+            <p className="text-gray-600">{post.originalFileName} · versão {post.currentVersion}</p>
+          )}
+        </div>
+
+        {error && (
+          <div className="p-4 text-sm rounded-xl flex items-start space-x-3 bg-red-50 text-red-700 border border-red-200">
+            <AlertCircle className="h-5 w-5 flex-shrink-0 text-red-500" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {success && (
+          <div className="p-4 text-sm rounded-xl flex items-start space-x-3 bg-green-50 text-green-700 border border-green-200">
+            <CheckCircle className="h-5 w-5 flex-shrink-0 text-green-500" />
+            <span>{success}</span>
+          </div>
+        )}
+
+        {post && (
+          <form onSubmit={submit} className="bg-white rounded-2xl shadow-lg p-8 space-y-6">
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-700 flex items-center">
+                <FileText className="w-4 h-4 mr-2 text-indigo-500" />
+                Descrição
+              </label>
+              <input
+                value={caption}
+                onChange={(e) => setCaption(e.target.value)}
+                type="text"
+                placeholder="Descrição do arquivo (opcional)"
+                className="w-full p-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 hover:border-indigo-200"
+              />
+            </div>
+
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-700 flex items-center">
+                <Tag className="w-4 h-4 mr-2 text-indigo-500" />
+                Categoria
+              </label>
+              <select
+                value={categoryId}
+                onChange={(e) => setCategoryId(e.target.value)}
+                required
+                className="w-full p-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 hover:border-indigo-200 text-gray-700"
+              >
+                <option value="">Selecione uma categoria</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>
+                    {category.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-700 flex items-center">
+                <Hash className="w-4 h-4 mr-2 text-indigo-500" />
+                Etiquetas
+              </label>
+              <TagInput value={tags} onChange={setTags} />
+            </div>
+
+            <label className="flex items-center p-4 bg-gray-50 rounded-xl cursor-pointer">
+              <input
+                type="checkbox"
+                checked={isPublic}
+                onChange={(e) => setIsPublic(e.target.checked)}
+                className="rounded text-indigo-600 focus:ring-indigo-500 h-4 w-4 mr-3"
+              />
+              {isPublic ? (
+                <Unlock className="w-4 h-4 mr-2 text-green-600" />
+              ) : (
+                <Lock className="w-4 h-4 mr-2 text-gray-500" />
+              )}
+              <span className="text-sm text-gray-700">
+                {isPublic ? 'Público: visível para todos os usuários' : 'Privado: visível apenas para você e quem tem acesso'}
+              </span>
+            </label>
+
+            <div className="space-y-3 border-t pt-6">
+              <p className="text-sm font-medium text-gray-700 flex items-center">
+                <Upload className="w-4 h-4 mr-2 text-indigo-500" />
+                Substituir arquivo (opcional)
+              </p>
+              <p className="text-xs text-gray-500">
+                O arquivo atual continua disponível no histórico de versões.
+              </p>
+              <input
+                ref={fileInputRef}
+                type="file"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-4 file:rounded-xl file:border-0 file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+              />
+              {file && (
+                <>
+                  <div className="flex items-center justify-between text-xs text-gray-500">
+                    <span>{file.type || 'Tipo desconhecido'} | {(file.size / 1024 / 1024).toFixed(2)} MB</span>
+                    <button
+                      type="button"
+                      onClick={clearFile}
+                      className="bg-red-50 text-red-500 px-3 py-1.5 rounded-lg flex items-center hover:bg-red-100 transition-colors"
+                    >
+                      <Trash2 className="h-3.5 w-3.5 mr-1.5" />
+                      Remover
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    className="w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    placeholder="O que mudou nesta versão? (opcional)"
+                  />
+                </>
+              )}
+              {saving && file && (
+                <div className="w-full bg-indigo-100 rounded-full h-2.5 overflow-hidden">
+                  <div
+                    className="bg-gradient-to-r from-indigo-500 to-purple-600 h-2.5 rounded-full transition-all duration-300 ease-out"
+                    style={{ width: `${uploadProgress}%` }}
+                  ></div>
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center justify-between pt-2">
+              <button
+                type="button"
+                onClick={() => navigate('/')}
+                className="inline-flex items-center px-5 py-2.5 text-sm font-medium text-gray-700 hover:bg-gray-100 rounded-xl border border-gray-300 transition-all duration-200"
+              >
+                <ArrowLeft className="w-4 h-4 mr-2" />
+                Voltar
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center px-5 py-2.5 text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:shadow-lg hover:shadow-indigo-200/50 rounded-xl transition-all duration-300 disabled:opacity-70 disabled:cursor-not-allowed"
+              >
+                {saving ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Save className="w-4 h-4 mr-2" />
+                )}
+                {saving ? 'Salvando...' : 'Salvar alterações'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EditPost;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../api';
+import { Mail, KeyRound, ArrowLeft, AlertCircle, CheckCircle } from 'lucide-react';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const validateEmail = (email) => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!validateEmail(email)) {
+      setError('Por favor, insira um e-mail válido.');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await api.post('/password/forgot', { email });
+      setSuccess('Se o e-mail estiver cadastrado, você receberá um link para redefinir sua senha.');
+      setEmail('');
+    } catch (error) {
+      setError(
+        error.response
+          ? error.response.data.error || 'Erro ao solicitar a redefinição de senha.'
+          : 'Erro de conexão. Tente novamente mais tarde.'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex justify-center items-center min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <div className="w-full max-w-md bg-white p-8 md:p-10 rounded-3xl shadow-2xl m-4">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="p-3 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-xl shadow-md">
+            <KeyRound className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-800">Esqueceu a senha?</h2>
+        </div>
+
+        <p className="text-gray-600 mb-6">
+          Informe o e-mail da sua conta e enviaremos um link para você criar uma nova senha.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="email" className="block text-gray-700 font-medium mb-2">
+              E-mail
+            </label>
+            <div className="relative">
+              <input
+                type="email"
+                id="email"
+                className="w-full pl-12 pr-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-300 hover:border-indigo-200"
+                value={email}
+                onChange={(event) => setEmail(event.target.value)}
+                placeholder="Digite seu e-mail"
+              />
+              <div className="absolute left-0 top-0 h-full flex items-center justify-center w-12 text-gray-400">
+                <Mail className="h-5 w-5" />
+              </div>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-bold py-3 px-8 rounded-xl transition-all duration-300 disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Enviando...' : 'Enviar link'}
+          </button>
+        </form>
+
+        {error && (
+          <div className="mt-6 text-red-600 text-sm border border-red-200 bg-red-50 p-4 rounded-xl flex items-start space-x-3">
+            <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {success && (
+          <div className="mt-6 text-green-600 text-sm border border-green-200 bg-green-50 p-4 rounded-xl flex items-start space-x-3">
+            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 flex-shrink-0" />
+            <span>{success}</span>
+          </div>
+        )}
+
+        <Link
+          to="/login"
+          className="mt-8 inline-flex items-center text-indigo-600 hover:text-indigo-800 transition duration-300 font-medium hover:underline"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Voltar para o login
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
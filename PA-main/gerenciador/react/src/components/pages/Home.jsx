@@ -1,10 +1,20 @@
-import { useEffect, useState } from 'react'
-import { useNavigate } from 'react-router-dom'
-import api from '../../api'
+import { useEffect, useRef, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import api, { downloadZip } from '../../api'
 import SinglePost from '../SinglePost'
-import { FolderPlus, FileQuestion, Loader2, Filter, X, Search, RefreshCw } from 'lucide-react'
+import FolderTree from '../FolderTree'
+import FolderShareModal from '../FolderShareModal'
+import TagInput from '../TagInput'
+import ContentSearchResults from '../ContentSearchResults'
+import BulkActionsBar from '../BulkActionsBar'
+import { FolderPlus, FileQuestion, Loader2, Filter, X, Search, RefreshCw, Folder, ChevronRight, Pencil, Trash2, Share2, FileArchive } from 'lucide-react'
 import UploadModal from './NewPost'  // Importamos o componente de modal
 
+// Filtros da listagem; sort combina o campo e a direção aceitos por GET /api/posts
+const emptyFilters = { sort: 'date:desc', fileType: '', visibility: '', owner: '', from: '', to: '' }
+
+const selectClassName = "p-2.5 border-2 border-gray-200 rounded-xl bg-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 hover:border-indigo-200"
+
 function App() {  
   const [posts, setPosts] = useState([])
   const [categories, setCategories] = useState([])
@@ -13,32 +23,98 @@ function App() {
   const [categoryFilter, setCategoryFilter] = useState('')
   const [isUploadModalOpen, setIsUploadModalOpen] = useState(false)  // Estado para controlar o modal
   const [refreshing, setRefreshing] = useState(false)
+  const [folders, setFolders] = useState([])
+  const [newFolderName, setNewFolderName] = useState(null)  // null = formulário de nova pasta fechado
+  const [sharingFolder, setSharingFolder] = useState(null)
+  const [tagFilter, setTagFilter] = useState([])
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+  const [filters, setFilters] = useState(emptyFilters)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [selectedPosts, setSelectedPosts] = useState([])
+  const [zipping, setZipping] = useState(false)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const requestIdRef = useRef(0)
+  const sentinelRef = useRef(null)
+
+  // A pasta aberta fica na URL para que o botão voltar do navegador percorra a navegação
+  const currentFolderId = searchParams.get('folder') ? Number(searchParams.get('folder')) : null
 
   let navigate = useNavigate()
 
+  // Espera o usuário parar de digitar antes de buscar pelo nome
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(search.trim()), 300)
+    return () => clearTimeout(timeout)
+  }, [search])
+
   useEffect(() => {
     fetchData()
-  }, [])
+  }, [currentFolderId, tagFilter, debouncedSearch, categoryFilter, filters])
+
+  // A seleção vale só para a pasta aberta
+  useEffect(() => {
+    setSelectedPosts([])
+  }, [currentFolderId])
+
+  // Carrega a próxima página quando o fim da lista aparece na tela
+  useEffect(() => {
+    if (!nextCursor || !sentinelRef.current) return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore()
+      }
+    }, { rootMargin: '400px' })
+
+    observer.observe(sentinelRef.current)
+    return () => observer.disconnect()
+  }, [nextCursor, loadingMore])
+
+  // Filtros, ordenação e paginação são aplicados pelo servidor
+  const postParams = () => {
+    const [sort, order] = filters.sort.split(':')
+    return {
+      folderId: currentFolderId ?? 'root',
+      tags: tagFilter.join(',') || undefined,
+      q: debouncedSearch || undefined,
+      categoryId: categoryFilter || undefined,
+      fileType: filters.fileType || undefined,
+      visibility: filters.visibility || undefined,
+      ownerId: filters.owner || undefined,
+      from: filters.from || undefined,
+      to: filters.to || undefined,
+      sort,
+      order,
+      // Com `limit` a resposta vem paginada ({ posts, nextCursor })
+      limit: 30
+    }
+  }
+
+  //Garantir que todas campos obrigatórios estejam preenchidos
+  const processPosts = (items) => items.map(post => ({
+    ...post,
+    fileType: post.fileType || 'application/octet-stream',
+    originalFileName: post.originalFileName || 'Unnamed File',
+    caption: post.caption || ''
+  }))
 
-  // Função para buscar dados
+  // Função para buscar dados (primeira página)
   const fetchData = async () => {
+    // Respostas de filtros anteriores que cheguem atrasadas são descartadas
+    const requestId = ++requestIdRef.current
     try {
-      setIsLoading(true)
-      const [postsResponse, categoriesResponse] = await Promise.all([
-        api.get("/posts"),
-        api.get("/categories")
+      const [postsResponse, categoriesResponse, foldersResponse] = await Promise.all([
+        api.get("/posts", { params: postParams() }),
+        api.get("/categories"),
+        api.get("/folders")
       ])
+      if (requestId !== requestIdRef.current) return
 
-      //Garantir que todas campos obrigatórios estejam preenchidos
-      const processedPosts = postsResponse.data.map(post => ({
-        ...post,
-        fileType: post.fileType || 'application/octet-stream',
-        originalFileName: post.originalFileName || 'Unnamed File',
-        caption: post.caption || ''
-      }))
-
-      setPosts(processedPosts)
+      setPosts(processPosts(postsResponse.data.posts))
+      setNextCursor(postsResponse.data.nextCursor)
       setCategories(categoriesResponse.data)
+      setFolders(foldersResponse.data)
     } catch (error) {
       console.error("Erro ao carregar:", error)
     } finally {
@@ -46,6 +122,31 @@ function App() {
     }
   }
 
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return
+
+    const requestId = requestIdRef.current
+    setLoadingMore(true)
+    try {
+      const response = await api.get("/posts", { params: { ...postParams(), cursor: nextCursor } })
+      if (requestId !== requestIdRef.current) return
+
+      const loadedIds = new Set(posts.map(post => post.id))
+      setPosts([...posts, ...processPosts(response.data.posts).filter(post => !loadedIds.has(post.id))])
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      console.error("Erro ao carregar mais documentos:", error)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value })
+  }
+
+  const hasActiveFilters = Object.keys(emptyFilters).some(name => name !== 'sort' && filters[name] !== emptyFilters[name])
+
   const refreshData = async () => {
     setRefreshing(true)
     await fetchData()
@@ -85,6 +186,20 @@ function App() {
     }
   }
 
+  // Baixa em ZIP todos os documentos da categoria filtrada que o usuário pode ver
+  const downloadCategoryZip = async () => {
+    const category = categories.find(item => String(item.id) === String(categoryFilter))
+    setZipping(true)
+    try {
+      await downloadZip({ categoryId: Number(categoryFilter) }, `${category?.name || 'categoria'}.zip`)
+    } catch (error) {
+      console.error(error)
+      alert(error.response?.data?.error || "Erro ao gerar o ZIP da categoria")
+    } finally {
+      setZipping(false)
+    }
+  }
+
   // Abre o modal de upload
   const openUploadModal = () => {
     setIsUploadModalOpen(true)
@@ -107,16 +222,98 @@ function App() {
     downloadFile
   }
 
-  // Documentos Filtrados
-  const filteredPosts = posts.filter((post) => {
-    const matchesSearch = post.originalFileName
-      .toLowerCase()
-      .includes(search.toLowerCase());
-    const matchesCategory = categoryFilter
-      ? post.categoryId === Number(categoryFilter)
-      : true;
-    return matchesSearch && matchesCategory;
-  });
+  const toggleSelect = (post) => {
+    setSelectedPosts(selectedPosts.some(item => item.id === post.id)
+      ? selectedPosts.filter(item => item.id !== post.id)
+      : [...selectedPosts, post])
+  }
+
+  // Depois de uma operação em lote a lista é recarregada, já que os itens podem ter saído dos filtros
+  const bulkOperationDone = () => {
+    setSelectedPosts([])
+    fetchData()
+  }
+
+  const tagClicked = (tag) => {
+    if (!tagFilter.includes(tag)) {
+      setTagFilter([...tagFilter, tag])
+    }
+  }
+
+  const openFolder = (folderId) => {
+    setSearchParams(folderId ? { folder: String(folderId) } : {})
+  }
+
+  // Pastas e caminhos montados a partir da lista plana; pastas cujo pai não é visível ficam na raiz
+  const foldersById = new Map(folders.map(folder => [folder.id, folder]))
+  const folderPath = (folder) => {
+    const path = []
+    for (let current = folder; current && !path.includes(current); current = foldersById.get(current.parentId)) {
+      path.unshift(current)
+    }
+    return path
+  }
+  const currentFolder = foldersById.get(currentFolderId) || null
+  const breadcrumb = currentFolder ? folderPath(currentFolder) : []
+  const subfolders = folders.filter(folder => currentFolderId === null
+    ? folder.parentId === null || !foldersById.has(folder.parentId)
+    : folder.parentId === currentFolderId)
+  const foldersWithPath = folders.map(folder => ({
+    ...folder,
+    path: folderPath(folder).map(item => item.name).join(' / ')
+  })).sort((a, b) => a.path.localeCompare(b.path))
+  const canCreateHere = currentFolder === null || currentFolder.canEdit
+
+  const createFolder = async (event) => {
+    event.preventDefault()
+    try {
+      await api.post('/folders', { name: newFolderName, parentId: currentFolderId })
+      setNewFolderName(null)
+      fetchData()
+    } catch (error) {
+      console.error(error.response?.data || error.message)
+      alert(error.response?.data?.error || "Não foi possível criar a pasta.")
+    }
+  }
+
+  const renameFolder = async (folder) => {
+    const name = window.prompt("Novo nome da pasta", folder.name)
+    if (!name || name.trim() === folder.name) return
+
+    try {
+      await api.patch(`/folders/${folder.id}`, { name })
+      fetchData()
+    } catch (error) {
+      console.error(error.response?.data || error.message)
+      alert(error.response?.data?.error || "Não foi possível renomear a pasta.")
+    }
+  }
+
+  const deleteFolder = async (folder) => {
+    if (!window.confirm(`Excluir a pasta "${folder.name}"?`)) return
+
+    try {
+      await api.delete(`/folders/${folder.id}`)
+      fetchData()
+    } catch (error) {
+      console.error(error.response?.data || error.message)
+      alert(error.response?.data?.code === 'FOLDER_NOT_EMPTY'
+        ? "A pasta não está vazia. Mova ou exclua o conteúdo antes."
+        : "Não foi possível excluir a pasta.")
+    }
+  }
+
+  const movePostClicked = async ({ id, folderId }) => {
+    try {
+      await api.patch(`/posts/${id}/folder`, { folderId })
+      if (folderId !== currentFolderId) {
+        setPosts(posts.filter(post => post.id !== id))
+      }
+    } catch (error) {
+      console.error(error.response?.data || error.message)
+      alert(error.response?.data?.error || "Não foi possível mover o documento.")
+    }
+  }
 
   if (isLoading) {
     return (
@@ -199,8 +396,13 @@ function App() {
           isOpen={isUploadModalOpen} 
           onClose={closeUploadModal} 
           onSuccess={handleUploadSuccess} 
+          folderId={currentFolderId}
         />
 
+        {sharingFolder && (
+          <FolderShareModal folder={sharingFolder} onClose={() => setSharingFolder(null)} />
+        )}
+
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 relative z-10">
           <div className="flex flex-col sm:flex-row justify-between items-center mb-10 animate-fadeIn">
             <div className="mb-6 sm:mb-0">
@@ -230,97 +432,281 @@ function App() {
             </div>
           </div>
 
-          {/* Search e filtro de categoria */}
-          <div className="flex flex-col md:flex-row gap-4 mb-8 animate-slideDown" style={{ animationDelay: '0.2s' }}>
-            <div className="relative flex-1 group">
-              <input
-                type="text"
-                placeholder="Buscar por nome do arquivo"
-                value={search}
-                onChange={(e) => setSearch(e.target.value)}
-                className="p-3.5 pl-12 border-2 border-gray-200 rounded-xl w-full focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 shadow-md hover:border-indigo-200 group-hover:border-indigo-200"
-              />
-              <div className="absolute inset-y-0 left-0 pl-3.5 flex items-center pointer-events-none">
-                <Search className="h-5 w-5 text-gray-400 group-hover:text-indigo-500 transition-colors duration-200" />
+          <div className="grid grid-cols-1 lg:grid-cols-[240px_1fr] gap-8">
+            {/* Árvore de pastas */}
+            <aside className="animate-slideDown" style={{ animationDelay: '0.1s' }}>
+              <FolderTree folders={folders} currentFolderId={currentFolderId} onSelect={openFolder} />
+            </aside>
+
+            <div className="min-w-0">
+              {/* Caminho da pasta atual */}
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <nav className="flex flex-wrap items-center text-sm text-gray-600">
+                  <button onClick={() => openFolder(null)} className="hover:text-indigo-600 font-medium">
+                    Meus documentos
+                  </button>
+                  {breadcrumb.map(folder => (
+                    <span key={folder.id} className="flex items-center">
+                      <ChevronRight className="w-4 h-4 mx-1 text-gray-400" />
+                      <button
+                        onClick={() => openFolder(folder.id)}
+                        className={folder.id === currentFolderId ? 'font-semibold text-indigo-700' : 'hover:text-indigo-600'}
+                      >
+                        {folder.name}
+                      </button>
+                    </span>
+                  ))}
+                </nav>
+                {canCreateHere && newFolderName === null && (
+                  <button
+                    onClick={() => setNewFolderName('')}
+                    className="inline-flex items-center px-3 py-2 text-sm bg-white text-indigo-600 font-medium rounded-xl hover:bg-indigo-50 shadow-sm border border-indigo-100 transition-colors duration-200"
+                  >
+                    <FolderPlus className="w-4 h-4 mr-2" />
+                    Nova pasta
+                  </button>
+                )}
               </div>
-            </div>
-            <div className="relative min-w-[220px] group">
-              <select
-                value={categoryFilter}
-                onChange={(e) => setCategoryFilter(e.target.value)}
-                className="p-3.5 pl-12 border-2 border-gray-200 rounded-xl w-full appearance-none focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 shadow-md hover:border-indigo-200 group-hover:border-indigo-200"
-              >
-                <option value="">Todas as categorias</option>
-                {categories.map((category) => (
-                  <option key={category.id} value={category.id}>
-                    {category.name}
-                  </option>
-                ))}
-              </select>
-              <div className="absolute inset-y-0 left-0 pl-3.5 flex items-center pointer-events-none">
-                <Filter className="h-5 w-5 text-gray-400 group-hover:text-indigo-500 transition-colors duration-200" />
+
+              {newFolderName !== null && (
+                <form onSubmit={createFolder} className="flex gap-3 mb-6 animate-slideDown">
+                  <input
+                    autoFocus
+                    value={newFolderName}
+                    onChange={(e) => setNewFolderName(e.target.value)}
+                    placeholder="Nome da pasta"
+                    required
+                    className="flex-1 p-2.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  />
+                  <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl">
+                    Criar
+                  </button>
+                  <button type="button" onClick={() => setNewFolderName(null)} className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100 rounded-xl border border-gray-300">
+                    Cancelar
+                  </button>
+                </form>
+              )}
+
+              {/* Subpastas */}
+              {subfolders.length > 0 && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-4 mb-8">
+                  {subfolders.map(folder => (
+                    <div
+                      key={`folder-${folder.id}`}
+                      onClick={() => openFolder(folder.id)}
+                      className="group flex items-center justify-between bg-white/80 backdrop-blur-sm rounded-xl shadow-md hover:shadow-lg border border-gray-100 hover:border-indigo-200 px-4 py-3 cursor-pointer transition-all duration-200"
+                    >
+                      <div className="flex items-center min-w-0">
+                        <Folder className="w-5 h-5 mr-3 text-indigo-500 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-800 truncate" title={folder.name}>{folder.name}</p>
+                          <p className="text-xs text-gray-500 truncate">{folder.owner?.name}</p>
+                        </div>
+                      </div>
+                      <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity duration-200" onClick={(e) => e.stopPropagation()}>
+                        {folder.canShare && (
+                          <button onClick={() => setSharingFolder(folder)} className="p-1.5 rounded-lg hover:bg-indigo-50" title="Compartilhar pasta">
+                            <Share2 className="w-4 h-4 text-indigo-500" />
+                          </button>
+                        )}
+                        {folder.canEdit && (
+                          <button onClick={() => renameFolder(folder)} className="p-1.5 rounded-lg hover:bg-green-50" title="Renomear pasta">
+                            <Pencil className="w-4 h-4 text-green-500" />
+                          </button>
+                        )}
+                        {folder.canDelete && (
+                          <button onClick={() => deleteFolder(folder)} className="p-1.5 rounded-lg hover:bg-red-50" title="Excluir pasta">
+                            <Trash2 className="w-4 h-4 text-red-500" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Search e filtro de categoria */}
+              <div className="flex flex-col md:flex-row gap-4 mb-8 animate-slideDown" style={{ animationDelay: '0.2s' }}>
+                <div className="relative flex-1 group">
+                  <input
+                    type="text"
+                    placeholder="Buscar por nome ou conteúdo do arquivo"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    className="p-3.5 pl-12 border-2 border-gray-200 rounded-xl w-full focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 shadow-md hover:border-indigo-200 group-hover:border-indigo-200"
+                  />
+                  <div className="absolute inset-y-0 left-0 pl-3.5 flex items-center pointer-events-none">
+                    <Search className="h-5 w-5 text-gray-400 group-hover:text-indigo-500 transition-colors duration-200" />
+                  </div>
+                </div>
+                <div className="relative min-w-[220px] group">
+                  <select
+                    value={categoryFilter}
+                    onChange={(e) => setCategoryFilter(e.target.value)}
+                    className="p-3.5 pl-12 border-2 border-gray-200 rounded-xl w-full appearance-none focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 shadow-md hover:border-indigo-200 group-hover:border-indigo-200"
+                  >
+                    <option value="">Todas as categorias</option>
+                    {categories.map((category) => (
+                      <option key={category.id} value={category.id}>
+                        {category.name}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="absolute inset-y-0 left-0 pl-3.5 flex items-center pointer-events-none">
+                    <Filter className="h-5 w-5 text-gray-400 group-hover:text-indigo-500 transition-colors duration-200" />
+                  </div>
+                  <div className="absolute inset-y-0 right-0 pr-3.5 flex items-center pointer-events-none">
+                    <svg className="h-5 w-5 text-gray-400 group-hover:text-indigo-500 transition-colors duration-200" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
+                    </svg>
+                  </div>
+                </div>
+                {categoryFilter && (
+                  <button
+                    onClick={downloadCategoryZip}
+                    disabled={zipping}
+                    className="inline-flex items-center justify-center px-4 py-3 bg-white border-2 border-gray-200 text-indigo-600 rounded-xl shadow-md hover:border-indigo-200 hover:bg-indigo-50 transition-all duration-200 disabled:opacity-50"
+                    title="Baixar todos os documentos da categoria em ZIP"
+                  >
+                    {zipping ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <FileArchive className="w-5 h-5 mr-2" />}
+                    Baixar ZIP
+                  </button>
+                )}
               </div>
-              <div className="absolute inset-y-0 right-0 pr-3.5 flex items-center pointer-events-none">
-                <svg className="h-5 w-5 text-gray-400 group-hover:text-indigo-500 transition-colors duration-200" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                  <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
-                </svg>
+
+              {/* Ordenação e filtros avançados */}
+              <div className="flex flex-wrap items-center gap-3 mb-4 animate-slideDown" style={{ animationDelay: '0.22s' }}>
+                <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)} className={selectClassName}>
+                  <option value="date:desc">Mais recentes</option>
+                  <option value="date:asc">Mais antigos</option>
+                  <option value="name:asc">Nome (A-Z)</option>
+                  <option value="name:desc">Nome (Z-A)</option>
+                  <option value="type:asc">Tipo</option>
+                  <option value="size:desc">Maiores</option>
+                  <option value="size:asc">Menores</option>
+                </select>
+                <select value={filters.fileType} onChange={(e) => updateFilter('fileType', e.target.value)} className={selectClassName}>
+                  <option value="">Todos os tipos</option>
+                  <option value="application/pdf">PDF</option>
+                  <option value="image/">Imagens</option>
+                  <option value="video/">Vídeos</option>
+                  <option value="audio/">Áudios</option>
+                  <option value="application/vnd.openxmlformats-officedocument.wordprocessingml">Documentos Word</option>
+                  <option value="application/vnd.openxmlformats-officedocument.spreadsheetml">Planilhas Excel</option>
+                </select>
+                <select value={filters.visibility} onChange={(e) => updateFilter('visibility', e.target.value)} className={selectClassName}>
+                  <option value="">Públicos e privados</option>
+                  <option value="public">Públicos</option>
+                  <option value="private">Privados</option>
+                </select>
+                <select value={filters.owner} onChange={(e) => updateFilter('owner', e.target.value)} className={selectClassName}>
+                  <option value="">Qualquer dono</option>
+                  <option value="me">Enviados por mim</option>
+                </select>
+                <label className="flex items-center text-sm text-gray-600">
+                  <span className="mr-2">De</span>
+                  <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={selectClassName} />
+                </label>
+                <label className="flex items-center text-sm text-gray-600">
+                  <span className="mr-2">até</span>
+                  <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={selectClassName} />
+                </label>
+                {hasActiveFilters && (
+                  <button
+                    onClick={() => setFilters({ ...emptyFilters, sort: filters.sort })}
+                    className="inline-flex items-center px-3 py-2 text-sm text-indigo-600 hover:bg-indigo-50 rounded-xl transition-colors duration-200"
+                  >
+                    <X className="w-4 h-4 mr-1" />
+                    Limpar filtros
+                  </button>
+                )}
               </div>
-            </div>
-          </div>
 
-          {filteredPosts.length === 0 ? (
-            <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl p-12 text-center border border-gray-100 animate-fadeIn" style={{ animationDelay: '0.3s' }}>
-              <div className="bg-gradient-to-br from-indigo-100 to-purple-100 rounded-full w-28 h-28 flex items-center justify-center mx-auto mb-8 shadow-inner">
-                <FileQuestion className="w-14 h-14 text-indigo-500" />
+              {/* Filtro por etiquetas: apenas documentos com todas as etiquetas escolhidas */}
+              <div className="mb-8 animate-slideDown" style={{ animationDelay: '0.25s' }}>
+                <TagInput value={tagFilter} onChange={setTagFilter} placeholder="Filtrar por etiquetas" />
               </div>
-              <h2 className="text-2xl font-bold text-gray-800 mb-4">
-                {categoryFilter 
-                  ? `Sem documentos na categoria ${categories.find(c => c.id === Number(categoryFilter))?.name}` 
-                  : 'Sem documentos registrados'}
-              </h2>
-              <p className="text-gray-600 mb-10 max-w-md mx-auto">
-                {categoryFilter 
-                  ? 'Selecione outra categoria ou adicione novos documentos' 
-                  : 'Comece adicionando seu primeiro arquivo ao sistema.'}
-              </p>
-              <button
-                onClick={openUploadModal}
-                className="inline-flex items-center px-8 py-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-xl hover:from-indigo-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all duration-300 transform hover:scale-105 shadow-lg"
-              >
-                <FolderPlus className="w-6 h-6 mr-3" />
-                Adicionar novo arquivo
-              </button>
-            </div>
-          ) : (
-            <div className="animate-fadeIn" style={{ animationDelay: '0.3s' }}>
-              {categoryFilter && (
-                <div className="mb-8 bg-indigo-50 border-l-4 border-indigo-500 p-4 rounded-r-xl shadow-md">
-                  <p className="text-indigo-800 font-medium flex items-center">
-                    <Filter className="h-5 w-5 mr-2" />
-                    Mostrando arquivos na categoria: <span className="font-bold ml-1">{categories.find(c => c.id === Number(categoryFilter))?.name}</span>
+
+              <ContentSearchResults query={search} downloadFile={downloadFile} openFolder={openFolder} />
+
+              <BulkActionsBar
+                selectedPosts={selectedPosts}
+                categories={categories}
+                onSelectAll={() => setSelectedPosts(posts)}
+                onClear={() => setSelectedPosts([])}
+                onDone={bulkOperationDone}
+              />
+
+              {posts.length === 0 && subfolders.length > 0 ? null : posts.length === 0 ? (
+                <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl p-12 text-center border border-gray-100 animate-fadeIn" style={{ animationDelay: '0.3s' }}>
+                  <div className="bg-gradient-to-br from-indigo-100 to-purple-100 rounded-full w-28 h-28 flex items-center justify-center mx-auto mb-8 shadow-inner">
+                    <FileQuestion className="w-14 h-14 text-indigo-500" />
+                  </div>
+                  <h2 className="text-2xl font-bold text-gray-800 mb-4">
+                    {debouncedSearch || hasActiveFilters || tagFilter.length > 0
+                      ? 'Nenhum documento encontrado com esses filtros'
+                      : currentFolder && !categoryFilter
+                      ? 'Esta pasta está vazia'
+                      : categoryFilter 
+                      ? `Sem documentos na categoria ${categories.find(c => c.id === Number(categoryFilter))?.name}` 
+                      : 'Sem documentos registrados'}
+                  </h2>
+                  <p className="text-gray-600 mb-10 max-w-md mx-auto">
+                    {categoryFilter 
+                      ? 'Selecione outra categoria ou adicione novos documentos' 
+                      : 'Comece adicionando seu primeiro arquivo ao sistema.'}
                   </p>
-                </div>
-              )}
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {filteredPosts.map((post, index) => (
-                  <div 
-                    key={`post-${post.id}`}
-                    className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 border border-gray-100 overflow-hidden hover:border-indigo-200 transform hover:-translate-y-1 animate-fadeIn"
-                    style={{ animationDelay: `${index * 100 + 400}ms` }}
+                  <button
+                    onClick={openUploadModal}
+                    className="inline-flex items-center px-8 py-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-xl hover:from-indigo-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all duration-300 transform hover:scale-105 shadow-lg"
                   >
-                    <div className="p-6">
-                      <SinglePost 
-                        post={post} 
-                        category={categories.find(c => c.id === post.categoryId)?.name} 
-                        deletePostClicked={deletePostClicked} 
-                        downloadFile={downloadFile}
-                      />
+                    <FolderPlus className="w-6 h-6 mr-3" />
+                    Adicionar novo arquivo
+                  </button>
+                </div>
+              ) : (
+                <div className="animate-fadeIn" style={{ animationDelay: '0.3s' }}>
+                  {categoryFilter && (
+                    <div className="mb-8 bg-indigo-50 border-l-4 border-indigo-500 p-4 rounded-r-xl shadow-md">
+                      <p className="text-indigo-800 font-medium flex items-center">
+                        <Filter className="h-5 w-5 mr-2" />
+                        Mostrando arquivos na categoria: <span className="font-bold ml-1">{categories.find(c => c.id === Number(categoryFilter))?.name}</span>
+                      </p>
                     </div>
+                  )}
+                  <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                    {posts.map((post, index) => (
+                      <div 
+                        key={`post-${post.id}`}
+                        className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 border border-gray-100 overflow-hidden hover:border-indigo-200 transform hover:-translate-y-1 animate-fadeIn"
+                        style={{ animationDelay: `${(index % 30) * 100 + 400}ms` }}
+                      >
+                        <div className="p-6">
+                          <SinglePost 
+                            post={post} 
+                            category={categories.find(c => c.id === post.categoryId)?.name} 
+                            deletePostClicked={deletePostClicked} 
+                            downloadFile={downloadFile}
+                            editPostClicked={editPostClicked}
+                            folders={foldersWithPath}
+                            movePostClicked={movePostClicked}
+                            tagClicked={tagClicked}
+                            selected={selectedPosts.some(item => item.id === post.id)}
+                            onToggleSelect={toggleSelect}
+                          />
+                        </div>
+                      </div>
+                    ))}
                   </div>
-                ))}
-              </div>
+                  {nextCursor && (
+                    <div ref={sentinelRef} className="flex justify-center py-8">
+                      {loadingMore && <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
-          )}
+          </div>
         </div>
       </div>
     </>
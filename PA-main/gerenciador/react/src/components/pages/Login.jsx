@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
-import api from '../../api';
-import { FileText, Lock, Shield, User, Award, Eye, EyeOff, LogIn, AlertCircle, CheckCircle } from 'lucide-react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import api, { setSession } from '../../api';
+import { FileText, Lock, Shield, User, Award, Eye, EyeOff, LogIn, AlertCircle, CheckCircle, KeyRound, ArrowLeft } from 'lucide-react';
 
 const Login = () => {
   const [email, setEmail] = useState('');
@@ -11,7 +11,18 @@ const Login = () => {
   const [success, setSuccess] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [activeFeature, setActiveFeature] = useState(0);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+  // Segunda etapa do login: 'verify' (código TOTP), 'setup' (cadastro obrigatório) ou 'recovery-codes'
+  const [mfaStep, setMfaStep] = useState(null);
+  const [mfaToken, setMfaToken] = useState(null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [sso, setSso] = useState({ enabled: false, label: 'SSO' });
   const navigate = useNavigate();
+  const location = useLocation();
 
   // Efeito para alternar automaticamente o destaque dos recursos
   useEffect(() => {
@@ -21,6 +32,24 @@ const Login = () => {
     return () => clearInterval(interval);
   }, []);
 
+  // Verifica se o login via SSO está disponível
+  useEffect(() => {
+    api.get('/auth/oidc/config')
+      .then((response) => setSso(response.data))
+      .catch(() => setSso({ enabled: false, label: 'SSO' }));
+  }, []);
+
+  // Login via SSO que exige a segunda etapa chega aqui pelo estado da navegação
+  useEffect(() => {
+    const pendingMfa = location.state?.mfa;
+    if (!pendingMfa) return;
+
+    navigate(location.pathname, { replace: true, state: null });
+    handleLoginResponse(pendingMfa).catch((error) => {
+      setError(error.response?.data?.error || 'Não foi possível continuar o login.');
+    });
+  }, [location.state]);
+
   const validateEmail = (email) => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
@@ -30,6 +59,7 @@ const Login = () => {
     event.preventDefault();
     setError(null);
     setSuccess(null);
+    setNeedsVerification(false);
     setIsLoading(true);
 
     // Validações
@@ -57,18 +87,105 @@ const Login = () => {
         password,
       });
 
-      const { token } = response.data;
+      await handleLoginResponse(response.data);
+    } catch (error) {
+      if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+        setNeedsVerification(true);
+        setError('Confirme seu e-mail antes de entrar. Verifique sua caixa de entrada.');
+        return;
+      }
+
+      setError(
+        error.response 
+          ? loginBlockMessage(error.response.data) || error.response.data.error || 'Erro ao realizar o login. Verifique suas credenciais.'
+          : 'Erro de conexão. Tente novamente mais tarde.'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Resposta do login (senha ou SSO): segunda etapa ou sessão aberta
+  const handleLoginResponse = async (data) => {
+    if (data.mfaRequired) {
+      setMfaToken(data.mfaToken);
+      setMfaStep('verify');
+      return;
+    }
+
+    if (data.mfaSetupRequired) {
+      const setupResponse = await api.post('/login/mfa/setup', { mfaToken: data.mfaToken });
+      setMfaToken(data.mfaToken);
+      setSetupData(setupResponse.data);
+      setMfaStep('setup');
+      return;
+    }
 
-      localStorage.setItem('token', token);
+    completeLogin(data);
+  };
 
-      setSuccess('Login realizado com sucesso! Redirecionando...');
-      setTimeout(() => {
-        navigate('/');
-      }, 2000);
+  // Redireciona para o provedor de identidade
+  const startSsoLogin = async () => {
+    setError(null);
+    setIsLoading(true);
+    try {
+      const response = await api.post('/auth/oidc/start');
+      // O retorno do provedor só é aceito no navegador que iniciou o login
+      sessionStorage.setItem('ssoBrowserKey', response.data.browserKey);
+      window.location.assign(response.data.authorizationUrl);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Não foi possível iniciar o login via SSO.');
+      setIsLoading(false);
+    }
+  };
+
+  // Mensagem para tentativas bloqueadas (excesso de falhas da conta ou do IP)
+  const loginBlockMessage = (data) => {
+    if (data?.code === 'ACCOUNT_LOCKED') {
+      const until = new Date(data.lockedUntil).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+      return `Conta bloqueada temporariamente por excesso de tentativas. Tente novamente após ${until} ou redefina sua senha.`;
+    }
+    if (data?.code === 'ACCOUNT_SUSPENDED') {
+      return 'Sua conta está suspensa. Procure um administrador.';
+    }
+    if (data?.code === 'LOGIN_THROTTLED') {
+      return `Muitas tentativas de login. Aguarde ${data.retryAfter} segundo(s) e tente novamente.`;
+    }
+    return null;
+  };
+
+  const completeLogin = (tokens) => {
+    setSession(tokens);
+
+    setSuccess('Login realizado com sucesso! Redirecionando...');
+    setTimeout(() => {
+      navigate('/');
+    }, 2000);
+  };
+
+  const handleMfaSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setIsLoading(true);
+
+    try {
+      if (mfaStep === 'setup') {
+        const response = await api.post('/login/mfa/enable', { mfaToken, code: mfaCode });
+        setSession(response.data);
+        setRecoveryCodes(response.data.recoveryCodes);
+        setMfaStep('recovery-codes');
+        return;
+      }
+
+      const response = await api.post('/login/mfa', useRecoveryCode
+        ? { mfaToken, recoveryCode: mfaCode }
+        : { mfaToken, code: mfaCode }
+      );
+      completeLogin(response.data);
     } catch (error) {
       setError(
-        error.response 
-          ? error.response.data.error || 'Erro ao realizar o login. Verifique suas credenciais.'
+        error.response
+          ? loginBlockMessage(error.response.data) || error.response.data.error || 'Código inválido.'
           : 'Erro de conexão. Tente novamente mais tarde.'
       );
     } finally {
@@ -76,6 +193,126 @@ const Login = () => {
     }
   };
 
+  const cancelMfa = () => {
+    setMfaStep(null);
+    setMfaToken(null);
+    setMfaCode('');
+    setSetupData(null);
+    setUseRecoveryCode(false);
+    setError(null);
+  };
+
+  const renderMfaStep = () => {
+    if (mfaStep === 'recovery-codes') {
+      return (
+        <div className="space-y-6">
+          <p className="text-gray-600">
+            Guarde estes códigos de recuperação em um lugar seguro. Cada um pode ser usado uma única vez caso você perca acesso ao aplicativo autenticador.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border border-gray-200 rounded-xl p-4">
+            {recoveryCodes.map((code) => (
+              <li key={code} className="text-gray-800">{code}</li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => navigate('/')}
+            className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-bold py-3 px-8 rounded-xl transition-all duration-300"
+          >
+            Continuar
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleMfaSubmit} className="space-y-6">
+        {mfaStep === 'setup' ? (
+          <div className="space-y-4">
+            <p className="text-gray-600">
+              Administradores precisam usar autenticação em duas etapas. Escaneie o QR code com seu aplicativo autenticador e informe o código gerado.
+            </p>
+            {setupData && (
+              <div className="flex flex-col items-center space-y-2">
+                <img src={setupData.qrCode} alt="QR code para o aplicativo autenticador" className="w-48 h-48 border border-gray-200 rounded-xl" />
+                <p className="text-xs text-gray-500 break-all text-center">
+                  Chave manual: <span className="font-mono">{setupData.secret}</span>
+                </p>
+              </div>
+            )}
+          </div>
+        ) : (
+          <p className="text-gray-600">
+            {useRecoveryCode
+              ? 'Informe um dos seus códigos de recuperação.'
+              : 'Informe o código de 6 dígitos do seu aplicativo autenticador.'}
+          </p>
+        )}
+
+        <div className="relative">
+          <input
+            type="text"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            className="w-full pl-12 pr-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-300 hover:border-indigo-200 tracking-widest"
+            value={mfaCode}
+            onChange={(event) => setMfaCode(event.target.value)}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '000000'}
+          />
+          <div className="absolute left-0 top-0 h-full flex items-center justify-center w-12 text-gray-400">
+            <KeyRound className="h-5 w-5" />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={isLoading || !mfaCode}
+          className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-bold py-3 px-8 rounded-xl transition-all duration-300 disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          {isLoading ? 'Verificando...' : 'Verificar'}
+        </button>
+
+        <div className="flex items-center justify-between text-sm">
+          <button
+            type="button"
+            onClick={cancelMfa}
+            className="inline-flex items-center text-gray-600 hover:text-indigo-600 transition-colors"
+          >
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Voltar
+          </button>
+          {mfaStep === 'verify' && (
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setMfaCode('');
+              }}
+              className="text-indigo-600 hover:text-indigo-800 hover:underline"
+            >
+              {useRecoveryCode ? 'Usar código do aplicativo' : 'Usar código de recuperação'}
+            </button>
+          )}
+        </div>
+      </form>
+    );
+  };
+
+  const resendVerification = async () => {
+    setIsResending(true);
+    setError(null);
+    try {
+      await api.post('/email/resend', { email });
+      setNeedsVerification(false);
+      setSuccess('Enviamos um novo link de confirmação para o seu e-mail.');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Não foi possível reenviar o e-mail de confirmação.');
+    } finally {
+      setIsResending(false);
+    }
+  };
+
   const togglePasswordVisibility = () => {
     setShowPassword(!showPassword);
   };
@@ -167,8 +404,11 @@ const Login = () => {
               <h2 className="text-3xl font-bold text-gray-800">Bem-vindo</h2>
             </div>
             
-            <p className="text-gray-600 mb-8">Entre com suas credenciais para acessar o sistema</p>
+            <p className="text-gray-600 mb-8">
+              {mfaStep ? 'Verificação em duas etapas' : 'Entre com suas credenciais para acessar o sistema'}
+            </p>
             
+            {mfaStep ? renderMfaStep() : (
             <form onSubmit={handleSubmit} className="space-y-6">
               <div className="group">
                 <label 
@@ -219,6 +459,14 @@ const Login = () => {
                     {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
                   </button>
                 </div>
+                <div className="mt-2 text-right">
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm text-indigo-600 hover:text-indigo-800 transition duration-300 hover:underline"
+                  >
+                    Esqueceu a senha?
+                  </Link>
+                </div>
               </div>
 
               <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mt-8">
@@ -252,12 +500,44 @@ const Login = () => {
                   Não tem conta? Cadastre-se agora
                 </Link>
               </div>
+
+              {sso.enabled && (
+                <div className="pt-2">
+                  <div className="flex items-center mb-4">
+                    <div className="flex-grow border-t border-gray-200"></div>
+                    <span className="px-3 text-sm text-gray-500">ou</span>
+                    <div className="flex-grow border-t border-gray-200"></div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={startSsoLogin}
+                    disabled={isLoading}
+                    className="w-full flex items-center justify-center py-3 px-8 border-2 border-indigo-200 text-indigo-700 font-medium rounded-xl hover:bg-indigo-50 transition-all duration-300 disabled:opacity-70 disabled:cursor-not-allowed"
+                  >
+                    <Shield className="mr-2 h-5 w-5" />
+                    Entrar com {sso.label}
+                  </button>
+                </div>
+              )}
             </form>
+            )}
 
             {error && (
               <div className="mt-6 text-red-600 text-sm border border-red-200 bg-red-50 p-4 rounded-xl flex items-start space-x-3 animate-slideDown">
                 <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 flex-shrink-0" />
-                <span>{error}</span>
+                <div>
+                  <span>{error}</span>
+                  {needsVerification && (
+                    <button
+                      type="button"
+                      onClick={resendVerification}
+                      disabled={isResending}
+                      className="block mt-2 font-medium text-indigo-600 hover:text-indigo-800 hover:underline disabled:opacity-70"
+                    >
+                      {isResending ? 'Reenviando...' : 'Reenviar e-mail de confirmação'}
+                    </button>
+                  )}
+                </div>
               </div>
             )}
             
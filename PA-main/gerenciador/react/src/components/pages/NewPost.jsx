@@ -1,14 +1,16 @@
 import { useState, useRef, useEffect } from 'react';
 import api from '../../api';
+import TagInput from '../TagInput';
 import { 
   Upload, File, FileText, Trash2, Check, Loader2, Tag, X,
-  FileImage, FileVideo, FileAudio, AlertCircle
+  FileImage, FileVideo, FileAudio, AlertCircle, Hash
 } from 'lucide-react';
 
-export default function UploadModal({ isOpen, onClose, onSuccess }) {
+export default function UploadModal({ isOpen, onClose, onSuccess, folderId }) {
   const [file, setFile] = useState(null);
   const [caption, setCaption] = useState('');
   const [categoryId, setCategoryId] = useState('');
+  const [tags, setTags] = useState([]);
   const [categories, setCategories] = useState([]);
   const [dragging, setDragging] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -64,6 +66,7 @@ export default function UploadModal({ isOpen, onClose, onSuccess }) {
       setFile(null);
       setCaption('');
       setCategoryId('');
+      setTags([]);
       setMessage({ type: '', text: '' });
       setUploadProgress(0);
     }
@@ -83,6 +86,10 @@ export default function UploadModal({ isOpen, onClose, onSuccess }) {
     formData.append('file', file);
     formData.append('caption', caption);
     formData.append('categoryId', categoryId);
+    tags.forEach((tag) => formData.append('tags', tag));
+    if (folderId) {
+      formData.append('folderId', folderId);
+    }
 
     setLoading(true);
     setUploadProgress(0);
@@ -106,6 +113,7 @@ export default function UploadModal({ isOpen, onClose, onSuccess }) {
       setFile(null);
       setCaption('');
       setCategoryId('');
+      setTags([]);
       setUploadProgress(100);
       
       // Notifica o componente pai sobre o sucesso
@@ -367,6 +375,14 @@ export default function UploadModal({ isOpen, onClose, onSuccess }) {
             </div>
           </div>
 
+          <div className="space-y-1.5 group">
+            <label className="text-sm font-medium text-gray-700 flex items-center group-hover:text-indigo-600 transition-colors">
+              <Hash className="w-4 h-4 mr-2 text-indigo-500 group-hover:text-indigo-600 transition-colors" />
+              Etiquetas
+            </label>
+            <TagInput value={tags} onChange={setTags} placeholder="Ex.: contrato, 2024" />
+          </div>
+
           <button
             type="submit"
             className={`
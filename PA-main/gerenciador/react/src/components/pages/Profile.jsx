@@ -0,0 +1,462 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../api';
+import { User, ShieldCheck, KeyRound, AlertCircle, CheckCircle, RefreshCw, Code, Mail, Save } from 'lucide-react';
+
+const Profile = () => {
+  const [profile, setProfile] = useState(null);
+  const [mfaStatus, setMfaStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [setupData, setSetupData] = useState(null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [actionInProgress, setActionInProgress] = useState(false);
+  const [accountForm, setAccountForm] = useState({ name: '', email: '', currentPassword: '' });
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+
+  useEffect(() => {
+    fetchProfile();
+  }, []);
+
+  const fetchProfile = async () => {
+    setLoading(true);
+    try {
+      const [profileResponse, mfaResponse] = await Promise.all([
+        api.get('/user/profile'),
+        api.get('/user/mfa')
+      ]);
+      setProfile(profileResponse.data);
+      setAccountForm({ name: profileResponse.data.name, email: profileResponse.data.email, currentPassword: '' });
+      setMfaStatus(mfaResponse.data);
+    } catch (error) {
+      console.error('Erro ao carregar perfil:', error);
+      setError('Não foi possível carregar os dados do perfil.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const validateEmail = (email) => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  };
+
+  // Executa uma ação do perfil tratando mensagens e estado de carregamento
+  const runAction = async (action) => {
+    setActionInProgress(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Erro ao atualizar o perfil:', error);
+      setError(error.response?.data?.error || 'Não foi possível concluir a operação.');
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
+  // Trocar o email exige a senha atual
+  const emailChanged = Boolean(profile) && accountForm.email.trim() !== profile.email;
+
+  const saveAccount = (event) => {
+    event.preventDefault();
+    if (!accountForm.name.trim()) {
+      setError('Informe seu nome.');
+      return;
+    }
+    if (!validateEmail(accountForm.email)) {
+      setError('Por favor, insira um e-mail válido.');
+      return;
+    }
+    runAction(async () => {
+      const response = await api.patch('/user/profile', {
+        name: accountForm.name.trim(),
+        email: accountForm.email.trim(),
+        ...(emailChanged && { currentPassword: accountForm.currentPassword })
+      });
+      const emailChangePending = response.data.pendingEmail && response.data.pendingEmail !== profile.pendingEmail;
+      setProfile((prev) => ({ ...prev, ...response.data }));
+      setAccountForm({ name: response.data.name, email: response.data.email, currentPassword: '' });
+      setSuccess(emailChangePending
+        ? `Dados salvos. Enviamos um link de confirmação para ${response.data.pendingEmail}; o email só será alterado após a confirmação.`
+        : 'Dados salvos com sucesso.');
+    });
+  };
+
+  const cancelEmailChange = () => runAction(async () => {
+    const response = await api.patch('/user/profile', { email: profile.email });
+    setProfile((prev) => ({ ...prev, ...response.data }));
+    setSuccess('Troca de email cancelada.');
+  });
+
+  const changePassword = (event) => {
+    event.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setError('A confirmação não corresponde à nova senha.');
+      return;
+    }
+    runAction(async () => {
+      await api.patch('/user/profile', {
+        currentPassword: passwordForm.currentPassword,
+        newPassword: passwordForm.newPassword
+      });
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setSuccess('Senha alterada. As sessões abertas em outros dispositivos foram encerradas.');
+    });
+  };
+
+  const startSetup = () => runAction(async () => {
+    const response = await api.post('/user/mfa/setup');
+    setSetupData(response.data);
+    setRecoveryCodes([]);
+    setMfaCode('');
+  });
+
+  const confirmSetup = (event) => {
+    event.preventDefault();
+    runAction(async () => {
+      const response = await api.post('/user/mfa/enable', { code: mfaCode });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetupData(null);
+      setMfaCode('');
+      setSuccess('Autenticação em duas etapas ativada.');
+      const statusResponse = await api.get('/user/mfa');
+      setMfaStatus(statusResponse.data);
+    });
+  };
+
+  const regenerateRecoveryCodes = (event) => {
+    event.preventDefault();
+    runAction(async () => {
+      const response = await api.post('/user/mfa/recovery-codes', { code: mfaCode });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setMfaCode('');
+      setSuccess('Novos códigos de recuperação gerados. Os anteriores deixaram de valer.');
+      const statusResponse = await api.get('/user/mfa');
+      setMfaStatus(statusResponse.data);
+    });
+  };
+
+  const disableMfa = (event) => {
+    event.preventDefault();
+    if (!window.confirm('Deseja desativar a autenticação em duas etapas?')) return;
+    runAction(async () => {
+      await api.post('/user/mfa/disable', { password });
+      setPassword('');
+      setRecoveryCodes([]);
+      setSuccess('Autenticação em duas etapas desativada.');
+      const statusResponse = await api.get('/user/mfa');
+      setMfaStatus(statusResponse.data);
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="p-8 text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500 mx-auto"></div>
+        <p className="mt-4 text-gray-600">Carregando perfil...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 pt-10 pb-10 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto space-y-8">
+        {/* Cabeçalho */}
+        <div className="text-center">
+          <div className="inline-flex items-center justify-center p-3 bg-indigo-100 rounded-xl mb-4">
+            <User className="h-8 w-8 text-indigo-600" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Meu perfil</h1>
+          {profile && (
+            <p className="text-gray-600">{profile.name} · {profile.email}</p>
+          )}
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-xl flex items-start">
+            <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 mr-3 flex-shrink-0" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        )}
+
+        {success && (
+          <div className="p-4 bg-green-50 border border-green-200 rounded-xl flex items-start">
+            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-3 flex-shrink-0" />
+            <span className="text-green-700">{success}</span>
+          </div>
+        )}
+
+        {/* Dados da conta */}
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center space-x-2">
+            <Mail className="h-5 w-5 text-indigo-600" />
+            <h2 className="text-lg font-medium text-gray-900">Dados da conta</h2>
+          </div>
+
+          <form onSubmit={saveAccount} className="p-6 space-y-4">
+            <label className="block text-sm">
+              <span className="text-gray-700">Nome</span>
+              <input
+                type="text"
+                value={accountForm.name}
+                onChange={(e) => setAccountForm({ ...accountForm, name: e.target.value })}
+                className="mt-1 w-full rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700">E-mail</span>
+              <input
+                type="email"
+                value={accountForm.email}
+                onChange={(e) => setAccountForm({ ...accountForm, email: e.target.value })}
+                className="mt-1 w-full rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </label>
+            {emailChanged && (
+              <label className="block text-sm">
+                <span className="text-gray-700">Senha atual</span>
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={accountForm.currentPassword}
+                  onChange={(e) => setAccountForm({ ...accountForm, currentPassword: e.target.value })}
+                  className="mt-1 w-full rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </label>
+            )}
+
+            {profile?.pendingEmail && (
+              <div className="flex items-center justify-between p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <span>Aguardando confirmação de <span className="font-medium">{profile.pendingEmail}</span>.</span>
+                <button
+                  type="button"
+                  onClick={cancelEmailChange}
+                  disabled={actionInProgress}
+                  className="ml-4 text-yellow-900 font-medium hover:underline disabled:opacity-50"
+                >
+                  Cancelar troca
+                </button>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={actionInProgress || (emailChanged && !accountForm.currentPassword)}
+                className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+              >
+                <Save className="h-4 w-4 mr-2" /> Salvar
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {/* Senha */}
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center space-x-2">
+            <KeyRound className="h-5 w-5 text-indigo-600" />
+            <h2 className="text-lg font-medium text-gray-900">Alterar senha</h2>
+          </div>
+
+          <form onSubmit={changePassword} className="p-6 space-y-4">
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={passwordForm.currentPassword}
+              onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+              placeholder="Senha atual"
+              className="w-full rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={passwordForm.newPassword}
+                onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+                placeholder="Nova senha"
+                className="w-full rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={passwordForm.confirmPassword}
+                onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+                placeholder="Confirme a nova senha"
+                className="w-full rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <p className="text-xs text-gray-500">Mínimo de 8 caracteres, com letras maiúsculas, minúsculas e números.</p>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={actionInProgress || !passwordForm.currentPassword || !passwordForm.newPassword}
+                className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+              >
+                Alterar senha
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {/* Autenticação em duas etapas */}
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <ShieldCheck className="h-5 w-5 text-indigo-600" />
+              <h2 className="text-lg font-medium text-gray-900">Autenticação em duas etapas</h2>
+            </div>
+            <span className={`px-3 py-1 rounded-full text-xs font-medium ${
+              mfaStatus?.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+            }`}>
+              {mfaStatus?.enabled ? 'Ativada' : 'Desativada'}
+            </span>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {mfaStatus?.required && (
+              <p className="text-sm text-gray-600">
+                A autenticação em duas etapas é obrigatória para administradores.
+              </p>
+            )}
+
+            {!mfaStatus?.enabled && !setupData && (
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-600">
+                  Proteja sua conta exigindo um código do aplicativo autenticador a cada login.
+                </p>
+                <button
+                  onClick={startSetup}
+                  disabled={actionInProgress}
+                  className="ml-4 inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                >
+                  Ativar
+                </button>
+              </div>
+            )}
+
+            {setupData && (
+              <form onSubmit={confirmSetup} className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Escaneie o QR code com seu aplicativo autenticador (Google Authenticator, Authy, etc.) e informe o código gerado.
+                </p>
+                <div className="flex flex-col items-center space-y-2">
+                  <img src={setupData.qrCode} alt="QR code para o aplicativo autenticador" className="w-48 h-48 border border-gray-200 rounded-xl" />
+                  <p className="text-xs text-gray-500 break-all text-center">
+                    Chave manual: <span className="font-mono">{setupData.secret}</span>
+                  </p>
+                </div>
+                <div className="flex flex-col sm:flex-row sm:space-x-3 space-y-3 sm:space-y-0">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={mfaCode}
+                    onChange={(e) => setMfaCode(e.target.value)}
+                    placeholder="Código de 6 dígitos"
+                    className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <button
+                    type="submit"
+                    disabled={actionInProgress || !mfaCode}
+                    className="inline-flex items-center justify-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                  >
+                    Confirmar
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {recoveryCodes.length > 0 && (
+              <div className="space-y-3">
+                <p className="text-sm text-gray-700 font-medium">
+                  Guarde estes códigos de recuperação em um lugar seguro. Eles não serão exibidos novamente.
+                </p>
+                <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border border-gray-200 rounded-xl p-4">
+                  {recoveryCodes.map((code) => (
+                    <li key={code} className="text-gray-800">{code}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {mfaStatus?.enabled && (
+              <>
+                <form onSubmit={regenerateRecoveryCodes} className="space-y-3">
+                  <p className="text-sm text-gray-600">
+                    Códigos de recuperação restantes: <span className="font-semibold">{mfaStatus.recoveryCodesRemaining}</span>
+                  </p>
+                  <div className="flex flex-col sm:flex-row sm:space-x-3 space-y-3 sm:space-y-0">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      value={mfaCode}
+                      onChange={(e) => setMfaCode(e.target.value)}
+                      placeholder="Código do aplicativo"
+                      className="flex-1 rounded-lg border border-gray-300 px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <button
+                      type="submit"
+                      disabled={actionInProgress || !mfaCode}
+                      className="inline-flex items-center justify-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                    >
+                      <RefreshCw className="h-4 w-4 mr-2" /> Gerar novos códigos
+                    </button>
+                  </div>
+                </form>
+
+                {!mfaStatus.required && (
+                  <form onSubmit={disableMfa} className="pt-4 border-t border-gray-200 flex flex-col sm:flex-row sm:space-x-3 space-y-3 sm:space-y-0">
+                    <div className="relative flex-1">
+                      <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Senha atual"
+                        className="w-full rounded-lg border border-gray-300 pl-10 pr-3 py-2 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                      />
+                      <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={actionInProgress || !password}
+                      className="inline-flex items-center justify-center px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                    >
+                      Desativar
+                    </button>
+                  </form>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Tokens de API */}
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+          <div className="px-6 py-4 flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <Code className="h-5 w-5 text-indigo-600" />
+              <div>
+                <h2 className="text-lg font-medium text-gray-900">Tokens de API</h2>
+                <p className="text-sm text-gray-600">Credenciais pessoais para scripts e automações.</p>
+              </div>
+            </div>
+            <Link
+              to="/tokens"
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Gerenciar
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
@@ -1,7 +1,7 @@
-import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import api from '../../api';
-import { FileText, Lock, Shield, User, Award, Eye, EyeOff } from 'lucide-react';
+import { FileText, Lock, Shield, User, Award, Eye, EyeOff, Mail } from 'lucide-react';
 
 const Register = () => {
   const [name, setName] = useState('');
@@ -12,8 +12,33 @@ const Register = () => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [registration, setRegistration] = useState({ mode: 'open', allowedDomains: [] });
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState(null);
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
   const navigate = useNavigate();
 
+  // Carrega o modo de cadastro e, se houver, o convite do link para preencher o formulário
+  useEffect(() => {
+    api.get('/settings/registration')
+      .then((response) => setRegistration(response.data))
+      .catch((error) => console.error('Erro ao carregar configuração de cadastro:', error));
+
+    if (!inviteToken) return;
+
+    api.post('/invites/lookup', { token: inviteToken })
+      .then((response) => {
+        setInvite(response.data);
+        if (response.data.email) {
+          setEmail(response.data.email);
+        }
+      })
+      .catch(() => setInviteError('Este convite é inválido, já foi usado ou expirou.'));
+  }, [inviteToken]);
+
+  const registrationClosed = registration.mode === 'invite' && !invite;
+
   //Validações
   const validateEmail = (email) => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -47,6 +72,11 @@ const Register = () => {
       return;
     }
 
+    if (!invite && registration.mode === 'domain' && !registration.allowedDomains.includes(email.split('@').pop().toLowerCase())) {
+      setError(`O cadastro é permitido apenas para e-mails de: ${registration.allowedDomains.map((domain) => `@${domain}`).join(', ')}.`);
+      return;
+    }
+
     if (password !== confirmPassword) {
       setError('As senhas não coincidem.');
       return;
@@ -62,14 +92,15 @@ const Register = () => {
         name: name.trim(),
         email,
         password,
+        inviteToken: invite ? inviteToken : undefined,
       });
 
-      setSuccess('Cadastro realizado com sucesso! Redirecionando para login...');
+      setSuccess('Cadastro realizado! Enviamos um link de confirmação para o seu e-mail. Confirme o endereço para poder entrar.');
       
       // Redireciona para o login após sucesso
       setTimeout(() => {
         navigate('/login');
-      }, 2000);
+      }, 5000);
     } catch (error) {
       setError(
         error.response 
@@ -115,6 +146,22 @@ const Register = () => {
           <h2 className="text-3xl font-bold text-gray-900 mb-6 flex items-center">
             <User className="mr-3 text-green-600" /> Cadastro
           </h2>
+
+          {invite && (
+            <div className="mb-4 text-green-700 text-sm border border-green-300 bg-green-50 p-3 rounded-lg flex items-start space-x-2">
+              <Mail className="h-5 w-5 flex-shrink-0" />
+              <span>
+                Você foi convidado{invite.role === 'ADMIN' ? ' como administrador' : ''}. O convite vale até {new Date(invite.expiresAt).toLocaleDateString('pt-BR')}.
+              </span>
+            </div>
+          )}
+
+          {(inviteError || registrationClosed) && (
+            <div className="mb-4 text-amber-700 text-sm border border-amber-300 bg-amber-50 p-3 rounded-lg">
+              {inviteError || 'O cadastro está disponível apenas por convite. Solicite um convite a um administrador.'}
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-4">
             <div>
               <label 
@@ -150,10 +197,16 @@ const Register = () => {
                   className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition duration-300"
                   value={email}
                   onChange={(event) => setEmail(event.target.value)}
+                  readOnly={Boolean(invite?.email)}
                   placeholder="Digite seu e-mail"
                 />
                 <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
               </div>
+              {!invite && registration.mode === 'domain' && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Apenas e-mails de: {registration.allowedDomains.map((domain) => `@${domain}`).join(', ')}
+                </p>
+              )}
             </div>
             
             <div>
@@ -216,7 +269,8 @@ const Register = () => {
             <div className="flex items-center justify-between mt-6">
               <button
                 type="submit"
-                className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-lg transition duration-300 transform hover:scale-105"
+                disabled={registrationClosed}
+                className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-lg transition duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
               >
                 Cadastrar
               </button>
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../../api';
+import { Lock, KeyRound, Eye, EyeOff, ArrowLeft, AlertCircle, CheckCircle } from 'lucide-react';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState(token ? null : 'Link de redefinição inválido.');
+  const [success, setSuccess] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const validatePassword = (password) => {
+    // No mínimo 8 caracteres, um maiúsculo, um minúsculo e um número
+    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+    return passwordRegex.test(password);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!token) {
+      setError('Link de redefinição inválido.');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('As senhas não coincidem.');
+      return;
+    }
+
+    if (!validatePassword(password)) {
+      setError('A senha deve ter no mínimo 8 caracteres, incluindo maiúsculas, minúsculas e números.');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await api.post('/password/reset', { token, password });
+      setSuccess('Senha redefinida com sucesso! Redirecionando para o login...');
+      setTimeout(() => {
+        navigate('/login');
+      }, 2000);
+    } catch (error) {
+      setError(
+        error.response
+          ? error.response.data.error || 'Erro ao redefinir a senha.'
+          : 'Erro de conexão. Tente novamente mais tarde.'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex justify-center items-center min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <div className="w-full max-w-md bg-white p-8 md:p-10 rounded-3xl shadow-2xl m-4">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="p-3 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-xl shadow-md">
+            <KeyRound className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-800">Nova senha</h2>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="password" className="block text-gray-700 font-medium mb-2">
+              Nova senha
+            </label>
+            <div className="relative">
+              <input
+                type={showPassword ? 'text' : 'password'}
+                id="password"
+                className="w-full pl-12 pr-12 py-3 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-300 hover:border-indigo-200"
+                value={password}
+                onChange={(event) => setPassword(event.target.value)}
+                placeholder="Crie uma senha forte"
+              />
+              <div className="absolute left-0 top-0 h-full flex items-center justify-center w-12 text-gray-400">
+                <Lock className="h-5 w-5" />
+              </div>
+              <button
+                type="button"
+                onClick={() => setShowPassword(!showPassword)}
+                className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-indigo-600 transition-colors p-1 rounded-full hover:bg-indigo-50"
+              >
+                {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Mínimo 8 caracteres, com maiúsculas, minúsculas e números
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="confirm-password" className="block text-gray-700 font-medium mb-2">
+              Confirmar nova senha
+            </label>
+            <div className="relative">
+              <input
+                type={showPassword ? 'text' : 'password'}
+                id="confirm-password"
+                className="w-full pl-12 pr-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-300 hover:border-indigo-200"
+                value={confirmPassword}
+                onChange={(event) => setConfirmPassword(event.target.value)}
+                placeholder="Repita a senha"
+              />
+              <div className="absolute left-0 top-0 h-full flex items-center justify-center w-12 text-gray-400">
+                <Lock className="h-5 w-5" />
+              </div>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading || !token}
+            className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-bold py-3 px-8 rounded-xl transition-all duration-300 disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Salvando...' : 'Redefinir senha'}
+          </button>
+        </form>
+
+        {error && (
+          <div className="mt-6 text-red-600 text-sm border border-red-200 bg-red-50 p-4 rounded-xl flex items-start space-x-3">
+            <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {success && (
+          <div className="mt-6 text-green-600 text-sm border border-green-200 bg-green-50 p-4 rounded-xl flex items-start space-x-3">
+            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 flex-shrink-0" />
+            <span>{success}</span>
+          </div>
+        )}
+
+        <Link
+          to="/forgot-password"
+          className="mt-8 inline-flex items-center text-indigo-600 hover:text-indigo-800 transition duration-300 font-medium hover:underline"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Solicitar um novo link
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
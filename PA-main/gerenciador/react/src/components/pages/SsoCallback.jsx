@@ -0,0 +1,89 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api, { setSession } from '../../api';
+import { Shield, Loader2, AlertCircle, ArrowLeft } from 'lucide-react';
+
+const SsoCallback = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const code = searchParams.get('code');
+  const state = searchParams.get('state');
+  const providerError = searchParams.get('error_description') || searchParams.get('error');
+  const [error, setError] = useState(
+    providerError || (!code || !state ? 'Resposta do provedor de identidade inválida.' : null)
+  );
+  // Evita trocar o código duas vezes (o StrictMode executa o efeito em dobro em desenvolvimento)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (error || requested.current) return;
+    requested.current = true;
+
+    const browserKey = sessionStorage.getItem('ssoBrowserKey');
+    sessionStorage.removeItem('ssoBrowserKey');
+
+    api.post('/auth/oidc/callback', { code, state, browserKey })
+      .then((response) => {
+        // A segunda etapa (TOTP) continua na tela de login
+        if (response.data.mfaRequired || response.data.mfaSetupRequired) {
+          navigate('/login', { replace: true, state: { mfa: response.data } });
+          return;
+        }
+
+        setSession(response.data);
+        navigate('/', { replace: true });
+      })
+      .catch((error) => {
+        if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+          setError('Confirme seu e-mail antes de entrar. Verifique sua caixa de entrada.');
+          return;
+        }
+        if (error.response?.data?.code === 'SSO_EMAIL_NOT_VERIFIED') {
+          setError('O provedor de identidade não confirmou seu e-mail. Confirme-o no provedor ou cadastre-se com senha.');
+          return;
+        }
+
+        setError(
+          error.response
+            ? error.response.data.error || 'Não foi possível concluir o login via SSO.'
+            : 'Erro de conexão. Tente novamente mais tarde.'
+        );
+      });
+  }, [code, state, error, navigate]);
+
+  return (
+    <div className="flex justify-center items-center min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <div className="w-full max-w-md bg-white p-8 md:p-10 rounded-3xl shadow-2xl m-4">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="p-3 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-xl shadow-md">
+            <Shield className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-800">Login via SSO</h2>
+        </div>
+
+        {error ? (
+          <>
+            <div className="text-red-600 text-sm border border-red-200 bg-red-50 p-4 rounded-xl flex items-start space-x-3">
+              <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+            <Link
+              to="/login"
+              className="mt-8 inline-flex items-center text-indigo-600 hover:text-indigo-800 transition duration-300 font-medium hover:underline"
+            >
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Voltar para o login
+            </Link>
+          </>
+        ) : (
+          <div className="flex items-center text-gray-600">
+            <Loader2 className="h-5 w-5 mr-3 animate-spin text-indigo-600" />
+            Concluindo o login...
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
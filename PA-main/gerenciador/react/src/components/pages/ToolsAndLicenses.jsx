@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { Trash2, Pencil, Plus, AlertCircle, Wrench, Calendar, User, FileText, SortAsc, SortDesc, Filter, Mail, Clock } from 'lucide-react';
+import { Trash2, Pencil, Plus, AlertCircle, Wrench, Calendar, User, Users, FileText, SortAsc, SortDesc, Filter, Mail, Clock } from 'lucide-react';
 import api from "../../api";
 
 const ToolsAndLicenses = () => {
@@ -12,6 +12,7 @@ const ToolsAndLicenses = () => {
     responsibleEmail: "",
     acquisitionDate: "",
     expirationDate: "",
+    teamId: "",
   });
   const [filteredTools, setFilteredTools] = useState([]);
   const [sortConfig, setSortConfig] = useState({
@@ -24,9 +25,21 @@ const ToolsAndLicenses = () => {
     expirationStatus: 'all'
   });
   const [isLoading, setIsLoading] = useState(true);
+  const [permissions, setPermissions] = useState([]);
+  const [teams, setTeams] = useState([]);
+
+  const canWrite = permissions.includes('tools:write');
+  // Equipes que o usuário pode atribuir: as suas, ou todas para quem gerencia ferramentas
+  const assignableTeams = permissions.includes('tools:manage') ? teams : teams.filter((team) => team.isMember);
 
   useEffect(() => {
     fetchTools();
+    api.get("/user/profile")
+      .then((response) => setPermissions(response.data.permissions))
+      .catch((error) => console.error("Erro ao carregar permissões:", error));
+    api.get("/teams")
+      .then((response) => setTeams(response.data))
+      .catch((error) => console.error("Erro ao carregar equipes:", error));
   }, []);
 
   const fetchTools = () => {
@@ -156,8 +169,18 @@ const ToolsAndLicenses = () => {
       return;
     }
 
+    const payload = {
+      name: formData.name,
+      description: formData.description,
+      responsible: formData.responsible,
+      responsibleEmail: formData.responsibleEmail,
+      acquisitionDate: formData.acquisitionDate,
+      expirationDate: formData.expirationDate,
+      teamId: formData.teamId || null,
+    };
+
     if (formData.id) {
-      api.put(`/tools/${formData.id}`, formData)
+      api.put(`/tools/${formData.id}`, payload)
         .then(() => {
           setShowForm(false);
           setFormData({
@@ -167,12 +190,16 @@ const ToolsAndLicenses = () => {
             responsibleEmail: "",
             acquisitionDate: "",
             expirationDate: "",
+            teamId: "",
           });
           fetchTools();
         })
-        .catch((error) => console.error("Erro ao atualizar ferramenta:", error));
+        .catch((error) => {
+          console.error("Erro ao atualizar ferramenta:", error);
+          alert(error.response?.data?.error || "Não foi possível atualizar a ferramenta.");
+        });
     } else {
-      api.post("/tools", formData)
+      api.post("/tools", payload)
         .then(() => {
           setShowForm(false);
           setFormData({
@@ -182,10 +209,14 @@ const ToolsAndLicenses = () => {
             responsibleEmail: "",
             acquisitionDate: "",
             expirationDate: "",
+            teamId: "",
           });
           fetchTools();
         })
-        .catch((error) => console.error("Erro ao adicionar ferramenta:", error));
+        .catch((error) => {
+          console.error("Erro ao adicionar ferramenta:", error);
+          alert(error.response?.data?.error || "Não foi possível adicionar a ferramenta.");
+        });
     }
   };
 
@@ -195,7 +226,10 @@ const ToolsAndLicenses = () => {
         .then(() => {
           fetchTools();
         })
-        .catch((error) => console.error("Erro ao deletar ferramenta:", error));
+        .catch((error) => {
+          console.error("Erro ao deletar ferramenta:", error);
+          alert(error.response?.data?.error || "Não foi possível excluir a ferramenta.");
+        });
     }
   };
 
@@ -203,7 +237,8 @@ const ToolsAndLicenses = () => {
     setFormData({
       ...tool,
       acquisitionDate: new Date(tool.acquisitionDate).toISOString().split('T')[0],
-      expirationDate: new Date(tool.expirationDate).toISOString().split('T')[0]
+      expirationDate: new Date(tool.expirationDate).toISOString().split('T')[0],
+      teamId: tool.teamId ?? ""
     });
     setShowForm(true);
   };
@@ -225,25 +260,27 @@ const ToolsAndLicenses = () => {
               Ferramentas e Licenças
             </h2>
           </div>
-          <button
-            className="group flex items-center space-x-3 px-6 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-xl shadow-lg hover:shadow-indigo-200/50 transition-all duration-300 ease-out transform hover:-translate-y-1"
-            onClick={() => setShowForm(!showForm)}
-          >
-            <span className="absolute inset-0 w-full h-full bg-gradient-to-r from-blue-600 to-indigo-600 rounded-xl opacity-0 group-hover:opacity-70 group-hover:blur-md transition-all duration-300"></span>
-            <span className="relative flex items-center space-x-2">
-              {showForm ? (
-                <>
-                  <Trash2 className="h-6 w-6" />
-                  <span className="font-semibold">Cancelar</span>
-                </>
-              ) : (
-                <>
-                  <Plus className="h-6 w-6" />
-                  <span className="font-semibold">Adicionar Ferramenta</span>
-                </>
-              )}
-            </span>
-          </button>
+          {canWrite && (
+            <button
+              className="group flex items-center space-x-3 px-6 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-xl shadow-lg hover:shadow-indigo-200/50 transition-all duration-300 ease-out transform hover:-translate-y-1"
+              onClick={() => setShowForm(!showForm)}
+            >
+              <span className="absolute inset-0 w-full h-full bg-gradient-to-r from-blue-600 to-indigo-600 rounded-xl opacity-0 group-hover:opacity-70 group-hover:blur-md transition-all duration-300"></span>
+              <span className="relative flex items-center space-x-2">
+                {showForm ? (
+                  <>
+                    <Trash2 className="h-6 w-6" />
+                    <span className="font-semibold">Cancelar</span>
+                  </>
+                ) : (
+                  <>
+                    <Plus className="h-6 w-6" />
+                    <span className="font-semibold">Adicionar Ferramenta</span>
+                  </>
+                )}
+              </span>
+            </button>
+          )}
         </div>
       </div>
 
@@ -308,6 +345,23 @@ const ToolsAndLicenses = () => {
                 required
               />
             </div>
+            <div className="flex items-center space-x-3">
+              <Users className="h-5 w-5 text-indigo-400" />
+              <select
+                name="teamId"
+                value={formData.teamId}
+                onChange={(e) => setFormData({ ...formData, teamId: e.target.value })}
+                className="p-3 border-2 border-gray-200 rounded-xl w-full focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 hover:border-indigo-200"
+              >
+                <option value="">Sem equipe</option>
+                {assignableTeams.map((team) => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+                {formData.team && !assignableTeams.some((team) => team.id === formData.team.id) && (
+                  <option value={formData.team.id}>{formData.team.name}</option>
+                )}
+              </select>
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div className="flex items-center space-x-3">
                 <Calendar className="h-5 w-5 text-indigo-400" />
@@ -447,14 +501,18 @@ const ToolsAndLicenses = () => {
             <Wrench className="h-20 w-20 text-blue-400" />
           </div>
           <p className="text-2xl font-bold text-gray-800 mb-4">Nenhuma ferramenta ou licença cadastrada</p>
-          <p className="text-lg text-gray-600 mb-8">Adicione novas ferramentas ou licenças usando o botão acima</p>
-          <button
-            onClick={() => setShowForm(true)}
-            className="px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-xl shadow-lg hover:shadow-indigo-200/50 transition-all duration-300 transform hover:-translate-y-1 flex items-center space-x-2 mx-auto"
-          >
-            <Plus className="h-5 w-5" />
-            <span>Adicionar Agora</span>
-          </button>
+          {canWrite && (
+            <>
+              <p className="text-lg text-gray-600 mb-8">Adicione novas ferramentas ou licenças usando o botão acima</p>
+              <button
+                onClick={() => setShowForm(true)}
+                className="px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-xl shadow-lg hover:shadow-indigo-200/50 transition-all duration-300 transform hover:-translate-y-1 flex items-center space-x-2 mx-auto"
+              >
+                <Plus className="h-5 w-5" />
+                <span>Adicionar Agora</span>
+              </button>
+            </>
+          )}
         </div>
       ) : (
         <div className="bg-white rounded-3xl shadow-lg overflow-hidden border border-gray-100 transition-all duration-300 hover:shadow-xl animate-fadeIn">
@@ -516,7 +574,16 @@ const ToolsAndLicenses = () => {
                       }`}
                       style={{ animationDelay: `${index * 50}ms` }}
                     >
-                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">{tool.name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        {tool.name}
+                        {(tool.owner || tool.team) && (
+                          <span className="block text-xs font-normal text-gray-500">
+                            {tool.owner && `Dono: ${tool.owner.name}`}
+                            {tool.owner && tool.team && ' · '}
+                            {tool.team && `Equipe: ${tool.team.name}`}
+                          </span>
+                        )}
+                      </td>
                       <td className="px-6 py-4 text-sm text-gray-600">{tool.description}</td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">{tool.responsible}</td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{tool.responsibleEmail}</td>
@@ -556,20 +623,24 @@ const ToolsAndLicenses = () => {
                               <div className="absolute -top-1 -right-1 h-3 w-3 bg-green-500 rounded-full"></div>
                             </div>
                           )}
-                          <button
-                            onClick={() => handleEdit(tool)}
-                            className="text-blue-600 hover:text-blue-800 transition-colors duration-200 p-2 rounded-full hover:bg-blue-50 transform hover:scale-110"
-                            title="Editar"
-                          >
-                            <Pencil className="h-5 w-5" />
-                          </button>
-                          <button
-                            onClick={() => handleDelete(tool.id)}
-                            className="text-red-600 hover:text-red-800 transition-colors duration-200 p-2 rounded-full hover:bg-red-50 transform hover:scale-110"
-                            title="Excluir"
-                          >
-                            <Trash2 className="h-5 w-5" />
-                          </button>
+                          {tool.canEdit && (
+                            <>
+                              <button
+                                onClick={() => handleEdit(tool)}
+                                className="text-blue-600 hover:text-blue-800 transition-colors duration-200 p-2 rounded-full hover:bg-blue-50 transform hover:scale-110"
+                                title="Editar"
+                              >
+                                <Pencil className="h-5 w-5" />
+                              </button>
+                              <button
+                                onClick={() => handleDelete(tool.id)}
+                                className="text-red-600 hover:text-red-800 transition-colors duration-200 p-2 rounded-full hover:bg-red-50 transform hover:scale-110"
+                                title="Excluir"
+                              >
+                                <Trash2 className="h-5 w-5" />
+                              </button>
+                            </>
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../../api';
+import TagInput from '../TagInput';
 import { Upload, Plus, FileText, BookOpen, Tag, Link as LinkIcon, X, File, List, CheckCircle, AlertCircle } from 'lucide-react';
 
 const Training = () => {
@@ -10,6 +11,7 @@ const Training = () => {
   const [categoryId, setCategoryId] = useState('');
   const [categories, setCategories] = useState([]);
   const [trainingLinks, setTrainingLinks] = useState(['']);
+  const [tags, setTags] = useState([]);
   const [file, setFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: '', text: '' });
@@ -90,6 +92,7 @@ const Training = () => {
     formData.append('title', title);
     formData.append('description', description);
     formData.append('categoryId', categoryId);
+    tags.forEach((tag) => formData.append('tags', tag));
     
     trainingLinks.forEach((link, index) => {
       if (link.trim()) {
@@ -117,6 +120,7 @@ const Training = () => {
       setDescription('');
       setCategoryId('');
       setTrainingLinks(['']);
+      setTags([]);
       setFile(null);
     } catch (error) {
       console.error('Erro ao registrar treinamento:', error);
@@ -243,6 +247,14 @@ const Training = () => {
                 </div>
               </div>
 
+              <div className="space-y-2 group">
+                <label className="block text-sm font-medium text-gray-700 flex items-center group-hover:text-indigo-600 transition-colors">
+                  <Tag className="w-4 h-4 mr-2 text-indigo-500 group-hover:text-indigo-600 transition-colors" />
+                  Etiquetas
+                </label>
+                <TagInput value={tags} onChange={setTags} placeholder="Ex.: segurança, onboarding" />
+              </div>
+
               <div className="space-y-3 group">
                 <label className="block text-sm font-medium text-gray-700 flex items-center group-hover:text-indigo-600 transition-colors">
                   <LinkIcon className="w-4 h-4 mr-2 text-indigo-500 group-hover:text-indigo-600 transition-colors" />
@@ -1,30 +1,42 @@
 import React, { useState, useEffect } from 'react';
 import api from '../../api';
-import { Search, Filter, BookOpen, Link as LinkIcon, Maximize2, X, Download, Trash2, Share2, Globe2, Lock, File, FileVideo, FileAudio, FileImage } from 'lucide-react';
+import { Search, Filter, BookOpen, Link as LinkIcon, Maximize2, X, Download, Trash2, Share2, Globe2, Lock, File, FileVideo, FileAudio, FileImage, Hash } from 'lucide-react';
+import TagInput from '../TagInput';
 
 const TrainingList = () => {
   const [trainings, setTrainings] = useState([]);
   const [categories, setCategories] = useState([]);
   const [search, setSearch] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState([]);
   const [loading, setLoading] = useState(true);
 
   const [selectedTraining, setSelectedTraining] = useState(null);
 
   useEffect(() => {
-    Promise.all([
-      api.get('/trainings'),
-      api.get('/categories')
-    ]).then(([trainingsResponse, categoriesResponse]) => {
-      setTrainings(trainingsResponse.data);
-      setCategories(categoriesResponse.data);
-      setLoading(false);
-    }).catch((error) => {
-      console.error('Error fetching data:', error);
-      setLoading(false);
-    });
+    api.get('/categories')
+      .then((response) => setCategories(response.data))
+      .catch((error) => console.error('Error fetching categories:', error));
   }, []);
 
+  // O filtro por etiquetas é aplicado no servidor
+  useEffect(() => {
+    api.get('/trainings', { params: { tags: tagFilter.join(',') || undefined } })
+      .then((response) => {
+        setTrainings(response.data);
+        setLoading(false);
+      }).catch((error) => {
+        console.error('Error fetching trainings:', error);
+        setLoading(false);
+      });
+  }, [tagFilter]);
+
+  const tagClicked = (tag) => {
+    if (!tagFilter.includes(tag)) {
+      setTagFilter([...tagFilter, tag]);
+    }
+  };
+
   const totalTrainings = trainings.length;
   const publicTrainings = trainings.filter((t) => t.isPublic).length;
   const privateTrainings = totalTrainings - publicTrainings;
@@ -115,7 +127,7 @@ const TrainingList = () => {
   };
 
   const deleteTraining = async (training) => {
-    const confirmDelete = window.confirm(`Deseja remover o treinamento "${training.title}"?`);
+    const confirmDelete = window.confirm(`Deseja mover o treinamento "${training.title}" para a lixeira?`);
     if (!confirmDelete) return;
 
     try {
@@ -181,6 +193,10 @@ const TrainingList = () => {
         </div>
       </div>
 
+      <div className="mb-8">
+        <TagInput value={tagFilter} onChange={setTagFilter} placeholder="Filtrar por etiquetas" />
+      </div>
+
       {loading ? (
         <div className="text-center py-8">
           <p className="text-gray-500">Carregando treinamentos...</p>
@@ -247,6 +263,22 @@ const TrainingList = () => {
                       <Filter className="w-4 h-4 mr-2" />
                       Categoria: {categories.find((c) => c.id === training.categoryId)?.name}
                     </div>
+
+                    {training.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mb-4">
+                        {training.tags.map((tag) => (
+                          <button
+                            key={tag.id}
+                            onClick={() => tagClicked(tag.name)}
+                            className="inline-flex items-center px-2 py-1 text-xs rounded-md bg-blue-50 text-blue-700 hover:bg-blue-100 transition-colors"
+                            title="Filtrar por esta etiqueta"
+                          >
+                            <Hash className="w-3 h-3 mr-1" />
+                            {tag.name}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                   </div>
 
                   <div className="flex justify-between items-center border-t pt-4">
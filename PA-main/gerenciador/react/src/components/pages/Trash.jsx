@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../api';
+import { Trash2, RotateCcw, AlertCircle, CheckCircle, FileText, GraduationCap } from 'lucide-react';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Trash = () => {
+  const [trash, setTrash] = useState({ posts: [], trainings: [], retentionDays: 30 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const [actionInProgress, setActionInProgress] = useState(false);
+
+  useEffect(() => {
+    api.get('/user/profile')
+      .then((response) => setIsAdmin(response.data.role === 'ADMIN'))
+      .catch((error) => console.error('Erro ao carregar perfil:', error));
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [showAll]);
+
+  const fetchTrash = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/trash', { params: { all: showAll || undefined } });
+      setTrash(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar lixeira:', error);
+      setError('Não foi possível carregar a lixeira.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, successMessage, errorMessage) => {
+    setActionInProgress(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      await action();
+      setSuccess(successMessage);
+      fetchTrash();
+    } catch (error) {
+      console.error(errorMessage, error);
+      setError(error.response?.data?.error || errorMessage);
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
+  const restoreItem = (type, item) => runAction(
+    () => api.post(`/trash/${type}/${item.id}/restore`),
+    'Item restaurado.',
+    'Não foi possível restaurar o item.'
+  );
+
+  const deleteItem = (type, item, name) => {
+    if (!window.confirm(`Excluir "${name}" definitivamente? Esta ação não poderá ser revertida.`)) return;
+    runAction(
+      () => api.delete(`/trash/${type}/${item.id}`),
+      'Item excluído definitivamente.',
+      'Não foi possível excluir o item.'
+    );
+  };
+
+  const emptyTrash = () => {
+    if (!window.confirm('Esvaziar a lixeira? Todos os itens serão excluídos definitivamente.')) return;
+    runAction(
+      () => api.delete('/trash'),
+      'Lixeira esvaziada.',
+      'Não foi possível esvaziar a lixeira.'
+    );
+  };
+
+  // Dias restantes até a limpeza automática
+  const daysLeft = (deletedAt) => Math.max(0, Math.ceil((new Date(deletedAt).getTime() + trash.retentionDays * DAY_MS - Date.now()) / DAY_MS));
+
+  const formatDateTime = (date) => new Date(date).toLocaleString('pt-BR');
+
+  const renderItems = (type, items, getName) => (
+    items.length === 0 ? (
+      <p className="p-6 text-sm text-gray-500">Nenhum item na lixeira.</p>
+    ) : (
+      <ul className="divide-y divide-gray-200">
+        {items.map((item) => (
+          <li key={item.id} className="px-6 py-4 flex items-start justify-between">
+            <div className="space-y-1 min-w-0">
+              <h3 className="text-base font-medium text-gray-900 truncate">{getName(item)}</h3>
+              <p className="text-xs text-gray-500">
+                Excluído em {formatDateTime(item.deletedAt)}
+                {item.deletedBy && ` por ${item.deletedBy.name}`}
+                {item.category && ` · ${item.category.name}`}
+              </p>
+              {showAll && item.owner && (
+                <p className="text-xs text-gray-500">Dono: {item.owner.name} ({item.owner.email})</p>
+              )}
+              <p className="text-xs text-orange-600">
+                Será excluído definitivamente em {daysLeft(item.deletedAt)} dia(s)
+              </p>
+            </div>
+            <div className="flex items-center space-x-1 flex-shrink-0">
+              <button
+                onClick={() => restoreItem(type, item)}
+                disabled={actionInProgress}
+                className="p-2 rounded-full hover:bg-indigo-50 transition-colors disabled:opacity-50"
+                title="Restaurar"
+              >
+                <RotateCcw className="h-4 w-4 text-indigo-600" />
+              </button>
+              <button
+                onClick={() => deleteItem(type, item, getName(item))}
+                disabled={actionInProgress}
+                className="p-2 rounded-full hover:bg-red-50 transition-colors disabled:opacity-50"
+                title="Excluir definitivamente"
+              >
+                <Trash2 className="h-4 w-4 text-red-500" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    )
+  );
+
+  const isEmpty = trash.posts.length === 0 && trash.trainings.length === 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 pt-10 pb-10 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto space-y-8">
+        {/* Cabeçalho */}
+        <div className="text-center">
+          <div className="inline-flex items-center justify-center p-3 bg-indigo-100 rounded-xl mb-4">
+            <Trash2 className="h-8 w-8 text-indigo-600" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Lixeira</h1>
+          <p className="text-gray-600 max-w-2xl mx-auto">
+            Documentos e treinamentos excluídos ficam aqui por {trash.retentionDays} dias antes de serem removidos definitivamente.
+          </p>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-xl flex items-start">
+            <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 mr-3 flex-shrink-0" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        )}
+
+        {success && (
+          <div className="p-4 bg-green-50 border border-green-200 rounded-xl flex items-start">
+            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-3 flex-shrink-0" />
+            <span className="text-green-700">{success}</span>
+          </div>
+        )}
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          {isAdmin ? (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={showAll}
+                onChange={(e) => setShowAll(e.target.checked)}
+                className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              <span>Mostrar a lixeira de todos os usuários</span>
+            </label>
+          ) : <span />}
+          {!showAll && !isEmpty && (
+            <button
+              onClick={emptyTrash}
+              disabled={actionInProgress}
+              className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+            >
+              <Trash2 className="h-4 w-4 mr-2" /> Esvaziar lixeira
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Carregando lixeira...</p>
+          </div>
+        ) : (
+          <>
+            <div className="bg-white rounded-xl shadow-md overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center space-x-2">
+                <FileText className="h-5 w-5 text-indigo-600" />
+                <h2 className="text-lg font-medium text-gray-900">Documentos</h2>
+              </div>
+              {renderItems('posts', trash.posts, (post) => post.originalFileName)}
+            </div>
+
+            <div className="bg-white rounded-xl shadow-md overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center space-x-2">
+                <GraduationCap className="h-5 w-5 text-indigo-600" />
+                <h2 className="text-lg font-medium text-gray-900">Treinamentos</h2>
+              </div>
+              {renderItems('trainings', trash.trainings, (training) => training.title)}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../../api';
+import { MailCheck, Loader2, AlertCircle, CheckCircle, ArrowLeft } from 'lucide-react';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'loading' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'Link de confirmação inválido.');
+  // Evita enviar o token duas vezes (o StrictMode executa o efeito em dobro em desenvolvimento)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    api.post('/email/verify', { token })
+      .then(() => {
+        setStatus('success');
+        setMessage('Email confirmado com sucesso! Você já pode entrar no sistema.');
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(
+          error.response
+            ? error.response.data.error || 'Não foi possível confirmar o email.'
+            : 'Erro de conexão. Tente novamente mais tarde.'
+        );
+      });
+  }, [token]);
+
+  return (
+    <div className="flex justify-center items-center min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <div className="w-full max-w-md bg-white p-8 md:p-10 rounded-3xl shadow-2xl m-4">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="p-3 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-xl shadow-md">
+            <MailCheck className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-800">Confirmação de email</h2>
+        </div>
+
+        {status === 'loading' && (
+          <div className="flex items-center text-gray-600">
+            <Loader2 className="h-5 w-5 mr-3 animate-spin text-indigo-600" />
+            Confirmando seu email...
+          </div>
+        )}
+
+        {status === 'success' && (
+          <div className="text-green-600 text-sm border border-green-200 bg-green-50 p-4 rounded-xl flex items-start space-x-3">
+            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 flex-shrink-0" />
+            <span>{message}</span>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="text-red-600 text-sm border border-red-200 bg-red-50 p-4 rounded-xl flex items-start space-x-3">
+            <AlertCircle className="h-5 w-5 text-red-500 mt-0.5 flex-shrink-0" />
+            <span>{message} Você pode solicitar um novo link na tela de login.</span>
+          </div>
+        )}
+
+        <Link
+          to="/login"
+          className="mt-8 inline-flex items-center text-indigo-600 hover:text-indigo-800 transition duration-300 font-medium hover:underline"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Ir para o login
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
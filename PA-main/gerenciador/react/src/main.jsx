@@ -3,12 +3,20 @@ import ReactDOM from 'react-dom/client'
 
 import Home from './components/pages/Home'
 import NewPost from './components/pages/NewPost'
+import EditPost from './components/pages/EditPost'
 import Login from './components/pages/Login'
 import Register from './components/pages/Register'
+import ForgotPassword from './components/pages/ForgotPassword'
+import ResetPassword from './components/pages/ResetPassword'
+import VerifyEmail from './components/pages/VerifyEmail'
+import SsoCallback from './components/pages/SsoCallback'
 import ToolsAndLicenses from './components/pages/ToolsAndLicenses'
 import Training from './components/pages/Training'
 import TrainingList from './components/pages/TrainingList'
 import AdminPanel from './components/pages/AdminPanel'
+import Profile from './components/pages/Profile'
+import ApiTokens from './components/pages/ApiTokens'
+import Trash from './components/pages/Trash'
 
 import Layout from './Layout'
 import ProtectedRoute from './components/ProtectedRoute'
@@ -23,6 +31,10 @@ ReactDOM.createRoot(document.getElementById('root')).render(
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/sso/callback" element={<SsoCallback />} />
         <Route path="/" element={<Layout />}>
           <Route
             index
@@ -40,6 +52,14 @@ ReactDOM.createRoot(document.getElementById('root')).render(
               </ProtectedRoute>
             }
           />
+          <Route
+            path="editPost/:id"
+            element={
+              <ProtectedRoute>
+                <EditPost />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="tools"
             element={
@@ -59,11 +79,35 @@ ReactDOM.createRoot(document.getElementById('root')).render(
           <Route
             path="admin"
             element={
-              <ProtectedRoute adminOnly={true}>
+              <ProtectedRoute anyPermission={['users:manage', 'categories:manage', 'tags:manage']}>
                 <AdminPanel />
               </ProtectedRoute>
             }
           />
+          <Route
+            path="profile"
+            element={
+              <ProtectedRoute>
+                <Profile />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="tokens"
+            element={
+              <ProtectedRoute>
+                <ApiTokens />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="trash"
+            element={
+              <ProtectedRoute>
+                <Trash />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="trainingList"
             element={